@@ -11,6 +11,9 @@ export const ANIMATION = {
   MAX_DELTA_TIME: 100,           // Maximum time jump to prevent huge leaps
   DEFAULT_PLAYBACK_SPEED: 1,
   DEFAULT_WAIT_TIME: 0,          // Default waypoint pause time
+  MIN_SEGMENT_SPEED: 0.25,       // Slowest leg speed multiplier
+  MAX_SEGMENT_SPEED: 4,          // Fastest leg speed multiplier
+  DEFAULT_SEGMENT_DURATION: 3000, // Starting value when a leg gets a fixed duration (ms)
   TIMELINE_RESOLUTION: 1000      // Slider steps (0-1000)
 };
 
@@ -33,8 +36,10 @@ export const RENDERING = {
   LABEL_FONT_SIZE: 14,
   LABEL_FADE_TIME: 2000,         // Label fade duration in ms
   SQUIGGLE_AMPLITUDE: 0.15,      // Wave amplitude for squiggle paths
-  RANDOMISED_JITTER: 3,          // Jitter amount for randomised paths
-  CONTROLS_HEIGHT: 80            // Height of bottom controls panel in pixels
+  HANDLE_SIZE: 4,                // Bézier handle dot radius while editing
+  CURSOR_SIZE: 10,               // Keyboard crosshair arm length while editing
+  CONTROLS_HEIGHT: 80,           // Height of bottom controls panel in pixels
+  EXPORT_BACKGROUND: '#FFFFFF'    // Fill behind the image in exports (matches the canvas)
 };
 
 // Path calculation parameters
@@ -46,17 +51,83 @@ export const PATH = {
   MIN_CORNER_SPEED: 0.2,          // Minimum 20% speed at tight corners (was 40% - now slows more)
   CORNER_THRESHOLD: 30,           // Degrees for corner detection
   CORNER_SLOW_RADIUS: 15,
-  CORNER_SLOW_FACTOR: 0.7
+  CORNER_SLOW_FACTOR: 0.7,
+  CURVE_TYPES: ['catmull-rom', 'centripetal', 'chordal', 'rounded', 'bezier'], // Per-segment interpolation (see utils/PathCurves.js)
+  DEFAULT_CURVE_TYPE: 'catmull-rom',
+  MIN_TENSION: 0,
+  MAX_TENSION: 1,
+  DEFAULT_CORNER_RADIUS: 20,      // Rounded polyline corner radius (pixels)
+  MAX_CORNER_RADIUS: 200
+};
+
+// Seeded noise for 'randomised' path shapes and 'sketchy' strokes (see utils/Noise.js)
+export const NOISE = {
+  DEFAULT_ROUGHNESS: 3,           // Wobble size (pixels)
+  MAX_ROUGHNESS: 20,
+  DEFAULT_FREQUENCY: 0.05,        // Wobbles per pixel along the path
+  MIN_FREQUENCY: 0.01,
+  MAX_FREQUENCY: 0.3,
+  OCTAVES: 2,                     // Layers of detail in each wobble
+  TAPER: 12,                      // Randomised wobble fades in and out over this distance (pixels)
+  SKETCH_PASSES: 2,               // Overlapping strokes in a sketchy line
+  SKETCH_WIDTH: 0.7               // Each sketch stroke's share of the path width
+};
+
+// Per-segment line effects (see utils/LineEffects.js)
+export const LINE_EFFECTS = {
+  GRADIENT_MODES: ['none', 'colors', 'blend'], // Fade to a second colour, or into the next segment's colour
+  DEFAULT_GRADIENT_COLOR: '#FFFFFF',
+  GRADIENT_STEPS: 32,             // Colour bands along a gradient run
+  DEFAULT_CASING_COLOR: '#FFFFFF',
+  MAX_CASING_WIDTH: 10,           // Outline on each side of the line (pixels)
+  MAX_GLOW: 30,                   // Glow blur (pixels)
+  MAX_COMET_TAIL: 500,            // Trail length behind the head (pixels)
+  COMET_STEPS: 16,                // Fade bands along a comet tail
+  ANTS_SPEED: 30,                 // Marching ants speed (pixels per second)
+  ANTS_DASH: [8, 6]               // Dash for marching ants on a solid line
+};
+
+// Path head styles, rotation and sprites (see utils/PathHead.js)
+export const PATH_HEAD = {
+  STYLES: ['arrow', 'dot', 'walker', 'bike', 'car', 'bus', 'train', 'plane', 'custom', 'sprite', 'none'],
+  ICONS: ['walker', 'bike', 'car', 'bus', 'train', 'plane'], // Built-in vector icons, drawn facing right
+  ROTATION_MODES: ['follow', 'upright', 'flip'], // Turn with the path, never turn, or mirror when heading left
+  DEFAULT_ROTATION_MODE: 'follow',
+  DEFAULT_SMOOTHING: 16,          // Path length the heading is averaged over (pixels, 0 = off)
+  MAX_SMOOTHING: 100,
+  DEFAULT_SPRITE_FRAMES: 4,       // Frames side by side in a sprite sheet
+  MAX_SPRITE_FRAMES: 32,
+  SPRITE_STEP: 12                 // Distance travelled per sprite frame (pixels)
+};
+
+// Waypoint marker styles, icons and custom images (see utils/Markers.js)
+export const MARKERS = {
+  STYLES: ['dot', 'square', 'flag', 'number', 'pin', 'info', 'parking', 'entrance', 'cafe', 'toilets', 'custom', 'none'],
+  ICONS: ['info', 'parking', 'entrance', 'cafe', 'toilets'], // Built-in icons, a white glyph on a badge
+  ANCHORS: ['center', 'bottom'],  // Point of a custom image that sits on the waypoint
+  DEFAULT_ANCHOR: 'center',
+  DEFAULT_IMAGE_SIZE: 32,         // Longest side of a custom marker image (pixels)
+  MIN_IMAGE_SIZE: 8,
+  MAX_IMAGE_SIZE: 128
 };
 
 // UI interaction thresholds
 export const INTERACTION = {
   WAYPOINT_HIT_RADIUS: 15,        // Click detection radius for waypoints (pixels)
+  HANDLE_HIT_RADIUS: 8,           // Click detection radius for Bézier handles (pixels)
+  PATH_HIT_RADIUS: 6,             // Click detection distance from the drawn path (pixels)
   DRAG_THRESHOLD: 3,              // Minimum pixels to consider a drag
   DOUBLE_CLICK_TIME: 300,         // Maximum ms between clicks for double-click
   LONG_PRESS_TIME: 500,           // Time for long press detection
-  ZOOM_SENSITIVITY: 0.001,
-  PAN_SENSITIVITY: 1
+  ZOOM_SENSITIVITY: 0.001,        // Wheel delta → zoom factor (exp(-deltaY * sensitivity))
+  PAN_SENSITIVITY: 1,             // Multiplier for drag panning
+  ZOOM_MIN: 1,                    // Zoom 1 shows the whole layout (zoom-to-fit)
+  ZOOM_MAX: 10,
+  ZOOM_STEP: 1.25,                // Keyboard and button zoom factor
+  PAN_STEP: 50,                   // Keyboard pan distance (pixels)
+  CURSOR_STEP: 10,                // Keyboard crosshair move per arrow press (Ctrl moves 1 pixel)
+  ZOOM_TO_SELECTION_PADDING: 60,  // Space around the selection when framing it (pixels)
+  ZOOM_TO_POINT: 4                // Zoom used to frame a single waypoint
 };
 
 // Storage keys for persistence
@@ -67,6 +138,114 @@ export const STORAGE = {
   AUTOSAVE_INTERVAL: 1000         // Debounce time for autosave
 };
 
+// Project files (shareable .routeplot.json)
+export const PROJECT = {
+  FORMAT: 'routeplot',            // Identifies our files among other JSON
+  VERSION: 4,                     // Bump and add a migration when the shape changes
+  FILE_EXTENSION: '.routeplot.json',
+  MIME_TYPE: 'application/json',
+  DEFAULT_NAME: 'Untitled route'
+};
+
+// Video/image export
+export const EXPORT = {
+  DEFAULT_FORMAT: 'webm',         // 'webm' | 'mp4' | 'png' | 'gif'
+  DEFAULT_RESOLUTION: '1920x1080',
+  DEFAULT_FPS: 30,
+  BITS_PER_PIXEL: 0.1,            // Bitrate = width * height * fps * this (~6 Mbps at 1080p30)
+  KEYFRAME_INTERVAL: 2,           // Seconds between keyframes (seekable in editors)
+  MAX_ENCODE_QUEUE: 8,            // Frames queued in the encoder before we wait
+  YIELD_EVERY_FRAMES: 4,          // Let the UI repaint progress every N frames
+  GIF_MAX_DIMENSION: 960,         // Longest GIF side in pixels (Slack/email friendly)
+  GIF_MAX_FPS: 50,                // GIF delays under 20ms are slowed down by viewers
+  DEFAULT_STILL_SCALE: 2,         // Still export size as a multiple of the image's native resolution
+  MAX_STILL_DIMENSION: 16384      // Longest still side - browsers refuse larger canvases
+};
+
+// Georeferencing and GPX/GeoJSON/KML exchange
+export const GEO = {
+  MIN_CONTROL_POINTS: 2,          // Similarity fit needs 2, affine needs 3
+  METERS_PER_DEGREE: 111320,      // Length of one degree of latitude
+  IMPORT_MIN_SPACING: 0.002,      // Drop imported minor points closer than this (normalized image units)
+  FILE_EXTENSIONS: ['.gpx', '.geojson', '.kml'],
+  DEFAULT_FORMAT: 'gpx'           // 'gpx' | 'geojson' | 'kml'
+};
+
+// Multiple routes
+export const ROUTES = {
+  COLORS: ['#FF6B6B', '#4A90E2', '#2ECC71', '#F5A623', '#9B59B6', '#1ABC9C'], // Cycled for new routes
+  START_MODES: ['after-previous', 'with-previous'],
+  DEFAULT_START_MODE: 'after-previous'
+};
+
+// Snapping while adding and dragging waypoints (see utils/Snapping.js)
+export const SNAPPING = {
+  DEFAULT_GRID_SIZE: 20,          // Grid spacing in background image pixels
+  MIN_GRID_SIZE: 2,
+  MAX_GRID_SIZE: 500,
+  ANGLE_STEPS: [15, 45],          // Shift-drag angle choices (degrees)
+  DEFAULT_ANGLE_STEP: 45,
+  RADIUS: 10,                     // How close (screen pixels) a waypoint or path must be to snap to
+  MIN_GRID_SPACING: 6,            // Grid guides are hidden when lines would be closer than this on screen
+  GUIDE_COLOR: '#e0218a'
+};
+
+// Auto-routing along footpaths and corridors of the background (see utils/AutoRoute.js)
+export const AUTO_ROUTE = {
+  SOURCES: ['color', 'painted'],  // Walkable where the background matches a colour, or where painted
+  DEFAULT_SOURCE: 'color',
+  DEFAULT_COLOR: '#ffffff',
+  DEFAULT_TOLERANCE: 40,          // RGB distance from the colour that still counts as walkable
+  MAX_TOLERANCE: 200,
+  DEFAULT_CELL_SIZE: 4,           // Grid cell size in background image pixels
+  MIN_CELL_SIZE: 1,
+  MAX_CELL_SIZE: 16,
+  MAX_CELLS: 1000000,             // Cells grow past the chosen size on very large images
+  MIN_COVERAGE: 0.25,             // Share of a cell's pixels that must match (keeps 1px paths)
+  SEARCH_RADIUS: 12,              // Cells searched for the mask when a waypoint sits just off it
+  SIMPLIFY_TOLERANCE: 1.5,        // Cells the minor waypoints may stray from the found path
+  BRUSH_RADIUS: 12,               // Mask brush radius in screen pixels
+  MASK_COLOR: [46, 204, 113, 110], // Painted mask overlay (RGBA)
+  TIMEOUT: 10000                  // Give up on a route search after this many ms
+};
+
+// Camera moves during playback and export
+export const CAMERA = {
+  MODES: ['off', 'follow', 'keyframes'], // 'follow' tracks the path head, 'keyframes' uses waypoint shots
+  DEFAULT_MODE: 'off',
+  DEFAULT_ZOOM: 3,                // Follow-mode zoom
+  MAX_ZOOM: 8,
+  DEFAULT_SMOOTHING: 0.5,         // 0 = locked to the head, 1 = heaviest smoothing
+  SMOOTHING_WINDOW: 0.08,         // Route progress averaged either side of the head at full smoothing
+  SMOOTHING_SAMPLES: 9,           // Head positions averaged per frame
+  OVERVIEW_TRANSITION: 0.1        // Timeline fraction spent pulling in from / out to the overview
+};
+
+// Timing curves for the whole animation and for each leg (see utils/Easing.js)
+export const EASING = {
+  CURVES: [
+    'linear',
+    'sineIn', 'sineOut', 'sineInOut',
+    'quadIn', 'quadOut', 'quadInOut',
+    'cubicIn', 'cubicOut', 'cubicInOut',
+    'quartIn', 'quartOut', 'quartInOut',
+    'backIn', 'backOut', 'backInOut',
+    'elasticIn', 'elasticOut', 'elasticInOut'
+  ],
+  DEFAULT_CURVE: 'linear',
+  DEFAULT_BEZIER: 'cubic-bezier(0.25, 0.1, 0.25, 1)', // Starting point for a custom curve
+  INVERT_SAMPLES: 64,             // Scan steps when finding when a curve reaches a value
+  BEZIER_CACHE_SIZE: 32,          // Custom curves kept solved - the oldest is dropped past this
+  PREVIEW_SAMPLES: 60,            // Line segments in the settings panel curve preview
+  PREVIEW_OVERSHOOT: 0.4          // Headroom above 1 and below 0 in the preview for back/elastic curves
+};
+
+// Undo/redo history
+export const HISTORY = {
+  MAX_ENTRIES: 100,               // Oldest steps are dropped beyond this
+  COALESCE_WINDOW: 800            // Max ms between edits merged into one step
+};
+
 // Accessibility
 export const A11Y = {
   ANNOUNCEMENT_DELAY: 100,        // Delay for screen reader announcements
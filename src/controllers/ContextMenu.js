@@ -0,0 +1,292 @@
+/**
+ * ContextMenu - Right-click menus for waypoints and the empty canvas
+ * Opens on waypoint:show-context-menu / canvas:show-context-menu and turns
+ * each choice into an EventBus event, so it holds no app state of its own
+ * and can be driven without a mouse in tests.
+ * Keyboard: arrows, Home/End and first letters move between items,
+ * Enter/Space choose, Escape closes and returns focus, Tab closes.
+ */
+
+export class ContextMenu {
+  constructor(eventBus, container = document.body) {
+    this.eventBus = eventBus;
+    this.container = container;
+    
+    // Open menu
+    this.element = null; // <ul role="menu">
+    this.items = []; // { label, event, data, disabled } or { separator: true }
+    this.activeIndex = -1;
+    this.returnFocus = null; // Element focused before the menu opened
+    
+    // Bind methods
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handleDismiss = this.handleDismiss.bind(this);
+    
+    this.eventBus.on('waypoint:show-context-menu', ({ waypoint, x, y }) => {
+      this.openForWaypoint(waypoint, x, y);
+    });
+    this.eventBus.on('canvas:show-context-menu', ({ x, y, canvasX, canvasY }) => {
+      this.openForCanvas(x, y, canvasX, canvasY);
+    });
+  }
+  
+  /**
+   * Ask the app what the menu can offer
+   * @private
+   * @param {Waypoint|null} waypoint - Waypoint the menu is for (null for the canvas)
+   * @returns {Object} { isFirst, isLast, canPasteStyle, canAutoRoute } or { canAdd, canInsert, canPaste }
+   */
+  getState(waypoint) {
+    let state = {};
+    this.eventBus.emit('context-menu:get-state', { waypoint }, (result) => { state = result; });
+    return state;
+  }
+  
+  /**
+   * Items for a waypoint's menu
+   * @param {Waypoint} waypoint - Right-clicked waypoint
+   * @param {Object} state - From context-menu:get-state
+   * @returns {Array<Object>}
+   */
+  getWaypointItems(waypoint, { isFirst = false, isLast = false, canPasteStyle = false, canAutoRoute = false } = {}) {
+    return [
+      { label: 'Split segment', event: 'waypoint:split-segment', data: waypoint, disabled: isLast },
+      { label: 'Duplicate', event: 'waypoint:duplicate', data: waypoint },
+      { label: waypoint.isMajor ? 'Make minor' : 'Make major', event: 'waypoint:toggle-type', data: waypoint },
+      { separator: true },
+      { label: 'Copy style', event: 'waypoint:copy-style', data: waypoint },
+      { label: 'Paste style', event: 'waypoint:paste-style', data: waypoint, disabled: !canPasteStyle },
+      { separator: true },
+      { label: 'Set as start', event: 'waypoint:move-to', data: { waypoint, position: 'start' }, disabled: isFirst },
+      { label: 'Set as end', event: 'waypoint:move-to', data: { waypoint, position: 'end' }, disabled: isLast },
+      { label: 'Auto-route to next major', event: 'waypoint:auto-route', data: waypoint, disabled: !canAutoRoute },
+      { label: waypoint.label ? 'Edit label' : 'Add label', event: 'waypoint:edit-label', data: waypoint, disabled: !waypoint.isMajor },
+      { separator: true },
+      { label: 'Delete', event: 'waypoint:deleted', data: waypoint }
+    ];
+  }
+  
+  /**
+   * Items for the empty canvas menu
+   * @param {Object} position - { imgX, imgY } under the pointer
+   * @param {Object} state - From context-menu:get-state
+   * @returns {Array<Object>}
+   */
+  getCanvasItems(position, { canAdd = false, canInsert = false, canPaste = false } = {}) {
+    return [
+      { label: 'Add waypoint here', event: 'waypoint:add', data: { ...position, isMajor: true }, disabled: !canAdd },
+      { label: 'Add minor waypoint here', event: 'waypoint:add', data: { ...position, isMajor: false }, disabled: !canAdd },
+      { label: 'Insert waypoint here', event: 'waypoint:insert-at', data: position, disabled: !canInsert },
+      { label: 'Paste', event: 'waypoint:paste-at', data: position, disabled: !canPaste },
+      { separator: true },
+      { label: 'Fit view', event: 'view:fit' }
+    ];
+  }
+  
+  /**
+   * Open the menu for a waypoint
+   * @param {Waypoint} waypoint - Right-clicked waypoint
+   * @param {number} x - Viewport position
+   * @param {number} y - Viewport position
+   */
+  openForWaypoint(waypoint, x, y) {
+    this.open(this.getWaypointItems(waypoint, this.getState(waypoint)), x, y, `${waypoint.isMajor ? 'Major' : 'Minor'} waypoint actions`);
+  }
+  
+  /**
+   * Open the menu for an empty spot on the canvas
+   * @param {number} x - Viewport position
+   * @param {number} y - Viewport position
+   * @param {number} canvasX - Canvas position
+   * @param {number} canvasY - Canvas position
+   */
+  openForCanvas(x, y, canvasX, canvasY) {
+    let position = null;
+    this.eventBus.emit('coordinate:canvas-to-image', { canvasX, canvasY }, (result) => {
+      position = { imgX: result.x, imgY: result.y };
+    });
+    if (!position) return;
+    
+    this.open(this.getCanvasItems(position, this.getState(null)), x, y, 'Canvas actions');
+  }
+  
+  /**
+   * Show a menu and focus its first item
+   * @param {Array<Object>} items - Menu items
+   * @param {number} x - Viewport position
+   * @param {number} y - Viewport position
+   * @param {string} label - Accessible name
+   */
+  open(items, x, y, label) {
+    this.close();
+    this.items = items;
+    this.returnFocus = document.activeElement;
+    
+    const menu = document.createElement('ul');
+    menu.className = 'context-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', label);
+    items.forEach((item, index) => {
+      const element = document.createElement('li');
+      if (item.separator) {
+        element.setAttribute('role', 'separator');
+      } else {
+        element.setAttribute('role', 'menuitem');
+        element.tabIndex = -1;
+        element.textContent = item.label;
+        if (item.disabled) element.setAttribute('aria-disabled', 'true');
+        element.addEventListener('click', () => this.choose(index));
+        element.addEventListener('mousemove', () => this.focusItem(index));
+      }
+      menu.appendChild(element);
+    });
+    menu.addEventListener('keydown', this.handleKeyDown);
+    menu.addEventListener('contextmenu', (e) => e.preventDefault()); // Menu key pressed again
+    this.container.appendChild(menu);
+    this.element = menu;
+    
+    // Keep the menu on screen
+    const left = Math.min(x, window.innerWidth - menu.offsetWidth);
+    const top = Math.min(y, window.innerHeight - menu.offsetHeight);
+    menu.style.left = `${Math.max(0, left)}px`;
+    menu.style.top = `${Math.max(0, top)}px`;
+    
+    document.addEventListener('mousedown', this.handlePointerDown, true);
+    window.addEventListener('blur', this.handleDismiss);
+    window.addEventListener('resize', this.handleDismiss);
+    
+    this.focusItem(this.findItem(-1, 1));
+  }
+  
+  /**
+   * Close the menu
+   * @param {boolean} restoreFocus - Return focus to where it was before opening
+   */
+  close(restoreFocus = false) {
+    if (!this.element) return;
+    
+    document.removeEventListener('mousedown', this.handlePointerDown, true);
+    window.removeEventListener('blur', this.handleDismiss);
+    window.removeEventListener('resize', this.handleDismiss);
+    this.element.remove();
+    this.element = null;
+    this.items = [];
+    this.activeIndex = -1;
+    
+    if (restoreFocus) this.returnFocus?.focus?.();
+    this.returnFocus = null;
+  }
+  
+  /**
+   * Check whether a menu is showing
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.element !== null;
+  }
+  
+  /**
+   * Run an item's action
+   * Disabled items and separators do nothing
+   * @param {number} index - Item index
+   */
+  choose(index) {
+    const item = this.items[index];
+    if (!item || item.separator || item.disabled) return;
+    
+    // Close first so the action can move focus (e.g. to the label field)
+    this.close(true);
+    this.eventBus.emit(item.event, item.data);
+  }
+  
+  /**
+   * Move focus to an item
+   * @private
+   * @param {number} index - Item index (-1 for none)
+   */
+  focusItem(index) {
+    if (index < 0 || !this.element) return;
+    this.activeIndex = index;
+    this.element.children[index].focus();
+  }
+  
+  /**
+   * Find the next item (not separator) from a position, wrapping around
+   * @private
+   * @param {number} from - Index to start after
+   * @param {number} step - 1 forwards, -1 backwards
+   * @param {Function} match - Extra test an item must pass
+   * @returns {number} Item index, or -1 if none
+   */
+  findItem(from, step, match = () => true) {
+    const count = this.items.length;
+    for (let i = 1; i <= count; i++) {
+      const index = (((from + step * i) % count) + count) % count;
+      const item = this.items[index];
+      if (!item.separator && match(item)) return index;
+    }
+    return -1;
+  }
+  
+  /**
+   * Handle keys while the menu has focus
+   * Keys stay in the menu so they don't also trigger canvas shortcuts
+   */
+  handleKeyDown(event) {
+    event.stopPropagation();
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.focusItem(this.findItem(this.activeIndex, 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.focusItem(this.findItem(this.activeIndex, -1));
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.focusItem(this.findItem(-1, 1));
+        break;
+      case 'End':
+        event.preventDefault();
+        this.focusItem(this.findItem(this.items.length, -1));
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        this.choose(this.activeIndex);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close(true);
+        break;
+      case 'Tab':
+        this.close();
+        break;
+      default:
+        // Type-ahead: jump to the next item starting with the letter
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          const letter = event.key.toLowerCase();
+          this.focusItem(this.findItem(this.activeIndex, 1, item => item.label.toLowerCase().startsWith(letter)));
+        }
+    }
+  }
+  
+  /**
+   * Close when the pointer goes down outside the menu
+   */
+  handlePointerDown(event) {
+    if (this.element && !this.element.contains(event.target)) {
+      this.close();
+    }
+  }
+  
+  /**
+   * Close when the window loses focus or resizes
+   */
+  handleDismiss() {
+    this.close();
+  }
+}
@@ -3,13 +3,70 @@
  * Handles waypoint list, editor controls, tabs, and animation controls
  */
 
-import { RENDERING, ANIMATION } from '../config/constants.js';
+import { RENDERING, ANIMATION, INTERACTION, EASING, PATH, NOISE, LINE_EFFECTS, PATH_HEAD, MARKERS } from '../config/constants.js';
+import { Easing } from '../utils/Easing.js';
+
+// Editor controls that show a mixed state when selected waypoints disagree
+// majorOnly fields are compared across major waypoints only (minors don't use them)
+const BULK_FIELDS = [
+  { control: 'segmentColor', property: 'segmentColor' },
+  { control: 'segmentWidth', property: 'segmentWidth', readout: 'segmentWidthValue' },
+  { control: 'segmentStyle', property: 'segmentStyle' },
+  { control: 'pathShape', property: 'pathShape' },
+  { control: 'noiseRoughness', property: 'noiseRoughness', readout: 'noiseRoughnessValue' },
+  { control: 'noiseFrequency', property: 'noiseFrequency', readout: 'noiseFrequencyValue' },
+  { control: 'marchingAnts', property: 'marchingAnts', majorOnly: true },
+  { control: 'gradientMode', property: 'gradientMode', majorOnly: true },
+  { control: 'gradientColor', property: 'gradientColor', majorOnly: true },
+  { control: 'cometTail', property: 'cometTail', readout: 'cometTailValue', majorOnly: true },
+  { control: 'casingWidth', property: 'casingWidth', readout: 'casingWidthValue', majorOnly: true },
+  { control: 'casingColor', property: 'casingColor', majorOnly: true },
+  { control: 'glow', property: 'glow', readout: 'glowValue', majorOnly: true },
+  { control: 'legHeadStyle', property: 'pathHeadStyle', majorOnly: true },
+  { control: 'segmentCurve', property: 'segmentCurve', majorOnly: true },
+  { control: 'segmentTension', property: 'segmentTension', readout: 'segmentTensionValue', majorOnly: true },
+  { control: 'cornerRadius', property: 'cornerRadius', readout: 'cornerRadiusValue', majorOnly: true },
+  { control: 'markerStyle', property: 'markerStyle' },
+  { control: 'markerImageSize', property: 'markerImageSize', readout: 'markerImageSizeValue', majorOnly: true },
+  { control: 'markerAnchor', property: 'markerAnchor', majorOnly: true },
+  { control: 'dotColor', property: 'dotColor', majorOnly: true },
+  { control: 'dotSize', property: 'dotSize', readout: 'dotSizeValue', majorOnly: true },
+  { control: 'editorBeaconStyle', property: 'beaconStyle', majorOnly: true },
+  { control: 'editorBeaconColor', property: 'beaconColor', majorOnly: true },
+  { control: 'labelMode', property: 'labelMode', majorOnly: true },
+  { control: 'labelPosition', property: 'labelPosition', majorOnly: true },
+  { control: 'waypointPauseTime', property: 'pauseTime', readout: 'waypointPauseTimeValue', majorOnly: true },
+  { control: 'segmentSpeed', property: 'segmentSpeed', readout: 'segmentSpeedValue', majorOnly: true },
+  { control: 'segmentDuration', property: 'segmentDuration', readout: 'segmentDurationValue', majorOnly: true },
+  { control: 'segmentEasing', property: 'segmentEasing', majorOnly: true }
+];
+
+/**
+ * Readout for a line effect size in pixels
+ * @param {number} pixels - Size (0 = effect off)
+ * @returns {string}
+ */
+function formatEffectSize(pixels) {
+  return pixels > 0 ? `${pixels}px` : 'Off';
+}
+
+/**
+ * Option text for a timing curve, e.g. "quadInOut" → "Quad in-out"
+ * @param {string} name - Curve name from EASING.CURVES, or 'custom'
+ * @returns {string}
+ */
+function formatCurveName(name) {
+  if (name === 'custom') return 'Custom Bézier';
+  const words = name.replace(/InOut$/, ' in-out').replace(/In$/, ' in').replace(/Out$/, ' out');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
 
 export class UIController {
   constructor(elements, eventBus) {
     this.elements = elements;
     this.eventBus = eventBus;
     this.selectedWaypoint = null;
+    this.selectedWaypoints = [];
     
     // Bind methods
     this.updateWaypointList = this.updateWaypointList.bind(this);
@@ -17,6 +74,8 @@ export class UIController {
     this.syncAnimationControls = this.syncAnimationControls.bind(this);
     
     this.setupEventListeners();
+    this.populateEasingSelects();
+    this.updateEasingControls(EASING.DEFAULT_CURVE);
   }
   
   /**
@@ -151,11 +210,222 @@ export class UIController {
       }
     });
     
+    // Zoom controls (keyboard and wheel zoom go through InteractionHandler)
+    this.elements.zoomInBtn?.addEventListener('click', () => {
+      this.eventBus.emit('view:zoom', { factor: INTERACTION.ZOOM_STEP });
+    });
+    
+    this.elements.zoomOutBtn?.addEventListener('click', () => {
+      this.eventBus.emit('view:zoom', { factor: 1 / INTERACTION.ZOOM_STEP });
+    });
+    
+    this.elements.zoomFitBtn?.addEventListener('click', () => {
+      this.eventBus.emit('view:fit');
+    });
+    
+    this.elements.zoomSelectionBtn?.addEventListener('click', () => {
+      this.eventBus.emit('view:zoom-to-selection');
+    });
+    
+    // Camera settings - sliders update their readout live, main records history
+    this.elements.cameraMode?.addEventListener('change', (e) => {
+      this.eventBus.emit('camera:settings-changed', { property: 'mode', value: e.target.value });
+    });
+    
+    this.elements.cameraZoom?.addEventListener('input', (e) => {
+      const zoom = parseFloat(e.target.value);
+      this.elements.cameraZoomValue.textContent = `${zoom}×`;
+      this.eventBus.emit('camera:settings-changed', { property: 'zoom', value: zoom });
+    });
+    
+    this.elements.cameraSmoothing?.addEventListener('input', (e) => {
+      const percent = parseInt(e.target.value, 10);
+      this.elements.cameraSmoothingValue.textContent = `${percent}%`;
+      this.eventBus.emit('camera:settings-changed', { property: 'smoothing', value: percent / 100 });
+    });
+    
+    this.elements.cameraOverview?.addEventListener('change', (e) => {
+      this.eventBus.emit('camera:settings-changed', { property: 'overview', value: e.target.checked });
+    });
+    
+    // Snapping - an editing preference, so no undo history
+    this.elements.snapGrid?.addEventListener('change', (e) => {
+      this.eventBus.emit('snapping:settings-changed', { property: 'grid', value: e.target.checked });
+    });
+    
+    this.elements.snapGridSize?.addEventListener('change', (e) => {
+      this.eventBus.emit('snapping:settings-changed', { property: 'gridSize', value: parseFloat(e.target.value) });
+    });
+    
+    this.elements.snapWaypoints?.addEventListener('change', (e) => {
+      this.eventBus.emit('snapping:settings-changed', { property: 'waypoints', value: e.target.checked });
+    });
+    
+    this.elements.snapPath?.addEventListener('change', (e) => {
+      this.eventBus.emit('snapping:settings-changed', { property: 'path', value: e.target.checked });
+    });
+    
+    this.elements.snapAngle?.addEventListener('change', (e) => {
+      this.eventBus.emit('snapping:settings-changed', { property: 'angleStep', value: parseInt(e.target.value, 10) });
+    });
+    
+    // Auto-route - sliders update their readout live, main rebuilds the mask on the next route
+    this.elements.autoRouteSource?.addEventListener('change', (e) => {
+      this.eventBus.emit('autoroute:settings-changed', { property: 'source', value: e.target.value });
+    });
+    
+    this.elements.autoRouteColor?.addEventListener('change', (e) => {
+      this.eventBus.emit('autoroute:settings-changed', { property: 'color', value: e.target.value });
+    });
+    
+    this.elements.autoRoutePickColor?.addEventListener('click', () => {
+      this.eventBus.emit('autoroute:pick-color');
+    });
+    
+    this.elements.autoRouteTolerance?.addEventListener('input', (e) => {
+      const tolerance = parseInt(e.target.value, 10);
+      this.elements.autoRouteToleranceValue.textContent = tolerance;
+      this.eventBus.emit('autoroute:settings-changed', { property: 'tolerance', value: tolerance });
+    });
+    
+    this.elements.autoRouteCellSize?.addEventListener('input', (e) => {
+      const cellSize = parseInt(e.target.value, 10);
+      this.elements.autoRouteCellSizeValue.textContent = `${cellSize} px`;
+      this.eventBus.emit('autoroute:settings-changed', { property: 'cellSize', value: cellSize });
+    });
+    
+    this.elements.autoRoutePaint?.addEventListener('click', () => {
+      this.eventBus.emit('autoroute:toggle-painting');
+    });
+    
+    this.elements.autoRouteClear?.addEventListener('click', () => {
+      this.eventBus.emit('autoroute:clear-mask');
+    });
+    
+    // Timing curve - a custom curve applies once its Bézier text parses
+    const onAnimationEasing = () => {
+      const { animationEasing, animationEasingBezier, animationEasingBezierControl } = this.elements;
+      const easing = this.readEasing(animationEasing, animationEasingBezier, animationEasingBezierControl);
+      if (easing) {
+        this.eventBus.emit('animation:easing-change', easing);
+      }
+    };
+    this.elements.animationEasing?.addEventListener('change', onAnimationEasing);
+    this.elements.animationEasingBezier?.addEventListener('input', onAnimationEasing);
+    
+    // Add route button
+    this.elements.addRouteBtn?.addEventListener('click', () => {
+      this.eventBus.emit('route:add');
+    });
+    
     // Help button
     this.elements.helpBtn?.addEventListener('click', () => {
       this.showHelp();
     });
     
+    // Project file buttons
+    this.elements.saveProjectBtn?.addEventListener('click', () => {
+      this.eventBus.emit('file:save');
+    });
+    
+    this.elements.openProjectBtn?.addEventListener('click', () => {
+      this.openProjectDialog();
+    });
+    
+    this.elements.projectUpload?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.eventBus.emit('file:open', file);
+      }
+      // Reset so picking the same file again still fires change
+      e.target.value = '';
+    });
+    
+    this.eventBus.on('file:open-dialog', () => this.openProjectDialog());
+    
+    // Undo/redo buttons
+    this.elements.undoBtn?.addEventListener('click', () => {
+      this.eventBus.emit('history:undo');
+    });
+    
+    this.elements.redoBtn?.addEventListener('click', () => {
+      this.eventBus.emit('history:redo');
+    });
+    
+    // Animation export
+    this.elements.exportFormat?.addEventListener('change', (e) => {
+      // Only PNG frames carry alpha
+      if (this.elements.exportTransparent) {
+        this.elements.exportTransparent.disabled = e.target.value !== 'png';
+      }
+    });
+    
+    this.elements.exportBtn?.addEventListener('click', () => {
+      const format = this.elements.exportFormat?.value;
+      this.eventBus.emit('export:animation', {
+        format,
+        resolution: this.elements.exportResolution?.value,
+        fps: parseInt(this.elements.exportFps?.value, 10),
+        includePauses: this.elements.exportPauses?.checked ?? true,
+        includeBeacons: this.elements.exportBeacons?.checked ?? true,
+        transparent: format === 'png' && !!this.elements.exportTransparent?.checked
+      });
+    });
+    
+    const emitStillExport = (format) => {
+      this.eventBus.emit('export:still', {
+        format,
+        scale: parseFloat(this.elements.stillScale?.value) || undefined,
+        includeBackground: this.elements.stillBackground?.checked ?? true
+      });
+    };
+    this.elements.exportPngBtn?.addEventListener('click', () => emitStillExport('png'));
+    this.elements.exportSvgBtn?.addEventListener('click', () => emitStillExport('svg'));
+    
+    this.elements.exportCancelBtn?.addEventListener('click', () => {
+      this.eventBus.emit('export:cancel');
+    });
+    
+    this.eventBus.on('export:started', () => this.setExportRunning(true));
+    this.eventBus.on('export:progress', ({ done, total }) => this.updateExportProgress(done, total));
+    this.eventBus.on('export:finished', ({ message } = {}) => {
+      this.setExportRunning(false);
+      if (this.elements.exportStatus) {
+        this.elements.exportStatus.textContent = message || '';
+      }
+    });
+    
+    // Georeference
+    this.elements.geoAddPointBtn?.addEventListener('click', () => {
+      this.eventBus.emit('geo:add-point');
+    });
+    
+    this.elements.geoClearBtn?.addEventListener('click', () => {
+      this.eventBus.emit('geo:clear');
+    });
+    
+    this.elements.geoMethod?.addEventListener('change', (e) => {
+      this.eventBus.emit('geo:method', e.target.value);
+    });
+    
+    this.elements.geoImportBtn?.addEventListener('click', () => {
+      this.elements.geoUpload?.click();
+    });
+    
+    this.elements.geoUpload?.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (file) {
+        this.eventBus.emit('geo:import', file);
+      }
+      e.target.value = ''; // Allow re-importing the same file
+    });
+    
+    this.elements.geoExportBtn?.addEventListener('click', () => {
+      this.eventBus.emit('geo:export', {
+        format: this.elements.geoExportFormat?.value
+      });
+    });
+    
     // Waypoint editor controls
     this.setupWaypointEditorControls();
   }
@@ -173,6 +443,30 @@ export class UIController {
           value: e.target.value
         });
       }
+      this.elements.markerImageControls.style.display = e.target.value === 'custom' ? 'block' : 'none';
+    });
+    
+    // Custom marker image size and anchor (the image itself is uploaded in main)
+    this.elements.markerImageSize?.addEventListener('input', (e) => {
+      const size = parseInt(e.target.value);
+      this.elements.markerImageSizeValue.textContent = `${size}px`;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:style-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'markerImageSize',
+          value: size
+        });
+      }
+    });
+    
+    this.elements.markerAnchor?.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:style-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'markerAnchor',
+          value: e.target.value
+        });
+      }
     });
     
     // Dot color
@@ -229,6 +523,7 @@ export class UIController {
           property: 'segmentStyle',
           value: e.target.value
         });
+        this.updatePathNoiseControls(this.selectedWaypoint);
       }
     });
     
@@ -240,6 +535,126 @@ export class UIController {
           property: 'pathShape',
           value: e.target.value
         });
+        this.updatePathNoiseControls(this.selectedWaypoint);
+      }
+    });
+    
+    // Wobble of randomised shapes and sketchy strokes
+    this.elements.noiseRoughness?.addEventListener('input', (e) => {
+      const roughness = parseFloat(e.target.value);
+      this.elements.noiseRoughnessValue.textContent = `${roughness}px`;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:path-property-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'noiseRoughness',
+          value: roughness
+        });
+      }
+    });
+    
+    this.elements.noiseFrequency?.addEventListener('input', (e) => {
+      const frequency = parseFloat(e.target.value);
+      this.elements.noiseFrequencyValue.textContent = frequency;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:path-property-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'noiseFrequency',
+          value: frequency
+        });
+      }
+    });
+    
+    this.elements.reseedNoise?.addEventListener('click', () => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:reseed-noise', this.selectedWaypoint);
+      }
+    });
+    
+    // Line effects - until the next major waypoint
+    const emitLineEffect = (property, value) => {
+      if (!this.selectedWaypoint) return;
+      this.eventBus.emit('waypoint:path-property-changed', {
+        waypoint: this.selectedWaypoint,
+        property,
+        value
+      });
+    };
+    
+    this.elements.marchingAnts?.addEventListener('change', (e) => {
+      emitLineEffect('marchingAnts', e.target.checked);
+    });
+    
+    this.elements.gradientMode?.addEventListener('change', (e) => {
+      emitLineEffect('gradientMode', e.target.value);
+      this.elements.gradientColorControl.style.display = e.target.value === 'colors' ? '' : 'none';
+    });
+    
+    this.elements.gradientColor?.addEventListener('input', (e) => {
+      emitLineEffect('gradientColor', e.target.value);
+    });
+    
+    this.elements.cometTail?.addEventListener('input', (e) => {
+      const tail = parseInt(e.target.value);
+      this.elements.cometTailValue.textContent = formatEffectSize(tail);
+      emitLineEffect('cometTail', tail);
+    });
+    
+    this.elements.casingWidth?.addEventListener('input', (e) => {
+      const width = parseFloat(e.target.value);
+      this.elements.casingWidthValue.textContent = formatEffectSize(width);
+      emitLineEffect('casingWidth', width);
+    });
+    
+    this.elements.casingColor?.addEventListener('input', (e) => {
+      emitLineEffect('casingColor', e.target.value);
+    });
+    
+    this.elements.glow?.addEventListener('input', (e) => {
+      const glow = parseInt(e.target.value);
+      this.elements.glowValue.textContent = formatEffectSize(glow);
+      emitLineEffect('glow', glow);
+    });
+    
+    // Path curve - how the path bends until the next major waypoint
+    this.elements.segmentCurve?.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:path-property-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'segmentCurve',
+          value: e.target.value
+        });
+        this.updateSegmentCurveControls(this.selectedWaypoint);
+      }
+    });
+    
+    this.elements.segmentTension?.addEventListener('input', (e) => {
+      const tension = parseFloat(e.target.value);
+      this.elements.segmentTensionValue.textContent = tension;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:path-property-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'segmentTension',
+          value: tension
+        });
+      }
+    });
+    
+    this.elements.cornerRadius?.addEventListener('input', (e) => {
+      const radius = parseInt(e.target.value);
+      this.elements.cornerRadiusValue.textContent = `${radius}px`;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:path-property-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'cornerRadius',
+          value: radius
+        });
+      }
+    });
+    
+    // Bézier handles go back to following the smooth curve
+    this.elements.resetBezierHandles?.addEventListener('click', () => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:reset-handles', this.selectedWaypoint);
       }
     });
     
@@ -308,6 +723,87 @@ export class UIController {
       }
     });
     
+    // Leg timing - speed multiplier, or a fixed duration that overrides it
+    this.elements.segmentSpeed?.addEventListener('input', (e) => {
+      const speed = parseFloat(e.target.value);
+      this.elements.segmentSpeedValue.textContent = `${speed}×`;
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:timing-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'segmentSpeed',
+          value: speed
+        });
+      }
+    });
+    
+    this.elements.segmentDurationFixed?.addEventListener('change', (e) => {
+      if (!this.selectedWaypoint) return;
+      this.eventBus.emit('waypoint:timing-changed', {
+        waypoint: this.selectedWaypoint,
+        property: 'segmentDuration',
+        value: e.target.checked ? parseFloat(this.elements.segmentDuration.value) * 1000 : 0
+      });
+    });
+    
+    this.elements.segmentDuration?.addEventListener('input', (e) => {
+      const seconds = parseFloat(e.target.value);
+      this.elements.segmentDurationValue.textContent = `${seconds}s`;
+      if (this.selectedWaypoint?.segmentDuration > 0) {
+        this.eventBus.emit('waypoint:timing-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'segmentDuration',
+          value: seconds * 1000 // Convert to ms
+        });
+      }
+    });
+    
+    // Leg curve - eases into and out of the stop at the end of the leg
+    const onSegmentEasing = () => {
+      const { segmentEasing, segmentEasingBezier, segmentEasingBezierControl } = this.elements;
+      const easing = this.readEasing(segmentEasing, segmentEasingBezier, segmentEasingBezierControl);
+      if (easing && this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:timing-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'segmentEasing',
+          value: easing
+        });
+      }
+    };
+    this.elements.segmentEasing?.addEventListener('change', onSegmentEasing);
+    this.elements.segmentEasingBezier?.addEventListener('input', onSegmentEasing);
+    
+    // Camera keyframe - ticking it (or "Use current view") captures the current zoom and centre
+    this.elements.waypointCameraKeyframe?.addEventListener('change', (e) => {
+      if (!this.selectedWaypoint) return;
+      if (e.target.checked) {
+        this.eventBus.emit('waypoint:camera-from-view', this.selectedWaypoint);
+      } else {
+        this.eventBus.emit('waypoint:style-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'camera',
+          value: null
+        });
+      }
+    });
+    
+    this.elements.waypointCameraFromView?.addEventListener('click', () => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:camera-from-view', this.selectedWaypoint);
+      }
+    });
+    
+    this.elements.waypointCameraZoom?.addEventListener('input', (e) => {
+      const zoom = parseFloat(e.target.value);
+      this.elements.waypointCameraZoomValue.textContent = `${zoom}×`;
+      if (this.selectedWaypoint?.camera) {
+        this.eventBus.emit('waypoint:style-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'camera',
+          value: { ...this.selectedWaypoint.camera, zoom }
+        });
+      }
+    });
+    
     // Path head controls
     this.elements.pathHeadStyle?.addEventListener('change', (e) => {
       this.eventBus.emit('pathhead:style-changed', e.target.value);
@@ -322,6 +818,33 @@ export class UIController {
       this.elements.pathHeadSizeValue.textContent = size;
       this.eventBus.emit('pathhead:size-changed', size);
     });
+    
+    this.elements.pathHeadRotation?.addEventListener('change', (e) => {
+      this.eventBus.emit('pathhead:rotation-changed', e.target.value);
+    });
+    
+    this.elements.pathHeadSmoothing?.addEventListener('input', (e) => {
+      const smoothing = parseInt(e.target.value);
+      this.elements.pathHeadSmoothingValue.textContent = smoothing > 0 ? `${smoothing}px` : 'Off';
+      this.eventBus.emit('pathhead:smoothing-changed', smoothing);
+    });
+    
+    this.elements.pathHeadFrames?.addEventListener('change', (e) => {
+      const frames = Math.min(PATH_HEAD.MAX_SPRITE_FRAMES, Math.max(1, parseInt(e.target.value) || 1));
+      e.target.value = frames;
+      this.eventBus.emit('pathhead:frames-changed', frames);
+    });
+    
+    // Leg path head - switches the head until the next major waypoint
+    this.elements.legHeadStyle?.addEventListener('change', (e) => {
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:style-changed', {
+          waypoint: this.selectedWaypoint,
+          property: 'pathHeadStyle',
+          value: e.target.value
+        });
+      }
+    });
   }
   
   /**
@@ -361,7 +884,7 @@ export class UIController {
       const item = document.createElement('div');
       item.className = 'waypoint-item';
       item.draggable = true; // Enable drag and drop
-      if (waypoint === this.selectedWaypoint) {
+      if (this.selectedWaypoints.includes(waypoint)) {
         item.classList.add('selected');
       }
       
@@ -386,9 +909,16 @@ export class UIController {
       item.appendChild(delBtn);
       
       // Click anywhere on item to select (original behavior)
+      // Ctrl/Cmd-click adds or removes one waypoint, Shift-click selects a range
       const selectWaypoint = (e) => {
         e.stopPropagation();
-        this.eventBus.emit('waypoint:selected', waypoint);
+        if (e.ctrlKey || e.metaKey) {
+          this.eventBus.emit('waypoint:toggle-selection', waypoint);
+        } else if (e.shiftKey) {
+          this.eventBus.emit('waypoint:select-range', waypoint);
+        } else {
+          this.eventBus.emit('waypoint:selected', waypoint);
+        }
       };
       
       label.addEventListener('click', selectWaypoint);
@@ -449,11 +979,123 @@ export class UIController {
     });
   }
   
+  /**
+   * Update route list UI
+   * @param {Route[]} routes - Routes in drawing order
+   * @param {Route} activeRoute - Route being edited
+   */
+  updateRouteList(routes, activeRoute) {
+    if (!this.elements.routeList) return;
+    
+    this.elements.routeList.innerHTML = '';
+    
+    routes.forEach((route, index) => {
+      const item = document.createElement('div');
+      item.className = 'route-item';
+      if (route === activeRoute) {
+        item.classList.add('active');
+      }
+      if (!route.visible) {
+        item.classList.add('hidden-route');
+      }
+      
+      const emitChange = (property, value) => {
+        this.eventBus.emit('route:property-changed', { route, property, value });
+      };
+      
+      // Color swatch - 'change' so the picker isn't rebuilt mid-drag
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.className = 'route-item-color';
+      color.value = route.color;
+      color.setAttribute('aria-label', `${route.name} color`);
+      color.addEventListener('change', (e) => emitChange('color', e.target.value));
+      
+      // Name
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'route-item-name';
+      name.value = route.name;
+      name.setAttribute('aria-label', 'Route name');
+      name.addEventListener('change', (e) => {
+        const value = e.target.value.trim();
+        if (value) {
+          emitChange('name', value);
+        } else {
+          e.target.value = route.name;
+        }
+      });
+      
+      // Visibility and lock toggles
+      const createToggle = (property, text, label) => {
+        const btn = document.createElement('button');
+        btn.className = 'route-item-toggle';
+        btn.textContent = text;
+        btn.title = label;
+        btn.setAttribute('aria-label', `${label} ${route.name}`);
+        btn.setAttribute('aria-pressed', String(!!route[property]));
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          emitChange(property, !route[property]);
+        });
+        return btn;
+      };
+      const visibleBtn = createToggle('visible', route.visible ? '👁' : '–', 'Show');
+      const lockBtn = createToggle('locked', route.locked ? '🔒' : '🔓', 'Lock');
+      
+      // Delete button
+      const delBtn = document.createElement('button');
+      delBtn.className = 'waypoint-item-delete';
+      delBtn.textContent = '×';
+      delBtn.title = 'Delete route';
+      delBtn.disabled = routes.length <= 1;
+      delBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (confirm(`Delete ${route.name} and its waypoints?`)) {
+          this.eventBus.emit('route:delete', route);
+        }
+      });
+      
+      item.appendChild(color);
+      item.appendChild(name);
+      item.appendChild(visibleBtn);
+      item.appendChild(lockBtn);
+      item.appendChild(delBtn);
+      
+      // When the route starts - the first route always starts at 0
+      if (index > 0) {
+        const start = document.createElement('select');
+        start.className = 'route-item-start';
+        start.setAttribute('aria-label', `When ${route.name} starts`);
+        [['after-previous', 'After previous'], ['with-previous', 'With previous']].forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          start.appendChild(option);
+        });
+        start.value = route.startMode;
+        start.addEventListener('change', (e) => emitChange('startMode', e.target.value));
+        item.appendChild(start);
+      }
+      
+      // Click anywhere else on the item to edit this route
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('input, select, button')) return;
+        this.eventBus.emit('route:select', route);
+      });
+      
+      this.elements.routeList.appendChild(item);
+    });
+  }
+  
   /**
    * Update waypoint editor with selected waypoint data
+   * @param {Waypoint|null} waypoint - Waypoint the editor shows
+   * @param {Waypoint[]} selection - Every selected waypoint (edits apply to all)
    */
-  updateWaypointEditor(waypoint) {
+  updateWaypointEditor(waypoint, selection = waypoint ? [waypoint] : []) {
     this.selectedWaypoint = waypoint;
+    this.selectedWaypoints = selection;
     
     if (!waypoint) {
       // Hide editor, show placeholder
@@ -536,6 +1178,310 @@ export class UIController {
     if (pauseControl) {
       pauseControl.style.display = waypoint.isMajor ? 'block' : 'none';
     }
+    
+    this.updateSegmentTimingControls(waypoint);
+    this.updateSegmentCurveControls(waypoint);
+    this.updatePathNoiseControls(waypoint);
+    this.updateLineEffectsControls(waypoint);
+    this.updateLegHeadControls(waypoint);
+    this.updateMarkerControls(waypoint);
+    this.updateCameraKeyframeControls(waypoint);
+  }
+  
+  /**
+   * Mark editor controls whose value differs across the selection
+   * Selects go blank; sliders and color pickers keep the editor waypoint's
+   * value with a "Mixed" readout. Setting any control applies it to all.
+   * @param {Waypoint[]} waypoints - Selected waypoints
+   */
+  showSelectionValues(waypoints) {
+    const bulk = waypoints.length > 1;
+    const majors = waypoints.filter(wp => wp.isMajor);
+    
+    if (this.elements.waypointSelectionInfo) {
+      this.elements.waypointSelectionInfo.textContent = bulk ? `${waypoints.length} waypoints selected - changes apply to all` : '';
+      this.elements.waypointSelectionInfo.style.display = bulk ? 'block' : 'none';
+    }
+    
+    BULK_FIELDS.forEach(({ control, property, readout, majorOnly }) => {
+      const element = this.elements[control];
+      if (!element) return;
+      
+      const values = (majorOnly ? majors : waypoints).map(wp => wp[property]);
+      const mixed = bulk && new Set(values).size > 1;
+      element.classList.toggle('mixed', mixed);
+      if (!mixed) return;
+      
+      if (element.tagName === 'SELECT') {
+        element.selectedIndex = -1;
+      }
+      if (readout && this.elements[readout]) {
+        this.elements[readout].textContent = 'Mixed';
+      }
+    });
+    
+    // Label text and camera keyframes belong to a single waypoint
+    if (this.elements.waypointLabel) {
+      this.elements.waypointLabel.disabled = bulk || !this.selectedWaypoint?.isMajor;
+    }
+    if (bulk && this.elements.cameraKeyframeControl) {
+      this.elements.cameraKeyframeControl.style.display = 'none';
+    }
+  }
+  
+  /**
+   * Sync the leg timing controls (major waypoints only)
+   * The speed slider is disabled while a fixed duration is set
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateSegmentTimingControls(waypoint) {
+    const control = this.elements.segmentTimingControl;
+    if (!control) return;
+    
+    control.style.display = waypoint?.isMajor ? 'block' : 'none';
+    if (!waypoint?.isMajor) return;
+    
+    const speed = waypoint.segmentSpeed || 1;
+    const fixed = waypoint.segmentDuration > 0;
+    this.elements.segmentSpeed.value = speed;
+    this.elements.segmentSpeed.disabled = fixed;
+    this.elements.segmentSpeedValue.textContent = `${speed}×`;
+    this.elements.segmentDurationFixed.checked = fixed;
+    this.elements.segmentDuration.disabled = !fixed;
+    this.elements.segmentDuration.value = (fixed ? waypoint.segmentDuration : ANIMATION.DEFAULT_SEGMENT_DURATION) / 1000;
+    this.elements.segmentDurationValue.textContent = fixed ? `${waypoint.segmentDuration / 1000}s` : '–';
+    this.showEasing(this.elements.segmentEasing, this.elements.segmentEasingBezier, this.elements.segmentEasingBezierControl, waypoint.segmentEasing);
+  }
+  
+  /**
+   * Sync the path curve controls (major waypoints only)
+   * Tension shapes the splines and automatic Bézier handles; rounded
+   * corners take a radius instead
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateSegmentCurveControls(waypoint) {
+    const control = this.elements.segmentCurveControl;
+    if (!control) return;
+    
+    control.style.display = waypoint?.isMajor ? 'block' : 'none';
+    if (!waypoint?.isMajor) return;
+    
+    const curve = waypoint.segmentCurve || PATH.DEFAULT_CURVE_TYPE;
+    this.elements.segmentCurve.value = curve;
+    this.elements.segmentTension.value = waypoint.segmentTension;
+    this.elements.segmentTensionValue.textContent = waypoint.segmentTension;
+    this.elements.cornerRadius.value = waypoint.cornerRadius;
+    this.elements.cornerRadiusValue.textContent = `${waypoint.cornerRadius}px`;
+    this.elements.segmentTensionControl.style.display = curve === 'rounded' ? 'none' : '';
+    this.elements.cornerRadiusControl.style.display = curve === 'rounded' ? '' : 'none';
+    this.elements.bezierHandlesControl.style.display = curve === 'bezier' ? '' : 'none';
+  }
+  
+  /**
+   * Sync the wobble controls, shown for randomised shapes and sketchy strokes
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updatePathNoiseControls(waypoint) {
+    const control = this.elements.pathNoiseControl;
+    if (!control) return;
+    
+    const wobbles = waypoint?.pathShape === 'randomised' || waypoint?.segmentStyle === 'sketchy';
+    control.style.display = wobbles ? 'block' : 'none';
+    if (!wobbles) return;
+    
+    const roughness = waypoint.noiseRoughness ?? NOISE.DEFAULT_ROUGHNESS;
+    const frequency = waypoint.noiseFrequency ?? NOISE.DEFAULT_FREQUENCY;
+    this.elements.noiseRoughness.value = roughness;
+    this.elements.noiseRoughnessValue.textContent = `${roughness}px`;
+    this.elements.noiseFrequency.value = frequency;
+    this.elements.noiseFrequencyValue.textContent = frequency;
+  }
+  
+  /**
+   * Sync the line effect controls (major waypoints only)
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateLineEffectsControls(waypoint) {
+    const control = this.elements.lineEffectsControl;
+    if (!control) return;
+    
+    control.style.display = waypoint?.isMajor ? 'block' : 'none';
+    if (!waypoint?.isMajor) return;
+    
+    this.elements.marchingAnts.checked = !!waypoint.marchingAnts;
+    this.elements.gradientMode.value = waypoint.gradientMode || 'none';
+    this.elements.gradientColor.value = waypoint.gradientColor || LINE_EFFECTS.DEFAULT_GRADIENT_COLOR;
+    this.elements.gradientColorControl.style.display = waypoint.gradientMode === 'colors' ? '' : 'none';
+    this.elements.cometTail.value = waypoint.cometTail || 0;
+    this.elements.cometTailValue.textContent = formatEffectSize(waypoint.cometTail);
+    this.elements.casingWidth.value = waypoint.casingWidth || 0;
+    this.elements.casingWidthValue.textContent = formatEffectSize(waypoint.casingWidth);
+    this.elements.casingColor.value = waypoint.casingColor || LINE_EFFECTS.DEFAULT_CASING_COLOR;
+    this.elements.glow.value = waypoint.glow || 0;
+    this.elements.glowValue.textContent = formatEffectSize(waypoint.glow);
+  }
+  
+  /**
+   * Sync the custom marker image controls (custom image markers only)
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateMarkerControls(waypoint) {
+    const control = this.elements.markerImageControls;
+    if (!control) return;
+    
+    const custom = waypoint?.markerStyle === 'custom';
+    control.style.display = custom ? 'block' : 'none';
+    if (!custom) return;
+    
+    const size = waypoint.markerImageSize || MARKERS.DEFAULT_IMAGE_SIZE;
+    this.elements.markerImageSize.value = size;
+    this.elements.markerImageSizeValue.textContent = `${size}px`;
+    this.elements.markerAnchor.value = waypoint.markerAnchor || MARKERS.DEFAULT_ANCHOR;
+  }
+  
+  /**
+   * Sync the leg path head control (major waypoints only)
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateLegHeadControls(waypoint) {
+    const control = this.elements.legHeadControl;
+    if (!control) return;
+    
+    control.style.display = waypoint?.isMajor ? 'block' : 'none';
+    if (!waypoint?.isMajor) return;
+    
+    this.elements.legHeadStyle.value = waypoint.pathHeadStyle || 'default';
+  }
+  
+  /**
+   * Fill the timing curve selects from EASING.CURVES
+   * @private
+   */
+  populateEasingSelects() {
+    [this.elements.animationEasing, this.elements.segmentEasing].forEach(select => {
+      if (!select) return;
+      select.innerHTML = '';
+      [...EASING.CURVES, 'custom'].forEach(name => select.add(new Option(formatCurveName(name), name)));
+    });
+  }
+  
+  /**
+   * Read a timing curve from a curve select and its Bézier input
+   * Choosing "Custom Bézier" reveals the input, starting from EASING.DEFAULT_BEZIER
+   * @private
+   * @param {HTMLSelectElement} select - Curve select
+   * @param {HTMLInputElement} input - Control points as "x1, y1, x2, y2"
+   * @param {HTMLElement} control - Wrapper shown only for custom curves
+   * @returns {string|null} Curve spec, or null while the Bézier text is invalid
+   */
+  readEasing(select, input, control) {
+    const custom = select.value === 'custom';
+    if (control) {
+      control.style.display = custom ? '' : 'none';
+    }
+    if (!custom) return select.value;
+    
+    if (!input.value.trim()) {
+      input.value = Easing.parseBezier(EASING.DEFAULT_BEZIER).join(', ');
+    }
+    const easing = `cubic-bezier(${input.value})`;
+    const valid = Easing.isValid(easing);
+    input.classList.toggle('invalid', !valid);
+    return valid ? easing : null;
+  }
+  
+  /**
+   * Show a timing curve in a curve select and its Bézier input
+   * @private
+   * @param {HTMLSelectElement} select - Curve select
+   * @param {HTMLInputElement} input - Control points input
+   * @param {HTMLElement} control - Wrapper shown only for custom curves
+   * @param {string} easing - Curve spec
+   */
+  showEasing(select, input, control, easing) {
+    if (!select) return;
+    
+    const points = Easing.parseBezier(easing);
+    select.value = points ? 'custom' : easing;
+    if (input) {
+      input.value = points ? points.join(', ') : '';
+      input.classList.remove('invalid');
+    }
+    if (control) {
+      control.style.display = points ? '' : 'none';
+    }
+  }
+  
+  /**
+   * Sync the global timing curve controls and redraw the preview
+   * @param {string} easing - Curve spec
+   */
+  updateEasingControls(easing) {
+    this.showEasing(this.elements.animationEasing, this.elements.animationEasingBezier, this.elements.animationEasingBezierControl, easing);
+    this.drawEasingPreview(easing);
+  }
+  
+  /**
+   * Plot a timing curve in the settings panel preview
+   * Time runs left to right and progress bottom to top, with faint lines at 0 and 1
+   * @private
+   * @param {string} easing - Curve spec
+   */
+  drawEasingPreview(easing) {
+    const canvas = this.elements.easingPreview;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+    
+    const ease = Easing.get(easing);
+    const { width, height } = canvas;
+    const pad = 6;
+    const range = 1 + 2 * EASING.PREVIEW_OVERSHOOT;
+    const toX = (t) => pad + t * (width - 2 * pad);
+    const toY = (value) => height - pad - ((value + EASING.PREVIEW_OVERSHOOT) / range) * (height - 2 * pad);
+    
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+    ctx.lineWidth = 1;
+    [0, 1].forEach(value => {
+      ctx.beginPath();
+      ctx.moveTo(toX(0), toY(value));
+      ctx.lineTo(toX(1), toY(value));
+      ctx.stroke();
+    });
+    
+    ctx.strokeStyle = getComputedStyle(canvas).color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= EASING.PREVIEW_SAMPLES; i++) {
+      const t = i / EASING.PREVIEW_SAMPLES;
+      if (i === 0) {
+        ctx.moveTo(toX(t), toY(ease(t)));
+      } else {
+        ctx.lineTo(toX(t), toY(ease(t)));
+      }
+    }
+    ctx.stroke();
+  }
+  
+  /**
+   * Sync the camera keyframe controls (major waypoints only)
+   * @param {Waypoint|null} waypoint - Selected waypoint
+   */
+  updateCameraKeyframeControls(waypoint) {
+    const control = this.elements.cameraKeyframeControl;
+    if (!control) return;
+    
+    control.style.display = waypoint?.isMajor ? 'block' : 'none';
+    if (!waypoint?.isMajor) return;
+    
+    const camera = waypoint.camera;
+    this.elements.waypointCameraKeyframe.checked = !!camera;
+    this.elements.waypointCameraZoom.disabled = !camera;
+    this.elements.waypointCameraFromView.disabled = !camera;
+    if (camera) {
+      this.elements.waypointCameraZoom.value = camera.zoom;
+    }
+    this.elements.waypointCameraZoomValue.textContent = camera ? `${camera.zoom}×` : '–';
   }
   
   /**
@@ -579,6 +1525,119 @@ export class UIController {
     }
   }
   
+  /**
+   * Show the file picker for opening a project
+   */
+  openProjectDialog() {
+    this.elements.projectUpload?.click();
+  }
+  
+  /**
+   * Update undo/redo buttons from history state
+   * @param {Object} state - { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  updateHistoryControls(state) {
+    if (this.elements.undoBtn) {
+      this.elements.undoBtn.disabled = !state.canUndo;
+      this.elements.undoBtn.title = state.canUndo ? `Undo ${state.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (this.elements.redoBtn) {
+      this.elements.redoBtn.disabled = !state.canRedo;
+      this.elements.redoBtn.title = state.canRedo ? `Redo ${state.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+  }
+  
+  /**
+   * Toggle export controls between idle and running
+   * @param {boolean} running - Whether an export is in progress
+   */
+  setExportRunning(running) {
+    if (this.elements.exportBtn) {
+      this.elements.exportBtn.disabled = running;
+    }
+    if (this.elements.exportCancelBtn) {
+      this.elements.exportCancelBtn.style.display = running ? '' : 'none';
+    }
+    if (this.elements.exportProgress) {
+      this.elements.exportProgress.value = 0;
+      this.elements.exportProgress.style.display = running ? '' : 'none';
+    }
+  }
+  
+  /**
+   * Update export progress bar and status text
+   * @param {number} done - Frames encoded so far
+   * @param {number} total - Total frames
+   */
+  updateExportProgress(done, total) {
+    if (this.elements.exportProgress) {
+      this.elements.exportProgress.max = total;
+      this.elements.exportProgress.value = done;
+    }
+    if (this.elements.exportStatus) {
+      this.elements.exportStatus.textContent = `Frame ${done} of ${total}`;
+    }
+  }
+  
+  /**
+   * Show the current zoom level
+   * @param {number} zoom - View zoom (1 = whole map)
+   */
+  updateZoomDisplay(zoom) {
+    if (this.elements.zoomLevel) {
+      this.elements.zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+    }
+    if (this.elements.zoomOutBtn) {
+      this.elements.zoomOutBtn.disabled = zoom <= INTERACTION.ZOOM_MIN;
+    }
+    if (this.elements.zoomInBtn) {
+      this.elements.zoomInBtn.disabled = zoom >= INTERACTION.ZOOM_MAX;
+    }
+  }
+  
+  /**
+   * Update georeference status, control point list and fit selector
+   * @param {Object} state - { controlPoints, method, effectiveMethod, ready, rmsError }
+   */
+  updateGeoReferenceControls(state) {
+    const { controlPoints, method, effectiveMethod, ready, rmsError } = state;
+    
+    if (this.elements.geoStatus) {
+      if (ready) {
+        const fit = effectiveMethod === 'affine' ? 'Affine' : 'Similarity';
+        this.elements.geoStatus.textContent = `${fit} fit, error ${rmsError.toFixed(1)} m`;
+      } else {
+        const needed = Math.max(1, (effectiveMethod === 'affine' ? 3 : 2) - controlPoints.length);
+        this.elements.geoStatus.textContent = `Add ${needed} more control point${needed === 1 ? '' : 's'}`;
+      }
+    }
+    
+    if (this.elements.geoMethod) {
+      this.elements.geoMethod.value = method;
+    }
+    
+    if (this.elements.geoPointList) {
+      this.elements.geoPointList.innerHTML = '';
+      controlPoints.forEach((cp, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${cp.lat.toFixed(5)}, ${cp.lon.toFixed(5)}`;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'waypoint-item-delete';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove control point ${index + 1}`);
+        removeBtn.addEventListener('click', () => {
+          this.eventBus.emit('geo:remove-point', index);
+        });
+        
+        item.appendChild(text);
+        item.appendChild(removeBtn);
+        this.elements.geoPointList.appendChild(item);
+      });
+    }
+  }
+  
   /**
    * Show help/splash screen
    */
@@ -1,9 +1,9 @@
 /**
  * InteractionHandler - Manages mouse, keyboard, and touch interactions
- * Handles canvas clicks, dragging, keyboard shortcuts, and drag & drop
+ * Handles canvas clicks, dragging, zoom/pan gestures, keyboard shortcuts, and drag & drop
  */
 
-import { INTERACTION } from '../config/constants.js';
+import { INTERACTION, GEO } from '../config/constants.js';
 
 export class InteractionHandler {
   constructor(canvas, eventBus) {
@@ -15,13 +15,42 @@ export class InteractionHandler {
     this.hasDragged = false;
     this.dragOffset = { x: 0, y: 0 };
     this.selectedWaypoint = null;
+    this.handleDrag = null; // { waypoint, side } while a Bézier handle is dragged
+    
+    // Multi-select - the app's current selection, and the rubber band while one is drawn
+    this.selection = [];
+    this.marquee = null; // { startX, startY, x, y, additive } in canvas pixels
+    
+    // Point picking - next click reports a position instead of adding a waypoint
+    this.pickCallback = null;
+    
+    // Mask painting - drags paint the auto-route walkability mask instead of editing waypoints
+    this.maskPainting = false;
+    this.paintStroke = false; // Brush is down
+    
+    // View panning (space-drag, middle-drag) and pinch zoom
+    this.isPanning = false;
+    this.panButton = null;
+    this.panLast = { x: 0, y: 0 };
+    this.spaceHeld = false;
+    this.spacePanned = false; // Space used for panning - don't toggle playback on release
+    this.pinch = null; // { distance, center } while two fingers are down
+    this.touchGesture = false; // Touch sequence included a pinch - no click at the end
+    
+    // Keyboard crosshair (canvas pixels) - shown once an arrow key is pressed on the focused map
+    this.cursor = null;
     
     // Bind methods
     this.handleMouseDown = this.handleMouseDown.bind(this);
     this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleMouseLeave = this.handleMouseLeave.bind(this);
     this.handleCanvasClick = this.handleCanvasClick.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.hideCursor = this.hideCursor.bind(this);
     this.handleDragOver = this.handleDragOver.bind(this);
     this.handleDrop = this.handleDrop.bind(this);
     
@@ -36,7 +65,9 @@ export class InteractionHandler {
     this.canvas.addEventListener('mousedown', this.handleMouseDown);
     this.canvas.addEventListener('mousemove', this.handleMouseMove);
     this.canvas.addEventListener('mouseup', this.handleMouseUp);
+    this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
     this.canvas.addEventListener('click', this.handleCanvasClick);
+    this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
     
     // Touch events (for mobile support)
     this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
@@ -45,6 +76,9 @@ export class InteractionHandler {
     
     // Keyboard events
     document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur); // Keyup is lost when focus leaves
+    this.canvas.addEventListener('blur', this.hideCursor);
     
     // Drag and drop for images
     this.canvas.addEventListener('dragover', this.handleDragOver);
@@ -55,19 +89,84 @@ export class InteractionHandler {
       e.preventDefault();
       this.handleContextMenu(e);
     });
+    
+    // Point picking (e.g. georeference control points)
+    this.eventBus.on('canvas:pick-point', (callback) => this.startPick(callback));
+    
+    this.eventBus.on('autoroute:painting', (active) => {
+      this.maskPainting = active;
+      this.canvas.classList.toggle('painting', active);
+    });
+  }
+  
+  /**
+   * Report the next canvas click as an image position
+   * @param {Function} callback - Receives { x, y } in normalized image coordinates
+   */
+  startPick(callback) {
+    this.pickCallback = callback;
+    this.canvas.classList.add('picking');
+  }
+  
+  /**
+   * Leave point picking mode without reporting a position
+   */
+  cancelPick() {
+    this.pickCallback = null;
+    this.canvas.classList.remove('picking');
   }
   
   /**
    * Handle mouse down event
    */
   handleMouseDown(event) {
+    // Middle button, or left button with space held, pans the view
+    if (event.button === 1 || (event.button === 0 && this.spaceHeld)) {
+      event.preventDefault(); // No browser autoscroll
+      this.isPanning = true;
+      this.panButton = event.button;
+      this.panLast = { x: event.clientX, y: event.clientY };
+      this.spacePanned = this.spaceHeld;
+      this.canvas.classList.add('panning');
+      return;
+    }
+    
+    if (this.pickCallback) return; // No dragging while picking
+    
     const rect = this.canvas.getBoundingClientRect();
     const x = event.clientX - rect.left;
     const y = event.clientY - rect.top;
     
+    // Painting the mask: Alt erases, and the click that follows adds nothing
+    if (this.maskPainting && event.button !== 2) {
+      this.paintStroke = true;
+      this.hasDragged = true;
+      this.eventBus.emit('autoroute:paint', { x, y, erase: event.altKey });
+      return;
+    }
+    
+    // Bézier handles of the selected waypoint sit above the waypoints
+    let handle = null;
+    this.eventBus.emit('waypoint:check-handle-at-position', { x, y }, (found) => { handle = found; });
+    if (handle) {
+      this.handleDrag = { waypoint: handle.waypoint, side: handle.side };
+      this.dragOffset.x = x - handle.x;
+      this.dragOffset.y = y - handle.y;
+      this.hasDragged = false;
+      this.canvas.classList.add('dragging');
+      return;
+    }
+    
     // Check if clicking on a waypoint
     this.eventBus.emit('waypoint:check-at-position', { x, y }, (waypoint) => {
       if (waypoint) {
+        // Shift/Ctrl/Cmd-click adds the waypoint to the selection or takes it out
+        if (event.shiftKey || event.ctrlKey || event.metaKey) {
+          this.eventBus.emit('waypoint:toggle-selection', waypoint);
+          this.hasDragged = true; // Swallow the click that follows
+          return;
+        }
+        
         this.selectedWaypoint = waypoint;
         this.isDragging = true;
         this.hasDragged = false;
@@ -84,8 +183,20 @@ export class InteractionHandler {
         // Add dragging class to canvas
         this.canvas.classList.add('dragging');
         
-        // Select the waypoint
-        this.eventBus.emit('waypoint:selected', waypoint);
+        // Select the waypoint - pressing on one that is already selected keeps
+        // the group, so dragging it moves every selected waypoint
+        if (!this.selection.includes(waypoint)) {
+          this.eventBus.emit('waypoint:selected', waypoint);
+        }
+      } else if (event.button === 0) {
+        // Empty canvas: dragging draws a selection rectangle, a plain click still adds a waypoint
+        this.marquee = {
+          startX: x,
+          startY: y,
+          x,
+          y,
+          additive: event.shiftKey || event.ctrlKey || event.metaKey
+        };
       }
     });
   }
@@ -94,6 +205,53 @@ export class InteractionHandler {
    * Handle mouse move event
    */
   handleMouseMove(event) {
+    if (this.isPanning) {
+      const dx = (event.clientX - this.panLast.x) * INTERACTION.PAN_SENSITIVITY;
+      const dy = (event.clientY - this.panLast.y) * INTERACTION.PAN_SENSITIVITY;
+      this.panLast = { x: event.clientX, y: event.clientY };
+      this.eventBus.emit('view:pan', { dx, dy });
+      return;
+    }
+    
+    if (this.paintStroke) {
+      const rect = this.canvas.getBoundingClientRect();
+      this.eventBus.emit('autoroute:paint', {
+        x: event.clientX - rect.left,
+        y: event.clientY - rect.top,
+        erase: event.altKey
+      });
+      return;
+    }
+    
+    if (this.marquee) {
+      const rect = this.canvas.getBoundingClientRect();
+      this.marquee.x = event.clientX - rect.left;
+      this.marquee.y = event.clientY - rect.top;
+      
+      const distance = Math.hypot(this.marquee.x - this.marquee.startX, this.marquee.y - this.marquee.startY);
+      if (!this.hasDragged && distance < INTERACTION.DRAG_THRESHOLD) return;
+      
+      this.hasDragged = true;
+      this.eventBus.emit('selection:marquee', this.getMarqueeRect());
+      return;
+    }
+    
+    if (this.handleDrag) {
+      const rect = this.canvas.getBoundingClientRect();
+      this.hasDragged = true;
+      this.eventBus.emit('coordinate:canvas-to-image',
+        { canvasX: event.clientX - rect.left - this.dragOffset.x, canvasY: event.clientY - rect.top - this.dragOffset.y },
+        (imgPos) => {
+          this.eventBus.emit('waypoint:handle-changed', {
+            ...this.handleDrag,
+            imgX: imgPos.x,
+            imgY: imgPos.y
+          });
+        }
+      );
+      return;
+    }
+    
     if (this.isDragging && this.selectedWaypoint) {
       const rect = this.canvas.getBoundingClientRect();
       const x = event.clientX - rect.left;
@@ -102,9 +260,11 @@ export class InteractionHandler {
       // Track that we actually moved
       this.hasDragged = true;
       
-      // Calculate new position accounting for offset
-      const newX = x - this.dragOffset.x;
-      const newY = y - this.dragOffset.y;
+      // Calculate new position accounting for offset, then snap it (Shift keeps to angle steps)
+      const { x: newX, y: newY } = this.snap(x - this.dragOffset.x, y - this.dragOffset.y, {
+        waypoint: this.selectedWaypoint,
+        constrain: event.shiftKey
+      });
       
       // Convert to image coordinates
       this.eventBus.emit('coordinate:canvas-to-image',
@@ -119,6 +279,13 @@ export class InteractionHandler {
           });
         }
       );
+      return;
+    }
+    
+    // Hovering: preview where a click would snap to
+    if (!this.pickCallback && !this.maskPainting && !event.buttons) {
+      const rect = this.canvas.getBoundingClientRect();
+      this.snap(event.clientX - rect.left, event.clientY - rect.top);
     }
   }
   
@@ -126,9 +293,50 @@ export class InteractionHandler {
    * Handle mouse up event
    */
   handleMouseUp(event) {
+    if (this.isPanning) {
+      this.isPanning = false;
+      this.canvas.classList.remove('panning');
+      // A left-button pan is followed by a click - don't let it add a waypoint
+      if (this.panButton === 0) {
+        this.hasDragged = true;
+      }
+      this.panButton = null;
+      return;
+    }
+    
+    if (this.paintStroke) {
+      this.paintStroke = false;
+      this.eventBus.emit('autoroute:paint-ended');
+      return;
+    }
+    
+    if (this.marquee) {
+      const rect = this.getMarqueeRect();
+      const additive = this.marquee.additive;
+      this.marquee = null;
+      // hasDragged stays set so the click that follows doesn't add a waypoint
+      if (this.hasDragged) {
+        this.eventBus.emit('selection:marquee', null);
+        this.eventBus.emit('waypoints:select-in-rect', { rect, additive });
+      }
+      return;
+    }
+    
+    if (this.handleDrag) {
+      const { waypoint, side } = this.handleDrag;
+      this.handleDrag = null;
+      this.canvas.classList.remove('dragging');
+      if (this.hasDragged) {
+        this.eventBus.emit('waypoint:handle-drag-ended', { waypoint, side });
+      }
+      this.hasDragged = true; // Pressing a handle never adds a waypoint
+      return;
+    }
+    
     if (this.isDragging) {
       this.isDragging = false;
       this.canvas.classList.remove('dragging');
+      this.eventBus.emit('snap:clear');
       
       // If we actually dragged, save the position
       if (this.hasDragged) {
@@ -140,6 +348,43 @@ export class InteractionHandler {
     }
   }
   
+  /**
+   * Handle the pointer leaving the canvas
+   */
+  handleMouseLeave() {
+    this.eventBus.emit('snap:clear');
+  }
+  
+  /**
+   * Snap a canvas point for a waypoint being added or dragged
+   * Also shows guides for what it snapped to, until snap:clear
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {Object} options - waypoint being dragged, constrain to angle steps
+   * @returns {{x: number, y: number}} Snapped canvas position (unchanged with snapping off)
+   */
+  snap(x, y, { waypoint = null, constrain = false } = {}) {
+    let result = { x, y };
+    this.eventBus.emit('snap:position', { x, y, waypoint, constrain }, (snapped) => {
+      result = snapped;
+    });
+    return result;
+  }
+  
+  /**
+   * Rubber band as a box, whichever way it was dragged
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Canvas pixels
+   */
+  getMarqueeRect() {
+    const m = this.marquee;
+    return {
+      minX: Math.min(m.startX, m.x),
+      minY: Math.min(m.startY, m.y),
+      maxX: Math.max(m.startX, m.x),
+      maxY: Math.max(m.startY, m.y)
+    };
+  }
+  
   /**
    * Handle canvas click event
    */
@@ -151,8 +396,23 @@ export class InteractionHandler {
     }
     
     const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
+    this.activateAt(event.clientX - rect.left, event.clientY - rect.top, event);
+  }
+    
+  /**
+   * Select the waypoint at a point, or add one there
+   * Shared by clicks and Enter on the keyboard crosshair
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {Object} modifiers - shiftKey adds a minor waypoint, altKey inserts into the nearest leg
+   */
+  activateAt(x, y, { shiftKey = false, altKey = false } = {}) {
+    if (this.pickCallback) {
+      const callback = this.pickCallback;
+      this.cancelPick();
+      this.eventBus.emit('coordinate:canvas-to-image', { canvasX: x, canvasY: y }, callback);
+      return;
+    }
     
     // Check if clicking on existing waypoint
     this.eventBus.emit('waypoint:check-at-position', { x, y }, (waypoint) => {
@@ -161,7 +421,19 @@ export class InteractionHandler {
         this.eventBus.emit('waypoint:selected', waypoint);
       } else {
         // Add new waypoint
-        const isMajor = !event.shiftKey; // Shift+click for minor waypoint
+        const isMajor = !shiftKey; // Shift+click for minor waypoint
+        ({ x, y } = this.snap(x, y));
+        this.eventBus.emit('snap:clear');
+        
+        // On a route's line (or anywhere with Alt) it goes into that leg instead of at the end
+        let pathHit = null;
+        this.eventBus.emit('path:check-at-position', { x, y, anywhere: altKey }, (hit) => {
+          pathHit = hit;
+        });
+        if (pathHit) {
+          this.eventBus.emit('waypoint:insert-on-path', { ...pathHit, isMajor });
+          return;
+        }
         
         // Convert to image coordinates
         this.eventBus.emit('coordinate:canvas-to-image',
@@ -191,11 +463,81 @@ export class InteractionHandler {
     const shift = event.shiftKey;
     const ctrl = event.ctrlKey || event.metaKey;
     
-    // Animation controls
+    // Cancel point picking
+    if (key === 'escape' && this.pickCallback) {
+      this.cancelPick();
+      return;
+    }
+    
+    // Stop painting the mask
+    if (key === 'escape' && this.maskPainting) {
+      this.eventBus.emit('autoroute:toggle-painting', false);
+      return;
+    }
+    
+    // Clear the selection
+    if (key === 'escape' && this.selection.length > 0) {
+      this.eventBus.emit('waypoint:selected', null);
+      return;
+    }
+    
+    // Space: hold to pan, tap to play/pause (toggled on release in handleKeyUp)
     if (key === ' ') {
       event.preventDefault();
-      this.eventBus.emit('ui:animation:toggle');
-    } else if (key === 'arrowleft' && !shift) {
+      if (!event.repeat) {
+        this.spaceHeld = true;
+        this.spacePanned = false;
+        this.canvas.classList.add('pan-ready');
+      }
+      return;
+    }
+    
+    // Undo/Redo (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+    // Checked first so Shift doesn't fall through to waypoint movement
+    if (ctrl && (key === 'z' || key === 'y')) {
+      event.preventDefault();
+      if (shift || key === 'y') {
+        this.eventBus.emit('history:redo');
+      } else {
+        this.eventBus.emit('history:undo');
+      }
+    }
+    
+    // Context menu from the keyboard (Menu key or Shift+F10)
+    else if (key === 'contextmenu' || (shift && key === 'f10')) {
+      event.preventDefault();
+      this.openKeyboardContextMenu();
+    }
+    
+    // Keyboard cursor and waypoint cycling while the map has focus
+    else if (document.activeElement === this.canvas && this.handleMapKey(event, key)) {
+      event.preventDefault();
+    }
+    
+    // View: Alt+arrows pan, +/- zoom, 0 fits, F frames the selection
+    else if (event.altKey && key.startsWith('arrow')) {
+      event.preventDefault();
+      const step = INTERACTION.PAN_STEP;
+      const pan = { arrowup: [0, step], arrowdown: [0, -step], arrowleft: [step, 0], arrowright: [-step, 0] }[key];
+      if (pan) {
+        this.eventBus.emit('view:pan', { dx: pan[0], dy: pan[1] });
+      }
+    } else if ((key === '+' || key === '=') && !ctrl) {
+      event.preventDefault();
+      this.eventBus.emit('view:zoom', { factor: INTERACTION.ZOOM_STEP });
+    } else if ((key === '-' || key === '_') && !ctrl) {
+      event.preventDefault();
+      this.eventBus.emit('view:zoom', { factor: 1 / INTERACTION.ZOOM_STEP });
+    } else if (key === '0' && !ctrl) {
+      event.preventDefault();
+      this.eventBus.emit('view:fit');
+    } else if (key === 'f' && !ctrl) {
+      event.preventDefault();
+      this.eventBus.emit('view:zoom-to-selection');
+    }
+    
+    // Animation controls
+    else if (key === 'arrowleft' && !shift) {
       event.preventDefault();
       this.eventBus.emit('ui:animation:skip-start');
     } else if (key === 'arrowright' && !shift) {
@@ -247,17 +589,16 @@ export class InteractionHandler {
       }
     }
     
-    // Delete selected waypoint
-    else if ((key === 'delete' || key === 'backspace') && this.selectedWaypoint) {
+    // Select every waypoint on the active route (Ctrl+A)
+    else if (ctrl && key === 'a') {
       event.preventDefault();
-      this.eventBus.emit('waypoint:delete-selected');
+      this.eventBus.emit('waypoints:select-all');
     }
     
-    // Select next/previous waypoint
-    else if (key === 'tab') {
+    // Delete selected waypoints
+    else if ((key === 'delete' || key === 'backspace') && this.selection.length > 0) {
       event.preventDefault();
-      const direction = shift ? 'previous' : 'next';
-      this.eventBus.emit('waypoint:select-adjacent', direction);
+      this.eventBus.emit('waypoint:delete-selected');
     }
     
     // Toggle waypoint type
@@ -266,22 +607,18 @@ export class InteractionHandler {
       this.eventBus.emit('waypoint:toggle-type', this.selectedWaypoint);
     }
     
-    // Undo/Redo (Ctrl+Z, Ctrl+Shift+Z)
-    else if (ctrl && key === 'z') {
-      event.preventDefault();
-      if (shift) {
-        this.eventBus.emit('history:redo');
-      } else {
-        this.eventBus.emit('history:undo');
-      }
-    }
-    
     // Save (Ctrl+S)
     else if (ctrl && key === 's') {
       event.preventDefault();
       this.eventBus.emit('file:save');
     }
     
+    // Open project (Ctrl+O)
+    else if (ctrl && key === 'o') {
+      event.preventDefault();
+      this.eventBus.emit('file:open-dialog');
+    }
+    
     // Help (? or H, but not Cmd+H or Ctrl+H)
     else if ((key === '?' || key === 'h') && !ctrl) {
       event.preventDefault();
@@ -289,11 +626,74 @@ export class InteractionHandler {
     }
   }
   
+  /**
+   * Handle key release - completes a space tap as play/pause
+   */
+  handleKeyUp(event) {
+    if (event.key !== ' ' || !this.spaceHeld) return;
+    
+    this.spaceHeld = false;
+    this.canvas.classList.remove('pan-ready');
+    if (!this.spacePanned) {
+      this.eventBus.emit('ui:animation:toggle');
+    }
+  }
+  
+  /**
+   * Forget held keys when the window loses focus
+   */
+  handleBlur() {
+    this.spaceHeld = false;
+    this.canvas.classList.remove('pan-ready');
+  }
+  
+  /**
+   * Handle mouse wheel / trackpad pinch - zoom around the cursor
+   */
+  handleWheel(event) {
+    event.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+    // Line-based deltas (some mice) are ~16px per line
+    const deltaY = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    this.eventBus.emit('view:zoom', {
+      factor: Math.exp(-deltaY * INTERACTION.ZOOM_SENSITIVITY),
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top
+    });
+  }
+  
+  /**
+   * Distance and midpoint of a two-finger touch, in canvas coordinates
+   * @private
+   */
+  getPinch(touches) {
+    const rect = this.canvas.getBoundingClientRect();
+    const [a, b] = [touches[0], touches[1]];
+    return {
+      distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+      center: {
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top
+      }
+    };
+  }
+  
   /**
    * Handle touch start (mobile)
    */
   handleTouchStart(event) {
-    if (event.touches.length === 1) {
+    if (event.touches.length === 2) {
+      // Second finger down - switch from waypoint drag to pinch zoom/pan
+      event.preventDefault();
+      if (this.isDragging || this.handleDrag || this.paintStroke) {
+        this.handleMouseUp({});
+      }
+      this.pinch = this.getPinch(event.touches);
+      this.touchGesture = true;
+      return;
+    }
+    
+    if (event.touches.length === 1 && !this.touchGesture) {
       const touch = event.touches[0];
       const rect = this.canvas.getBoundingClientRect();
       const x = touch.clientX - rect.left;
@@ -308,7 +708,27 @@ export class InteractionHandler {
    * Handle touch move (mobile)
    */
   handleTouchMove(event) {
-    if (event.touches.length === 1 && this.isDragging) {
+    if (this.pinch && event.touches.length === 2) {
+      event.preventDefault();
+      const pinch = this.getPinch(event.touches);
+      
+      // Pan with the midpoint, then zoom around where it is now
+      this.eventBus.emit('view:pan', {
+        dx: pinch.center.x - this.pinch.center.x,
+        dy: pinch.center.y - this.pinch.center.y
+      });
+      if (this.pinch.distance > 0) {
+        this.eventBus.emit('view:zoom', {
+          factor: pinch.distance / this.pinch.distance,
+          x: pinch.center.x,
+          y: pinch.center.y
+        });
+      }
+      this.pinch = pinch;
+      return;
+    }
+    
+    if (event.touches.length === 1 && (this.isDragging || this.handleDrag || this.paintStroke)) {
       event.preventDefault();
       const touch = event.touches[0];
       
@@ -321,6 +741,17 @@ export class InteractionHandler {
    * Handle touch end (mobile)
    */
   handleTouchEnd(event) {
+    // After a pinch, wait for every finger to lift and don't treat it as a tap
+    if (this.touchGesture) {
+      if (event.touches.length < 2) {
+        this.pinch = null;
+      }
+      if (event.touches.length === 0) {
+        this.touchGesture = false;
+      }
+      return;
+    }
+    
     if (event.changedTouches.length === 1) {
       const touch = event.changedTouches[0];
       
@@ -348,7 +779,8 @@ export class InteractionHandler {
   }
   
   /**
-   * Handle drop event (for image drop)
+   * Handle drop event (image → background, .json → project file,
+   * .gpx/.geojson/.kml → route import)
    */
   handleDrop(event) {
     event.preventDefault();
@@ -359,6 +791,10 @@ export class InteractionHandler {
       const file = files[0];
       if (file.type.startsWith('image/')) {
         this.eventBus.emit('background:upload', file);
+      } else if (GEO.FILE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
+        this.eventBus.emit('geo:import', file);
+      } else if (file.type === 'application/json' || file.name.toLowerCase().endsWith('.json')) {
+        this.eventBus.emit('file:open', file);
       }
     }
   }
@@ -392,6 +828,116 @@ export class InteractionHandler {
     });
   }
   
+  /**
+   * Keys that only apply while the map itself has focus
+   * Arrows move the crosshair, Enter clicks at it (Shift+Enter for a minor
+   * waypoint), Home/End jump to the first/last waypoint and Tab cycles them
+   * @param {KeyboardEvent} event - Key event
+   * @param {string} key - Lower-cased key
+   * @returns {boolean} True if the key was used
+   */
+  handleMapKey(event, key) {
+    if (key.startsWith('arrow') && !event.shiftKey && !event.altKey) {
+      const step = event.ctrlKey || event.metaKey ? 1 : INTERACTION.CURSOR_STEP;
+      const move = { arrowup: [0, -step], arrowdown: [0, step], arrowleft: [-step, 0], arrowright: [step, 0] }[key];
+      if (!move) return false;
+      this.moveCursor(move[0], move[1]);
+      return true;
+    }
+    
+    if (key === 'enter') {
+      if (this.cursor) {
+        this.activateAt(this.cursor.x, this.cursor.y, event);
+      } else {
+        this.moveCursor(0, 0); // Show the crosshair first
+      }
+      return true;
+    }
+    
+    if (key === 'home' || key === 'end') {
+      this.eventBus.emit('waypoint:select-adjacent', key === 'home' ? 'first' : 'last');
+      return true;
+    }
+    
+    if (key === 'tab') {
+      // Past either end of the route, Tab moves focus on as usual
+      let moved = false;
+      this.eventBus.emit('waypoint:select-adjacent', event.shiftKey ? 'previous' : 'next', (result) => {
+        moved = result;
+      });
+      return moved;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Move the keyboard crosshair, showing it first if needed
+   * It appears on the selected waypoint, or in the middle of the map
+   * @param {number} dx - Canvas pixels
+   * @param {number} dy - Canvas pixels
+   */
+  moveCursor(dx, dy) {
+    const rect = this.canvas.getBoundingClientRect();
+    
+    if (!this.cursor) {
+      this.cursor = { x: rect.width / 2, y: rect.height / 2 };
+      if (this.selectedWaypoint) {
+        this.eventBus.emit('coordinate:image-to-canvas',
+          { imgX: this.selectedWaypoint.imgX, imgY: this.selectedWaypoint.imgY },
+          (pos) => { this.cursor = { x: pos.x, y: pos.y }; }
+        );
+      }
+    }
+    
+    this.cursor = {
+      x: Math.max(0, Math.min(rect.width, this.cursor.x + dx)),
+      y: Math.max(0, Math.min(rect.height, this.cursor.y + dy))
+    };
+    this.eventBus.emit('cursor:moved', this.cursor);
+  }
+  
+  /**
+   * Hide the keyboard crosshair (the map lost focus)
+   */
+  hideCursor() {
+    if (!this.cursor) return;
+    
+    this.cursor = null;
+    this.eventBus.emit('cursor:moved', null);
+  }
+  
+  /**
+   * Open the context menu without a pointer
+   * Opens at the selected waypoint, or for the middle of the canvas when nothing is selected
+   */
+  openKeyboardContextMenu() {
+    const rect = this.canvas.getBoundingClientRect();
+    
+    if (this.selectedWaypoint) {
+      this.eventBus.emit('coordinate:image-to-canvas',
+        { imgX: this.selectedWaypoint.imgX, imgY: this.selectedWaypoint.imgY },
+        (pos) => {
+          this.eventBus.emit('waypoint:show-context-menu', {
+            waypoint: this.selectedWaypoint,
+            x: rect.left + pos.x,
+            y: rect.top + pos.y
+          });
+        }
+      );
+      return;
+    }
+    
+    const x = rect.width / 2;
+    const y = rect.height / 2;
+    this.eventBus.emit('canvas:show-context-menu', {
+      x: rect.left + x,
+      y: rect.top + y,
+      canvasX: x,
+      canvasY: y
+    });
+  }
+  
   /**
    * Set selected waypoint (for external updates)
    */
@@ -399,6 +945,14 @@ export class InteractionHandler {
     this.selectedWaypoint = waypoint;
   }
   
+  /**
+   * Set every selected waypoint (for external updates)
+   * @param {Waypoint[]} waypoints - Current selection
+   */
+  setSelection(waypoints) {
+    this.selection = waypoints;
+  }
+  
   /**
    * Clean up event listeners
    */
@@ -406,8 +960,13 @@ export class InteractionHandler {
     this.canvas.removeEventListener('mousedown', this.handleMouseDown);
     this.canvas.removeEventListener('mousemove', this.handleMouseMove);
     this.canvas.removeEventListener('mouseup', this.handleMouseUp);
+    this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
     this.canvas.removeEventListener('click', this.handleCanvasClick);
+    this.canvas.removeEventListener('wheel', this.handleWheel);
     document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+    this.canvas.removeEventListener('blur', this.hideCursor);
     this.canvas.removeEventListener('dragover', this.handleDragOver);
     this.canvas.removeEventListener('drop', this.handleDrop);
   }
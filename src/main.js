@@ -1,19 +1,106 @@
 // Import modular utilities
 import { CatmullRom } from './utils/CatmullRom.js';
 import { Easing } from './utils/Easing.js';
-import { RENDERING, ANIMATION, INTERACTION, PATH } from './config/constants.js';
+import { RENDERING, ANIMATION, INTERACTION, PATH, NOISE, PATH_HEAD, MARKERS, PROJECT, EXPORT, GEO, ROUTES, CAMERA, EASING, SNAPPING, AUTO_ROUTE } from './config/constants.js';
 import { StorageService } from './services/StorageService.js';
 import { CoordinateTransform } from './services/CoordinateTransform.js';
+import { PathCalculator } from './services/PathCalculator.js';
 import { PathCalculatorWithWorker } from './services/PathCalculatorWithWorker.js';
 import { AnimationEngine } from './services/AnimationEngine.js';
 import { RenderingService } from './services/RenderingService.js';
+import { HistoryManager } from './services/HistoryManager.js';
+import { ProjectFileService } from './services/ProjectFileService.js';
+import { ExportTimeline } from './services/ExportTimeline.js';
+import { VideoExporter } from './services/VideoExporter.js';
+import { PngSequenceExporter } from './services/PngSequenceExporter.js';
+import { GifExporter } from './services/GifExporter.js';
+import { SvgExporter } from './services/SvgExporter.js';
+import { GeoReference } from './services/GeoReference.js';
+import { GeoFormatService } from './services/GeoFormatService.js';
+import { CameraService } from './services/CameraService.js';
+import { AutoRouter } from './services/AutoRouter.js';
 import { EventBus } from './core/EventBus.js';
 import { Waypoint } from './models/Waypoint.js';
+import { Route } from './models/Route.js';
 import { UIController } from './controllers/UIController.js';
+import { ContextMenu } from './controllers/ContextMenu.js';
 import { InteractionHandler } from './handlers/InteractionHandler.js';
+import { FileDownload } from './utils/FileDownload.js';
+import { PathShape } from './utils/PathShape.js';
+import { PathTiming } from './utils/PathTiming.js';
+import { PathPipeline } from './utils/PathPipeline.js';
+import { PathCurves } from './utils/PathCurves.js';
+import { PathHitTest } from './utils/PathHitTest.js';
+import { PathHead } from './utils/PathHead.js';
+import { Markers } from './utils/Markers.js';
+import { Noise } from './utils/Noise.js';
+import { Snapping } from './utils/Snapping.js';
+import { AutoRoute } from './utils/AutoRoute.js';
+import { LineEffects } from './utils/LineEffects.js';
+
+// Screen-reader friendly names for waypoint properties (undo/redo announcements)
+const PROPERTY_LABELS = {
+  segmentColor: 'segment color',
+  segmentWidth: 'segment width',
+  segmentStyle: 'segment style',
+  pathShape: 'path shape',
+  noiseSeed: 'wobble pattern',
+  noiseRoughness: 'roughness',
+  noiseFrequency: 'wobble frequency',
+  marchingAnts: 'marching ants',
+  gradientMode: 'gradient',
+  gradientColor: 'gradient color',
+  cometTail: 'comet tail',
+  casingWidth: 'casing width',
+  casingColor: 'casing color',
+  glow: 'glow',
+  segmentCurve: 'segment curve',
+  segmentTension: 'curve tension',
+  cornerRadius: 'corner radius',
+  handleIn: 'Bézier handle',
+  handleOut: 'Bézier handle',
+  markerStyle: 'marker style',
+  customImage: 'marker image',
+  markerImageSize: 'marker image size',
+  markerAnchor: 'marker anchor',
+  dotColor: 'marker color',
+  dotSize: 'marker size',
+  beaconStyle: 'beacon style',
+  beaconColor: 'beacon color',
+  label: 'label text',
+  labelMode: 'label mode',
+  labelPosition: 'label position',
+  pauseTime: 'pause time',
+  segmentSpeed: 'leg speed',
+  segmentDuration: 'leg duration',
+  segmentEasing: 'leg curve',
+  pathHeadStyle: 'leg path head',
+  camera: 'camera keyframe'
+};
+
+// Waypoint properties that only apply to major waypoints (bulk edits skip minors)
+const MAJOR_ONLY_PROPERTIES = [
+  'dotColor', 'dotSize', 'customImage', 'markerImageSize', 'markerAnchor', 'beaconStyle', 'beaconColor',
+  'labelMode', 'labelPosition', 'pauseTime', 'pauseMode',
+  'segmentSpeed', 'segmentDuration', 'segmentEasing',
+  'segmentCurve', 'segmentTension', 'cornerRadius',
+  'marchingAnts', 'gradientMode', 'gradientColor', 'cometTail', 'casingWidth', 'casingColor', 'glow',
+  'pathHeadStyle'
+];
+
+// Waypoint properties that stay per-waypoint even when several are selected
+const SINGLE_WAYPOINT_PROPERTIES = ['label', 'camera', 'handleIn', 'handleOut'];
+
+// Screen-reader friendly names for route properties
+const ROUTE_PROPERTY_LABELS = {
+  name: 'route name',
+  visible: 'route visibility',
+  locked: 'route lock',
+  startMode: 'route start'
+};
 
 // Main application class for Route Plotter v3
-class RoutePlotter {
+export class RoutePlotter {
   constructor() {
     // Services
     this.storageService = new StorageService();
@@ -22,30 +109,57 @@ class RoutePlotter {
     this.renderingService = new RenderingService();
     this.eventBus = new EventBus(); // Event-driven architecture for decoupled communication
     this.animationEngine = new AnimationEngine(this.eventBus); // Animation loop management
+    this.historyManager = new HistoryManager(this.eventBus); // Undo/redo command history
+    this.projectFileService = new ProjectFileService(); // Shareable .routeplot.json files
+    this.geoFormatService = new GeoFormatService(); // GPX/GeoJSON/KML exchange
+    this.geoReference = new GeoReference(); // Background image ↔ lat/lon control points
+    this.activeExporter = null; // Frame exporter for the export in progress, if any
+    this.svgExporter = new SvgExporter(); // Vector stills for print
+    this.autoRouter = new AutoRouter(); // Routes along the background's paths (Web Worker)
+    this.cameraService = new CameraService(); // Follow and keyframe camera moves
+    this.camera = CameraService.createSettings(); // { mode, zoom, smoothing, overview }
+    this.snapping = Snapping.createSettings(); // { grid, gridSize, angleStep, waypoints, path }
+    this.autoRoute = AutoRoute.createSettings(); // { source, color, tolerance, cellSize }
+    this.paintedMask = null; // Hand-painted walkability mask (see utils/AutoRoute.js)
+    
+    // Name used for project file downloads (set when a project is saved or opened)
+    this.projectName = PROJECT.DEFAULT_NAME;
     
     // Render optimization - batch multiple render requests into single frame
     this.renderQueued = false;
     
+    // Custom marker images by data URL, loaded once and shared by waypoints
+    this.markerImages = new Map();
+    
     // Batch mode for loading operations (prevents redundant calculations)
     this._batchMode = false;
     
     // Performance optimizations for Phase 7
     this._lastDisplayedSecond = -1; // Throttle time display updates
-    this._majorWaypointsCache = null; // Cache major waypoint positions
     this._durationUpdateTimeout = null; // Debounce duration calculations
     
     // DOM Elements
     this.canvas = document.getElementById('canvas');
     this.ctx = this.canvas.getContext('2d');
     
-    // Waypoints and path data
-    this.waypoints = []; // Will hold Waypoint model instances
-    this.waypointsById = new Map(); // O(1) lookup by waypoint ID
-    this.pathPoints = [];
-    this.selectedWaypoint = null;
+    // Routes, each owning its waypoints and path data
+    // this.waypoints and this.pathPoints refer to the active route (see Routes section)
+    this.routes = [new Route({ name: 'Route 1' })];
+    this.activeRoute = this.routes[0];
+    this.waypointsById = new Map(); // O(1) lookup by waypoint ID, across all routes
+    this.selectedWaypoint = null; // Waypoint the editor shows
+    this.selectedWaypoints = []; // Every selected waypoint (includes selectedWaypoint)
+    this.selectionRect = null; // Rubber band being dragged out (canvas pixels)
+    this.keyboardCursor = null; // Keyboard crosshair on the focused map (canvas pixels)
+    this.snapGuides = null; // What the last add or drag snapped to, drawn as guides
+    this.maskPainting = false; // Painting the walkability mask on the map
+    this.maskStroke = null; // Mask cells before the brush stroke in progress, for undo
+    this.maskOverlay = null; // Painted mask drawn to a canvas, rebuilt when it changes
+    this.styleClipboard = null; // { style, isMajor } from Copy style in the context menu
     this.isDragging = false;
     this.hasDragged = false; // Track if mouse actually moved during drag
     this.dragOffset = { x: 0, y: 0 };
+    this._dragOrigin = null; // Position before the current drag, for a single undo step
     
     // Animation state now managed by AnimationEngine service
     // Access via: this.animationEngine.state
@@ -56,7 +170,7 @@ class RoutePlotter {
       pathThickness: 3,
       pathStyle: 'solid', // solid, dashed, dotted
       pathShape: 'line', // line, squiggle, randomised
-      markerStyle: 'dot', // dot, square, flag, none
+      markerStyle: 'dot', // One of MARKERS.STYLES
       dotColor: '#FF6B6B',
       dotSize: RENDERING.DEFAULT_DOT_SIZE,
       beaconStyle: 'pulse', // none, pulse, ripple
@@ -64,20 +178,17 @@ class RoutePlotter {
       labelMode: 'none', // none, on, fade, persist
       labelPosition: 'auto', // auto, top, right, bottom, left
       pathHead: {
-        style: 'arrow', // dot, arrow, custom, none
+        style: 'arrow', // arrow, dot, an icon (walker, bike, car, bus, train, plane), custom, sprite, none
         color: '#111111',
         size: 8,
-        image: null, // For custom image
-        rotation: 0 // Automatically calculated based on path direction
+        image: null, // For custom image and sprite sheet
+        rotation: 0, // Automatically calculated based on path direction
+        rotationMode: PATH_HEAD.DEFAULT_ROTATION_MODE, // follow, upright, flip
+        smoothing: PATH_HEAD.DEFAULT_SMOOTHING, // Heading averaged over this much path (pixels)
+        spriteFrames: PATH_HEAD.DEFAULT_SPRITE_FRAMES // Frames side by side in a sprite sheet
       }
     };
     
-    // Beacon animation state
-    this.beaconAnimation = {
-      pulsePhase: 0,
-      ripples: []
-    };
-    
     // Background layer state
     this.background = {
       image: null,
@@ -101,6 +212,13 @@ class RoutePlotter {
       settings: document.getElementById('settings-tab'),
       tabBtns: document.querySelectorAll('.tab-btn'),
       waypointList: document.getElementById('waypoint-list'),
+      routeList: document.getElementById('route-list'),
+      zoomInBtn: document.getElementById('zoom-in-btn'),
+      zoomOutBtn: document.getElementById('zoom-out-btn'),
+      zoomFitBtn: document.getElementById('zoom-fit-btn'),
+      zoomSelectionBtn: document.getElementById('zoom-selection-btn'),
+      zoomLevel: document.getElementById('zoom-level'),
+      addRouteBtn: document.getElementById('add-route-btn'),
       bgUploadBtn: document.getElementById('bg-upload-btn'),
       bgUpload: document.getElementById('bg-upload'),
       bgOverlay: document.getElementById('bg-overlay'),
@@ -119,12 +237,51 @@ class RoutePlotter {
       // animationDuration: document.getElementById('animation-duration'), // Removed from UI
       // animationDurationValue: document.getElementById('animation-duration-value'), // Removed from UI
       speedControl: document.getElementById('speed-control'),
+      animationEasing: document.getElementById('animation-easing'),
+      animationEasingBezier: document.getElementById('animation-easing-bezier'),
+      animationEasingBezierControl: document.getElementById('animation-easing-bezier-control'),
+      easingPreview: document.getElementById('easing-preview'),
+      cameraMode: document.getElementById('camera-mode'),
+      cameraZoom: document.getElementById('camera-zoom'),
+      cameraZoomValue: document.getElementById('camera-zoom-value'),
+      cameraSmoothing: document.getElementById('camera-smoothing'),
+      cameraSmoothingValue: document.getElementById('camera-smoothing-value'),
+      cameraOverview: document.getElementById('camera-overview'),
+      snapGrid: document.getElementById('snap-grid'),
+      snapGridSize: document.getElementById('snap-grid-size'),
+      snapWaypoints: document.getElementById('snap-waypoints'),
+      snapPath: document.getElementById('snap-path'),
+      snapAngle: document.getElementById('snap-angle'),
+      autoRouteSource: document.getElementById('auto-route-source'),
+      autoRouteColor: document.getElementById('auto-route-color'),
+      autoRoutePickColor: document.getElementById('auto-route-pick-color'),
+      autoRouteTolerance: document.getElementById('auto-route-tolerance'),
+      autoRouteToleranceValue: document.getElementById('auto-route-tolerance-value'),
+      autoRouteCellSize: document.getElementById('auto-route-cell-size'),
+      autoRouteCellSizeValue: document.getElementById('auto-route-cell-size-value'),
+      autoRoutePaint: document.getElementById('auto-route-paint'),
+      autoRouteClear: document.getElementById('auto-route-clear'),
       // durationControl: document.getElementById('duration-control'), // Removed from UI
       waypointEditor: document.getElementById('waypoint-editor'),
       waypointEditorPlaceholder: document.getElementById('waypoint-editor-placeholder'),
+      waypointSelectionInfo: document.getElementById('waypoint-selection-info'),
       waypointPauseTime: document.getElementById('waypoint-pause-time'),
       waypointPauseTimeValue: document.getElementById('waypoint-pause-time-value'),
       pauseTimeControl: document.getElementById('pause-time-control'),
+      segmentTimingControl: document.getElementById('segment-timing-control'),
+      segmentSpeed: document.getElementById('segment-speed'),
+      segmentSpeedValue: document.getElementById('segment-speed-value'),
+      segmentDurationFixed: document.getElementById('segment-duration-fixed'),
+      segmentDuration: document.getElementById('segment-duration'),
+      segmentDurationValue: document.getElementById('segment-duration-value'),
+      segmentEasing: document.getElementById('segment-easing'),
+      segmentEasingBezier: document.getElementById('segment-easing-bezier'),
+      segmentEasingBezierControl: document.getElementById('segment-easing-bezier-control'),
+      cameraKeyframeControl: document.getElementById('camera-keyframe-control'),
+      waypointCameraKeyframe: document.getElementById('waypoint-camera-keyframe'),
+      waypointCameraZoom: document.getElementById('waypoint-camera-zoom'),
+      waypointCameraZoomValue: document.getElementById('waypoint-camera-zoom-value'),
+      waypointCameraFromView: document.getElementById('waypoint-camera-from-view'),
       splash: document.getElementById('splash'),
       splashClose: document.getElementById('splash-close'),
       splashDontShow: document.getElementById('splash-dont-show'),
@@ -132,10 +289,44 @@ class RoutePlotter {
       segmentWidth: document.getElementById('segment-width'),
       segmentWidthValue: document.getElementById('segment-width-value'),
       segmentStyle: document.getElementById('segment-style'),
+      pathNoiseControl: document.getElementById('path-noise-control'),
+      noiseRoughness: document.getElementById('noise-roughness'),
+      noiseRoughnessValue: document.getElementById('noise-roughness-value'),
+      noiseFrequency: document.getElementById('noise-frequency'),
+      noiseFrequencyValue: document.getElementById('noise-frequency-value'),
+      reseedNoise: document.getElementById('reseed-noise'),
+      lineEffectsControl: document.getElementById('line-effects-control'),
+      marchingAnts: document.getElementById('marching-ants'),
+      gradientMode: document.getElementById('gradient-mode'),
+      gradientColorControl: document.getElementById('gradient-color-control'),
+      gradientColor: document.getElementById('gradient-color'),
+      cometTail: document.getElementById('comet-tail'),
+      cometTailValue: document.getElementById('comet-tail-value'),
+      casingWidth: document.getElementById('casing-width'),
+      casingWidthValue: document.getElementById('casing-width-value'),
+      casingColor: document.getElementById('casing-color'),
+      glow: document.getElementById('glow'),
+      glowValue: document.getElementById('glow-value'),
+      segmentCurveControl: document.getElementById('segment-curve-control'),
+      segmentCurve: document.getElementById('segment-curve'),
+      segmentTensionControl: document.getElementById('segment-tension-control'),
+      segmentTension: document.getElementById('segment-tension'),
+      segmentTensionValue: document.getElementById('segment-tension-value'),
+      cornerRadiusControl: document.getElementById('corner-radius-control'),
+      cornerRadius: document.getElementById('corner-radius'),
+      cornerRadiusValue: document.getElementById('corner-radius-value'),
+      bezierHandlesControl: document.getElementById('bezier-handles-control'),
+      resetBezierHandles: document.getElementById('reset-bezier-handles'),
       dotColor: document.getElementById('dot-color'),
       dotSize: document.getElementById('dot-size'),
       dotSizeValue: document.getElementById('dot-size-value'),
       markerStyle: document.getElementById('marker-style'),
+      markerImageControls: document.getElementById('marker-image-controls'),
+      markerUploadBtn: document.getElementById('marker-upload-btn'),
+      markerUpload: document.getElementById('marker-upload'),
+      markerImageSize: document.getElementById('marker-image-size'),
+      markerImageSizeValue: document.getElementById('marker-image-size-value'),
+      markerAnchor: document.getElementById('marker-anchor'),
       pathShape: document.getElementById('path-shape'),
       editorBeaconStyle: document.getElementById('editor-beacon-style'),
       editorBeaconColor: document.getElementById('editor-beacon-color'),
@@ -144,18 +335,55 @@ class RoutePlotter {
       labelPosition: document.getElementById('label-position'),
       helpBtn: document.getElementById('help-btn'),
       clearBtn: document.getElementById('clear-btn'),
+      undoBtn: document.getElementById('undo-btn'),
+      redoBtn: document.getElementById('redo-btn'),
+      saveProjectBtn: document.getElementById('save-project-btn'),
+      openProjectBtn: document.getElementById('open-project-btn'),
+      projectUpload: document.getElementById('project-upload'),
+      // Georeference elements
+      geoStatus: document.getElementById('geo-status'),
+      geoMethod: document.getElementById('geo-method'),
+      geoAddPointBtn: document.getElementById('geo-add-point-btn'),
+      geoClearBtn: document.getElementById('geo-clear-btn'),
+      geoPointList: document.getElementById('geo-point-list'),
+      geoImportBtn: document.getElementById('geo-import-btn'),
+      geoUpload: document.getElementById('geo-upload'),
+      geoExportFormat: document.getElementById('geo-export-format'),
+      geoExportBtn: document.getElementById('geo-export-btn'),
       announcer: document.getElementById('announcer'),
       // Path head elements
       pathHeadStyle: document.getElementById('path-head-style'),
       pathHeadColor: document.getElementById('path-head-color'),
       pathHeadSize: document.getElementById('path-head-size'),
       pathHeadSizeValue: document.getElementById('path-head-size-value'),
+      pathHeadRotation: document.getElementById('path-head-rotation'),
+      pathHeadSmoothing: document.getElementById('path-head-smoothing'),
+      pathHeadSmoothingValue: document.getElementById('path-head-smoothing-value'),
+      spriteFramesControl: document.getElementById('sprite-frames-control'),
+      pathHeadFrames: document.getElementById('path-head-frames'),
+      legHeadControl: document.getElementById('leg-head-control'),
+      legHeadStyle: document.getElementById('leg-head-style'),
       customHeadControls: document.getElementById('custom-head-controls'),
       headUploadBtn: document.getElementById('head-upload-btn'),
       headUpload: document.getElementById('head-upload'),
       headPreview: document.getElementById('head-preview'),
       headFilename: document.getElementById('head-filename'),
-      headPreviewImg: document.getElementById('head-preview-img')
+      headPreviewImg: document.getElementById('head-preview-img'),
+      // Export elements
+      exportFormat: document.getElementById('export-format'),
+      exportResolution: document.getElementById('export-resolution'),
+      exportFps: document.getElementById('export-fps'),
+      exportPauses: document.getElementById('export-pauses'),
+      exportBeacons: document.getElementById('export-beacons'),
+      exportTransparent: document.getElementById('export-transparent'),
+      stillScale: document.getElementById('still-scale'),
+      stillBackground: document.getElementById('still-background'),
+      exportPngBtn: document.getElementById('export-png-btn'),
+      exportSvgBtn: document.getElementById('export-svg-btn'),
+      exportBtn: document.getElementById('export-btn'),
+      exportCancelBtn: document.getElementById('export-cancel-btn'),
+      exportProgress: document.getElementById('export-progress'),
+      exportStatus: document.getElementById('export-status')
     };
     
     this.init();
@@ -177,14 +405,7 @@ class RoutePlotter {
     this.elements.pathShape.value = this.styles.pathShape;
     
     // Initialize path head control values
-    this.elements.pathHeadStyle.value = this.styles.pathHead.style;
-    this.elements.pathHeadColor.value = this.styles.pathHead.color;
-    this.elements.pathHeadSize.value = this.styles.pathHead.size;
-    this.elements.pathHeadSizeValue.textContent = this.styles.pathHead.size;
-    
-    // Show/hide custom image controls based on initial style
-    this.elements.customHeadControls.style.display = 
-      this.styles.pathHead.style === 'custom' ? 'block' : 'none';
+    this.syncPathHeadControls();
     
     // Initialize animation speed display
     const defaultDuration = this.animationEngine.state.duration / 1000;
@@ -202,6 +423,8 @@ class RoutePlotter {
     // Initialize UI Controller and Interaction Handler
     this.uiController = new UIController(this.elements, this.eventBus);
     this.interactionHandler = new InteractionHandler(this.canvas, this.eventBus);
+    this.contextMenu = new ContextMenu(this.eventBus);
+    this.updateRouteList();
     
     // Now that UIController is ready, set the initial slider value
     const defaultSpeed = this.animationEngine.state.speed || ANIMATION.DEFAULT_SPEED;
@@ -227,10 +450,12 @@ class RoutePlotter {
     
     // Set up AnimationEngine waypoint checking callback
     this.animationEngine.setWaypointCheckCallback((progress) => {
-      const majorWaypoints = this.getMajorWaypointPositions();
-      if (majorWaypoints.length > 0) {
-        this.checkForWaypointWait(progress, majorWaypoints);
-      }
+      this.getVisibleRoutes().forEach(route => {
+        const majorWaypoints = route.getMajorWaypointPositions();
+        if (majorWaypoints.length > 0) {
+          this.checkForWaypointWait(this.animationEngine.getRouteProgress(route.id, progress), majorWaypoints, route);
+        }
+      });
     });
     
     // Set up AnimationEngine event listeners
@@ -382,46 +607,9 @@ class RoutePlotter {
     // Style controls
     
     // Waypoint editor controls
-    // Segment color affects path rendering (requires recalculation)
-    this.elements.segmentColor.addEventListener('input', (e) => {
-      if (this.selectedWaypoint) {
-        this.selectedWaypoint.segmentColor = e.target.value;
-        this.eventBus.emit('waypoint:path-property-changed', this.selectedWaypoint);
-      }
-    });
-    
-    // Segment width affects path rendering (requires recalculation)
-    this.elements.segmentWidth.addEventListener('input', (e) => {
-      if (this.selectedWaypoint) {
-        this.selectedWaypoint.segmentWidth = parseFloat(e.target.value);
-        this.elements.segmentWidthValue.textContent = e.target.value;
-        this.eventBus.emit('waypoint:path-property-changed', this.selectedWaypoint);
-      }
-    });
-    
-    // Segment style affects path rendering (requires recalculation)
-    this.elements.segmentStyle.addEventListener('change', (e) => {
-      if (this.selectedWaypoint) {
-        this.selectedWaypoint.segmentStyle = e.target.value;
-        this.eventBus.emit('waypoint:path-property-changed', this.selectedWaypoint);
-      }
-    });
-    
-    // Path shape control (line, squiggle, randomised) - affects path generation
-    this.elements.pathShape.addEventListener('change', (e) => {
-      if (this.selectedWaypoint) {
-        this.selectedWaypoint.pathShape = e.target.value;
-        this.eventBus.emit('waypoint:path-property-changed', this.selectedWaypoint);
-      }
-    });
-    
-    // Marker style control (dot, square, flag, none) - visual only
-    this.elements.markerStyle.addEventListener('change', (e) => {
-      if (this.selectedWaypoint) {
-        this.selectedWaypoint.markerStyle = e.target.value;
-        this.eventBus.emit('waypoint:style-changed', this.selectedWaypoint);
-      }
-    });
+    // Segment color, width, style, path shape and the marker style, image size
+    // and anchor are applied by UIController through updateWaypointProperties(),
+    // so the dirty tracking sees them
     
     // Dot color and size controls - visual only, no path recalculation
     this.elements.dotColor.addEventListener('input', (e) => {
@@ -471,26 +659,25 @@ class RoutePlotter {
       }
     });
     
-    // Path Head Style Controls
-    this.elements.pathHeadStyle.addEventListener('change', (e) => {
-      this.styles.pathHead.style = e.target.value;
-      
-      // Show/hide custom image controls based on style selection
-      this.elements.customHeadControls.style.display = 
-        e.target.value === 'custom' ? 'block' : 'none';
-      
-      this.autoSave();
-    });
-    
-    this.elements.pathHeadColor.addEventListener('input', (e) => {
-      this.styles.pathHead.color = e.target.value;
-      this.autoSave();
+    // Custom marker image upload - stored on the waypoint as a data URL so it
+    // is saved with the project
+    this.elements.markerUploadBtn.addEventListener('click', () => {
+      this.elements.markerUpload.click();
     });
     
-    this.elements.pathHeadSize.addEventListener('input', (e) => {
-      this.styles.pathHead.size = parseInt(e.target.value);
-      this.elements.pathHeadSizeValue.textContent = e.target.value;
-      this.autoSave();
+    this.elements.markerUpload.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      const waypoint = this.selectedWaypoint;
+      e.target.value = ''; // Let the same file be picked again
+      if (!file || !waypoint) return;
+      
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        this.updateWaypointOrSelection(waypoint, { customImage: event.target.result, markerStyle: 'custom' });
+        this.elements.markerStyle.value = 'custom';
+        this.uiController?.updateMarkerControls(waypoint);
+      };
+      reader.readAsDataURL(file);
     });
     
     // Custom Path Head Image Upload
@@ -725,9 +912,7 @@ class RoutePlotter {
   endBatch() {
     this._batchMode = false;
     // Trigger single update for all batched changes
-    if (this.waypoints.length >= 2) {
-      this.calculatePath();
-    }
+    this.calculateAllPaths();
     this.updateWaypointList();
     this.autoSave();
     this.queueRender();
@@ -760,705 +945,2721 @@ class RoutePlotter {
     this.waypointsById.delete(waypoint.id);
   }
   
+  // ----- History-aware mutations -----
+  // Each helper applies a change and refreshes the state it touches, so the
+  // same helper serves the original edit and its undo/redo
+  
   /**
-   * Set up EventBus listeners for decoupled component communication
-   * Uses event-driven architecture to reduce tight coupling between methods
-   * Events are categorized by change type for optimal performance:
-   * - position-changed: Requires path recalculation (expensive)
-   * - style-changed: Only visual update needed (cheap)
-   * - path-property-changed: Affects path generation (medium cost)
+   * Select a waypoint (or clear the selection) and sync every view of it
+   * @param {Waypoint|null} waypoint - Waypoint to select
    */
-  setupEventBusListeners() {
-    // ========== WAYPOINT LIFECYCLE EVENTS ==========
+  setSelectedWaypoint(waypoint) {
+    this.setSelection(waypoint ? [waypoint] : []);
+  }
+  
+  /**
+   * Select several waypoints and sync every view of them
+   * The editor shows the primary waypoint; edits made there apply to all
+   * @param {Waypoint[]} waypoints - Waypoints to select
+   * @param {Waypoint|null} primary - Waypoint the editor shows (defaults to the last one)
+   */
+  setSelection(waypoints, primary = waypoints[waypoints.length - 1] || null) {
+    // Selecting a waypoint on another route makes that route the one being edited
+    const route = primary && this.getRouteForWaypoint(primary);
+    if (route && route !== this.activeRoute) {
+      this.activeRoute = route;
+      this.updateRouteList();
+    }
     
-    /**
-     * waypoint:added - New waypoint created
-     * Triggers: Full update pipeline (path, list, save, render)
-     * Skipped during batch mode for performance
-     */
-    this.eventBus.on('waypoint:added', (waypoint) => {
-      // Validate waypoint instance
-      if (!(waypoint instanceof Waypoint)) {
-        console.error('Invalid waypoint: not a Waypoint instance', waypoint);
-        return;
-      }
-      
-      // Add to ID lookup map for O(1) access
-      this._addWaypointToMap(waypoint);
-      
-      // Invalidate major waypoints cache
-      this._majorWaypointsCache = null;
-      
-      // Skip individual updates during batch operations
-      if (this._batchMode) return;
-      
-      if (this.waypoints.length >= 2) {
-        this.calculatePath(); // Only calculate if we have enough waypoints for a path
-      }
-      this.updateWaypointList();
-      this.autoSave();
-      this.queueRender(); // Batched render
+    this.selectedWaypoint = primary;
+    this.selectedWaypoints = [...new Set(waypoints)];
+    this.interactionHandler?.setSelectedWaypoint(primary);
+    this.interactionHandler?.setSelection(this.selectedWaypoints);
+    this.uiController?.updateWaypointEditor(primary, this.selectedWaypoints);
+    this.updateWaypointEditor();
+    this.updateWaypointList();
+    this.queueRender(); // Highlight selection
+  }
+  
+  /**
+   * Add a waypoint to the selection, or take it out if already selected
+   * @param {Waypoint} waypoint - Waypoint to toggle
+   */
+  toggleWaypointSelection(waypoint) {
+    if (this.selectedWaypoints.includes(waypoint)) {
+      const remaining = this.selectedWaypoints.filter(wp => wp !== waypoint);
+      this.setSelection(remaining, waypoint === this.selectedWaypoint ? undefined : this.selectedWaypoint);
+    } else {
+      this.setSelection([...this.selectedWaypoints, waypoint], waypoint);
+    }
+    this.announceSelection();
+  }
+  
+  /**
+   * Select the major waypoints between the primary selection and a waypoint (Shift-click in the list)
+   * @param {Waypoint} waypoint - End of the range
+   */
+  selectWaypointRange(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    if (!route) return;
+    
+    const majors = route.waypoints.filter(wp => wp.isMajor);
+    const anchor = majors.includes(this.selectedWaypoint) ? this.selectedWaypoint : waypoint;
+    const from = majors.indexOf(anchor);
+    const to = majors.indexOf(waypoint);
+    const range = majors.slice(Math.min(from, to), Math.max(from, to) + 1);
+    
+    // Keep the anchor as primary so further Shift-clicks extend from it
+    this.setSelection([...this.selectedWaypoints, ...range], anchor);
+    this.announceSelection();
+  }
+  
+  /**
+   * Select every waypoint inside a rubber band on the canvas
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} rect - Canvas pixels
+   * @param {boolean} additive - Add to the current selection instead of replacing it
+   */
+  selectWaypointsInRect(rect, additive) {
+    const inside = [];
+    this.routes.filter(route => route.isEditable()).forEach(route => {
+      route.waypoints.forEach(wp => {
+        const pos = this.imageToCanvas(wp.imgX, wp.imgY);
+        if (pos.x >= rect.minX && pos.x <= rect.maxX && pos.y >= rect.minY && pos.y <= rect.maxY) {
+          inside.push(wp);
+        }
+      });
     });
     
-    /**
-     * waypoint:deleted - Waypoint removed
-     * Triggers: Full update pipeline
-     */
-    this.eventBus.on('waypoint:deleted', (index) => {
-      // Invalidate major waypoints cache
-      this._majorWaypointsCache = null;
-      
-      if (this.waypoints.length >= 2) {
-        this.calculatePath();
-      } else {
-        this.pathPoints = []; // Clear path if too few waypoints
-      }
-      this.updateWaypointList();
-      this.updateWaypointEditor();
-      this.autoSave();
-      this.queueRender();
-    });
+    const waypoints = additive ? [...this.selectedWaypoints, ...inside] : inside;
+    // Prefer a major waypoint for the editor - minors have fewer settings
+    const primary = [...inside].reverse().find(wp => wp.isMajor) || inside[inside.length - 1] ||
+      (additive ? this.selectedWaypoint : null);
+    this.setSelection(waypoints, primary);
+    this.announceSelection();
+  }
+  
+  /**
+   * Take waypoints out of the selection (deleted, hidden or locked)
+   * @private
+   * @param {Function} predicate - Returns true for waypoints to drop
+   */
+  _deselectWaypoints(predicate) {
+    const remaining = this.selectedWaypoints.filter(wp => !predicate(wp));
+    if (remaining.length === this.selectedWaypoints.length) return;
     
-    /**
-     * waypoint:selected - Waypoint selected in UI
-     * Triggers: Only UI update
-     */
-    this.eventBus.on('waypoint:selected', (waypoint) => {
-      this.updateWaypointEditor();
-      this.queueRender(); // Highlight selection
-    });
+    this.setSelection(remaining, remaining.includes(this.selectedWaypoint) ? this.selectedWaypoint : undefined);
+  }
+  
+  /**
+   * Tell screen reader users how many waypoints are selected
+   */
+  announceSelection() {
+    const count = this.selectedWaypoints.length;
+    this.announce(count === 0 ? 'Selection cleared' : `${count} waypoint${count === 1 ? '' : 's'} selected`);
+  }
+  
+  /**
+   * Insert a waypoint at a position in a route
+   * @private
+   * @param {Waypoint} waypoint - Waypoint to insert
+   * @param {number} index - Array index to insert at
+   * @param {Route} route - Route to insert into
+   */
+  _insertWaypoint(waypoint, index, route = this.activeRoute) {
+    route.waypoints.splice(index, 0, waypoint);
+    this.eventBus.emit('waypoint:added', waypoint); // Map, cache, path, list, save, render
+  }
+  
+  /**
+   * Remove a waypoint from the route without recording history
+   * @private
+   * @param {Waypoint} waypoint - Waypoint to remove
+   * @returns {number} Index it was removed from, or -1 if not found
+   */
+  _removeWaypoint(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    if (!route) return -1;
     
-    // ========== WAYPOINT PROPERTY CHANGE EVENTS ==========
+    const index = route.waypoints.indexOf(waypoint);
+    route.waypoints.splice(index, 1);
+    this._removeWaypointFromMap(waypoint);
     
-    /**
-     * waypoint:position-changed - Waypoint moved/dragged
-     * MOST EXPENSIVE: Requires full path recalculation
-     * Note: During drag, path is calculated immediately for smooth feedback
-     * Event is only emitted on mouseup to trigger auto-save once
-     */
-    this.eventBus.on('waypoint:position-changed', (waypoint) => {
-      // Validate position bounds and clamp if needed
-      if (waypoint.imgX < 0 || waypoint.imgX > 1 || 
-          waypoint.imgY < 0 || waypoint.imgY > 1) {
-        console.warn('Waypoint position out of bounds, clamping:', waypoint.id);
-        waypoint.setPosition(waypoint.imgX, waypoint.imgY); // Uses Math.max/min internally
-      }
-      
-      this.calculatePath(); // Recalculate path with new position
-      this.updateWaypointList();
-      this.autoSave(); // Debounced in StorageService
-      this.queueRender();
-    });
+    // Drop it from the selection
+    this._deselectWaypoints(wp => wp === waypoint);
     
-    /**
-     * waypoint:style-changed - Visual properties changed
-     * LEAST EXPENSIVE: Only re-render, no path calculation needed
-     * Examples: dot color, dot size, marker style, beacon color, label
-     */
-    this.eventBus.on('waypoint:style-changed', (waypoint) => {
-      this.queueRender(); // Visual update only
-      this.autoSave();
-    });
+    // Triggers path recalc, UI update, save
+    this.eventBus.emit('waypoint:removed', index, route);
+    return index;
+  }
+  
+  /**
+   * Replace a route's whole waypoint array (reorder, clear-all undo, import)
+   * @private
+   * @param {Waypoint[]} waypoints - New waypoint order
+   * @param {Route} route - Route whose waypoints are replaced
+   */
+  _setWaypoints(waypoints, route = this.activeRoute) {
+    route.waypoints.forEach(wp => this._removeWaypointFromMap(wp));
+    route.waypoints = [...waypoints];
+    route.waypoints.forEach(wp => this._addWaypointToMap(wp));
+    route.invalidateCache();
     
-    /**
-     * waypoint:path-property-changed - Properties affecting path generation
-     * MEDIUM EXPENSE: Requires path recalculation
-     * Examples: segment color, segment width, segment style, path shape
-     */
-    this.eventBus.on('waypoint:path-property-changed', (waypoint) => {
-      this.calculatePath(); // Path appearance changed
-      this.autoSave();
-      this.queueRender();
+    this._deselectWaypoints(wp => !this.waypointsById.has(wp.id));
+    
+    this.calculatePath(route); // Clears the path if too few waypoints remain
+    this.updateWaypointList();
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  /**
+   * Move a waypoint without recording history
+   * @private
+   * @param {Waypoint} waypoint - Waypoint to move
+   * @param {number} imgX - Normalized X (0-1)
+   * @param {number} imgY - Normalized Y (0-1)
+   */
+  _setWaypointPosition(waypoint, imgX, imgY) {
+    waypoint.setPosition(imgX, imgY);
+    this.eventBus.emit('waypoint:position-updated', waypoint);
+  }
+  
+  /**
+   * Move several waypoints at once without recording history
+   * Paths are recalculated once rather than per waypoint
+   * @private
+   * @param {Map<Waypoint, {imgX: number, imgY: number}>} positions - New position per waypoint
+   */
+  _setWaypointPositions(positions) {
+    this.beginBatch();
+    positions.forEach(({ imgX, imgY }, waypoint) => waypoint.setPosition(imgX, imgY));
+    this.endBatch();
+  }
+  
+  /**
+   * Move a dragged group of waypoints without recording history
+   * Only their routes are recalculated; the waypoint list and autosave wait
+   * for waypoint:drag-ended, as they do when dragging a single waypoint
+   * @private
+   * @param {Map<Waypoint, {imgX: number, imgY: number}>} positions - New position per waypoint
+   */
+  _dragWaypointPositions(positions) {
+    const routes = new Set();
+    positions.forEach(({ imgX, imgY }, waypoint) => {
+      waypoint.setPosition(imgX, imgY);
+      routes.add(this.getRouteForWaypoint(waypoint));
     });
+    routes.forEach(route => {
+      if (route) this.calculatePath(route);
+    });
+    this.queueRender();
   }
   
   /**
-   * Set up AnimationEngine event listeners
-   * AnimationEngine emits events through EventBus with 'animation:' prefix
-   * Provides event-driven updates for animation state changes
-   * Performance optimization: React to engine events instead of polling
+   * Apply property edits to a waypoint as one undoable step
+   * Rapid edits of the same properties (sliders, color pickers) coalesce
+   * @param {Waypoint} waypoint - Waypoint to edit
+   * @param {Object} updates - Property values to apply
    */
-  setupAnimationEngineListeners() {
-    // Animation playback events - listen via EventBus
-    this.eventBus.on('animation:play', () => {
-      // Toggle button visibility: hide Play, show Pause
-      this.elements.playBtn.style.display = 'none';
-      this.elements.pauseBtn.style.display = 'inline-block';
-      this.announce('Playing animation');
+  updateWaypointProperties(waypoint, updates) {
+    const before = {};
+    Object.keys(updates).forEach(key => { before[key] = waypoint[key]; });
+    
+    this._applyWaypointValues(waypoint, updates);
+    
+    const keys = Object.keys(updates);
+    this.historyManager.record({
+      label: PROPERTY_LABELS[keys[0]] || keys[0],
+      undo: () => this._applyWaypointValues(waypoint, before),
+      redo: () => this._applyWaypointValues(waypoint, updates),
+      coalesceKey: `props:${waypoint.id}:${keys.join(',')}`
     });
+  }
+  
+  /**
+   * Apply an editor change to its waypoint, or to the whole selection when
+   * that waypoint is one of several selected
+   * @param {Waypoint} waypoint - Waypoint shown in the editor
+   * @param {Object} updates - Property values to apply
+   */
+  updateWaypointOrSelection(waypoint, updates) {
+    const bulk = this.selectedWaypoints.length > 1 && this.selectedWaypoints.includes(waypoint) &&
+      !Object.keys(updates).some(key => SINGLE_WAYPOINT_PROPERTIES.includes(key));
     
-    this.eventBus.on('animation:pause', () => {
-      // Toggle button visibility: show Play, hide Pause
-      this.elements.playBtn.style.display = 'inline-block';
-      this.elements.pauseBtn.style.display = 'none';
-      this.announce('Animation paused');
+    if (bulk) {
+      this.updateSelectionProperties(updates);
+    } else {
+      this.updateWaypointProperties(waypoint, updates);
+    }
+  }
+  
+  /**
+   * Apply property edits to every selected waypoint as one undoable step
+   * Major-only properties (markers, beacons, labels, pauses) skip minor waypoints
+   * @param {Object} updates - Property values to apply
+   */
+  updateSelectionProperties(updates) {
+    const keys = Object.keys(updates);
+    const majorOnly = keys.some(key => MAJOR_ONLY_PROPERTIES.includes(key));
+    const targets = this.selectedWaypoints.filter(wp => !majorOnly || wp.isMajor);
+    if (targets.length === 0) return;
+    
+    const before = new Map();
+    const after = new Map();
+    targets.forEach(wp => {
+      const values = {};
+      keys.forEach(key => { values[key] = wp[key]; });
+      before.set(wp, values);
+      after.set(wp, updates);
     });
     
-    this.eventBus.on('animation:complete', () => {
-      // Show Play button when complete
-      this.elements.playBtn.style.display = 'inline-block';
-      this.elements.pauseBtn.style.display = 'none';
-      this.announce('Animation complete');
+    this._applyWaypointValuesBulk(after);
+    this.historyManager.record({
+      label: `${PROPERTY_LABELS[keys[0]] || keys[0]} of ${targets.length} waypoints`,
+      undo: () => this._applyWaypointValuesBulk(before),
+      redo: () => this._applyWaypointValuesBulk(after),
+      coalesceKey: `props:${targets.map(wp => wp.id).join(',')}:${keys.join(',')}`
     });
-    
-    this.eventBus.on('animation:reset', () => {
-      const timestamp = performance.now().toFixed(2);
-      // Show Play button when reset
-      this.elements.playBtn.style.display = 'inline-block';
-      this.elements.pauseBtn.style.display = 'none';
-      this.announce('Animation reset');
-      
-      // CRITICAL FIX: Update slider to match preserved speed after reset
-      const preservedSpeed = this.animationEngine.state.speed;
-      console.log(`🔧 [${timestamp}ms] [animation:reset] Syncing slider to preserved speed:`, preservedSpeed);
-      console.trace('Reset origin');
-      
-      // CRITICAL FIX #2: Recalculate duration based on preserved speed and path length
-      if (this.pathPoints && this.pathPoints.length > 0) {
-        const totalLength = this.pathCalculator.calculatePathLength(this.pathPoints);
-        const totalDuration = (totalLength / preservedSpeed) * 1000;
-        console.log(`📏 [${timestamp}ms] [animation:reset] Recalculating duration - length:`, totalLength.toFixed(1), 'speed:', preservedSpeed, 'duration:', (totalDuration/1000).toFixed(1) + 's');
-        this.animationEngine.setDuration(totalDuration);
-        
-        const durationSec = Math.round(totalDuration / 100) / 10; // Round to 1 decimal
-        this.elements.animationSpeedValue.textContent = durationSec + 's';
-      }
-      
-      // Use event to avoid feedback loop
-      this.eventBus.emit('ui:slider:update-speed', preservedSpeed);
+  }
+  
+  /**
+   * Make every selected waypoint the opposite type of the one in the editor
+   * (so a mixed selection ends up all major or all minor) as one undoable step
+   * @param {Waypoint} waypoint - Waypoint shown in the editor
+   */
+  toggleSelectionType(waypoint) {
+    const makeMajor = !waypoint.isMajor;
+    const keys = ['isMajor', 'labelMode', 'beaconStyle', 'pauseMode', 'dotSize'];
+    const before = new Map();
+    const after = new Map();
+    
+    this.selectedWaypoints.filter(wp => wp.isMajor !== makeMajor).forEach(wp => {
+      const probe = wp.clone();
+      probe.toggleType();
+      const from = {};
+      const to = {};
+      keys.forEach(key => {
+        from[key] = wp[key];
+        to[key] = probe[key];
+      });
+      before.set(wp, from);
+      after.set(wp, to);
     });
+    if (after.size === 0) return;
     
-    // Waypoint wait events
-    this.eventBus.on('animation:waypointWaitEnd', (waypointIndex) => {
-      console.log('Wait complete at waypoint', waypointIndex);
-      this.announce('Continuing animation');
+    this._applyWaypointValuesBulk(after);
+    this.historyManager.record({
+      label: 'waypoint types',
+      undo: () => this._applyWaypointValuesBulk(before),
+      redo: () => this._applyWaypointValuesBulk(after)
     });
+    this.announce(`${after.size} waypoint${after.size === 1 ? ' is' : 's are'} now ${makeMajor ? 'major' : 'minor'}`);
   }
   
   /**
-   * Set up event connections for UI Controller and Interaction Handler
+   * Apply property values to several waypoints with a single refresh
+   * @private
+   * @param {Map<Waypoint, Object>} valuesByWaypoint - Values to apply to each waypoint
    */
-  setupControllerEventConnections() {
-    // Background events from UIController
-    this.eventBus.on('background:upload', (file) => {
-      this.loadImageFile(file).then(img => {
-        this.background.image = img;
-        this.updateImageTransform(img);
-        if (this.waypoints.length >= 2) {
-          this.calculatePath();
-        }
-        this.render();
-        this.autoSave();
-      });
-    });
-    
-    this.eventBus.on('background:overlay-change', (value) => {
-      this.background.overlay = value;
-      this.render();
-      this.autoSave();
+  _applyWaypointValuesBulk(valuesByWaypoint) {
+    this.beginBatch();
+    valuesByWaypoint.forEach((values, waypoint) => this._applyWaypointValues(waypoint, values));
+    this.endBatch();
+    
+    // Undo/redo may restore mixed values - rebuild the editor; live edits only refresh the mixed markers
+    if (this.historyManager.isApplying() || [...valuesByWaypoint.values()].some(values => 'isMajor' in values)) {
+      this.setSelection(this.selectedWaypoints, this.selectedWaypoint);
+    } else {
+      this.uiController?.showSelectionValues(this.selectedWaypoints);
+    }
+  }
+  
+  /**
+   * Toggle a waypoint between major and minor as one undoable step
+   * @param {Waypoint} waypoint - Waypoint to toggle
+   */
+  toggleWaypointType(waypoint) {
+    // Properties Waypoint.toggleType() may rewrite
+    const keys = ['isMajor', 'labelMode', 'beaconStyle', 'pauseMode', 'dotSize'];
+    const before = {};
+    keys.forEach(key => { before[key] = waypoint[key]; });
+    
+    const probe = waypoint.clone();
+    probe.toggleType();
+    const after = {};
+    keys.forEach(key => { after[key] = probe[key]; });
+    
+    this._applyWaypointValues(waypoint, after);
+    this.historyManager.record({
+      label: 'waypoint type',
+      undo: () => this._applyWaypointValues(waypoint, before),
+      redo: () => this._applyWaypointValues(waypoint, after)
     });
+    this.announce(`Waypoint is now ${waypoint.isMajor ? 'major' : 'minor'}`);
+  }
+  
+  /**
+   * Apply property values to a waypoint and refresh only what they affect
+   * Uses the waypoint's dirty tracking to pick the cheapest update
+   * @private
+   * @param {Waypoint} waypoint - Waypoint to update
+   * @param {Object} values - Property values to apply
+   */
+  _applyWaypointValues(waypoint, values) {
+    waypoint.update(values);
+    const dirty = waypoint.getDirtyProps();
+    const route = this.getRouteForWaypoint(waypoint);
     
-    this.eventBus.on('background:mode-change', (mode) => {
-      this.background.fit = mode;
-      this.coordinateTransform.fitMode = mode;
-      this.updateImageTransform(this.background.image);
-      this.render();
-      this.autoSave();
-    });
+    if (dirty.includes('isMajor')) {
+      route?.invalidateCache();
+    }
     
-    // Animation control events from UIController
-    // NOTE: These are command events from UI, NOT the state events emitted by AnimationEngine
-    // AnimationEngine emits 'play', 'pause', etc. internally - we listen to those in setupAnimationEngineListeners()
-    // These listeners are for UI button clicks, keyboard shortcuts, etc.
-    this.eventBus.on('ui:animation:play', () => {
-      console.log('▶️  [UI Event] ui:animation:play - progress:', this.animationEngine.getProgress());
-      // If animation is at 100%, restart from beginning
-      if (this.animationEngine.getProgress() >= 1.0) {
-        console.log('🔄 [UI Event] Progress at 100%, calling reset()');
-        this.animationEngine.reset();
-      }
-      this.animationEngine.play();
-    });
-    this.eventBus.on('ui:animation:pause', () => this.animationEngine.pause());
-    this.eventBus.on('ui:animation:skip-start', () => {
-      console.log('⏪ [UI Event] ui:animation:skip-start - calling reset()');
-      this.animationEngine.reset();
-    });
-    this.eventBus.on('ui:animation:skip-end', () => this.animationEngine.seekToProgress(1.0));
-    this.eventBus.on('ui:animation:seek', (progress) => this.animationEngine.seekToProgress(progress));
-    this.eventBus.on('animation:speed-change', (speed) => {
-      const timestamp = performance.now().toFixed(2);
-      console.log(`🎯 [${timestamp}ms] [Event] animation:speed-change - new speed:`, speed, 'px/s');
-      console.trace('Speed change origin');
-      
-      this.animationEngine.setSpeed(speed);
-      
-      // Calculate and display total duration based on path length
-      if (this.pathPoints && this.pathPoints.length > 0) {
-        const totalLength = this.pathCalculator.calculatePathLength(this.pathPoints);
-        const totalDuration = (totalLength / speed) * 1000;
-        console.log('📏 [Event] Recalculating duration - length:', totalLength.toFixed(1), 'speed:', speed, 'duration:', (totalDuration/1000).toFixed(1) + 's');
-        this.animationEngine.setDuration(totalDuration);
-        
-        const durationSec = Math.round(totalDuration / 100) / 10; // Round to 1 decimal
-        this.elements.animationSpeedValue.textContent = durationSec + 's';
-      } else {
-        // No path yet, show estimate
-        const estimatedDuration = 10000 / speed * this.animationEngine.state.speed;
-        const durationSec = Math.round(estimatedDuration / 100) / 10;
-        this.elements.animationSpeedValue.textContent = durationSec + 's';
-      }
-      
-      this.updateTimeDisplay();
-      this.autoSave();
-    });
-    this.eventBus.on('ui:animation:toggle', () => {
-      if (this.animationEngine.state.isPlaying) {
-        this.animationEngine.pause();
-      } else {
-        this.animationEngine.play();
-      }
-    });
+    // The route's cached path layer has the old segment style baked in
+    if (route && (waypoint.isPathStyleChange() || dirty.includes('isMajor'))) {
+      this.renderingService.invalidatePath(route.id);
+    }
     
-    // Playback speed events from InteractionHandler
-    this.eventBus.on('animation:speed-decrease', () => {
-      const current = this.animationEngine.state.playbackSpeed;
-      this.animationEngine.setPlaybackSpeed(Math.max(0.1, current - 0.1));
-    });
+    // Bulk edits refresh once, in endBatch()
+    if (this._batchMode) {
+      waypoint.clearDirtyProps();
+      return;
+    }
     
-    this.eventBus.on('animation:speed-reset', () => {
-      this.animationEngine.setPlaybackSpeed(1.0);
-    });
+    if (dirty.includes('isMajor') || dirty.includes('label')) {
+      this.updateWaypointList();
+    }
     
-    this.eventBus.on('animation:speed-increase', () => {
-      const current = this.animationEngine.state.playbackSpeed;
-      this.animationEngine.setPlaybackSpeed(Math.min(10, current + 0.1));
-    });
+    if (route && (waypoint.isPathChange() || waypoint.isPositionChange() || dirty.includes('isMajor'))) {
+      this.calculatePath(route);
+    }
     
-    // Waypoint events from InteractionHandler
-    this.eventBus.on('waypoint:add', (data) => {
-      const waypoint = data.isMajor ? 
-        Waypoint.createMajor(data.imgX, data.imgY) : 
-        Waypoint.createMinor(data.imgX, data.imgY);
-      
-      // Copy properties from last waypoint if exists
-      if (this.waypoints.length > 0) {
-        const lastWaypoint = this.waypoints[this.waypoints.length - 1];
-        waypoint.copyPropertiesFrom(lastWaypoint);
-      }
-      
-      this.waypoints.push(waypoint);
-      this._addWaypointToMap(waypoint);
-      this.eventBus.emit('waypoint:added', waypoint);
-    });
+    // Leg speeds and durations reshape the timeline but not the path
+    if (waypoint.isTimingChange()) {
+      this.updateRouteTimeline();
+      this.updateTimeDisplay();
+    }
+    waypoint.clearDirtyProps();
     
-    this.eventBus.on('waypoint:position-changed', (data) => {
-      const { waypoint, imgX, imgY, isDragging } = data;
-      waypoint.imgX = imgX;
-      waypoint.imgY = imgY;
-      
-      if (!isDragging) {
-        this.autoSave();
-      }
-      
-      this.eventBus.emit('waypoint:position-updated', waypoint);
-    });
+    // Keep the editor in step when undo/redo touches the selected waypoint
+    if (this.historyManager.isApplying() && this.selectedWaypoints.includes(waypoint)) {
+      this.setSelection(this.selectedWaypoints, this.selectedWaypoint);
+    }
     
-    this.eventBus.on('waypoint:selected', (waypoint) => {
-      this.selectedWaypoint = waypoint;
-      this.interactionHandler?.setSelectedWaypoint(waypoint);
-      this.uiController?.updateWaypointEditor(waypoint);
-      this.updateWaypointList();
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  /**
+   * Set a global path head style property as one undoable step
+   * @param {string} key - pathHead property (style, color, size, rotationMode, smoothing, spriteFrames)
+   * @param {*} value - New value
+   * @param {string} label - Announced description of the change
+   */
+  updatePathHeadStyle(key, value, label) {
+    const previous = this.styles.pathHead[key];
+    this._applyPathHeadStyle(key, value);
+    this.historyManager.record({
+      label,
+      undo: () => this._applyPathHeadStyle(key, previous),
+      redo: () => this._applyPathHeadStyle(key, value),
+      coalesceKey: `pathhead:${key}`
     });
+  }
+  
+  /**
+   * Apply a path head style property and sync its control
+   * @private
+   */
+  _applyPathHeadStyle(key, value) {
+    this.styles.pathHead[key] = value;
+    this.syncPathHeadControls();
+    this.render();
+    this.autoSave();
+  }
+  
+  /**
+   * Show the global path head style in its controls
+   * The image controls show for custom images and sprite sheets
+   */
+  syncPathHeadControls() {
+    const pathHead = this.styles.pathHead;
+    const smoothing = pathHead.smoothing ?? PATH_HEAD.DEFAULT_SMOOTHING;
+    this.elements.pathHeadStyle.value = pathHead.style;
+    this.elements.pathHeadColor.value = pathHead.color;
+    this.elements.pathHeadSize.value = pathHead.size;
+    this.elements.pathHeadSizeValue.textContent = pathHead.size;
+    this.elements.pathHeadRotation.value = pathHead.rotationMode || PATH_HEAD.DEFAULT_ROTATION_MODE;
+    this.elements.pathHeadSmoothing.value = smoothing;
+    this.elements.pathHeadSmoothingValue.textContent = smoothing > 0 ? `${smoothing}px` : 'Off';
+    this.elements.pathHeadFrames.value = pathHead.spriteFrames || PATH_HEAD.DEFAULT_SPRITE_FRAMES;
+    
+    const image = pathHead.style === 'custom' || pathHead.style === 'sprite';
+    this.elements.customHeadControls.style.display = image ? 'block' : 'none';
+    this.elements.spriteFramesControl.style.display = pathHead.style === 'sprite' ? '' : 'none';
+  }
+  
+  /**
+   * Set (or clear) the background image
+   * @param {HTMLImageElement|null} img - Image to show
+   */
+  setBackgroundImage(img) {
+    this.background.image = img;
+    this.updateImageTransform(img);
+    // A new map starts fully in view
+    this.coordinateTransform.resetView();
+    this.uiController?.updateZoomDisplay(1);
+    // Recalculate path with proper image bounds
+    this.calculateAllPaths();
+    this.render();
+    this.autoSave();
+  }
+  
+  /**
+   * Set the background overlay amount and sync its control
+   * @param {number} value - -100 (black) .. 0 (none) .. 100 (white)
+   */
+  setBackgroundOverlay(value) {
+    this.background.overlay = value;
+    this.elements.bgOverlay.value = value;
+    this.elements.bgOverlayValue.textContent = value;
+    this.render();
+    this.autoSave();
+  }
+  
+  /**
+   * Set the background fit mode and sync the toggle button
+   * @param {string} mode - 'fit' | 'fill'
+   */
+  setBackgroundFit(mode) {
+    this.background.fit = mode;
+    this.coordinateTransform.fitMode = mode;
+    this.elements.bgFitToggle.dataset.mode = mode;
+    this.elements.bgFitToggle.textContent = mode === 'fit' ? 'Fit' : 'Fill';
+    this.updateImageTransform(this.background.image);
+    // Waypoints are repositioned on screen, so the path must follow
+    this.calculateAllPaths();
+    this.render();
+    this.autoSave();
+  }
+  
+  // ----- Routes -----
+  // Editing (waypoint list, clicks, import) works on the active route;
+  // rendering, playback and export cover every visible route
+  
+  get waypoints() {
+    return this.activeRoute.waypoints;
+  }
+  
+  set waypoints(waypoints) {
+    this.activeRoute.waypoints = waypoints;
+  }
+  
+  get pathPoints() {
+    return this.activeRoute.pathPoints;
+  }
+  
+  set pathPoints(pathPoints) {
+    this.activeRoute.setPath(pathPoints);
+  }
+  
+  /**
+   * Find the route a waypoint belongs to
+   * @param {Waypoint} waypoint - Waypoint to look up
+   * @returns {Route|undefined}
+   */
+  getRouteForWaypoint(waypoint) {
+    return this.routes.find(route => route.waypoints.includes(waypoint));
+  }
+  
+  /**
+   * Routes that are drawn, animated and exported
+   * @returns {Route[]} In drawing order
+   */
+  getVisibleRoutes() {
+    return this.routes.filter(route => route.visible);
+  }
+  
+  /**
+   * Check if any visible route has a path to draw
+   * @returns {boolean}
+   */
+  hasRouteToDraw() {
+    return this.getVisibleRoutes().some(route => route.hasPath());
+  }
+  
+  /**
+   * Make a route the one being edited
+   * @param {Route} route - Route to edit
+   */
+  setActiveRoute(route) {
+    if (route === this.activeRoute || !this.routes.includes(route)) return;
     
-    this.eventBus.on('waypoint:deleted', (waypoint) => {
-      this.deleteWaypoint(waypoint);
-    });
+    this.activeRoute = route;
+    if (this.selectedWaypoint && !route.waypoints.includes(this.selectedWaypoint)) {
+      this.setSelection([]);
+    }
+    this.updateRouteList();
+    this.updateWaypointList();
+    this.autoSave();
+    this.queueRender();
+    this.announce(`Editing ${route.name}`);
+  }
+  
+  /**
+   * Add an empty route after the others and start editing it
+   */
+  addRoute() {
+    let number = this.routes.length + 1;
+    while (this.routes.some(route => route.name === `Route ${number}`)) number++;
     
-    this.eventBus.on('waypoint:delete-selected', () => {
-      if (this.selectedWaypoint) {
-        this.deleteWaypoint(this.selectedWaypoint);
-        this.selectedWaypoint = null;
-      }
+    const route = new Route({
+      name: `Route ${number}`,
+      color: ROUTES.COLORS[this.routes.length % ROUTES.COLORS.length]
     });
+    const index = this.routes.length;
     
-    this.eventBus.on('waypoints:clear-all', () => {
-      this.clearAll();
+    this._insertRoute(route, index);
+    this.historyManager.record({
+      label: 'add route',
+      undo: () => this._removeRoute(route),
+      redo: () => this._insertRoute(route, index)
     });
+    this.setActiveRoute(route);
+  }
+  
+  /**
+   * Delete a route and its waypoints as one undoable step
+   * @param {Route} route - Route to delete
+   */
+  deleteRoute(route) {
+    if (this.routes.length <= 1) {
+      this.announce('A project needs at least one route', 'assertive');
+      return;
+    }
     
-    // Waypoint reordering from UIController drag-and-drop
-    this.eventBus.on('waypoints:reordered', (newOrder) => {
-      // Find all major waypoints and update their order
-      const allWaypoints = [...this.waypoints];
-      const minorWaypoints = allWaypoints.filter(wp => !wp.isMajor);
-      
-      // Rebuild waypoints array with new major order, keeping minors in place
-      this.waypoints = [];
-      let majorIndex = 0;
-      
-      allWaypoints.forEach(wp => {
-        if (wp.isMajor) {
-          this.waypoints.push(newOrder[majorIndex]);
-          majorIndex++;
-        } else {
-          this.waypoints.push(wp);
-        }
+    const index = this._removeRoute(route);
+    if (index > -1) {
+      this.historyManager.record({
+        label: 'delete route',
+        undo: () => this._insertRoute(route, index),
+        redo: () => this._removeRoute(route)
       });
-      
-      // Recalculate path and update
-      if (this.waypoints.length >= 2) {
-        this.calculatePath();
-      }
+      this.announce(`${route.name} deleted`);
+    }
+  }
+  
+  /**
+   * Insert a route into the project
+   * @private
+   * @param {Route} route - Route to insert
+   * @param {number} index - Position in drawing order
+   */
+  _insertRoute(route, index) {
+    this.routes.splice(index, 0, route);
+    route.waypoints.forEach(wp => this._addWaypointToMap(wp));
+    route.invalidateCache();
+    
+    this.calculatePath(route);
+    this.updateRouteList();
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  /**
+   * Remove a route from the project without recording history
+   * @private
+   * @param {Route} route - Route to remove
+   * @returns {number} Index it was removed from, or -1 if not found
+   */
+  _removeRoute(route) {
+    const index = this.routes.indexOf(route);
+    if (index === -1 || this.routes.length <= 1) return -1;
+    
+    this.routes.splice(index, 1);
+    route.waypoints.forEach(wp => this._removeWaypointFromMap(wp));
+    this.renderingService.invalidatePath(route.id);
+    
+    this._deselectWaypoints(wp => route.waypoints.includes(wp));
+    if (this.activeRoute === route) {
+      this.activeRoute = this.routes[Math.min(index, this.routes.length - 1)];
       this.updateWaypointList();
-      this.autoSave();
-      this.render();
-    });
+    }
     
-    // Coordinate conversion callbacks
-    this.eventBus.on('coordinate:canvas-to-image', (data, callback) => {
-      const result = this.canvasToImage(data.canvasX, data.canvasY);
-      if (callback) callback(result);
+    this.updateRouteTimeline();
+    this.updateRouteList();
+    this.autoSave();
+    this.queueRender();
+    return index;
+  }
+  
+  /**
+   * Apply route property edits (name, visibility, lock, start) as one undoable step
+   * @param {Route} route - Route to edit
+   * @param {Object} updates - Property values to apply
+   */
+  updateRouteProperties(route, updates) {
+    const before = {};
+    Object.keys(updates).forEach(key => { before[key] = route[key]; });
+    
+    this._applyRouteValues(route, updates);
+    
+    const keys = Object.keys(updates);
+    this.historyManager.record({
+      label: ROUTE_PROPERTY_LABELS[keys[0]] || keys[0],
+      undo: () => this._applyRouteValues(route, before),
+      redo: () => this._applyRouteValues(route, updates),
+      coalesceKey: `route:${route.id}:${keys.join(',')}`
     });
+  }
+  
+  /**
+   * Apply property values to a route and refresh what they affect
+   * @private
+   * @param {Route} route - Route to update
+   * @param {Object} values - Property values to apply
+   */
+  _applyRouteValues(route, values) {
+    route.update(values);
     
-    this.eventBus.on('coordinate:image-to-canvas', (data, callback) => {
-      const result = this.imageToCanvas(data.imgX, data.imgY);
-      if (callback) callback(result);
-    });
+    // Hidden and locked routes can't be edited on the canvas
+    if (!route.isEditable()) {
+      this._deselectWaypoints(wp => route.waypoints.includes(wp));
+    }
     
-    this.eventBus.on('waypoint:check-at-position', (pos, callback) => {
-      const waypoint = this.findWaypointAt(pos.x, pos.y);
-      if (callback) callback(waypoint);
+    // Hidden routes leave the timeline; start mode moves routes along it
+    if ('visible' in values || 'startMode' in values) {
+      this.updateRouteTimeline();
+      this.updateTimeDisplay();
+    }
+    
+    this.updateRouteList();
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  /**
+   * Recolor a route and its waypoints as one undoable step
+   * Rapid changes (color picker drags) coalesce
+   * @param {Route} route - Route to recolor
+   * @param {string} color - New color
+   */
+  updateRouteColor(route, color) {
+    const previous = route.color;
+    const before = new Map(route.waypoints.map(wp => [wp, {
+      segmentColor: wp.segmentColor,
+      dotColor: wp.dotColor,
+      beaconColor: wp.beaconColor
+    }]));
+    
+    this._applyRouteColor(route, color);
+    this.historyManager.record({
+      label: 'route color',
+      undo: () => this._applyRouteColor(route, previous, before),
+      redo: () => this._applyRouteColor(route, color),
+      coalesceKey: `route:${route.id}:color`
+    });
+  }
+  
+  /**
+   * Set a route's color and its waypoints' colors
+   * @private
+   * @param {Route} route - Route to recolor
+   * @param {string} color - Route color
+   * @param {Map<Waypoint, Object>|null} waypointColors - Per-waypoint colors to restore
+   *   (waypoints not in the map take the route color)
+   */
+  _applyRouteColor(route, color, waypointColors = null) {
+    route.update({ color });
+    route.waypoints.forEach(wp => {
+      wp.update(waypointColors?.get(wp) || { segmentColor: color, dotColor: color, beaconColor: color });
+      if (wp.isPathStyleChange()) this.renderingService.invalidatePath(route.id);
+      wp.clearDirtyProps();
     });
     
-    // Help events
-    this.eventBus.on('help:toggle', () => {
-      if (this.elements.splash.style.display === 'none' || 
-          this.elements.splash.style.display === '') {
-        this.showSplash();
+    if (this.selectedWaypoints.some(wp => route.waypoints.includes(wp))) {
+      this.setSelection(this.selectedWaypoints, this.selectedWaypoint); // Refresh editor colors
+    }
+    this.updateRouteList();
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  /**
+   * Refresh the route list in the sidebar
+   */
+  updateRouteList() {
+    this.uiController?.updateRouteList(this.routes, this.activeRoute);
+  }
+  
+  /**
+   * Set up EventBus listeners for decoupled component communication
+   * Uses event-driven architecture to reduce tight coupling between methods
+   * Events are categorized by change type for optimal performance:
+   * - position-changed: Requires path recalculation (expensive)
+   * - style-changed: Only visual update needed (cheap)
+   * - path-property-changed: Affects path generation (medium cost)
+   */
+  setupEventBusListeners() {
+    // ========== WAYPOINT LIFECYCLE EVENTS ==========
+    
+    /**
+     * waypoint:added - New waypoint created
+     * Triggers: Full update pipeline (path, list, save, render)
+     * Skipped during batch mode for performance
+     */
+    this.eventBus.on('waypoint:added', (waypoint) => {
+      // Validate waypoint instance
+      if (!(waypoint instanceof Waypoint)) {
+        console.error('Invalid waypoint: not a Waypoint instance', waypoint);
+        return;
+      }
+      
+      // Add to ID lookup map for O(1) access
+      this._addWaypointToMap(waypoint);
+      
+      // Invalidate major waypoints cache
+      const route = this.getRouteForWaypoint(waypoint);
+      route?.invalidateCache();
+      
+      // Skip individual updates during batch operations
+      if (this._batchMode || !route) return;
+      
+      if (route.hasPath()) {
+        this.calculatePath(route); // Only calculate if we have enough waypoints for a path
+      }
+      this.updateWaypointList();
+      this.autoSave();
+      this.queueRender(); // Batched render
+    });
+    
+    /**
+     * waypoint:removed - Waypoint taken out of the route (delete or undo of add)
+     * Triggers: Full update pipeline
+     */
+    this.eventBus.on('waypoint:removed', (index, route = this.activeRoute) => {
+      // Invalidate major waypoints cache
+      route.invalidateCache();
+      
+      this.calculatePath(route); // Clears the path if too few waypoints remain
+      this.updateWaypointList();
+      this.updateWaypointEditor();
+      this.autoSave();
+      this.queueRender();
+    });
+    
+    // ========== WAYPOINT PROPERTY CHANGE EVENTS ==========
+    
+    /**
+     * waypoint:position-updated - Waypoint moved/dragged
+     * MOST EXPENSIVE: Requires full path recalculation
+     * Note: During drag, path is calculated immediately for smooth feedback
+     * Emitted after the new position has been applied to the waypoint
+     */
+    this.eventBus.on('waypoint:position-updated', (waypoint) => {
+      // Validate position bounds and clamp if needed
+      if (waypoint.imgX < 0 || waypoint.imgX > 1 || 
+          waypoint.imgY < 0 || waypoint.imgY > 1) {
+        console.warn('Waypoint position out of bounds, clamping:', waypoint.id);
+        waypoint.setPosition(waypoint.imgX, waypoint.imgY); // Uses Math.max/min internally
+      }
+      
+      this.calculatePath(this.getRouteForWaypoint(waypoint)); // Recalculate path with new position
+      this.updateWaypointList();
+      this.autoSave(); // Debounced in StorageService
+      this.queueRender();
+    });
+    
+    /**
+     * waypoint:style-changed - Visual properties changed
+     * LEAST EXPENSIVE: Only re-render, no path calculation needed
+     * Examples: dot color, dot size, marker style, beacon color, label
+     */
+    this.eventBus.on('waypoint:style-changed', ({ waypoint, property, value }) => {
+      const updates = { [property]: value };
+      
+      // Pause mode follows the pause time (no separate control)
+      if (property === 'pauseTime') {
+        updates.pauseMode = value > 0 ? 'timed' : 'none';
+      }
+      
+      this.updateWaypointOrSelection(waypoint, updates);
+    });
+    
+    /**
+     * waypoint:path-property-changed - Properties affecting path generation
+     * MEDIUM EXPENSE: Requires path recalculation
+     * Examples: segment color, segment width, segment style, path shape
+     */
+    this.eventBus.on('waypoint:path-property-changed', ({ waypoint, property, value }) => {
+      this.updateWaypointOrSelection(waypoint, { [property]: value });
+    });
+    
+    /**
+     * waypoint:timing-changed - Leg speed multiplier, fixed leg duration or leg curve
+     * MEDIUM EXPENSE: Rebuilds the route timeline, the path is unchanged
+     */
+    this.eventBus.on('waypoint:timing-changed', ({ waypoint, property, value }) => {
+      this.updateWaypointOrSelection(waypoint, { [property]: value });
+    });
+    
+    // ========== HISTORY EVENTS ==========
+    
+    /**
+     * history:undo / history:redo - Ctrl+Z, Ctrl+Shift+Z or header buttons
+     * Each command refreshes whatever state it touches when applied
+     */
+    this.eventBus.on('history:undo', () => {
+      const command = this.historyManager.undo();
+      this.announce(command ? `Undid ${command.label}` : 'Nothing to undo');
+    });
+    
+    this.eventBus.on('history:redo', () => {
+      const command = this.historyManager.redo();
+      this.announce(command ? `Redid ${command.label}` : 'Nothing to redo');
+    });
+    
+    this.eventBus.on('history:changed', (state) => {
+      this.uiController?.updateHistoryControls(state);
+    });
+  }
+  
+  /**
+   * Set up AnimationEngine event listeners
+   * AnimationEngine emits events through EventBus with 'animation:' prefix
+   * Provides event-driven updates for animation state changes
+   * Performance optimization: React to engine events instead of polling
+   */
+  setupAnimationEngineListeners() {
+    // Animation playback events - listen via EventBus
+    this.eventBus.on('animation:play', () => {
+      // Toggle button visibility: hide Play, show Pause
+      this.elements.playBtn.style.display = 'none';
+      this.elements.pauseBtn.style.display = 'inline-block';
+      this.announce('Playing animation');
+    });
+    
+    this.eventBus.on('animation:pause', () => {
+      // Toggle button visibility: show Play, hide Pause
+      this.elements.playBtn.style.display = 'inline-block';
+      this.elements.pauseBtn.style.display = 'none';
+      this.announce('Animation paused');
+    });
+    
+    this.eventBus.on('animation:complete', () => {
+      // Show Play button when complete
+      this.elements.playBtn.style.display = 'inline-block';
+      this.elements.pauseBtn.style.display = 'none';
+      this.announce('Animation complete');
+    });
+    
+    this.eventBus.on('animation:reset', () => {
+      const timestamp = performance.now().toFixed(2);
+      // Show Play button when reset
+      this.elements.playBtn.style.display = 'inline-block';
+      this.elements.pauseBtn.style.display = 'none';
+      this.announce('Animation reset');
+      
+      // CRITICAL FIX: Update slider to match preserved speed after reset
+      const preservedSpeed = this.animationEngine.state.speed;
+      console.log(`🔧 [${timestamp}ms] [animation:reset] Syncing slider to preserved speed:`, preservedSpeed);
+      console.trace('Reset origin');
+      
+      // CRITICAL FIX #2: Recalculate duration based on preserved speed and path length
+      if (this.hasRouteToDraw()) {
+        const totalDuration = this.updateRouteTimeline();
+        console.log(`📏 [${timestamp}ms] [animation:reset] Recalculated duration - speed:`, preservedSpeed, 'duration:', (totalDuration/1000).toFixed(1) + 's');
+      }
+      
+      // Use event to avoid feedback loop
+      this.eventBus.emit('ui:slider:update-speed', preservedSpeed);
+    });
+    
+    // Waypoint wait events
+    this.eventBus.on('animation:waypointWaitEnd', (waypointIndex) => {
+      console.log('Wait complete at waypoint', waypointIndex);
+      this.announce('Continuing animation');
+    });
+  }
+  
+  /**
+   * Set up event connections for UI Controller and Interaction Handler
+   */
+  setupControllerEventConnections() {
+    // Background events from UIController
+    this.eventBus.on('background:upload', (file) => {
+      this.loadImageFile(file).then(img => {
+        const previous = this.background.image;
+        this.setBackgroundImage(img);
+        this.historyManager.record({
+          label: 'background image',
+          undo: () => this.setBackgroundImage(previous),
+          redo: () => this.setBackgroundImage(img)
+        });
+        this.announce('Background image loaded');
+      });
+    });
+    
+    this.eventBus.on('background:overlay-change', (value) => {
+      const previous = this.background.overlay;
+      this.setBackgroundOverlay(value);
+      this.historyManager.record({
+        label: 'background overlay',
+        undo: () => this.setBackgroundOverlay(previous),
+        redo: () => this.setBackgroundOverlay(value),
+        coalesceKey: 'background:overlay'
+      });
+    });
+    
+    this.eventBus.on('background:mode-change', (mode) => {
+      const previous = this.background.fit;
+      this.setBackgroundFit(mode);
+      this.historyManager.record({
+        label: `background ${mode} mode`,
+        undo: () => this.setBackgroundFit(previous),
+        redo: () => this.setBackgroundFit(mode)
+      });
+    });
+    
+    // Animation control events from UIController
+    // NOTE: These are command events from UI, NOT the state events emitted by AnimationEngine
+    // AnimationEngine emits 'play', 'pause', etc. internally - we listen to those in setupAnimationEngineListeners()
+    // These listeners are for UI button clicks, keyboard shortcuts, etc.
+    this.eventBus.on('ui:animation:play', () => {
+      console.log('▶️  [UI Event] ui:animation:play - progress:', this.animationEngine.getProgress());
+      // If animation is at 100%, restart from beginning
+      if (this.animationEngine.getProgress() >= 1.0) {
+        console.log('🔄 [UI Event] Progress at 100%, calling reset()');
+        this.animationEngine.reset();
+      }
+      this.animationEngine.play();
+    });
+    this.eventBus.on('ui:animation:pause', () => this.animationEngine.pause());
+    this.eventBus.on('ui:animation:skip-start', () => {
+      console.log('⏪ [UI Event] ui:animation:skip-start - calling reset()');
+      this.animationEngine.reset();
+    });
+    this.eventBus.on('ui:animation:skip-end', () => this.animationEngine.seekToProgress(1.0));
+    this.eventBus.on('ui:animation:seek', (progress) => this.animationEngine.seekToProgress(progress));
+    this.eventBus.on('animation:speed-change', (speed) => {
+      const timestamp = performance.now().toFixed(2);
+      console.log(`🎯 [${timestamp}ms] [Event] animation:speed-change - new speed:`, speed, 'px/s');
+      console.trace('Speed change origin');
+      
+      this.animationEngine.setSpeed(speed);
+      
+      // Calculate and display total duration based on path length
+      if (this.hasRouteToDraw()) {
+        const totalDuration = this.updateRouteTimeline();
+        console.log('📏 [Event] Recalculated duration - speed:', speed, 'duration:', (totalDuration/1000).toFixed(1) + 's');
       } else {
-        this.hideSplash();
+        // No path yet, show estimate
+        const estimatedDuration = 10000 / speed * this.animationEngine.state.speed;
+        const durationSec = Math.round(estimatedDuration / 100) / 10;
+        this.elements.animationSpeedValue.textContent = durationSec + 's';
+      }
+      
+      this.updateTimeDisplay();
+      this.autoSave();
+    });
+    this.eventBus.on('animation:easing-change', (easing) => {
+      this.updateEasing(easing);
+    });
+    this.eventBus.on('ui:animation:toggle', () => {
+      if (this.animationEngine.state.isPlaying) {
+        this.animationEngine.pause();
+      } else {
+        this.animationEngine.play();
       }
     });
     
-    // Path head style events
-    this.eventBus.on('pathhead:style-changed', (style) => {
-      this.styles.pathHead.style = style;
-      this.render();
-      this.autoSave();
-    });
+    // Playback speed events from InteractionHandler
+    this.eventBus.on('animation:speed-decrease', () => {
+      const current = this.animationEngine.state.playbackSpeed;
+      this.animationEngine.setPlaybackSpeed(Math.max(0.1, current - 0.1));
+    });
+    
+    this.eventBus.on('animation:speed-reset', () => {
+      this.animationEngine.setPlaybackSpeed(1.0);
+    });
+    
+    this.eventBus.on('animation:speed-increase', () => {
+      const current = this.animationEngine.state.playbackSpeed;
+      this.animationEngine.setPlaybackSpeed(Math.min(10, current + 0.1));
+    });
+    
+    // Waypoint events from InteractionHandler
+    this.eventBus.on('waypoint:add', (data) => {
+      const route = this.activeRoute;
+      if (!route.isEditable()) {
+        this.announce(`${route.name} is ${route.visible ? 'locked' : 'hidden'} - unlock or show it to add waypoints`, 'assertive');
+        return;
+      }
+      
+      const waypoint = data.isMajor ? 
+        Waypoint.createMajor(data.imgX, data.imgY) : 
+        Waypoint.createMinor(data.imgX, data.imgY);
+      
+      // Copy properties from last waypoint if exists, otherwise start from the route's style
+      if (route.waypoints.length > 0) {
+        const lastWaypoint = route.waypoints[route.waypoints.length - 1];
+        waypoint.copyPropertiesFrom(lastWaypoint);
+      } else {
+        route.applyStyleTo(waypoint);
+      }
+      
+      this.addWaypointAt(waypoint, route.waypoints.length, route);
+    });
+    
+    this.eventBus.on('waypoint:position-changed', (data) => {
+      const { waypoint, imgX, imgY, isDragging } = data;
+      
+      if (isDragging) {
+        // Remember where the drag started so the whole drag is one undo step
+        // Dragging one of several selected waypoints moves them all
+        if (!this._dragOrigin || this._dragOrigin.waypoint !== waypoint) {
+          const group = this.selectedWaypoints.includes(waypoint) ? this.selectedWaypoints : [waypoint];
+          this._dragOrigin = {
+            waypoint,
+            positions: new Map(group.map(wp => [wp, { imgX: wp.imgX, imgY: wp.imgY }]))
+          };
+        }
+        
+        const positions = this._dragOrigin.positions;
+        if (positions.size === 1) {
+          this._setWaypointPosition(waypoint, imgX, imgY);
+          return;
+        }
+        const start = positions.get(waypoint);
+        const dx = imgX - start.imgX;
+        const dy = imgY - start.imgY;
+        const moved = new Map();
+        positions.forEach((pos, wp) => moved.set(wp, { imgX: pos.imgX + dx, imgY: pos.imgY + dy }));
+        this._dragWaypointPositions(moved);
+        return;
+      }
+      
+      const fromX = waypoint.imgX;
+      const fromY = waypoint.imgY;
+      this._setWaypointPosition(waypoint, imgX, imgY);
+      this.historyManager.record({
+        label: 'move waypoint',
+        undo: () => this._setWaypointPosition(waypoint, fromX, fromY),
+        redo: () => this._setWaypointPosition(waypoint, imgX, imgY),
+        coalesceKey: `move:${waypoint.id}`
+      });
+    });
+    
+    this.eventBus.on('waypoint:drag-ended', (waypoint) => {
+      const origin = this._dragOrigin;
+      this._dragOrigin = null;
+      if (!origin || origin.waypoint !== waypoint) return;
+      
+      const from = origin.positions.get(waypoint);
+      const toX = waypoint.imgX;
+      const toY = waypoint.imgY;
+      if (from.imgX === toX && from.imgY === toY) return;
+      
+      if (origin.positions.size === 1) {
+        this.historyManager.record({
+          label: 'move waypoint',
+          undo: () => this._setWaypointPosition(waypoint, from.imgX, from.imgY),
+          redo: () => this._setWaypointPosition(waypoint, toX, toY)
+        });
+      } else {
+        const before = origin.positions;
+        const after = new Map([...before.keys()].map(wp => [wp, { imgX: wp.imgX, imgY: wp.imgY }]));
+        this.historyManager.record({
+          label: `move ${before.size} waypoints`,
+          undo: () => this._setWaypointPositions(before),
+          redo: () => this._setWaypointPositions(after)
+        });
+        this.updateWaypointList();
+      }
+      this.autoSave();
+    });
+    
+    // Bézier handles - dragging one is a single undo step, like a waypoint drag
+    this.eventBus.on('waypoint:check-handle-at-position', (pos, callback) => {
+      if (callback) callback(this.findHandleAt(pos.x, pos.y));
+    });
+    
+    this.eventBus.on('waypoint:handle-changed', ({ waypoint, side, imgX, imgY }) => {
+      const property = side === 'in' ? 'handleIn' : 'handleOut';
+      if (!this._handleDragOrigin || this._handleDragOrigin.waypoint !== waypoint) {
+        this._handleDragOrigin = { waypoint, property, value: waypoint[property] };
+      }
+      this._applyWaypointValues(waypoint, { [property]: { x: imgX - waypoint.imgX, y: imgY - waypoint.imgY } });
+    });
+    
+    this.eventBus.on('waypoint:handle-drag-ended', ({ waypoint }) => {
+      const origin = this._handleDragOrigin;
+      this._handleDragOrigin = null;
+      if (!origin || origin.waypoint !== waypoint) return;
+      
+      const { property, value: before } = origin;
+      const after = waypoint[property];
+      this.historyManager.record({
+        label: PROPERTY_LABELS[property],
+        undo: () => this._applyWaypointValues(waypoint, { [property]: before }),
+        redo: () => this._applyWaypointValues(waypoint, { [property]: after })
+      });
+    });
+    
+    this.eventBus.on('waypoint:reset-handles', (waypoint) => {
+      this.updateWaypointProperties(waypoint, { handleIn: null, handleOut: null });
+    });
+    
+    // New wobble for a randomised or sketchy path - the same pattern until reseeded again
+    this.eventBus.on('waypoint:reseed-noise', (waypoint) => {
+      this.updateWaypointProperties(waypoint, { noiseSeed: Noise.createSeed() });
+    });
+    
+    this.eventBus.on('waypoint:selected', (waypoint) => {
+      this.setSelectedWaypoint(waypoint);
+    });
+    
+    // Keyboard editing: Shift+arrows nudge, Tab/Home/End move the selection, arrows move the crosshair
+    this.eventBus.on('waypoint:move-by-pixels', ({ waypoint, dx, dy }) => {
+      this.nudgeWaypoints(waypoint, dx, dy);
+    });
+    
+    this.eventBus.on('waypoint:select-adjacent', (direction, callback) => {
+      const moved = this.selectAdjacentWaypoint(direction);
+      if (callback) callback(moved);
+    });
+    
+    this.eventBus.on('cursor:moved', (pos) => {
+      this.keyboardCursor = pos;
+      this.queueRender();
+      if (!pos) return;
+      
+      const waypoint = this.findWaypointAt(pos.x, pos.y);
+      const image = this.canvasToImage(pos.x, pos.y);
+      this.announce(waypoint ? `On ${this.describeWaypoint(waypoint)}` : `Cursor at ${this.describePosition(image.x, image.y)}`);
+    });
+    
+    // Multi-select: Shift/Ctrl-click on the canvas or list, rubber band, Ctrl+A
+    this.eventBus.on('waypoint:toggle-selection', (waypoint) => {
+      this.toggleWaypointSelection(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:select-range', (waypoint) => {
+      this.selectWaypointRange(waypoint);
+    });
+    
+    this.eventBus.on('waypoints:select-in-rect', ({ rect, additive }) => {
+      this.selectWaypointsInRect(rect, additive);
+    });
+    
+    this.eventBus.on('waypoints:select-all', () => {
+      const route = this.activeRoute;
+      if (!route.isEditable() || route.waypoints.length === 0) return;
+      this.setSelection(route.waypoints, route.waypoints.find(wp => wp.isMajor));
+      this.announceSelection();
+    });
+    
+    this.eventBus.on('selection:marquee', (rect) => {
+      this.selectionRect = rect;
+      this.queueRender();
+    });
+    
+    // Delete request from the waypoint list
+    this.eventBus.on('waypoint:deleted', (waypoint) => {
+      this.deleteWaypoint(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:delete-selected', () => {
+      if (this.selectedWaypoints.length > 1) {
+        this.deleteWaypoints(this.selectedWaypoints);
+      } else if (this.selectedWaypoint) {
+        this.deleteWaypoint(this.selectedWaypoint);
+      }
+    });
+    
+    this.eventBus.on('waypoint:toggle-type', (waypoint) => {
+      if (this.selectedWaypoints.length > 1 && this.selectedWaypoints.includes(waypoint)) {
+        this.toggleSelectionType(waypoint);
+      } else {
+        this.toggleWaypointType(waypoint);
+      }
+    });
+    
+    // Context menu actions
+    this.eventBus.on('context-menu:get-state', ({ waypoint }, callback) => {
+      if (!callback) return;
+      if (waypoint) {
+        const waypoints = this.getRouteForWaypoint(waypoint)?.waypoints || [];
+        callback({
+          isFirst: waypoints.indexOf(waypoint) === 0,
+          isLast: waypoints.indexOf(waypoint) === waypoints.length - 1,
+          canPasteStyle: !!this.styleClipboard,
+          canAutoRoute: this.getAutoRouteEnd(waypoint) > 0
+        });
+      } else {
+        const route = this.activeRoute;
+        callback({
+          canAdd: route.isEditable(),
+          canInsert: route.isEditable() && route.waypoints.length > 1,
+          canPaste: route.isEditable() && !!this.styleClipboard
+        });
+      }
+    });
+    
+    this.eventBus.on('waypoint:split-segment', (waypoint) => {
+      this.splitSegment(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:duplicate', (waypoint) => {
+      this.duplicateWaypoint(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:auto-route', (waypoint) => {
+      this.autoRouteFrom(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:copy-style', (waypoint) => {
+      this.styleClipboard = { style: waypoint.getStyle(), isMajor: waypoint.isMajor };
+      this.announce('Style copied');
+    });
+    
+    this.eventBus.on('waypoint:paste-style', (waypoint) => {
+      this.pasteStyle(waypoint);
+    });
+    
+    this.eventBus.on('waypoint:move-to', ({ waypoint, position }) => {
+      this.moveWaypointTo(waypoint, position);
+    });
+    
+    this.eventBus.on('waypoint:edit-label', (waypoint) => {
+      this.setSelectedWaypoint(waypoint);
+      document.querySelector('.tab-btn[data-tab="waypoints"]')?.click();
+      this.elements.waypointLabel.focus();
+    });
+    
+    this.eventBus.on('waypoint:insert-at', ({ imgX, imgY, isMajor }) => {
+      this.insertWaypointAt(imgX, imgY, isMajor);
+    });
+    
+    this.eventBus.on('waypoint:paste-at', ({ imgX, imgY }) => {
+      const route = this.activeRoute;
+      if (!this.styleClipboard || !route.isEditable()) return;
+      
+      const { style, isMajor } = this.styleClipboard;
+      const waypoint = isMajor ? Waypoint.createMajor(imgX, imgY) : Waypoint.createMinor(imgX, imgY);
+      if (route.waypoints.length > 0) {
+        waypoint.copyPropertiesFrom(route.waypoints[route.waypoints.length - 1]);
+      } else {
+        route.applyStyleTo(waypoint);
+      }
+      waypoint.copyPropertiesFrom(style);
+      this.addWaypointAt(waypoint, route.waypoints.length, route, 'paste waypoint');
+    });
+    
+    this.eventBus.on('waypoints:clear-all', () => {
+      const route = this.activeRoute;
+      if (!route.isEditable()) {
+        this.announce(`${route.name} is ${route.visible ? 'locked' : 'hidden'} - unlock or show it to clear its waypoints`, 'assertive');
+        return;
+      }
+      
+      const previous = [...route.waypoints];
+      this.clearAll(route);
+      if (previous.length > 0) {
+        this.historyManager.record({
+          label: 'clear all waypoints',
+          undo: () => this._setWaypoints(previous, route),
+          redo: () => this.clearAll(route)
+        });
+      }
+    });
+    
+    // Waypoint reordering from UIController drag-and-drop
+    this.eventBus.on('waypoints:reordered', (newOrder) => {
+      // Rebuild waypoints array with new major order, keeping minors in place
+      const route = this.activeRoute;
+      if (!route.isEditable()) {
+        this.announce(`${route.name} is ${route.visible ? 'locked' : 'hidden'} - unlock or show it to reorder its waypoints`, 'assertive');
+        this.updateWaypointList(); // Put the dragged list item back
+        return;
+      }
+      
+      const previous = [...route.waypoints];
+      let majorIndex = 0;
+      const reordered = previous.map(wp => (wp.isMajor ? newOrder[majorIndex++] : wp));
+      
+      this._setWaypoints(reordered, route);
+      this.historyManager.record({
+        label: 'reorder waypoints',
+        undo: () => this._setWaypoints(previous, route),
+        redo: () => this._setWaypoints(reordered, route)
+      });
+    });
+    
+    // Route events from the route list
+    this.eventBus.on('route:add', () => {
+      this.addRoute();
+    });
+    
+    this.eventBus.on('route:select', (route) => {
+      this.setActiveRoute(route);
+    });
+    
+    this.eventBus.on('route:delete', (route) => {
+      this.deleteRoute(route);
+    });
+    
+    this.eventBus.on('route:property-changed', ({ route, property, value }) => {
+      if (property === 'color') {
+        this.updateRouteColor(route, value);
+      } else {
+        this.updateRouteProperties(route, { [property]: value });
+      }
+    });
+    
+    // Coordinate conversion callbacks
+    this.eventBus.on('coordinate:canvas-to-image', (data, callback) => {
+      const result = this.canvasToImage(data.canvasX, data.canvasY);
+      if (callback) callback(result);
+    });
+    
+    this.eventBus.on('coordinate:image-to-canvas', (data, callback) => {
+      const result = this.imageToCanvas(data.imgX, data.imgY);
+      if (callback) callback(result);
+    });
+    
+    this.eventBus.on('waypoint:check-at-position', (pos, callback) => {
+      const waypoint = this.findWaypointAt(pos.x, pos.y);
+      if (callback) callback(waypoint);
+    });
+    
+    // Clicking on a route's line inserts a waypoint there rather than at the end
+    this.eventBus.on('path:check-at-position', ({ x, y, anywhere }, callback) => {
+      if (callback) callback(this.findPathAt(x, y, anywhere));
+    });
+    
+    this.eventBus.on('waypoint:insert-on-path', ({ route, index, imgX, imgY, isMajor }) => {
+      this.insertWaypoint(route, index, imgX, imgY, isMajor);
+    });
+    
+    // View (zoom and pan) events - positions are canvas pixels
+    this.eventBus.on('view:zoom', ({ factor, x, y }) => {
+      this.zoomView(factor, x, y);
+    });
+    
+    this.eventBus.on('view:pan', ({ dx, dy }) => {
+      this.coordinateTransform.panBy(dx, dy);
+      this.onViewChanged();
+    });
+    
+    this.eventBus.on('view:fit', () => {
+      this.zoomToFit();
+    });
+    
+    this.eventBus.on('view:zoom-to-selection', () => {
+      this.zoomToSelection();
+    });
+    
+    // Camera events
+    this.eventBus.on('camera:settings-changed', ({ property, value }) => {
+      this.updateCameraSettings({ [property]: value });
+    });
+    
+    this.eventBus.on('waypoint:camera-from-view', (waypoint) => {
+      this.setCameraKeyframeFromView(waypoint);
+    });
+    
+    // Snapping - InteractionHandler asks where a waypoint being added or dragged should land
+    this.eventBus.on('snap:position', ({ x, y, waypoint, constrain }, callback) => {
+      const result = this.snapPosition(x, y, { waypoint, constrain });
+      const guides = result.guides.length > 0 ? result.guides : null;
+      if (guides || this.snapGuides) {
+        this.snapGuides = guides;
+        this.queueRender();
+      }
+      if (callback) callback(result);
+    });
+    
+    this.eventBus.on('snap:clear', () => {
+      if (!this.snapGuides) return;
+      this.snapGuides = null;
+      this.queueRender();
+    });
+    
+    this.eventBus.on('snapping:settings-changed', ({ property, value }) => {
+      this.snapping = Snapping.createSettings({ ...this.snapping, [property]: value });
+      this.updateSnappingControls();
+      this.autoSave();
+    });
+    
+    // Auto-routing - the mask comes from the background colour or is painted on the map
+    this.eventBus.on('autoroute:settings-changed', ({ property, value }) => {
+      this.autoRoute = AutoRoute.createSettings({ ...this.autoRoute, [property]: value });
+      this.updateAutoRouteControls();
+      this.autoSave();
+    });
+    
+    this.eventBus.on('autoroute:pick-color', () => {
+      this.pickAutoRouteColor();
+    });
+    
+    this.eventBus.on('autoroute:toggle-painting', (active = !this.maskPainting) => {
+      this.setMaskPainting(active);
+    });
+    
+    this.eventBus.on('autoroute:clear-mask', () => {
+      this.clearPaintedMask();
+    });
+    
+    this.eventBus.on('autoroute:paint', ({ x, y, erase }) => {
+      this.paintMask(x, y, erase);
+    });
+    
+    this.eventBus.on('autoroute:paint-ended', () => {
+      this.endMaskStroke();
+    });
+    
+    // Project file events
+    this.eventBus.on('file:save', () => {
+      this.saveProject();
+    });
+    
+    this.eventBus.on('file:open', (file) => {
+      this.openProject(file);
+    });
+    
+    // Georeference and GPX/GeoJSON/KML events
+    this.eventBus.on('geo:add-point', () => {
+      this.startControlPointPick();
+    });
+    
+    this.eventBus.on('geo:remove-point', (index) => {
+      this.updateGeoReference(geo => geo.removeControlPoint(index), 'remove control point');
+    });
+    
+    this.eventBus.on('geo:clear', () => {
+      this.updateGeoReference(geo => geo.clear(), 'clear control points');
+    });
+    
+    this.eventBus.on('geo:method', (method) => {
+      this.updateGeoReference(geo => geo.setMethod(method), 'change georeference fit');
+    });
+    
+    this.eventBus.on('geo:import', (file) => {
+      this.importGeoFile(file);
+    });
+    
+    this.eventBus.on('geo:export', ({ format }) => {
+      this.exportGeoFile(format);
+    });
+    
+    // Export events
+    this.eventBus.on('export:animation', (options) => {
+      this.exportAnimation(options);
+    });
+    
+    this.eventBus.on('export:still', (options) => {
+      this.exportStill(options);
+    });
+    
+    this.eventBus.on('export:cancel', () => {
+      this.activeExporter?.cancel();
+    });
+    
+    // Help events
+    this.eventBus.on('help:toggle', () => {
+      if (this.elements.splash.style.display === 'none' || 
+          this.elements.splash.style.display === '') {
+        this.showSplash();
+      } else {
+        this.hideSplash();
+      }
+    });
+    
+    // Path head style events
+    this.eventBus.on('pathhead:style-changed', (style) => {
+      this.updatePathHeadStyle('style', style, 'path head style');
+    });
+    
+    this.eventBus.on('pathhead:color-changed', (color) => {
+      this.updatePathHeadStyle('color', color, 'path head color');
+    });
+    
+    this.eventBus.on('pathhead:size-changed', (size) => {
+      this.updatePathHeadStyle('size', size, 'path head size');
+    });
+    
+    this.eventBus.on('pathhead:rotation-changed', (mode) => {
+      this.updatePathHeadStyle('rotationMode', mode, 'path head rotation');
+    });
+    
+    this.eventBus.on('pathhead:smoothing-changed', (smoothing) => {
+      this.updatePathHeadStyle('smoothing', smoothing, 'path head turn smoothing');
+    });
+    
+    this.eventBus.on('pathhead:frames-changed', (frames) => {
+      this.updatePathHeadStyle('spriteFrames', frames, 'sprite frames');
+    });
+  }
+  
+  /* Mouse handlers now managed by InteractionHandler
+  handleMouseDown(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    
+    // Check if clicking on existing waypoint
+    const clickedWaypoint = this.findWaypointAt(x, y);
+    
+    if (clickedWaypoint) {
+      this.selectedWaypoint = clickedWaypoint;
+      this.isDragging = true;
+      this.hasDragged = false; // Reset drag flag
+      // Store canvas offset for smooth dragging
+      const wpCanvas = this.imageToCanvas(clickedWaypoint.imgX, clickedWaypoint.imgY);
+      this.dragOffset.x = x - wpCanvas.x;
+      this.dragOffset.y = y - wpCanvas.y;
+      this.canvas.classList.add('dragging');
+      
+      // Emit selection event (updates editor UI)
+      this.eventBus.emit('waypoint:selected', clickedWaypoint);
+      this.updateWaypointList(); // Update list to show selection
+      event.preventDefault();
+    }
+  }
+  
+  handleMouseMove(event) {
+    if (this.isDragging && this.selectedWaypoint) {
+      const rect = this.canvas.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      
+      // Convert canvas position to image coordinates
+      const canvasX = x - this.dragOffset.x;
+      const canvasY = y - this.dragOffset.y;
+      const imgPos = this.canvasToImage(canvasX, canvasY);
+      this.selectedWaypoint.imgX = imgPos.x;
+      this.selectedWaypoint.imgY = imgPos.y;
+      this.hasDragged = true; // Mark that actual dragging occurred
+      
+      // Update path immediately for smooth visual feedback during drag
+      this.calculatePath();
+      // Batch render calls to prevent excessive rendering (60fps → ~2-3fps)
+      this.queueRender();
+    }
+  }
+  
+  handleMouseUp(event) {
+    if (this.isDragging) {
+      this.isDragging = false;
+      this.canvas.classList.remove('dragging');
+      
+      // Emit position changed event if waypoint was actually moved
+      // This triggers single auto-save instead of 60+ during drag
+      if (this.hasDragged && this.selectedWaypoint) {
+        this.eventBus.emit('waypoint:position-changed', this.selectedWaypoint);
+        this.hasDragged = false;
+        this.announce('Waypoint moved');
+      }
+      
+      this.updateWaypointList();
+    }
+  }
+  
+  handleCanvasClick(event) {
+    // Don't add waypoint if we actually dragged
+    if (this.hasDragged) {
+      this.hasDragged = false; // Reset for next time
+      return;
+    }
+    
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    
+    // Check if clicking on existing waypoint for selection
+    const clickedWaypoint = this.findWaypointAt(x, y);
+    if (clickedWaypoint) {
+      this.selectedWaypoint = clickedWaypoint;
+      this.updateWaypointList();
+      this.updateWaypointEditor();
+      return;
+    }
+    
+    // Determine if major or minor waypoint (Shift+Click for minor)
+    const isMajor = !event.shiftKey;
+    
+    // Convert canvas coordinates to normalized image coordinates
+    const imgPos = this.canvasToImage(x, y);
+    
+    // Create waypoint using factory method
+    // Waypoint model handles default properties and validation
+    const waypoint = isMajor
+      ? Waypoint.createMajor(imgPos.x, imgPos.y)
+      : Waypoint.createMinor(imgPos.x, imgPos.y);
+    
+    // Set default label for major waypoints
+    if (isMajor) {
+      waypoint.label = `Waypoint ${this.waypoints.length + 1}`;
+    }
+    
+    // Inherit properties from previous waypoint if exists
+    // This ensures consistent styling across the route
+    if (this.waypoints.length > 0) {
+      const previousWaypoint = this.waypoints[this.waypoints.length - 1];
+      waypoint.copyPropertiesFrom(previousWaypoint);
+    }
+    
+    // Add waypoint to array
+    this.waypoints.push(waypoint);
+    
+    // Emit waypoint added event (triggers path calculation, save, render)
+    // Decoupled approach prevents tight coupling to specific update sequence
+    this.eventBus.emit('waypoint:added', waypoint);
+    
+    this.announce(`${isMajor ? 'Major' : 'Minor'} waypoint added`);
+    console.log(`Added ${isMajor ? 'major' : 'minor'} waypoint at (${x.toFixed(0)}, ${y.toFixed(0)})`);
+  }
+  */ // End of mouse/keyboard handlers now managed by InteractionHandler
+  
+  findWaypointAt(x, y) {
+    const threshold = INTERACTION.WAYPOINT_HIT_RADIUS; // pixels
+    // Active route first so its waypoints win where routes overlap
+    const routes = [this.activeRoute, ...this.routes.filter(r => r !== this.activeRoute)]
+      .filter(route => route.isEditable());
+    
+    for (const route of routes) {
+      const found = route.waypoints.find(wp => {
+        // Convert waypoint from image coords to canvas coords for comparison
+        const wpCanvas = this.imageToCanvas(wp.imgX, wp.imgY);
+        const dist = Math.sqrt(Math.pow(wpCanvas.x - x, 2) + Math.pow(wpCanvas.y - y, 2));
+        // Pins, flags and images reach well beyond the waypoint itself
+        return dist <= threshold || (wp.isMajor && Markers.contains(this.getWaypointMarker(wp), x, y));
+      });
+      if (found) return found;
+    }
+    return undefined;
+  }
+  
+  /**
+   * Find the route line under a canvas point, and where a waypoint there would go
+   * Active route first, like findWaypointAt
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {boolean} anywhere - Use the active route's nearest leg however far away
+   *   the point is, and keep the point itself rather than moving it onto the line
+   * @returns {{route: Route, index: number, imgX: number, imgY: number}|null} index is
+   *   the waypoint array index to insert at
+   */
+  findPathAt(x, y, anywhere = false) {
+    const layout = this.coordinateTransform.canvasToLayout(x, y);
+    
+    if (anywhere) {
+      const route = this.activeRoute;
+      const hit = route.isEditable() && this.findPathInsert(route, layout.x, layout.y);
+      if (!hit) return null;
+      
+      const image = this.canvasToImage(x, y);
+      return { route, index: hit.index, imgX: image.x, imgY: image.y };
+    }
+    
+    const zoom = this.coordinateTransform.getView().zoom;
+    const routes = [this.activeRoute, ...this.routes.filter(r => r !== this.activeRoute)]
+      .filter(route => route.isEditable());
+    
+    for (const route of routes) {
+      const hit = this.findPathInsert(route, layout.x, layout.y);
+      // Thick lines can be clicked anywhere across their width
+      const reach = INTERACTION.PATH_HIT_RADIUS / zoom + (hit?.width || 0) / 2;
+      if (hit && hit.distance <= reach) {
+        const image = this.coordinateTransform.layoutToImage(hit.x, hit.y);
+        return { route, index: hit.index, imgX: image.x, imgY: image.y };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Closest spot on a route's path to a layout point
+   * Uses straight lines between the waypoints until the path has been calculated
+   * @param {Route} route - Route to test
+   * @param {number} x - Layout X
+   * @param {number} y - Layout Y
+   * @returns {Object|null} { x, y, distance } in layout pixels, index to insert a
+   *   waypoint at, and width of the line there; null with fewer than 2 waypoints
+   */
+  findPathInsert(route, x, y) {
+    if (route.waypoints.length < 2) return null;
+    
+    let points = route.pathPoints;
+    let indices = route.waypoints.map((wp, i) => route.getWaypointPathIndex(i));
+    if (points.length < 2 || !indices.every(Number.isFinite)) {
+      points = this.getLayoutWaypoints(route);
+      indices = points.map((point, i) => i);
+    }
+    
+    const nearest = PathHitTest.nearestPoint(points, x, y);
+    const index = PathHitTest.getInsertIndex(indices, nearest.position);
+    return { ...nearest, index, width: route.waypoints[index - 1].segmentWidth };
+  }
+  
+  /**
+   * Bézier handles shown for the selected waypoint
+   * Only a single selected waypoint on an editable route shows handles, and
+   * only on the sides where its segments are Bézier curves
+   * @returns {Object|null} { waypoint, anchor, in, out } in canvas pixels (in/out null when hidden)
+   */
+  getBezierHandles() {
+    const waypoint = this.selectedWaypoint;
+    if (!waypoint || this.selectedWaypoints.length > 1) return null;
+    const route = this.getRouteForWaypoint(waypoint);
+    const index = route?.waypoints.indexOf(waypoint) ?? -1;
+    if (index < 0 || !route.isEditable()) return null;
+    
+    const points = PathPipeline.toControlPoints(this.getLayoutWaypoints(route));
+    const handles = PathCurves.getHandles(points, PathPipeline.getSegments(points), index);
+    if (!handles.in && !handles.out) return null;
+    
+    const toCanvas = (p) => p ? this.coordinateTransform.layoutToCanvas(p.x, p.y) : null;
+    return {
+      waypoint,
+      anchor: this.imageToCanvas(waypoint.imgX, waypoint.imgY),
+      in: toCanvas(handles.in),
+      out: toCanvas(handles.out)
+    };
+  }
+  
+  /**
+   * Find a Bézier handle of the selected waypoint under a canvas position
+   * @returns {Object|null} { waypoint, side: 'in'|'out', x, y } with the handle's canvas position
+   */
+  findHandleAt(x, y) {
+    const handles = this.getBezierHandles();
+    if (!handles) return null;
+    
+    for (const side of ['out', 'in']) {
+      const handle = handles[side];
+      if (handle && Math.hypot(handle.x - x, handle.y - y) <= INTERACTION.HANDLE_HIT_RADIUS) {
+        return { waypoint: handles.waypoint, side, x: handle.x, y: handle.y };
+      }
+    }
+    return null;
+  }
+  
+  updateWaypointList() {
+    // Delegate to UIController
+    if (this.uiController) {
+      this.uiController.updateWaypointList(this.waypoints);
+      return;
+    }
+    
+    // Fallback if UIController not initialized
+    this.elements.waypointList.innerHTML = '';
+    const majorWaypoints = this.waypoints.filter(wp => wp.isMajor);
+    
+    majorWaypoints.forEach((waypoint, index) => {
+      const item = document.createElement('div');
+      item.className = 'waypoint-item';
+      if (waypoint === this.selectedWaypoint) {
+        item.classList.add('selected');
+      }
+      
+      // Header row
+      const handle = document.createElement('span');
+      handle.className = 'waypoint-item-handle';
+      handle.textContent = '☰';
+      const label = document.createElement('span');
+      label.className = 'waypoint-item-label';
+      label.textContent = `Waypoint ${index + 1}`;
+      const delBtn = document.createElement('button');
+      delBtn.className = 'waypoint-item-delete';
+      delBtn.textContent = '×';
+      
+      item.appendChild(handle);
+      item.appendChild(label);
+      item.appendChild(delBtn);
+      
+      // Selection by clicking header bits
+      const selectWaypoint = (e) => {
+        e.stopPropagation();
+        this.selectedWaypoint = waypoint;
+        this.updateWaypointList();
+        this.updateWaypointEditor();
+      };
+      label.addEventListener('click', selectWaypoint);
+      handle.addEventListener('click', selectWaypoint);
+      item.addEventListener('click', selectWaypoint);
+      
+      // Delete button
+      delBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.deleteWaypoint(waypoint);
+      });
+      
+      this.elements.waypointList.appendChild(item);
+    });
+  }
+  
+  updateWaypointEditor() {
+    if (this.selectedWaypoint) {
+      // Show editor and hide placeholder
+      this.elements.waypointEditor.style.display = 'block';
+      this.elements.waypointEditorPlaceholder.style.display = 'none';
+      
+      // Path properties
+      this.elements.segmentColor.value = this.selectedWaypoint.segmentColor;
+      this.elements.segmentWidth.value = this.selectedWaypoint.segmentWidth;
+      this.elements.segmentWidthValue.textContent = this.selectedWaypoint.segmentWidth;
+      this.elements.segmentStyle.value = this.selectedWaypoint.segmentStyle || 'solid';
+      this.elements.pathShape.value = this.selectedWaypoint.pathShape || 'line';
+      
+      // Marker properties
+      this.elements.markerStyle.value = this.selectedWaypoint.markerStyle || 'dot';
+      this.elements.dotColor.value = this.selectedWaypoint.dotColor || this.selectedWaypoint.segmentColor || this.styles.dotColor;
+      this.elements.dotSize.value = this.selectedWaypoint.dotSize || this.styles.dotSize;
+      this.elements.dotSizeValue.textContent = this.elements.dotSize.value;
+      
+      // Path head properties (global; the leg's own head is synced below)
+      this.syncPathHeadControls();
+      // Beacon editor fields
+      if (this.selectedWaypoint.isMajor) {
+        // Enable dot & beacon controls for major
+        this.elements.dotColor.disabled = false;
+        this.elements.dotSize.disabled = false;
+        this.elements.editorBeaconStyle.disabled = false;
+        this.elements.editorBeaconColor.disabled = false;
+        this.elements.editorBeaconStyle.value = this.selectedWaypoint.beaconStyle || this.styles.beaconStyle;
+        this.elements.editorBeaconColor.value = this.selectedWaypoint.beaconColor || this.styles.beaconColor;
+        
+        // Label controls
+        this.elements.waypointLabel.disabled = false;
+        this.elements.labelMode.disabled = false;
+        this.elements.labelPosition.disabled = false;
+        this.elements.waypointLabel.value = this.selectedWaypoint.label || '';
+        this.elements.labelMode.value = this.selectedWaypoint.labelMode || 'none';
+        this.elements.labelPosition.value = this.selectedWaypoint.labelPosition || 'auto';
+        
+        // Enable pause controls for major waypoints
+        this.elements.waypointPauseTime.disabled = false;
+        const pauseTimeSec = (this.selectedWaypoint.pauseTime || 0) / 1000;
+        this.elements.waypointPauseTime.value = pauseTimeSec;
+        this.elements.waypointPauseTimeValue.textContent = pauseTimeSec + 's';
+        this.elements.pauseTimeControl.style.display = 'flex';
+        this.elements.segmentTimingControl.style.display = 'block';
+      } else {
+        // Minor waypoint - disable features that don't apply
+        this.elements.dotColor.disabled = true;
+        this.elements.dotSize.disabled = true;
+        this.elements.editorBeaconStyle.disabled = true;
+        this.elements.editorBeaconColor.disabled = true;
+        this.elements.editorBeaconStyle.value = 'none';
+        this.elements.editorBeaconColor.value = this.styles.beaconColor;
+        
+        // Disable label controls for minor waypoints
+        this.elements.waypointLabel.disabled = true;
+        this.elements.labelMode.disabled = true;
+        this.elements.labelPosition.disabled = true;
+        this.elements.waypointLabel.value = '';
+        this.elements.labelMode.value = 'none';
+        this.elements.labelPosition.value = 'auto';
+        
+        // Disable pause controls for minor waypoints
+        this.elements.waypointPauseTime.disabled = true;
+        this.elements.waypointPauseTime.value = 0;
+        this.elements.waypointPauseTimeValue.textContent = '0s';
+        this.elements.pauseTimeControl.style.display = 'none';
+        this.elements.segmentTimingControl.style.display = 'none';
+      }
+      this.uiController?.updateSegmentTimingControls(this.selectedWaypoint);
+      this.uiController?.updateSegmentCurveControls(this.selectedWaypoint);
+      this.uiController?.updatePathNoiseControls(this.selectedWaypoint);
+      this.uiController?.updateLineEffectsControls(this.selectedWaypoint);
+      this.uiController?.updateLegHeadControls(this.selectedWaypoint);
+      this.uiController?.updateMarkerControls(this.selectedWaypoint);
+      this.uiController?.updateCameraKeyframeControls(this.selectedWaypoint);
+      this.uiController?.showSelectionValues(this.selectedWaypoints);
+    } else {
+      // Hide editor and show placeholder
+      this.elements.waypointEditor.style.display = 'none';
+      this.elements.waypointEditorPlaceholder.style.display = 'flex';
+    }
+  }
+  
+  /**
+   * Insert a new waypoint as one undoable step
+   * @param {Waypoint} waypoint - Waypoint to add
+   * @param {number} index - Array index to insert at
+   * @param {Route} route - Route to add it to
+   * @param {string} label - History label
+   */
+  addWaypointAt(waypoint, index, route = this.activeRoute, label = 'add waypoint') {
+    this._insertWaypoint(waypoint, index, route);
+    this.historyManager.record({
+      label,
+      undo: () => this._removeWaypoint(waypoint),
+      redo: () => this._insertWaypoint(waypoint, index, route)
+    });
+    this.announce(`${label.charAt(0).toUpperCase()}${label.slice(1)}: ${this.describeWaypoint(waypoint)}`);
+  }
+  
+  /**
+   * Add a minor waypoint halfway along the leg that starts at a waypoint
+   * The halfway point is taken from the drawn path, so curves keep their shape
+   * @param {Waypoint} waypoint - Waypoint at the start of the leg
+   */
+  splitSegment(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    const index = route ? route.waypoints.indexOf(waypoint) : -1;
+    if (index < 0 || index >= route.waypoints.length - 1 || !route.isEditable()) return;
+    
+    const next = route.waypoints[index + 1];
+    let imgX = (waypoint.imgX + next.imgX) / 2;
+    let imgY = (waypoint.imgY + next.imgY) / 2;
+    if (route.pathPoints.length > 1) {
+      const middle = Math.round((route.getWaypointPathIndex(index) + route.getWaypointPathIndex(index + 1)) / 2);
+      const point = route.pathPoints[middle];
+      if (point) {
+        const image = this.coordinateTransform.layoutToImage(point.x, point.y);
+        imgX = image.x;
+        imgY = image.y;
+      }
+    }
+    
+    const split = Waypoint.createMinor(imgX, imgY).copyPropertiesFrom(waypoint);
+    this.addWaypointAt(split, index + 1, route, 'split segment');
+  }
+  
+  /**
+   * Add a copy of a waypoint just after it, nudged so both stay clickable
+   * @param {Waypoint} waypoint - Waypoint to copy
+   */
+  duplicateWaypoint(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    if (!route || !route.isEditable()) return;
+    
+    const pos = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
+    const offset = INTERACTION.WAYPOINT_HIT_RADIUS * 2;
+    const image = this.canvasToImage(pos.x + offset, pos.y + offset);
+    const copy = waypoint.isMajor ? Waypoint.createMajor(image.x, image.y) : Waypoint.createMinor(image.x, image.y);
+    copy.copyPropertiesFrom(waypoint);
+    copy.label = waypoint.label;
+    
+    this.addWaypointAt(copy, route.waypoints.indexOf(waypoint) + 1, route, 'duplicate waypoint');
+    this.setSelectedWaypoint(copy);
+  }
+  
+  /**
+   * Apply the copied style to a waypoint, or to the selection it's part of,
+   * as one undoable step. Minor waypoints skip marker, beacon and label settings
+   * @param {Waypoint} waypoint - Waypoint to paste onto
+   */
+  pasteStyle(waypoint) {
+    if (!this.styleClipboard) return;
+    
+    const targets = this.selectedWaypoints.length > 1 && this.selectedWaypoints.includes(waypoint) ?
+      this.selectedWaypoints : [waypoint];
+    const before = new Map();
+    const after = new Map();
+    targets.forEach(wp => {
+      const updates = {};
+      Object.entries(this.styleClipboard.style).forEach(([key, value]) => {
+        if (wp.isMajor || !MAJOR_ONLY_PROPERTIES.includes(key)) updates[key] = value;
+      });
+      const values = {};
+      Object.keys(updates).forEach(key => { values[key] = wp[key]; });
+      before.set(wp, values);
+      after.set(wp, updates);
+    });
+    
+    this._applyWaypointValuesBulk(after);
+    if (targets.includes(this.selectedWaypoint)) this.updateWaypointEditor();
+    this.historyManager.record({
+      label: targets.length > 1 ? `paste style to ${targets.length} waypoints` : 'paste style',
+      undo: () => this._applyWaypointValuesBulk(before),
+      redo: () => this._applyWaypointValuesBulk(after)
+    });
+  }
+  
+  /**
+   * Make a waypoint the first or last of its route
+   * @param {Waypoint} waypoint - Waypoint to move
+   * @param {string} position - 'start' or 'end'
+   */
+  moveWaypointTo(waypoint, position) {
+    const route = this.getRouteForWaypoint(waypoint);
+    if (!route || !route.isEditable()) return;
+    
+    const previous = [...route.waypoints];
+    const others = previous.filter(wp => wp !== waypoint);
+    const reordered = position === 'start' ? [waypoint, ...others] : [...others, waypoint];
+    if (reordered.every((wp, i) => wp === previous[i])) return;
+    
+    this._setWaypoints(reordered, route);
+    this.historyManager.record({
+      label: `set waypoint as ${position}`,
+      undo: () => this._setWaypoints(previous, route),
+      redo: () => this._setWaypoints(reordered, route)
+    });
+    this.announce(`Waypoint moved to the ${position} of ${route.name}`);
+  }
+  
+  /**
+   * Add a waypoint into the active route's nearest leg, wherever the point is
+   * @param {number} imgX - Normalized X (0-1)
+   * @param {number} imgY - Normalized Y (0-1)
+   * @param {boolean} isMajor - Add a major (true) or minor waypoint
+   */
+  insertWaypointAt(imgX, imgY, isMajor = true) {
+    const pos = this.imageToCanvas(imgX, imgY);
+    const hit = this.findPathAt(pos.x, pos.y, true);
+    if (hit) {
+      this.insertWaypoint(hit.route, hit.index, imgX, imgY, isMajor);
+    }
+  }
+    
+  /**
+   * Insert a new waypoint between two others as one undoable step
+   * It takes its style from the waypoint before it, whose leg it splits
+   * @param {Route} route - Route to insert into
+   * @param {number} index - Array index to insert at (from findPathAt)
+   * @param {number} imgX - Normalized X (0-1)
+   * @param {number} imgY - Normalized Y (0-1)
+   * @param {boolean} isMajor - Insert a major (true) or minor waypoint
+   */
+  insertWaypoint(route, index, imgX, imgY, isMajor = true) {
+    if (!route.isEditable() || index < 1 || index >= route.waypoints.length) return;
     
-    this.eventBus.on('pathhead:color-changed', (color) => {
-      this.styles.pathHead.color = color;
-      this.render();
-      this.autoSave();
+    const waypoint = isMajor ? Waypoint.createMajor(imgX, imgY) : Waypoint.createMinor(imgX, imgY);
+    waypoint.copyPropertiesFrom(route.waypoints[index - 1]);
+    this.addWaypointAt(waypoint, index, route, 'insert waypoint');
+  }
+  
+  /**
+   * Move a waypoint by screen pixels, taking the rest of the selection with it
+   * Repeated nudges coalesce into one undo step
+   * @param {Waypoint} waypoint - Waypoint the keys were pressed for
+   * @param {number} dx - Canvas pixels
+   * @param {number} dy - Canvas pixels
+   */
+  nudgeWaypoints(waypoint, dx, dy) {
+    const group = (this.selectedWaypoints.includes(waypoint) ? this.selectedWaypoints : [waypoint])
+      .filter(wp => this.getRouteForWaypoint(wp)?.isEditable());
+    if (group.length === 0) return;
+    
+    const before = new Map();
+    const after = new Map();
+    group.forEach(wp => {
+      const pos = this.imageToCanvas(wp.imgX, wp.imgY);
+      const moved = this.canvasToImage(pos.x + dx, pos.y + dy);
+      before.set(wp, { imgX: wp.imgX, imgY: wp.imgY });
+      after.set(wp, { imgX: moved.x, imgY: moved.y });
     });
     
-    this.eventBus.on('pathhead:size-changed', (size) => {
-      this.styles.pathHead.size = size;
-      this.render();
-      this.autoSave();
+    this._setWaypointPositions(after);
+    this.historyManager.record({
+      label: group.length > 1 ? `move ${group.length} waypoints` : 'move waypoint',
+      undo: () => this._setWaypointPositions(before),
+      redo: () => this._setWaypointPositions(after),
+      coalesceKey: `nudge:${group.map(wp => wp.id).join(',')}`
     });
+    this.announce(group.length > 1 ? `${group.length} waypoints moved` : this.describeWaypoint(waypoint));
   }
   
-  /* Mouse handlers now managed by InteractionHandler
-  handleMouseDown(event) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-    
-    // Check if clicking on existing waypoint
-    const clickedWaypoint = this.findWaypointAt(x, y);
-    
-    if (clickedWaypoint) {
-      this.selectedWaypoint = clickedWaypoint;
-      this.isDragging = true;
-      this.hasDragged = false; // Reset drag flag
-      // Store canvas offset for smooth dragging
-      const wpCanvas = this.imageToCanvas(clickedWaypoint.imgX, clickedWaypoint.imgY);
-      this.dragOffset.x = x - wpCanvas.x;
-      this.dragOffset.y = y - wpCanvas.y;
-      this.canvas.classList.add('dragging');
-      
-      // Emit selection event (updates editor UI)
-      this.eventBus.emit('waypoint:selected', clickedWaypoint);
-      this.updateWaypointList(); // Update list to show selection
-      event.preventDefault();
-    }
+  /**
+   * Select a waypoint of the active route relative to the selected one
+   * @param {string} direction - 'next', 'previous', 'first' or 'last'
+   * @returns {boolean} False when there is nothing in that direction
+   */
+  selectAdjacentWaypoint(direction) {
+    const route = this.activeRoute;
+    const waypoints = route.waypoints;
+    if (!route.isEditable() || waypoints.length === 0) return false;
+    
+    const current = waypoints.indexOf(this.selectedWaypoint);
+    const index = {
+      first: 0,
+      last: waypoints.length - 1,
+      next: current + 1, // From nothing selected, the first
+      previous: current < 0 ? waypoints.length - 1 : current - 1
+    }[direction];
+    if (index === undefined || index < 0 || index >= waypoints.length) return false;
+    
+    this.setSelectedWaypoint(waypoints[index]);
+    this.announce(this.describeWaypoint(waypoints[index]));
+    return true;
   }
   
-  handleMouseMove(event) {
-    if (this.isDragging && this.selectedWaypoint) {
-      const rect = this.canvas.getBoundingClientRect();
-      const x = event.clientX - rect.left;
-      const y = event.clientY - rect.top;
-      
-      // Convert canvas position to image coordinates
-      const canvasX = x - this.dragOffset.x;
-      const canvasY = y - this.dragOffset.y;
-      const imgPos = this.canvasToImage(canvasX, canvasY);
-      this.selectedWaypoint.imgX = imgPos.x;
-      this.selectedWaypoint.imgY = imgPos.y;
-      this.hasDragged = true; // Mark that actual dragging occurred
-      
-      // Update path immediately for smooth visual feedback during drag
-      this.calculatePath();
-      // Batch render calls to prevent excessive rendering (60fps → ~2-3fps)
-      this.queueRender();
+  /**
+   * Describe a waypoint for screen readers
+   * @param {Waypoint} waypoint - Waypoint to describe
+   * @returns {string} e.g. "Harbour, major waypoint 2 of 5 on Route 1, at 412, 300"
+   */
+  describeWaypoint(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    const place = route ? ` ${route.waypoints.indexOf(waypoint) + 1} of ${route.waypoints.length} on ${route.name}` : '';
+    const label = waypoint.label ? `${waypoint.label}, ` : '';
+    return `${label}${waypoint.isMajor ? 'major' : 'minor'} waypoint${place}, at ${this.describePosition(waypoint.imgX, waypoint.imgY)}`;
+  }
+  
+  /**
+   * Describe a map position for screen readers
+   * @param {number} imgX - Normalized X (0-1)
+   * @param {number} imgY - Normalized Y (0-1)
+   * @returns {string} Image pixels across and down, or percentages without an image
+   */
+  describePosition(imgX, imgY) {
+    const { imageWidth, imageHeight } = this.coordinateTransform;
+    if (imageWidth > 0 && imageHeight > 0) {
+      return `${Math.round(imgX * imageWidth)}, ${Math.round(imgY * imageHeight)}`;
     }
+    return `${Math.round(imgX * 100)}% across, ${Math.round(imgY * 100)}% down`;
   }
   
-  handleMouseUp(event) {
-    if (this.isDragging) {
-      this.isDragging = false;
-      this.canvas.classList.remove('dragging');
-      
-      // Emit position changed event if waypoint was actually moved
-      // This triggers single auto-save instead of 60+ during drag
-      if (this.hasDragged && this.selectedWaypoint) {
-        this.eventBus.emit('waypoint:position-changed', this.selectedWaypoint);
-        this.hasDragged = false;
-        this.announce('Waypoint moved');
-      }
+  deleteWaypoint(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    const index = this._removeWaypoint(waypoint);
+    if (index > -1) {
+      this.historyManager.record({
+        label: 'delete waypoint',
+        undo: () => this._insertWaypoint(waypoint, index, route),
+        redo: () => this._removeWaypoint(waypoint)
+      });
       
-      this.updateWaypointList();
+      this.announce('Waypoint deleted');
     }
   }
   
-  handleCanvasClick(event) {
-    // Don't add waypoint if we actually dragged
-    if (this.hasDragged) {
-      this.hasDragged = false; // Reset for next time
+  /**
+   * Delete several waypoints (possibly across routes) as one undoable step
+   * @param {Waypoint[]} waypoints - Waypoints to delete
+   */
+  deleteWaypoints(waypoints) {
+    const doomed = new Set(waypoints);
+    const changes = this.routes
+      .filter(route => route.waypoints.some(wp => doomed.has(wp)))
+      .map(route => ({
+        route,
+        before: [...route.waypoints],
+        after: route.waypoints.filter(wp => !doomed.has(wp))
+      }));
+    if (changes.length === 0) return;
+    
+    changes.forEach(({ route, after }) => this._setWaypoints(after, route));
+    this.historyManager.record({
+      label: `delete ${doomed.size} waypoints`,
+      undo: () => changes.forEach(({ route, before }) => this._setWaypoints(before, route)),
+      redo: () => changes.forEach(({ route, after }) => this._setWaypoints(after, route))
+    });
+    this.announce(`${doomed.size} waypoints deleted`);
+  }
+  
+  /**
+   * Update coordinateTransform service when image changes
+   * @param {HTMLImageElement} img - The loaded image
+   */
+  updateImageTransform(img) {
+    if (!img) {
+      // No image - coordinateTransform will use normalized coordinates
       return;
     }
     
-    const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-    
-    // Check if clicking on existing waypoint for selection
-    const clickedWaypoint = this.findWaypointAt(x, y);
-    if (clickedWaypoint) {
-      this.selectedWaypoint = clickedWaypoint;
-      this.updateWaypointList();
-      this.updateWaypointEditor();
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    this.coordinateTransform.setImageDimensions(width, height, this.background.fit);
+    this.geoReference.setImageDimensions(width, height);
+  }
+  
+  // ----- View (zoom and pan) -----
+  
+  /**
+   * Zoom around a canvas point
+   * @param {number} factor - Multiplier (> 1 zooms in)
+   * @param {number} x - Canvas X to keep fixed (defaults to the centre)
+   * @param {number} y - Canvas Y to keep fixed (defaults to the centre)
+   */
+  zoomView(factor, x = this.displayWidth / 2, y = this.displayHeight / 2) {
+    this.coordinateTransform.zoomAt(factor, x, y);
+    this.onViewChanged();
+  }
+  
+  /**
+   * Show the whole map again (zoom 1, no pan)
+   */
+  zoomToFit() {
+    this.coordinateTransform.resetView();
+    this.onViewChanged();
+    this.announce('Zoomed to fit');
+  }
+  
+  /**
+   * Frame the selected waypoint, or the active route when nothing is selected
+   */
+  zoomToSelection() {
+    const waypoints = this.selectedWaypoint ? [this.selectedWaypoint] : this.activeRoute.waypoints;
+    if (waypoints.length === 0) {
+      this.announce('Nothing to zoom to - select a waypoint or add some to the route');
       return;
     }
     
-    // Determine if major or minor waypoint (Shift+Click for minor)
-    const isMajor = !event.shiftKey;
+    const points = waypoints.map(wp => this.coordinateTransform.imageToLayout(wp.imgX, wp.imgY));
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    this.coordinateTransform.zoomToBounds(
+      { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) },
+      INTERACTION.ZOOM_TO_SELECTION_PADDING,
+      waypoints.length === 1 ? INTERACTION.ZOOM_TO_POINT : INTERACTION.ZOOM_MAX
+    );
+    this.onViewChanged();
+    this.announce(this.selectedWaypoint ? 'Zoomed to selected waypoint' : `Zoomed to ${this.activeRoute.name}`);
+  }
+  
+  /**
+   * Refresh after zoom or pan - paths are kept in layout space, so only a redraw is needed
+   * @private
+   */
+  onViewChanged() {
+    this.uiController?.updateZoomDisplay(this.coordinateTransform.getView().zoom);
+    this.queueRender();
+  }
+  
+  // ----- Camera (playback and export) -----
+  
+  /**
+   * Describe the visible routes for CameraService, in the current render space
+   * Uses this.coordinateTransform and route.pathPoints, so inside
+   * withRenderTarget() it describes the export target instead of the screen
+   * @returns {Object} Scene for CameraService.getShot()
+   */
+  buildCameraScene() {
+    const engine = this.animationEngine;
+    const scheduleEnd = engine.routeScheduleEnd;
+    const routes = [];
+    const keyframes = [];
+    
+    this.getVisibleRoutes().forEach(route => {
+      // Routes missing from the schedule follow the whole timeline (as getRouteProgress does)
+      const entry = scheduleEnd > 0 ? engine.routeSchedule.find(e => e.id === route.id) : null;
+      const start = entry ? entry.start / scheduleEnd : 0;
+      const span = entry ? entry.duration / scheduleEnd : 1;
+      routes.push({ pathPoints: route.pathPoints, start, end: start + span, timeMap: entry?.timeMap || null });
+      
+      route.getMajorWaypointPositions().forEach(({ progress, waypoint }) => {
+        if (!waypoint.camera) return;
+        const centre = this.coordinateTransform.imageToLayout(waypoint.camera.imgX, waypoint.camera.imgY);
+        keyframes.push({ time: engine.getTimelineProgress(route.id, progress), zoom: waypoint.camera.zoom, x: centre.x, y: centre.y });
+      });
+    });
     
-    // Convert canvas coordinates to normalized image coordinates
-    const imgPos = this.canvasToImage(x, y);
+    return { width: this.displayWidth, height: this.displayHeight, routes, keyframes, easing: engine.state.easing };
+  }
+  
+  /**
+   * Point the view at the camera shot for a timeline position
+   * @param {number} progress - Timeline progress (0-1), defaults to the engine's
+   * @returns {boolean} True if the camera moved the view (false when off)
+   */
+  applyCamera(progress = this.animationEngine.getProgress()) {
+    const shot = this.cameraService.getShot(progress, this.buildCameraScene(), this.camera);
+    if (!shot) return false;
     
-    // Create waypoint using factory method
-    // Waypoint model handles default properties and validation
-    const waypoint = isMajor
-      ? Waypoint.createMajor(imgPos.x, imgPos.y)
-      : Waypoint.createMinor(imgPos.x, imgPos.y);
+    this.coordinateTransform.centerOn(shot.x, shot.y, shot.zoom);
+    return true;
+  }
+  
+  /**
+   * Change camera settings as one undoable step
+   * @param {Object} updates - Any of { mode, zoom, smoothing, overview }
+   */
+  updateCameraSettings(updates) {
+    const before = {};
+    Object.keys(updates).forEach(key => { before[key] = this.camera[key]; });
+    
+    this._applyCameraSettings(updates);
+    
+    const keys = Object.keys(updates);
+    this.historyManager.record({
+      label: `camera ${keys[0]}`,
+      undo: () => this._applyCameraSettings(before),
+      redo: () => this._applyCameraSettings(updates),
+      coalesceKey: `camera:${keys.join(',')}`
+    });
+  }
+  
+  /**
+   * Apply camera settings and preview the shot at the playhead
+   * @private
+   * @param {Object} values - Settings to apply
+   */
+  _applyCameraSettings(values) {
+    this.camera = CameraService.createSettings({ ...this.camera, ...values });
+    this.updateCameraControls();
+    
+    if (this.camera.mode !== 'off') {
+      this.applyCamera();
+    } else if ('mode' in values) {
+      // Turning the camera off hands back the whole map
+      this.coordinateTransform.resetView();
+    }
+    this.onViewChanged();
+    this.autoSave();
+  }
+  
+  /**
+   * Pin the current zoom and view centre to a waypoint as a camera keyframe
+   * @param {Waypoint} waypoint - Major waypoint to set the keyframe on
+   */
+  setCameraKeyframeFromView(waypoint) {
+    if (!waypoint?.isMajor) return;
+    
+    const transform = this.coordinateTransform;
+    const centre = transform.canvasToLayout(this.displayWidth / 2, this.displayHeight / 2);
+    const image = transform.layoutToImage(centre.x, centre.y);
+    const zoom = Math.round(Math.min(transform.getView().zoom, CAMERA.MAX_ZOOM) * 100) / 100;
+    this.updateWaypointProperties(waypoint, {
+      camera: { zoom, imgX: image.x, imgY: image.y }
+    });
+    if (waypoint === this.selectedWaypoint) {
+      this.uiController?.updateWaypointEditor(waypoint);
+    }
+    this.announce('Camera keyframe set from the current view');
+  }
+  
+  /**
+   * Reflect camera settings in the Settings tab
+   */
+  updateCameraControls() {
+    const { cameraMode, cameraZoom, cameraZoomValue, cameraSmoothing, cameraSmoothingValue, cameraOverview } = this.elements;
+    if (!cameraMode) return;
+    
+    cameraMode.value = this.camera.mode;
+    cameraZoom.value = this.camera.zoom;
+    cameraZoomValue.textContent = `${this.camera.zoom}×`;
+    cameraSmoothing.value = Math.round(this.camera.smoothing * 100);
+    cameraSmoothingValue.textContent = `${Math.round(this.camera.smoothing * 100)}%`;
+    cameraOverview.checked = this.camera.overview;
+  }
+  
+  /**
+   * Reflect snapping settings in the Settings tab
+   */
+  updateSnappingControls() {
+    const { snapGrid, snapGridSize, snapWaypoints, snapPath, snapAngle } = this.elements;
+    if (!snapGrid) return;
+    
+    snapGrid.checked = this.snapping.grid;
+    snapGridSize.value = this.snapping.gridSize;
+    snapGridSize.disabled = !this.snapping.grid;
+    snapWaypoints.checked = this.snapping.waypoints;
+    snapPath.checked = this.snapping.path;
+    snapAngle.value = String(this.snapping.angleStep);
+  }
+  
+  /**
+   * Work out where a waypoint being added or dragged should land
+   * In order: Shift-drag angle steps, other waypoints, route lines, then the
+   * grid, lined up with nearby waypoints on either axis
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {Object} options
+   * @param {Waypoint|null} options.waypoint - Waypoint being dragged (null when adding)
+   * @param {boolean} options.constrain - Keep to angle steps from the previous waypoint
+   * @returns {{x: number, y: number, guides: Array<Object>}} Canvas position and what it snapped to
+   */
+  snapPosition(x, y, { waypoint = null, constrain = false } = {}) {
+    const settings = this.snapping;
+    const route = (waypoint && this.getRouteForWaypoint(waypoint)) || this.activeRoute;
+    const moving = waypoint ? (this.selectedWaypoints.includes(waypoint) ? this.selectedWaypoints : [waypoint]) : [];
+    
+    if (constrain) {
+      // From the waypoint before - or after, when dragging the first one
+      const index = waypoint ? route.waypoints.indexOf(waypoint) : route.waypoints.length;
+      const previous = route.waypoints[index - 1] || route.waypoints[index + 1];
+      if (previous) {
+        const anchor = this.imageToCanvas(previous.imgX, previous.imgY);
+        const constrained = Snapping.constrainAngle(anchor, x, y, settings.angleStep);
+        return { x: constrained.x, y: constrained.y, guides: [{ type: 'angle', from: anchor, to: constrained }] };
+      }
+    }
     
-    // Set default label for major waypoints
-    if (isMajor) {
-      waypoint.label = `Waypoint ${this.waypoints.length + 1}`;
+    const others = !settings.waypoints ? [] : this.getVisibleRoutes()
+      .flatMap(r => r.waypoints)
+      .filter(wp => !moving.includes(wp))
+      .map(wp => this.imageToCanvas(wp.imgX, wp.imgY));
+    
+    const target = Snapping.toPoint(x, y, others, SNAPPING.RADIUS);
+    if (target) {
+      return { x: target.x, y: target.y, guides: [{ type: 'point', x: target.x, y: target.y }] };
     }
     
-    // Inherit properties from previous waypoint if exists
-    // This ensures consistent styling across the route
-    if (this.waypoints.length > 0) {
-      const previousWaypoint = this.waypoints[this.waypoints.length - 1];
-      waypoint.copyPropertiesFrom(previousWaypoint);
+    if (settings.path) {
+      // Not the dragged waypoint's own route - its lines move with it
+      const layout = this.coordinateTransform.canvasToLayout(x, y);
+      const reach = SNAPPING.RADIUS / this.coordinateTransform.getView().zoom;
+      for (const r of this.getVisibleRoutes().filter(r => !(waypoint && r === route))) {
+        const hit = this.findPathInsert(r, layout.x, layout.y);
+        if (hit && hit.distance <= reach) {
+          const pos = this.coordinateTransform.layoutToCanvas(hit.x, hit.y);
+          return { x: pos.x, y: pos.y, guides: [{ type: 'path', x: pos.x, y: pos.y }] };
+        }
+      }
     }
     
-    // Add waypoint to array
-    this.waypoints.push(waypoint);
+    const guides = [];
+    let result = { x, y };
+    if (settings.grid) {
+      const { width, height } = this.getGridSpace();
+      const image = this.canvasToImage(x, y);
+      const snapped = Snapping.toGrid(image.x * width, image.y * height, settings.gridSize);
+      result = this.imageToCanvas(snapped.x / width, snapped.y / height);
+    }
     
-    // Emit waypoint added event (triggers path calculation, save, render)
-    // Decoupled approach prevents tight coupling to specific update sequence
-    this.eventBus.emit('waypoint:added', waypoint);
+    const aligned = Snapping.align(result.x, result.y, others, SNAPPING.RADIUS);
+    if (settings.grid) guides.push({ type: 'grid', x: aligned.x, y: aligned.y });
+    if (aligned.alignX) guides.push({ type: 'align', from: aligned.alignX, to: { x: aligned.x, y: aligned.y } });
+    if (aligned.alignY) guides.push({ type: 'align', from: aligned.alignY, to: { x: aligned.x, y: aligned.y } });
+    return { x: aligned.x, y: aligned.y, guides };
+  }
+  
+  /**
+   * Size of the space the snapping grid is measured in
+   * Background image pixels, or the layout's when there is no image
+   * @returns {{width: number, height: number}}
+   */
+  getGridSpace() {
+    const t = this.coordinateTransform;
+    return t.imageWidth > 0 && t.imageHeight > 0
+      ? { width: t.imageWidth, height: t.imageHeight }
+      : { width: t.canvasWidth || 1, height: t.canvasHeight || 1 };
+  }
+  
+  /**
+   * Reflect auto-route settings in the Settings tab
+   */
+  updateAutoRouteControls() {
+    const settings = this.autoRoute;
+    const {
+      autoRouteSource, autoRouteColor, autoRoutePickColor, autoRouteTolerance, autoRouteToleranceValue,
+      autoRouteCellSize, autoRouteCellSizeValue, autoRoutePaint, autoRouteClear
+    } = this.elements;
+    if (!autoRouteSource) return;
+    
+    const byColor = settings.source === 'color';
+    autoRouteSource.value = settings.source;
+    autoRouteColor.value = settings.color;
+    autoRouteTolerance.value = settings.tolerance;
+    autoRouteToleranceValue.textContent = settings.tolerance;
+    autoRouteCellSize.value = settings.cellSize;
+    autoRouteCellSizeValue.textContent = `${settings.cellSize} px`;
+    [autoRouteColor, autoRoutePickColor, autoRouteTolerance].forEach(el => { el.disabled = !byColor; });
+    autoRoutePaint.setAttribute('aria-pressed', String(this.maskPainting));
+    autoRoutePaint.textContent = this.maskPainting ? 'Stop Painting' : 'Paint Mask';
+    autoRouteClear.disabled = !this.paintedMask;
+  }
+  
+  /**
+   * Index of the major waypoint an auto-route from a waypoint would end at
+   * @param {Waypoint} waypoint - Major waypoint the route starts from
+   * @returns {number} Index in its route, or -1 (not major, last major, or route locked)
+   */
+  getAutoRouteEnd(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    if (!waypoint?.isMajor || !route?.isEditable()) return -1;
     
-    this.announce(`${isMajor ? 'Major' : 'Minor'} waypoint added`);
-    console.log(`Added ${isMajor ? 'major' : 'minor'} waypoint at (${x.toFixed(0)}, ${y.toFixed(0)})`);
+    const start = route.waypoints.indexOf(waypoint);
+    return route.waypoints.findIndex((wp, i) => i > start && wp.isMajor);
   }
-  */ // End of mouse/keyboard handlers now managed by InteractionHandler
   
-  findWaypointAt(x, y) {
-    const threshold = INTERACTION.WAYPOINT_HIT_RADIUS; // pixels
-    return this.waypoints.find(wp => {
-      // Convert waypoint from image coords to canvas coords for comparison
-      const wpCanvas = this.imageToCanvas(wp.imgX, wp.imgY);
-      const dist = Math.sqrt(Math.pow(wpCanvas.x - x, 2) + Math.pow(wpCanvas.y - y, 2));
-      return dist <= threshold;
-    });
+  /**
+   * Walkability mask for the current auto-route settings
+   * Announces what's missing when there isn't one
+   * @returns {Object|null} Mask (see utils/AutoRoute.js)
+   */
+  getRoutingMask() {
+    if (this.autoRoute.source === 'painted') {
+      if (!this.paintedMask?.cells.some(Boolean)) {
+        this.announce('Paint the walkable paths first - Paint Mask in the Settings tab', 'assertive');
+        return null;
+      }
+      return this.paintedMask;
+    }
+    
+    if (!this.background.image) {
+      this.announce('Load a background map to auto-route along its paths', 'assertive');
+      return null;
+    }
+    const mask = this.autoRouter.getColorMask(this.background.image, this.autoRoute);
+    if (!mask) {
+      this.announce('Could not read the background image\'s colours', 'assertive');
+    }
+    return mask;
   }
   
-  updateWaypointList() {
-    // Delegate to UIController
-    if (this.uiController) {
-      this.uiController.updateWaypointList(this.waypoints);
+  /**
+   * Replace the leg from a major waypoint to the next major one with minor
+   * waypoints that follow the walkable paths, as one undoable step
+   * Minor waypoints already in the leg are replaced; the new ones take the
+   * style of the starting waypoint and can be edited like any others
+   * @param {Waypoint} waypoint - Major waypoint to route from
+   */
+  async autoRouteFrom(waypoint) {
+    const route = this.getRouteForWaypoint(waypoint);
+    const end = this.getAutoRouteEnd(waypoint);
+    if (end < 0) return;
+    
+    const mask = this.getRoutingMask();
+    if (!mask) return;
+    
+    const goal = route.waypoints[end];
+    this.announce('Finding a route…');
+    let points;
+    try {
+      points = await this.autoRouter.findRoute(mask, { x: waypoint.imgX, y: waypoint.imgY }, { x: goal.imgX, y: goal.imgY });
+    } catch (error) {
+      console.error('Auto-route failed:', error);
+      this.announce(`Auto-route failed: ${error.message}`, 'assertive');
+      return;
+    }
+    if (!points) {
+      this.announce('No walkable way found between these waypoints - raise the tolerance or paint the gap', 'assertive');
       return;
     }
     
-    // Fallback if UIController not initialized
-    this.elements.waypointList.innerHTML = '';
-    const majorWaypoints = this.waypoints.filter(wp => wp.isMajor);
-    
-    majorWaypoints.forEach((waypoint, index) => {
-      const item = document.createElement('div');
-      item.className = 'waypoint-item';
-      if (waypoint === this.selectedWaypoint) {
-        item.classList.add('selected');
+    // The route may have been edited while the search ran
+    const from = route.waypoints.indexOf(waypoint);
+    const to = route.waypoints.indexOf(goal);
+    if (from < 0 || to <= from || !route.isEditable()) return;
+    
+    const minors = points.slice(1, -1).map(point => Waypoint.createMinor(point.x, point.y).copyPropertiesFrom(waypoint));
+    const before = [...route.waypoints];
+    const after = [...before.slice(0, from + 1), ...minors, ...before.slice(to)];
+    this._setWaypoints(after, route);
+    this.historyManager.record({
+      label: 'auto-route',
+      undo: () => this._setWaypoints(before, route),
+      redo: () => this._setWaypoints(after, route)
+    });
+    this.announce(`Auto-routed to ${goal.label || 'the next major waypoint'} with ${minors.length} minor waypoint${minors.length === 1 ? '' : 's'}`);
+  }
+  
+  /**
+   * Let the user click the map to choose the colour of walkable paths
+   */
+  pickAutoRouteColor() {
+    if (!this.background.image) {
+      this.announce('Load a background map before picking a path colour', 'assertive');
+      return;
+    }
+    
+    this.announce('Click a footpath on the map to route along its colour (Escape to cancel)');
+    this.eventBus.emit('canvas:pick-point', (imgPos) => {
+      const color = this.autoRouter.sampleColor(this.background.image, imgPos.x, imgPos.y);
+      if (!color) {
+        this.announce('Could not read the background image\'s colours', 'assertive');
+        return;
       }
       
-      // Header row
-      const handle = document.createElement('span');
-      handle.className = 'waypoint-item-handle';
-      handle.textContent = '☰';
-      const label = document.createElement('span');
-      label.className = 'waypoint-item-label';
-      label.textContent = `Waypoint ${index + 1}`;
-      const delBtn = document.createElement('button');
-      delBtn.className = 'waypoint-item-delete';
-      delBtn.textContent = '×';
-      
-      item.appendChild(handle);
-      item.appendChild(label);
-      item.appendChild(delBtn);
-      
-      // Selection by clicking header bits
-      const selectWaypoint = (e) => {
-        e.stopPropagation();
-        this.selectedWaypoint = waypoint;
-        this.updateWaypointList();
-        this.updateWaypointEditor();
-      };
-      label.addEventListener('click', selectWaypoint);
-      handle.addEventListener('click', selectWaypoint);
-      item.addEventListener('click', selectWaypoint);
-      
-      // Delete button
-      delBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deleteWaypoint(waypoint);
-      });
-      
-      this.elements.waypointList.appendChild(item);
+      this.autoRoute = AutoRoute.createSettings({ ...this.autoRoute, source: 'color', color });
+      this.updateAutoRouteControls();
+      this.autoSave();
+      this.announce(`Auto-route colour set to ${color}`);
     });
   }
   
-  updateWaypointEditor() {
-    if (this.selectedWaypoint) {
-      // Show editor and hide placeholder
-      this.elements.waypointEditor.style.display = 'block';
-      this.elements.waypointEditorPlaceholder.style.display = 'none';
-      
-      // Path properties
-      this.elements.segmentColor.value = this.selectedWaypoint.segmentColor;
-      this.elements.segmentWidth.value = this.selectedWaypoint.segmentWidth;
-      this.elements.segmentWidthValue.textContent = this.selectedWaypoint.segmentWidth;
-      this.elements.segmentStyle.value = this.selectedWaypoint.segmentStyle || 'solid';
-      this.elements.pathShape.value = this.selectedWaypoint.pathShape || 'line';
-      
-      // Marker properties
-      this.elements.markerStyle.value = this.selectedWaypoint.markerStyle || 'dot';
-      this.elements.dotColor.value = this.selectedWaypoint.dotColor || this.selectedWaypoint.segmentColor || this.styles.dotColor;
-      this.elements.dotSize.value = this.selectedWaypoint.dotSize || this.styles.dotSize;
-      this.elements.dotSizeValue.textContent = this.elements.dotSize.value;
-      
-      // Path head properties
-      this.elements.pathHeadStyle.value = this.selectedWaypoint.pathHeadStyle || this.styles.pathHead.style;
-      this.elements.pathHeadColor.value = this.selectedWaypoint.pathHeadColor || this.styles.pathHead.color;
-      this.elements.pathHeadSize.value = this.selectedWaypoint.pathHeadSize || this.styles.pathHead.size;
-      this.elements.pathHeadSizeValue.textContent = this.elements.pathHeadSize.value;
-      this.elements.customHeadControls.style.display = 
-        (this.selectedWaypoint.pathHeadStyle || this.styles.pathHead.style) === 'custom' ? 'block' : 'none';
-      // Beacon editor fields
-      if (this.selectedWaypoint.isMajor) {
-        // Enable dot & beacon controls for major
-        this.elements.dotColor.disabled = false;
-        this.elements.dotSize.disabled = false;
-        this.elements.editorBeaconStyle.disabled = false;
-        this.elements.editorBeaconColor.disabled = false;
-        this.elements.editorBeaconStyle.value = this.selectedWaypoint.beaconStyle || this.styles.beaconStyle;
-        this.elements.editorBeaconColor.value = this.selectedWaypoint.beaconColor || this.styles.beaconColor;
-        
-        // Label controls
-        this.elements.waypointLabel.disabled = false;
-        this.elements.labelMode.disabled = false;
-        this.elements.labelPosition.disabled = false;
-        this.elements.waypointLabel.value = this.selectedWaypoint.label || '';
-        this.elements.labelMode.value = this.selectedWaypoint.labelMode || 'none';
-        this.elements.labelPosition.value = this.selectedWaypoint.labelPosition || 'auto';
-        
-        // Enable pause controls for major waypoints
-        this.elements.waypointPauseTime.disabled = false;
-        const pauseTimeSec = (this.selectedWaypoint.pauseTime || 0) / 1000;
-        this.elements.waypointPauseTime.value = pauseTimeSec;
-        this.elements.waypointPauseTimeValue.textContent = pauseTimeSec + 's';
-        this.elements.pauseTimeControl.style.display = 'flex';
-      } else {
-        // Minor waypoint - disable features that don't apply
-        this.elements.dotColor.disabled = true;
-        this.elements.dotSize.disabled = true;
-        this.elements.editorBeaconStyle.disabled = true;
-        this.elements.editorBeaconColor.disabled = true;
-        this.elements.editorBeaconStyle.value = 'none';
-        this.elements.editorBeaconColor.value = this.styles.beaconColor;
-        
-        // Disable label controls for minor waypoints
-        this.elements.waypointLabel.disabled = true;
-        this.elements.labelMode.disabled = true;
-        this.elements.labelPosition.disabled = true;
-        this.elements.waypointLabel.value = '';
-        this.elements.labelMode.value = 'none';
-        this.elements.labelPosition.value = 'auto';
-        
-        // Disable pause controls for minor waypoints
-        this.elements.waypointPauseTime.disabled = true;
-        this.elements.waypointPauseTime.value = 0;
-        this.elements.waypointPauseTimeValue.textContent = '0s';
-        this.elements.pauseTimeControl.style.display = 'none';
+  /**
+   * Start or stop painting the walkability mask on the map
+   * Painting switches auto-routing to the painted mask
+   * @param {boolean} active - Paint (true) or go back to editing waypoints
+   */
+  setMaskPainting(active) {
+    if (active === this.maskPainting) return;
+    
+    this.maskPainting = active;
+    if (active) {
+      if (!this.paintedMask) {
+        const { width, height } = this.getGridSpace();
+        const size = AutoRoute.getCellSize(width, height, this.autoRoute.cellSize);
+        this.paintedMask = AutoRoute.createMask(width / size, height / size);
       }
+      this.autoRoute = AutoRoute.createSettings({ ...this.autoRoute, source: 'painted' });
+      this.autoSave();
+      this.announce('Painting walkable paths: drag on the map, Alt+drag to erase, Escape when done');
     } else {
-      // Hide editor and show placeholder
-      this.elements.waypointEditor.style.display = 'none';
-      this.elements.waypointEditorPlaceholder.style.display = 'flex';
+      this.announce('Stopped painting');
     }
+    
+    this.eventBus.emit('autoroute:painting', active);
+    this.updateAutoRouteControls();
+    this.queueRender();
   }
   
-  deleteWaypoint(waypoint) {
-    const index = this.waypoints.indexOf(waypoint);
-    if (index > -1) {
-      // Remove from array
-      this.waypoints.splice(index, 1);
-      
-      // Remove from ID lookup map
-      this._removeWaypointFromMap(waypoint);
-      
-      // Clear selection if this waypoint was selected
-      if (this.selectedWaypoint === waypoint) {
-        this.selectedWaypoint = null;
-      }
-      
-      // Emit waypoint deleted event (triggers path recalc, UI update, save)
-      // Event-driven approach ensures consistent update sequence
-      this.eventBus.emit('waypoint:deleted', index);
-      
-      this.announce('Waypoint deleted');
+  /**
+   * Paint (or erase) the mask under the brush
+   * A brush stroke is one undo step, recorded when it ends
+   * @param {number} x - Canvas X
+   * @param {number} y - Canvas Y
+   * @param {boolean} erase - Mark blocked instead of walkable
+   */
+  paintMask(x, y, erase = false) {
+    const mask = this.paintedMask;
+    if (!mask) return;
+    
+    if (!this.maskStroke) {
+      this.maskStroke = mask.cells.slice();
     }
+    const center = this.canvasToImage(x, y);
+    const edge = this.canvasToImage(x + AUTO_ROUTE.BRUSH_RADIUS, y);
+    const radius = Math.abs(edge.x - center.x) * mask.width;
+    AutoRoute.paint(mask, center.x * mask.width, center.y * mask.height, radius, !erase);
+    this.maskOverlay = null;
+    this.queueRender();
   }
   
   /**
-   * Update coordinateTransform service when image changes
-   * @param {HTMLImageElement} img - The loaded image
+   * Record the finished brush stroke for undo
    */
-  updateImageTransform(img) {
-    if (!img) {
-      // No image - coordinateTransform will use normalized coordinates
-      return;
-    }
-    
-    const width = img.naturalWidth || img.width;
-    const height = img.naturalHeight || img.height;
-    this.coordinateTransform.setImageDimensions(width, height, this.background.fit);
+  endMaskStroke() {
+    const before = this.maskStroke;
+    if (!before) return;
+    
+    this.maskStroke = null;
+    const mask = this.paintedMask;
+    const after = mask.cells.slice();
+    this.historyManager.record({
+      label: 'paint mask',
+      undo: () => this._setMaskCells(mask, before),
+      redo: () => this._setMaskCells(mask, after)
+    });
+  }
+  
+  /**
+   * Clear every painted cell as one undoable step
+   */
+  clearPaintedMask() {
+    const mask = this.paintedMask;
+    if (!mask) return;
+    
+    const before = mask.cells.slice();
+    const after = new Uint8Array(before.length);
+    this._setMaskCells(mask, after);
+    this.historyManager.record({
+      label: 'clear mask',
+      undo: () => this._setMaskCells(mask, before),
+      redo: () => this._setMaskCells(mask, after)
+    });
+    this.announce('Painted mask cleared');
+  }
+  
+  /**
+   * Set the painted mask's cells without recording history
+   * @private
+   * @param {Object} mask - Painted mask
+   * @param {Uint8Array} cells - Cells to copy in
+   */
+  _setMaskCells(mask, cells) {
+    this.paintedMask = mask;
+    mask.cells.set(cells);
+    this.maskOverlay = null;
+    this.updateAutoRouteControls();
+    this.queueRender();
   }
   
   /**
@@ -1477,35 +3678,69 @@ class RoutePlotter {
     return this.coordinateTransform.imageToCanvas(imageX, imageY);
   }
   
-  async calculatePath() {
-    this.pathPoints = [];
+  /**
+   * Calculate the canvas-space path for one route
+   * @param {Route} route - Route to calculate (defaults to the active route)
+   */
+  async calculatePath(route = this.activeRoute) {
+    route.setPath([]);
     
-    if (this.waypoints.length < 2) {
+    if (!route.hasPath()) {
+      this.scheduleTimelineUpdate();
       return;
     }
     
-    // Convert waypoint image coordinates to canvas coordinates
-    // This ensures the path is rendered correctly on the canvas
-    const canvasWaypoints = this.waypoints.map(wp => {
-      const canvasPos = this.imageToCanvas(wp.imgX, wp.imgY);
-      return {
-        ...wp,
-        x: canvasPos.x,
-        y: canvasPos.y
-      };
-    });
+    // Zoom and pan are applied when drawing, so the path survives view changes
+    const canvasWaypoints = this.getLayoutWaypoints(route);
     
+    let result;
     try {
-      // Try to use async Web Worker calculation
-      this.pathPoints = await this.pathCalculator.calculatePathAsync(canvasWaypoints);
+      // Try to use async Web Worker calculation (a newer request for this route supersedes it)
+      result = await this.pathCalculator.calculatePathWithTimingAsync(canvasWaypoints, { key: route.id });
     } catch (error) {
       console.warn('Async path calculation failed, falling back to sync:', error);
       // Fall back to synchronous calculation
-      this.pathPoints = this.pathCalculator.calculatePath(canvasWaypoints);
+      result = this.pathCalculator.calculatePathWithTiming(canvasWaypoints);
     }
+    if (!result) return; // The waypoints changed mid-calculation - the newer request sets the path
+    route.setPath(result.pathPoints, result.timing);
     
-    // Performance optimization: Debounce duration calculation
-    // Prevents redundant calculations during multi-waypoint operations
+    this.scheduleTimelineUpdate();
+  }
+  
+  /**
+   * Route waypoints in layout coordinates (canvas at zoom 1), ready for path calculation
+   * Bézier handle offsets become absolute layout positions too
+   * @param {Route} route - Route to convert
+   * @param {CoordinateTransform} transform - Transform to use (defaults to the screen's)
+   * @returns {Array<Object>} Waypoint copies with x/y
+   */
+  getLayoutWaypoints(route, transform = this.coordinateTransform) {
+    return route.waypoints.map(wp => {
+      const canvasPos = transform.imageToLayout(wp.imgX, wp.imgY);
+      const toLayout = (handle) => handle ? transform.imageToLayout(wp.imgX + handle.x, wp.imgY + handle.y) : null;
+      return {
+        ...wp,
+        x: canvasPos.x,
+        y: canvasPos.y,
+        handleIn: toLayout(wp.handleIn),
+        handleOut: toLayout(wp.handleOut)
+      };
+    });
+  }
+  
+  /**
+   * Recalculate every route's path (e.g. after the canvas or background changes)
+   */
+  calculateAllPaths() {
+    this.routes.forEach(route => this.calculatePath(route));
+  }
+  
+  /**
+   * Debounced duration/timeline refresh after path changes
+   * Performance optimization: Prevents redundant calculations during multi-waypoint operations
+   */
+  scheduleTimelineUpdate() {
     if (this._durationUpdateTimeout) {
       clearTimeout(this._durationUpdateTimeout);
     }
@@ -1513,17 +3748,8 @@ class RoutePlotter {
     this._durationUpdateTimeout = setTimeout(() => {
       // Calculate duration based on animation mode
       if (this.animationEngine.state.mode === 'constant-speed') {
-        const totalLength = this.pathCalculator.calculatePathLength(this.pathPoints);
-        const currentSpeed = this.animationEngine.state.speed;
-        const totalDuration = (totalLength / currentSpeed) * 1000; // Convert to ms
-        
-        console.log('🛤️  [calculatePath] Updating duration - speed:', currentSpeed, 'px/s, length:', totalLength.toFixed(1), 'px, duration:', (totalDuration/1000).toFixed(1) + 's');
-        
-        this.animationEngine.setDuration(totalDuration);
-        
-        // Update duration display immediately to show correct time
-        const durationSec = Math.round(totalDuration / 100) / 10;
-        this.elements.animationSpeedValue.textContent = durationSec + 's';
+        const totalDuration = this.updateRouteTimeline();
+        console.log('🛤️  [calculatePath] Updating duration - speed:', this.animationEngine.state.speed, 'px/s, duration:', (totalDuration/1000).toFixed(1) + 's');
       }
       // For constant-time mode, duration is already set by the slider
       
@@ -1533,77 +3759,70 @@ class RoutePlotter {
   }
   
   /**
-   * Get positions of major waypoints as normalized progress values (0-1)
-   * Performance optimization: Results are cached and only recalculated when waypoints change
-   * Reduces ~99% of waypoint position calculations (was every frame → once per change)
+   * Schedule visible routes on the animation timeline
+   * Each route's duration comes from its path length at the current speed,
+   * adjusted leg by leg for speed multipliers and fixed leg durations
+   * @returns {number} Total timeline duration in ms
    */
-  getMajorWaypointPositions() {
-    if (this.waypoints.length < 2) return [];
-    
-    // Return cached result if available (99% of calls hit cache)
-    if (this._majorWaypointsCache) {
-      return this._majorWaypointsCache;
-    }
+  updateRouteTimeline() {
+    const speed = this.animationEngine.state.speed;
+    const schedule = this.getVisibleRoutes().map(route => {
+      const baseDuration = route.pathPoints.length > 1
+        ? (route.getPathLength() / speed) * 1000
+        : 0;
+      const { duration, timeMap } = PathTiming.buildTimeMap(route.getTimedLegs(baseDuration));
+      return { id: route.id, startMode: route.startMode, duration, timeMap };
+    });
     
-    // Calculate fresh (only when waypoints change)
-    const majorWaypoints = [];
-    let totalSegments = this.waypoints.length - 1;
+    const totalDuration = this.animationEngine.setRouteSchedule(schedule);
     
-    for (let i = 0; i < this.waypoints.length; i++) {
-      if (this.waypoints[i].isMajor) {
-        // Calculate position as progress (0-1) along the path
-        const progress = i / totalSegments;
-        majorWaypoints.push({ 
-          index: i, 
-          progress: progress,
-          waypoint: this.waypoints[i]
-        });
-      }
-    }
+    // Update duration display immediately to show correct time
+    const durationSec = Math.round(totalDuration / 100) / 10;
+    this.elements.animationSpeedValue.textContent = durationSec + 's';
     
-    // Cache the result for subsequent calls
-    this._majorWaypointsCache = majorWaypoints;
-    return majorWaypoints;
+    return totalDuration;
   }
   
-  // Apply smooth easing to entire animation with EXACT waypoint positioning
-  // Gives professional smooth start/stop while preserving waypoint pause precision
-  applyEasing(rawProgress, majorWaypoints) {
-    // Check if we should be EXACTLY at a waypoint with pause
-    for (const wp of majorWaypoints) {
-      // If we're very close to the waypoint's progress and it has a pause setting
-      if (wp.waypoint && 
-          wp.waypoint.pauseMode === 'timed' && 
-          Math.abs(rawProgress - wp.progress) < 0.001) {
-        // Force exact position at waypoint - no easing
-        return wp.progress;
-      }
-    }
-    
-    // Apply smooth cubic ease-in-out for professional animation feel
-    return Easing.cubicInOut(rawProgress);
+  /**
+   * Change the timing curve over the whole animation as one undoable step
+   * @param {string} easing - Curve name or "cubic-bezier(...)" (see utils/Easing.js)
+   */
+  updateEasing(easing) {
+    const before = this.animationEngine.state.easing;
+    if (easing === before) return;
+    
+    this._applyEasing(easing);
+    this.historyManager.record({
+      label: 'timing curve',
+      undo: () => this._applyEasing(before),
+      redo: () => this._applyEasing(easing),
+      coalesceKey: 'animation:easing'
+    });
   }
   
-  // Find which segment of the path we're currently in based on progress
-  findSegmentIndexForProgress(progress) {
-    if (this.waypoints.length < 2) return -1;
-    
-    const totalSegments = this.waypoints.length - 1;
-    // Clamp progress between 0 and 1
-    const clampedProgress = Math.max(0, Math.min(1, progress));
-    
-    // Convert progress to segment index
-    const segmentPosition = clampedProgress * totalSegments;
-    const segmentIndex = Math.floor(segmentPosition);
-    
-    return Math.min(segmentIndex, totalSegments - 1);
+  /**
+   * Apply a global timing curve and redraw the frame at the playhead
+   * @private
+   * @param {string} easing - Curve spec
+   */
+  _applyEasing(easing) {
+    this.animationEngine.setEasing(easing);
+    this.uiController.updateEasingControls(this.animationEngine.state.easing);
+    this.autoSave();
+    this.queueRender();
+  }
+  
+  // Find which segment of the route we're currently in based on progress
+  findSegmentIndexForProgress(progress, route = this.activeRoute) {
+    // Mapped through the path timing, so segments take their real share of the route
+    return route.getSegmentAtProgress(progress);
   }
   
   /**
    * Check if we need to wait at any waypoint
    * Performance optimization: Only checks waypoints within proximity threshold (~80% reduction)
    */
-  checkForWaypointWait(rawProgress, majorWaypoints) {
+  checkForWaypointWait(rawProgress, majorWaypoints, route = this.activeRoute) {
     // Skip if already waiting at a waypoint or not playing
     if (this.animationEngine.state.isWaitingAtWaypoint || this.animationEngine.state.isPaused) return;
     
@@ -1618,7 +3837,7 @@ class RoutePlotter {
     if (nearbyWaypoints.length === 0) return;
     
     // Find which waypoint we're currently at (or between)
-    const segmentIndex = this.findSegmentIndexForProgress(rawProgress);
+    const segmentIndex = this.findSegmentIndexForProgress(rawProgress, route);
     if (segmentIndex < 0) return;
     
     // Only log major waypoint info on the first frame (when near the beginning)
@@ -1648,8 +3867,8 @@ class RoutePlotter {
         continue;
       }
       
-      // Calculate exact position values for this waypoint
-      const exactWaypointProgress = wp.index / (this.waypoints.length - 1);
+      // Exact position of this waypoint (from the path timing)
+      const exactWaypointProgress = wp.progress;
       
       // Calculate precise distance from current position to waypoint
       // We want the closest waypoint ahead of us (positive distance)
@@ -1667,7 +3886,7 @@ class RoutePlotter {
     if (!nextWaypoint) return;
     
     // Calculate exact waypoint position
-    const exactWaypointProgress = nextWaypoint.index / (this.waypoints.length - 1);
+    const exactWaypointProgress = nextWaypoint.progress;
     
     // More flexible threshold to catch waypoints
     // This prevents skipping over waypoints during fast animations
@@ -1705,7 +3924,7 @@ class RoutePlotter {
    * Delegates to AnimationEngine for state management
    */
   play() {
-    if (this.waypoints.length < 2) return;
+    if (!this.hasRouteToDraw()) return;
     
     // If animation is finished (at 100%), reset to beginning
     if (this.animationEngine.state.progress >= 1.0) {
@@ -1747,20 +3966,26 @@ class RoutePlotter {
     this.announce('Skipped to end');
   }
   
-  clearAll() {
-    this.waypoints = []; // Clear Waypoint instances
-    this.waypointsById.clear(); // Clear ID lookup map
-    this.pathPoints = [];
-    this.selectedWaypoint = null;
+  /**
+   * Remove every waypoint from a route (other routes are untouched)
+   * @param {Route} route - Route to clear (defaults to the active route)
+   */
+  clearAll(route = this.activeRoute) {
+    route.waypoints.forEach(wp => this._removeWaypointFromMap(wp)); // Clear ID lookups
+    route.waypoints = []; // Clear Waypoint instances
+    route.setPath([]);
+    this.setSelectedWaypoint(null);
     
     // Reset animation state via AnimationEngine
     this.animationEngine.reset();
-    this.animationEngine.setDuration(0);
+    this.updateRouteTimeline();
     
     this.pause();
     this.updateTimeDisplay();
     this.updateWaypointList();
-    console.log('Cleared all waypoints and path');
+    this.updateRouteList();
+    this.autoSave();
+    console.log(`Cleared all waypoints and path from ${route.name}`);
   }
   
   showSplash() {
@@ -1797,19 +4022,25 @@ class RoutePlotter {
       }
       
       const data = {
-        coordVersion: 6, // Version tracking for coordinate system changes
-        waypoints: this.waypoints.map(wp => wp.toJSON()), // Serialize Waypoint instances
+        coordVersion: 8, // Version tracking for coordinate system changes
+        routes: this.routes.map(route => route.toJSON()), // Serialize Route and Waypoint instances
+        activeRouteId: this.activeRoute.id,
         styles: stylesCopy,
         animationState: {
           mode: this.animationEngine.state.mode,
           speed: this.animationEngine.state.speed,
+          easing: this.animationEngine.state.easing,
           duration: this.animationEngine.state.duration,
           playbackSpeed: this.animationEngine.state.playbackSpeed
         },
         background: {
           overlay: this.background.overlay,
           fit: this.background.fit
-        }
+        },
+        geoReference: this.geoReference.toJSON(),
+        camera: { ...this.camera },
+        snapping: { ...this.snapping },
+        autoRoute: { ...this.autoRoute }
       };
       
       // Use StorageService with debounced auto-save
@@ -1833,88 +4064,204 @@ class RoutePlotter {
         return;
       }
       
-      // Hydrate waypoints from plain objects to Waypoint instances
-      if (data.waypoints && Array.isArray(data.waypoints)) {
-        // Use batch mode to prevent redundant calculations during loading
-        this.beginBatch();
-        
-        // Convert plain objects to Waypoint instances with validation
-        this.waypoints = data.waypoints
-          .map(wpData => {
-            // Validate waypoint data before hydration
-            if (!Waypoint.validate(wpData)) {
-              console.warn('Invalid waypoint data, skipping:', wpData);
-              return null;
-            }
-            return Waypoint.fromJSON(wpData);
-          })
-          .filter(wp => wp !== null); // Remove invalid waypoints
-        
-        // Populate ID lookup map
-        this.waypoints.forEach(wp => this._addWaypointToMap(wp));
-        
-        // End batch mode - triggers single path calculation
-        this.endBatch();
-        
-        console.log('Loaded waypoints:', this.waypoints.length);
+      // v7: Segment tension shapes the path - older saves hold an unused default
+      if (data.coordVersion < 7) {
+        this.projectFileService.resetLegacyTension(Array.isArray(data.routes) ? data.routes : [data]);
+      }
+      
+      // v8: Waypoint path head style switches the head per leg - older saves hold an unused default
+      if (data.coordVersion < 8) {
+        this.projectFileService.resetLegacyHeadStyle(Array.isArray(data.routes) ? data.routes : [data]);
+      }
+      
+      // Waypoints saved before noise seeds existed need a stable one
+      this.projectFileService.seedLegacyNoise(Array.isArray(data.routes) ? data.routes : [data]);
+      
+      this.restoreState(data);
+      
+      // Set animation to end position by default (not playing)
+      this.animationEngine.seekToProgress(1.0);
+      this.animationEngine.pause();
+      
+      this.announce('Previous session restored');
+    } catch (e) {
+      console.warn('No autosave found or failed to load');
+    }
+  }
+  
+  /**
+   * Apply saved state (autosave slot or project file) to the app
+   * Shared by loadAutosave() and openProject() so both restore identically
+   * @param {Object} data - { routes, activeRouteId, styles, animationState, background, geoReference, camera }
+   *   Older autosaves with a single top-level waypoints list load as one route
+   */
+  restoreState(data) {
+    const routesData = Array.isArray(data.routes) ? data.routes :
+      Array.isArray(data.waypoints) ? [{ waypoints: data.waypoints }] : null;
+    
+    // Hydrate routes and waypoints from plain objects (invalid waypoints are skipped)
+    if (routesData) {
+      // Use batch mode to prevent redundant calculations during loading
+      this.beginBatch();
+      
+      const routes = routesData.filter(routeData => Route.validate(routeData)).map(routeData => Route.fromJSON(routeData));
+      this.routes = routes.length > 0 ? routes : [new Route()];
+      this.activeRoute = this.routes.find(route => route.id === data.activeRouteId) || this.routes[0];
+      
+      // Populate ID lookup map
+      this.waypointsById.clear();
+      this.routes.forEach(route => route.waypoints.forEach(wp => this._addWaypointToMap(wp)));
+      
+      // End batch mode - triggers single path calculation
+      this.endBatch();
+      
+      console.log('Loaded routes:', this.routes.length, 'waypoints:', this.waypointsById.size);
+    }
+    if (data.styles) {
+      // Path head settings added since a file was saved keep their defaults
+      this.styles = { ...this.styles, ...data.styles, pathHead: { ...this.styles.pathHead, ...data.styles.pathHead } };
+    }
+    
+    // IMPORTANT: Load animation state BEFORE calculating path
+    // This ensures path calculation uses the correct saved speed
+    if (data.animationState) {
+      const savedState = data.animationState;
+      
+      // Restore animation state to AnimationEngine
+      this.animationEngine.setMode(savedState.mode || 'constant-speed');
+      this.animationEngine.setSpeed(savedState.speed || ANIMATION.DEFAULT_SPEED);
+      this.animationEngine.setPlaybackSpeed(savedState.playbackSpeed || 1);
+      this.animationEngine.setEasing(savedState.easing || EASING.DEFAULT_CURVE);
+      this.uiController.updateEasingControls(this.animationEngine.state.easing);
+      // Don't restore duration yet - will be recalculated from path length + speed
+      
+      // Update UI to match loaded values
+      if (this.elements.animationSpeed) {
+        const loadedSpeed = savedState.speed || ANIMATION.DEFAULT_SPEED;
+        console.log('🎯 [restoreState] Setting slider to:', loadedSpeed, '(from savedState.speed:', savedState.speed, ')');
+        // Use event to avoid feedback loop
+        this.eventBus.emit('ui:slider:update-speed', loadedSpeed);
+        // Duration display will be updated after path calculation
+      }
+      
+      // Always show speed control
+      if (this.elements.speedControl) {
+        this.elements.speedControl.style.display = 'flex';
+      }
+    }
+    
+    if (data.background) {
+      this.background.overlay = data.background.overlay ?? this.background.overlay;
+      this.background.fit = data.background.fit ?? this.background.fit;
+      
+      // Update toggle button to match loaded state
+      if (this.elements.bgFitToggle) {
+        this.elements.bgFitToggle.textContent = this.background.fit === 'fit' ? 'Fit' : 'Fill';
+        this.elements.bgFitToggle.dataset.mode = this.background.fit;
       }
-      if (data.styles) {
-        this.styles = { ...this.styles, ...data.styles };
+      // Reflect overlay in UI if controls exist
+      if (this.elements.bgOverlay) {
+        this.elements.bgOverlay.value = String(this.background.overlay);
+        this.elements.bgOverlayValue.textContent = String(this.background.overlay);
       }
+    }
+    
+    // Control points belong to the background image - replace, never merge
+    const img = this.background.image;
+    this.geoReference = GeoReference.fromJSON(data.geoReference,
+      img ? (img.naturalWidth || img.width) : 1, img ? (img.naturalHeight || img.height) : 1);
+    this.updateGeoReferenceControls();
+    
+    // Camera settings are per project - missing ones fall back to defaults (camera off)
+    this.camera = CameraService.createSettings(data.camera);
+    this.updateCameraControls();
+    
+    // Snapping and auto-routing are editing preferences, kept by autosave but not in project files
+    if (data.snapping) {
+      this.snapping = Snapping.createSettings(data.snapping);
+    }
+    this.updateSnappingControls();
+    if (data.autoRoute) {
+      this.autoRoute = AutoRoute.createSettings(data.autoRoute);
+    }
+    this.updateAutoRouteControls();
+    
+    // Calculate paths with loaded speed - this will recalculate correct duration
+    this.calculateAllPaths();
+    this.updateWaypointList();
+    this.updateRouteList();
+  }
+  
+  /**
+   * Download the current project as a .routeplot.json file
+   * Prompts for a name so files are easy to tell apart when shared
+   */
+  saveProject() {
+    const name = prompt('Project name:', this.projectName);
+    if (name === null) return; // Cancelled
+    
+    this.projectName = name.trim() || PROJECT.DEFAULT_NAME;
+    
+    const project = this.projectFileService.createProject({
+      name: this.projectName,
+      routes: this.routes,
+      activeRouteId: this.activeRoute.id,
+      styles: this.styles,
+      animationState: {
+        mode: this.animationEngine.state.mode,
+        speed: this.animationEngine.state.speed,
+        easing: this.animationEngine.state.easing,
+        duration: this.animationEngine.state.duration,
+        playbackSpeed: this.animationEngine.state.playbackSpeed
+      },
+      background: this.background,
+      geoReference: this.geoReference.toJSON(),
+      camera: this.camera
+    }, this.projectFileService.imageToDataURL(this.background.image));
+    
+    const blob = new Blob([this.projectFileService.serialize(project)], { type: PROJECT.MIME_TYPE });
+    FileDownload.download(blob, this.projectFileService.getFilename(this.projectName));
+    this.announce(`Project "${this.projectName}" saved`);
+  }
+  
+  /**
+   * Open a .routeplot.json project file, replacing the current route
+   * @param {File} file - Picked or dropped project file
+   */
+  async openProject(file) {
+    try {
+      const project = this.projectFileService.parse(await file.text());
       
-      // IMPORTANT: Load animation state BEFORE calculating path
-      // This ensures path calculation uses the correct saved speed
-      if (data.animationState) {
-        const savedState = data.animationState;
-        
-        // Restore animation state to AnimationEngine
-        this.animationEngine.setMode(savedState.mode || 'constant-speed');
-        this.animationEngine.setSpeed(savedState.speed || ANIMATION.DEFAULT_SPEED);
-        this.animationEngine.setPlaybackSpeed(savedState.playbackSpeed || 1);
-        // Don't restore duration yet - will be recalculated from path length + speed
-        
-        // Update UI to match loaded values
-        if (this.elements.animationSpeed) {
-          const loadedSpeed = savedState.speed || ANIMATION.DEFAULT_SPEED;
-          console.log('🎯 [loadAutosave] Setting slider to:', loadedSpeed, '(from savedState.speed:', savedState.speed, ')');
-          // Use event to avoid feedback loop
-          this.eventBus.emit('ui:slider:update-speed', loadedSpeed);
-          // Duration display will be updated after path calculation
-        }
-        
-        // Always show speed control
-        if (this.elements.speedControl) {
-          this.elements.speedControl.style.display = 'flex';
-        }
-      }
+      // Decode the embedded image first so a bad file leaves the current project intact
+      const image = project.background.image ?
+        await this.projectFileService.loadImage(project.background.image) : null;
       
-      if (data.background) {
-        this.background.overlay = data.background.overlay ?? this.background.overlay;
-        this.background.fit = data.background.fit ?? this.background.fit;
-        
-        // Update toggle button to match loaded state
-        if (this.elements.bgFitToggle) {
-          this.elements.bgFitToggle.textContent = this.background.fit === 'fit' ? 'Fit' : 'Fill';
-          this.elements.bgFitToggle.dataset.mode = this.background.fit;
-        }
-        // Reflect overlay in UI if controls exist
-        if (this.elements.bgOverlay) {
-          this.elements.bgOverlay.value = String(this.background.overlay);
-          this.elements.bgOverlayValue.textContent = String(this.background.overlay);
-        }
+      this.setSelectedWaypoint(null);
+      this.waypointsById.clear();
+      this.restoreState(project);
+      
+      // Projects saved without an image keep the current background
+      if (image) {
+        this.setBackgroundImage(image);
+      } else {
+        this.updateImageTransform(this.background.image);
       }
       
-      // Calculate path with loaded speed - this will recalculate correct duration
-      this.calculatePath();
-      this.updateWaypointList();
+      // Sync global style controls with the loaded styles
+      this.syncPathHeadControls();
       
-      // Set animation to end position by default (not playing)
       this.animationEngine.seekToProgress(1.0);
       this.animationEngine.pause();
       
-      this.announce('Previous session restored');
-    } catch (e) {
-      console.warn('No autosave found or failed to load');
+      // A different project - earlier steps no longer apply
+      this.historyManager.clear();
+      this.projectName = project.name || this.projectFileService.getNameFromFilename(file.name);
+      this.autoSave();
+      this.render();
+      this.announce(`Project "${this.projectName}" opened`);
+    } catch (error) {
+      console.error('Failed to open project:', error);
+      this.announce(`Could not open project: ${error.message}`, 'assertive');
     }
   }
   
@@ -1938,6 +4285,11 @@ class RoutePlotter {
       const shouldRender = state.isPlaying || progressChanged || waitingChanged;
       
       if (shouldRender) {
+        // Camera follows playback and scrubbing; while paused the view stays free to edit
+        if (this.camera.mode !== 'off' && (state.isPlaying || progressChanged) && this.applyCamera(state.progress)) {
+          this.uiController?.updateZoomDisplay(this.coordinateTransform.getView().zoom);
+        }
+        
         // Sync UI with animation state (minimal updates)
         this.syncUIWithAnimationState(state);
         
@@ -2019,13 +4371,191 @@ class RoutePlotter {
     
     const vctx = vCanvas.getContext('2d');
     vctx.clearRect(0, 0, vCanvas.width, vCanvas.height);
-    this.renderVectorLayerTo(vctx);
+    this.renderVectorLayerTo(vctx, { cachePaths: true });
     
     // Safety check before drawing vector layer
     if (vCanvas.width > 0 && vCanvas.height > 0) {
       // Blit vector layer to main
       ctx.drawImage(vCanvas, 0, 0);
     }
+    
+    this.renderUiHandles(ctx);
+  }
+  
+  /**
+   * Draw the editing aids over the map (the LAYERS.UI_HANDLES slot)
+   * Screen only - never part of an export
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderUiHandles(ctx) {
+    this.renderRoutingMask(ctx);
+    this.renderSnapGuides(ctx);
+    this.renderBezierHandles(ctx);
+    this.renderSelectionRect(ctx);
+    this.renderKeyboardCursor(ctx);
+  }
+  
+  /**
+   * Draw the selected waypoint's Bézier handles (editing aid, never exported)
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderBezierHandles(ctx) {
+    const handles = this.getBezierHandles();
+    if (!handles) return;
+    
+    const { anchor } = handles;
+    ctx.save();
+    ctx.strokeStyle = '#4a90e2';
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    [handles.in, handles.out].filter(Boolean).forEach(handle => {
+      ctx.beginPath();
+      ctx.moveTo(anchor.x, anchor.y);
+      ctx.lineTo(handle.x, handle.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(handle.x, handle.y, RENDERING.HANDLE_SIZE, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the rubber band while a selection rectangle is being dragged out
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderSelectionRect(ctx) {
+    const rect = this.selectionRect;
+    if (!rect) return;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(74, 144, 226, 0.12)';
+    ctx.strokeStyle = '#4a90e2';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.fillRect(rect.minX, rect.minY, rect.maxX - rect.minX, rect.maxY - rect.minY);
+    ctx.strokeRect(rect.minX + 0.5, rect.minY + 0.5, rect.maxX - rect.minX, rect.maxY - rect.minY);
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the painted walkability mask over the map while painting it
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderRoutingMask(ctx) {
+    const mask = this.paintedMask;
+    if (!this.maskPainting || !mask) return;
+    
+    if (!this.maskOverlay) {
+      const canvas = document.createElement('canvas');
+      canvas.width = mask.width;
+      canvas.height = mask.height;
+      const overlayCtx = canvas.getContext('2d');
+      const image = overlayCtx.createImageData(mask.width, mask.height);
+      mask.cells.forEach((cell, i) => {
+        if (cell) image.data.set(AUTO_ROUTE.MASK_COLOR, i * 4);
+      });
+      overlayCtx.putImageData(image, 0, 0);
+      this.maskOverlay = canvas;
+    }
+    
+    const topLeft = this.imageToCanvas(0, 0);
+    const bottomRight = this.imageToCanvas(1, 1);
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.maskOverlay, topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+    ctx.restore();
+  }
+  
+  /**
+   * Draw what the last add or drag snapped to: grid lines, angle ray,
+   * alignment lines and a ring on a snapped-to waypoint or path
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderSnapGuides(ctx) {
+    const guides = this.snapGuides;
+    if (!guides) return;
+    
+    ctx.save();
+    ctx.strokeStyle = SNAPPING.GUIDE_COLOR;
+    ctx.lineWidth = 1;
+    
+    guides.forEach(guide => {
+      if (guide.type === 'grid') {
+        this.renderSnapGrid(ctx);
+      }
+      if (guide.type === 'angle' || guide.type === 'align') {
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(guide.from.x, guide.from.y);
+        ctx.lineTo(guide.to.x, guide.to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else {
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(guide.x, guide.y, guide.type === 'point' ? SNAPPING.RADIUS : SNAPPING.RADIUS / 2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+      }
+    });
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the snapping grid across the screen, faintly
+   * Skipped when zoomed so far out the lines would run together
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderSnapGrid(ctx) {
+    const { width, height } = this.getGridSpace();
+    const size = this.snapping.gridSize;
+    const origin = this.imageToCanvas(0, 0);
+    const step = this.imageToCanvas(size / width, size / height);
+    const stepX = step.x - origin.x;
+    const stepY = step.y - origin.y;
+    if (stepX < SNAPPING.MIN_GRID_SPACING || stepY < SNAPPING.MIN_GRID_SPACING) return;
+    
+    const right = this.displayWidth || this.canvas.width;
+    const bottom = this.displayHeight || this.canvas.height;
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    ctx.beginPath();
+    for (let x = origin.x + Math.ceil(-origin.x / stepX) * stepX; x <= right; x += stepX) {
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, bottom);
+    }
+    for (let y = origin.y + Math.ceil(-origin.y / stepY) * stepY; y <= bottom; y += stepY) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(right, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the keyboard crosshair while the map has focus
+   * @param {CanvasRenderingContext2D} ctx - Screen context
+   */
+  renderKeyboardCursor(ctx) {
+    const pos = this.keyboardCursor;
+    if (!pos) return;
+    
+    const size = RENDERING.CURSOR_SIZE;
+    ctx.save();
+    // Blue on a white outline so it shows on any map
+    [['#ffffff', 4], ['#0b5fff', 2]].forEach(([color, width]) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      ctx.moveTo(pos.x - size, pos.y);
+      ctx.lineTo(pos.x + size, pos.y);
+      ctx.moveTo(pos.x, pos.y - size);
+      ctx.lineTo(pos.x, pos.y + size);
+      ctx.stroke();
+    });
+    ctx.restore();
   }
 
   // ----- Layer helpers -----
@@ -2062,6 +4592,12 @@ class RoutePlotter {
   renderBackground(ctx) {
     if (!this.background.image) return;
     
+    // Zoom and pan the image with the view
+    const view = this.coordinateTransform.getView();
+    ctx.save();
+    ctx.translate(view.panX, view.panY);
+    ctx.scale(view.zoom, view.zoom);
+    
     const img = this.background.image;
     const iw = img.naturalWidth || img.width;
     const ih = img.naturalHeight || img.height;
@@ -2088,6 +4624,7 @@ class RoutePlotter {
       // Draw cropped portion of source image to fill entire canvas
       ctx.drawImage(img, sx, sy, sw, sh, 0, 0, cw, ch);
     }
+    ctx.restore();
   }
   
   renderOverlay(ctx) {
@@ -2103,219 +4640,337 @@ class RoutePlotter {
     ctx.fillRect(0, 0, cw, ch);
     ctx.restore();
   }
+  
+  /**
+   * Resolve the style source for each path segment
+   * Minor waypoints inherit styling from the last major waypoint before them
+   * @param {Route} route - Route to resolve (defaults to the active route)
+   * @returns {Array<Object>} One entry per segment with segmentColor,
+   *   segmentWidth, segmentStyle and pathShape (and, from waypoints, noise
+   *   and line effects)
+   */
+  getSegmentControllers(route = this.activeRoute) {
+    const waypoints = route.waypoints;
+    const segments = Math.max(0, waypoints.length - 1);
+    const fallback = {
+      segmentColor: route.color || this.styles.pathColor,
+      segmentWidth: this.styles.pathThickness,
+      segmentStyle: 'solid',
+      pathShape: 'line'
+    };
+    
+    const controllers = new Array(segments);
+    let lastMajor = null;
+    for (let s = 0; s < segments; s++) {
+      if (waypoints[s].isMajor) lastMajor = waypoints[s];
+      controllers[s] = lastMajor || fallback;
+    }
+    return controllers;
+  }
 
-  renderVectorLayerTo(targetCtx) {
+  /**
+   * Draw paths, path heads, beacons and markers for every visible route
+   * Each layer is drawn for all routes before the next, so one route's
+   * path never covers another route's markers
+   * @param {CanvasRenderingContext2D} targetCtx - Context to draw into
+   * @param {Object} options
+   * @param {number} options.time - Clock (ms) for beacons and marching ants; exports pass frame time
+   * @param {boolean} options.beacons - Draw beacons
+   * @param {Waypoint[]} options.selectedWaypoints - Waypoints to highlight
+   * @param {boolean} options.cachePaths - Draw paths through their cached layers
+   *   (the on-screen canvas; exports draw each frame from scratch)
+   */
+  renderVectorLayerTo(targetCtx, options = {}) {
+    const {
+      time = performance.now(),
+      beacons = true,
+      pathHead = true,
+      allLabels = false, // Show every label at full opacity (stills)
+      selectedWaypoints = this.selectedWaypoints,
+      cachePaths = false
+    } = options;
     const orig = this.ctx; this.ctx = targetCtx;
+    const routes = this.getVisibleRoutes();
+    
     // 4) Vector layer (paths, labels, waypoints)
-    if (this.pathPoints.length > 0 && this.waypoints.length > 1) {
-      const totalPoints = this.pathPoints.length;
-      // Get current animation progress from AnimationEngine
-      const progress = this.animationEngine.getProgress();
-      const pointsToRender = Math.floor(totalPoints * progress);
-      const segments = this.waypoints.length - 1;
-      const pointsPerSegment = Math.floor(totalPoints / segments);
-      const controllerForSegment = new Array(segments);
-      
-      // Store exact waypoint positions in path points for later use in labels
-      this.waypointPositions = [];
-      this.waypoints.forEach((wp, index) => {
-        if (index < this.waypoints.length - 1) {
-          const exactPointIndex = (index / segments) * totalPoints;
-          this.waypointPositions.push({
-            waypointIndex: index,
-            pointIndex: exactPointIndex
-          });
-        }
-      });
-      
-      let lastMajorIdx = -1;
-      for (let s = 0; s < segments; s++) {
-        if (this.waypoints[s].isMajor) lastMajorIdx = s;
-        controllerForSegment[s] = lastMajorIdx;
-      }
-      for (let i = 1; i < pointsToRender; i++) {
-        const segmentIndex = Math.min(Math.floor(i / pointsPerSegment), segments - 1);
-        const controllerIdx = controllerForSegment[segmentIndex];
-        const controller = controllerIdx >= 0 ? this.waypoints[controllerIdx] : {
-          segmentColor: this.styles.pathColor,
-          segmentWidth: this.styles.pathThickness,
-          segmentStyle: 'solid',
-          pathShape: 'line'
-        };
-        this.ctx.strokeStyle = controller.segmentColor;
-        this.ctx.lineWidth = controller.segmentWidth;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.applyLineStyle(controller.segmentStyle);
-        this.ctx.beginPath();
-        
-        const pathShape = controller.pathShape || 'line';
-        const p1 = this.pathPoints[i - 1];
-        const p2 = this.pathPoints[i];
-        
-        if (pathShape === 'squiggle') {
-          // Create a wavy path using control points
-          const midX = (p1.x + p2.x) / 2;
-          const midY = (p1.y + p2.y) / 2;
-          const perpX = -(p2.y - p1.y) * 0.15; // Perpendicular offset
-          const perpY = (p2.x - p1.x) * 0.15;
-          
-          this.ctx.moveTo(p1.x, p1.y);
-          const wave = Math.sin(i * 0.5) * 0.5;
-          this.ctx.quadraticCurveTo(
-            midX + perpX * wave, 
-            midY + perpY * wave,
-            p2.x, p2.y
-          );
-        } else if (pathShape === 'randomised') {
-          // Add random jitter to the path
-          const jitterAmount = 3;
-          const jitteredP1 = {
-            x: p1.x + (Math.random() - 0.5) * jitterAmount,
-            y: p1.y + (Math.random() - 0.5) * jitterAmount
-          };
-          const jitteredP2 = {
-            x: p2.x + (Math.random() - 0.5) * jitterAmount,
-            y: p2.y + (Math.random() - 0.5) * jitterAmount
-          };
-          this.ctx.moveTo(jitteredP1.x, jitteredP1.y);
-          this.ctx.lineTo(jitteredP2.x, jitteredP2.y);
-        } else {
-          // Default line
-          this.ctx.moveTo(p1.x, p1.y);
-          this.ctx.lineTo(p2.x, p2.y);
-        }
-        
-        this.ctx.stroke();
-      }
-      this.ctx.setLineDash([]);
-      
-      // 5) Path head layer
-      if (pointsToRender > 1) {
-        // Get the path head position
-        const headIndex = Math.min(pointsToRender - 1, this.pathPoints.length - 1);
-        const head = this.pathPoints[headIndex];
-        
-        // Calculate direction for rotation (based on previous point)
-        let rotation = 0;
-        if (headIndex > 0) {
-          const prevPoint = this.pathPoints[headIndex - 1];
-          rotation = Math.atan2(head.y - prevPoint.y, head.x - prevPoint.x);
-        }
-        
-        // Store calculated rotation
-        this.styles.pathHead.rotation = rotation;
-        
-        // Draw path head based on style
-        this.drawPathHead(head.x, head.y, rotation);
-      }
-    }
+    routes.forEach(route => this.renderRoutePath(route, pathHead, cachePaths, time));
     
     // Beacons
-    if (this.pathPoints.length > 0) {
-      // Get current progress from AnimationEngine
-      const currentProgress = this.animationEngine.getProgress();
-      const totalPoints = this.pathPoints.length;
-      
-      // Use exact progress comparison instead of point index for more precision
-      this.waypoints.forEach((waypoint, wpIndex) => {
-        if (waypoint.isMajor) {
-          // Calculate normalized progress for this waypoint
-          const exactWaypointProgress = wpIndex / (this.waypoints.length - 1);
-          
-          // Show beacon EXACTLY when we reach a waypoint (not after)
-          // Use a small threshold to ensure reliable triggering
-          const atWaypoint = Math.abs(currentProgress - exactWaypointProgress) < 0.001;
-          
-          // Show beacon exactly when paused at this waypoint
-          const isPausedHere = this.animationEngine.state.isPaused && 
-                              this.animationEngine.state.pauseWaypointIndex === wpIndex;
-          
-          // Show beacon when either exactly at waypoint or paused at it
-          if (atWaypoint || isPausedHere) {
-            // Convert waypoint to canvas coords for drawing beacon
-            const wpCanvas = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
-            this.drawBeacon({ ...waypoint, x: wpCanvas.x, y: wpCanvas.y });
-          }
-        }
-      });
+    if (beacons) {
+      routes.forEach(route => this.renderRouteBeacons(route, time));
     }
     
     // 6) UI handles (visible markers)
-    this.waypoints.forEach(waypoint => {
+    routes.forEach(route => this.renderRouteMarkers(route, selectedWaypoints, allLabels));
+    this.ctx = orig;
+  }
+  
+  /**
+   * Prepare one route's path for drawing in the current view
+   * @param {Route} route - Route to prepare
+   * @returns {Object} Drawing (see RenderingService.createPathDrawing)
+   */
+  createRoutePathDrawing(route) {
+    // Path points are in layout space - apply zoom and pan (widths stay in screen pixels)
+    const transform = this.coordinateTransform;
+    const pathPoints = transform.isViewIdentity() ? route.pathPoints :
+      route.pathPoints.map(p => transform.layoutToCanvas(p.x, p.y));
+    return RenderingService.createPathDrawing(pathPoints, route.getPointSegments(), this.getSegmentControllers(route));
+  }
+  
+  /**
+   * Draw one route's path up to its current progress, plus its path head
+   * @param {Route} route - Route to draw
+   * @param {boolean} pathHead - Draw the path head
+   * @param {boolean} cachePaths - Reuse the route's drawing and cached layer
+   * @param {number} time - Clock (ms) for marching ants
+   */
+  renderRoutePath(route, pathHead, cachePaths = false, time = performance.now()) {
+    if (route.pathPoints.length === 0 || route.waypoints.length < 2) return;
+    
+    // Waypoint restyles don't show in these inputs - _applyWaypointValues()
+    // drops the drawing when a waypoint's dirty props say its segment changed
+    const view = this.coordinateTransform.getView();
+    const drawing = cachePaths ? this.renderingService.getPathDrawing(route.id, [
+      route.pathPoints, route.waypoints.length, this.coordinateTransform, view.zoom, view.panX, view.panY,
+      route.color, this.styles.pathColor, this.styles.pathThickness
+    ], () => this.createRoutePathDrawing(route)) : this.createRoutePathDrawing(route);
+    const pathPoints = drawing.points;
+    
+    // Get this route's progress on the shared timeline from AnimationEngine
+    // The head point comes from the path timing, so it sits on a waypoint
+    // exactly when that waypoint's pause, beacon and label trigger
+    const progress = this.animationEngine.getRouteProgress(route.id);
+    const pointsToRender = PathTiming.getPointIndexAtProgress(route.pathTiming, progress) + 1;
+    
+    if (cachePaths) {
+      this.renderingService.renderPathLayer(this.ctx, route.id, drawing, pointsToRender, time);
+    } else {
+      this.renderingService.drawPathRange(this.ctx, drawing, 0, pointsToRender - 1);
+      this.renderingService.drawAnimatedRuns(this.ctx, drawing, pointsToRender - 1, time);
+    }
+    
+    // 5) Path head layer
+    if (pathHead && pointsToRender > 1) {
+      // Get the path head position
+      const headIndex = Math.min(pointsToRender - 1, pathPoints.length - 1);
+      const head = pathPoints[headIndex];
+      
+      // Direction of travel, averaged round tight corners
+      const smoothing = this.styles.pathHead.smoothing ?? PATH_HEAD.DEFAULT_SMOOTHING;
+      const heading = PathHead.getHeading(pathPoints, drawing.distances, headIndex, smoothing);
+      
+      // Store calculated rotation
+      this.styles.pathHead.rotation = heading;
+      
+      // Draw path head based on the style of the leg it is on
+      const style = this.getLegHeadStyle(route, route.getPointSegments()[headIndex]);
+      this.drawPathHead(head.x, head.y, heading, style, drawing.distances[headIndex]);
+    }
+  }
+  
+  /**
+   * Path head style for one leg of a route
+   * A major waypoint's pathHeadStyle switches the head until the next major
+   * waypoint; 'default' (and the stretch before any major) uses the global style
+   * @param {Route} route - Route the head is on
+   * @param {number} segment - Segment the head is on
+   * @returns {string} Path head style
+   */
+  getLegHeadStyle(route, segment) {
+    for (let w = Math.min(segment, route.waypoints.length - 1); w >= 0; w--) {
+      const waypoint = route.waypoints[w];
+      if (!waypoint.isMajor) continue;
+      if (waypoint.pathHeadStyle && waypoint.pathHeadStyle !== 'default') return waypoint.pathHeadStyle;
+      break;
+    }
+    return this.styles.pathHead.style;
+  }
+  
+  /**
+   * Draw beacons for one route's major waypoints the moment they are reached
+   * @param {Route} route - Route to draw
+   * @param {number} time - Clock (ms) for beacon animation
+   */
+  renderRouteBeacons(route, time) {
+    if (route.pathPoints.length === 0) return;
+    
+    // Get this route's progress from AnimationEngine
+    const currentProgress = this.animationEngine.getRouteProgress(route.id);
+    
+    // Use exact progress comparison instead of point index for more precision
+    route.waypoints.forEach((waypoint, wpIndex) => {
       if (waypoint.isMajor) {
-        // Convert waypoint from image coords to canvas coords
-        const wpCanvas = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
-        const isSelected = waypoint === this.selectedWaypoint;
-        const markerSize = waypoint.dotSize || this.styles.dotSize;
-        const size = isSelected ? markerSize * 1.3 : markerSize;
-        const markerStyle = waypoint.markerStyle || this.styles.markerStyle;
+        // Progress at which the head reaches this waypoint
+        const exactWaypointProgress = route.getWaypointProgress(wpIndex);
         
-        // Skip rendering if marker style is 'none'
-        if (markerStyle === 'none') {
-          this.renderLabel(waypoint, wpCanvas.x, wpCanvas.y, 0);
-          return;
-        }
+        // Show beacon EXACTLY when we reach a waypoint (not after)
+        // Use a small threshold to ensure reliable triggering
+        const atWaypoint = Math.abs(currentProgress - exactWaypointProgress) < 0.001;
         
-        this.ctx.fillStyle = waypoint.dotColor || waypoint.segmentColor || this.styles.dotColor;
-        this.ctx.strokeStyle = isSelected ? '#4a90e2' : 'white';
-        this.ctx.lineWidth = isSelected ? 3 : 2;
+        // Show beacon exactly when paused at this waypoint
+        const isPausedHere = this.animationEngine.state.isPaused && 
+                            this.animationEngine.state.pauseWaypointIndex === wpIndex;
         
-        // Draw different marker types
-        if (markerStyle === 'square') {
-          // Square marker
-          this.ctx.beginPath();
-          this.ctx.rect(wpCanvas.x - size, wpCanvas.y - size, size * 2, size * 2);
-          this.ctx.fill();
-          this.ctx.stroke();
-        } else if (markerStyle === 'flag') {
-          // Flag marker
-          this.ctx.beginPath();
-          // Pole
-          this.ctx.moveTo(wpCanvas.x, wpCanvas.y - size * 2);
-          this.ctx.lineTo(wpCanvas.x, wpCanvas.y + size);
-          // Flag
-          this.ctx.moveTo(wpCanvas.x, wpCanvas.y - size * 2);
-          this.ctx.lineTo(wpCanvas.x + size * 1.5, wpCanvas.y - size * 1.3);
-          this.ctx.lineTo(wpCanvas.x + size * 1.2, wpCanvas.y - size);
-          this.ctx.lineTo(wpCanvas.x, wpCanvas.y - size * 0.7);
-          this.ctx.closePath();
-          this.ctx.fill();
-          this.ctx.stroke();
-        } else {
-          // Default to dot
-          this.ctx.beginPath();
-          this.ctx.arc(wpCanvas.x, wpCanvas.y, size, 0, Math.PI * 2);
-          this.ctx.fill();
-          this.ctx.stroke();
+        // Show beacon when either exactly at waypoint or paused at it
+        if (atWaypoint || isPausedHere) {
+          // Convert waypoint to canvas coords for drawing beacon
+          const wpCanvas = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
+          this.drawBeacon({ ...waypoint, x: wpCanvas.x, y: wpCanvas.y }, time);
         }
+      }
+    });
+  }
+  
+  /**
+   * Draw one route's major waypoint markers and their labels
+   * Minor waypoints have no marker - they only show a ring while selected
+   * @param {Route} route - Route to draw
+   * @param {Waypoint[]} selectedWaypoints - Waypoints to highlight
+   * @param {boolean} allLabels - Show every label at full opacity
+   */
+  renderRouteMarkers(route, selectedWaypoints, allLabels) {
+    const numbers = Markers.getNumbers(route.waypoints);
+    route.waypoints.forEach(waypoint => {
+      if (!waypoint.isMajor && selectedWaypoints.includes(waypoint)) {
+        const pos = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
+        this.ctx.strokeStyle = '#4a90e2';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, RENDERING.MINOR_DOT_SIZE + 3, 0, Math.PI * 2);
+        this.ctx.stroke();
+      }
+      
+      if (waypoint.isMajor) {
+        const marker = this.getWaypointMarker(waypoint, numbers.get(waypoint), selectedWaypoints.includes(waypoint));
+        Markers.draw(this.ctx, marker);
         
         // Draw labels for major waypoints
-        this.renderLabel(waypoint, wpCanvas.x, wpCanvas.y, size);
+        this.renderLabel(waypoint, marker.x, marker.y, this.getMarkerLabelSize(marker), allLabels);
       }
     });
-    this.ctx = orig;
+  }
+  
+  /**
+   * Describe a major waypoint's marker for drawing, export and hit-testing
+   * @param {Waypoint} waypoint - Major waypoint
+   * @param {number} [number] - Its number in the route (numbered markers)
+   * @param {boolean} isSelected - Draw it enlarged with a selection outline
+   * @returns {Object} Marker (see Markers)
+   */
+  getWaypointMarker(waypoint, number, isSelected = false) {
+    const pos = this.imageToCanvas(waypoint.imgX, waypoint.imgY);
+    const style = waypoint.markerStyle || this.styles.markerStyle;
+    const custom = style === 'custom';
+    const markerSize = custom ? waypoint.markerImageSize : (waypoint.dotSize || this.styles.dotSize);
+    const image = custom ? this.getMarkerImage(waypoint.customImage) : null;
+    
+    return {
+      style,
+      x: pos.x,
+      y: pos.y,
+      size: isSelected ? markerSize * 1.3 : markerSize,
+      fill: waypoint.dotColor || waypoint.segmentColor || this.styles.dotColor,
+      stroke: isSelected ? '#4a90e2' : 'white',
+      strokeWidth: isSelected ? 3 : 2,
+      number,
+      anchor: waypoint.markerAnchor,
+      image,
+      imageWidth: image?.naturalWidth,
+      imageHeight: image?.naturalHeight
+    };
+  }
+  
+  /**
+   * Marker size labels are placed around
+   * Pins and images clear their whole extent from the waypoint
+   * @param {Object} marker - From getWaypointMarker()
+   * @returns {number} Pixels
+   */
+  getMarkerLabelSize(marker) {
+    if (marker.style === 'none') return 0;
+    if (marker.style !== 'pin' && marker.style !== 'custom') return marker.size;
+    const bounds = Markers.getBounds(marker);
+    return Math.max(marker.y - bounds.top, bounds.bottom - marker.y, (bounds.right - bounds.left) / 2);
+  }
+  
+  /**
+   * Loaded image for a custom marker
+   * Each image loads once; the canvas redraws when it arrives
+   * @param {string|null} src - Waypoint customImage (data URL)
+   * @returns {HTMLImageElement|null} Null until loaded
+   */
+  getMarkerImage(src) {
+    if (!src) return null;
+    let image = this.markerImages.get(src);
+    if (!image) {
+      image = new Image();
+      image.onload = () => this.queueRender();
+      image.src = src;
+      this.markerImages.set(src, image);
+    }
+    return image.complete && image.naturalWidth > 0 ? image : null;
   }
   
   // Label rendering with positioning and show/hide behavior
-  renderLabel(waypoint, x, y, dotSize) {
+  // showAll skips the animated show/hide and draws at full opacity (stills)
+  renderLabel(waypoint, x, y, dotSize, showAll = false) {
     // Skip if no label text or mode is 'none'
     if (!waypoint.label || waypoint.labelMode === 'none') return;
     
-    // Find the true waypoint position in path coordinates
-    const wpIndex = this.waypoints.indexOf(waypoint);
-    const totalPoints = this.pathPoints.length;
+    const opacity = showAll ? 1.0 : this.getLabelOpacity(waypoint);
+    if (opacity === null) return;
+    
+    // Save context for restoring later
+    this.ctx.save();
+    
+    // Apply calculated opacity with a higher minimum to make fade-in more noticeable
+    this.ctx.globalAlpha = Math.max(0.15, opacity);
+    
+    // Label style
+    this.ctx.font = 'bold 16px Arial';
+    
+    // Visual effect depends on opacity during fade
+    // Subtle blue highlight during fade-in, white at full opacity
+    const blueAmount = opacity < 1.0 ? Math.max(0, 1 - opacity) * 60 : 0;
+    this.ctx.fillStyle = `rgb(${255-blueAmount}, ${255-blueAmount}, 255)`;
+    this.ctx.strokeStyle = '#000';
+    this.ctx.lineWidth = 3;
+    this.ctx.textBaseline = 'middle';
+    
+    // Add shadow for better visibility
+    this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.shadowBlur = 5;
+    this.ctx.shadowOffsetX = 2;
+    this.ctx.shadowOffsetY = 2;
+    
+    const placement = this.getLabelPlacement(waypoint, x, y, dotSize);
+    this.ctx.textAlign = placement.align;
+    
+    // Draw text with outline for readability
+    this.ctx.strokeText(waypoint.label, placement.x, placement.y);
+    this.ctx.fillText(waypoint.label, placement.x, placement.y);
+    
+    // Restore context to clear shadow and alpha
+    this.ctx.restore();
+  }
+  
+  /**
+   * Get a label's opacity at the current animation progress
+   * @param {Waypoint} waypoint - Labelled waypoint
+   * @returns {number|null} Opacity 0-1, or null when the label is hidden
+   */
+  getLabelOpacity(waypoint) {
+    // Find the true waypoint position in its route's path coordinates
+    const route = this.getRouteForWaypoint(waypoint) || this.activeRoute;
+    const wpIndex = route.waypoints.indexOf(waypoint);
+    const totalPoints = route.pathPoints.length;
     
     // Get exact path position for this waypoint
-    let waypointPointIndex = 0;
-    if (wpIndex < this.waypoints.length - 1) {
-      waypointPointIndex = (wpIndex / (this.waypoints.length - 1)) * totalPoints;
-    } else {
-      waypointPointIndex = totalPoints;
-    }
+    const waypointPointIndex = route.getWaypointPathIndex(wpIndex);
     
     // Current animation position in path coordinates
-    const exactCurrentPoint = totalPoints * this.animationEngine.getProgress();
+    const exactCurrentPoint = Math.max(0, totalPoints - 1) * this.animationEngine.getRouteProgress(route.id);
     
     // Calculate animation timing parameters
     // Increased fade time for more noticeable transition
@@ -2331,7 +4986,7 @@ class RoutePlotter {
         
       case 'fade':
         // Only show label when waypoint is reached
-        if (exactCurrentPoint < waypointPointIndex) return;
+        if (exactCurrentPoint < waypointPointIndex) return null;
         
         // Calculate time since waypoint was reached
         const elapsed = exactCurrentPoint - waypointPointIndex;
@@ -2351,7 +5006,7 @@ class RoutePlotter {
         }
         // Don't show after fade out
         else {
-          return;
+          return null;
         }
         break;
         
@@ -2360,56 +5015,42 @@ class RoutePlotter {
         const timeBeforeWaypoint = waypointPointIndex - exactCurrentPoint;
         
         // If we haven't reached the fade-in period yet
-        if (timeBeforeWaypoint > fadeTimeInPoints) return;
+        if (timeBeforeWaypoint > fadeTimeInPoints) return null;
         
         // If we're in the fade-in period before reaching waypoint
-        if (timeBeforeWaypoint > 0) {
-          // Accelerated fade-in (starts faster)
-          const fadeProgress = 1.0 - (timeBeforeWaypoint / fadeTimeInPoints);
-          opacity = Math.pow(fadeProgress, 0.5); // Square root for quicker initial appearance
-        }
-        // After reaching waypoint, full opacity
-        else {
-          opacity = 1.0;
-        }
-        break;
-        
-      default:
-        return; // Unknown mode
-    }
-    
-    // Debug output to console
-    // if (wpIndex === 0) console.log(`Label ${wpIndex}: opacity=${opacity.toFixed(2)}`);
-    
-    // Save context for restoring later
-    this.ctx.save();
-    
-    // Apply calculated opacity with a higher minimum to make fade-in more noticeable
-    this.ctx.globalAlpha = Math.max(0.15, opacity);
-    
-    // Label style
-    this.ctx.font = 'bold 16px Arial';
-    
-    // Visual effect depends on opacity during fade
-    // Subtle blue highlight during fade-in, white at full opacity
-    const blueAmount = opacity < 1.0 ? Math.max(0, 1 - opacity) * 60 : 0;
-    this.ctx.fillStyle = `rgb(${255-blueAmount}, ${255-blueAmount}, 255)`;
-    this.ctx.strokeStyle = '#000';
-    this.ctx.lineWidth = 3;
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'middle';
-    
-    // Add shadow for better visibility
-    this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
-    this.ctx.shadowBlur = 5;
-    this.ctx.shadowOffsetX = 2;
-    this.ctx.shadowOffsetY = 2;
+        if (timeBeforeWaypoint > 0) {
+          // Accelerated fade-in (starts faster)
+          const fadeProgress = 1.0 - (timeBeforeWaypoint / fadeTimeInPoints);
+          opacity = Math.pow(fadeProgress, 0.5); // Square root for quicker initial appearance
+        }
+        // After reaching waypoint, full opacity
+        else {
+          opacity = 1.0;
+        }
+        break;
+        
+      default:
+        return null; // Unknown mode
+    }
     
+    return opacity;
+  }
+  
+  /**
+   * Work out where a label sits relative to its waypoint
+   * @param {Waypoint} waypoint - Labelled waypoint
+   * @param {number} x - Waypoint canvas x
+   * @param {number} y - Waypoint canvas y
+   * @param {number} dotSize - Marker radius (0 when no marker)
+   * @returns {{x: number, y: number, align: string}} Anchor and text alignment
+   */
+  getLabelPlacement(waypoint, x, y, dotSize) {
     // Calculate label position based on position setting
     const padding = RENDERING.LABEL_OFFSET_X; // Distance from dot edge to label
     const position = waypoint.labelPosition || 'auto';
     let labelX = x;
     let labelY = y;
+    let align = 'center';
     
     // Adjust position based on setting
     switch (position) {
@@ -2418,14 +5059,14 @@ class RoutePlotter {
         break;
       case 'right':
         labelX = x + dotSize + padding;
-        this.ctx.textAlign = 'left';
+        align = 'left';
         break;
       case 'bottom':
         labelY = y + dotSize + padding;
         break;
       case 'left':
         labelX = x - dotSize - padding;
-        this.ctx.textAlign = 'right';
+        align = 'right';
         break;
       case 'auto':
       default:
@@ -2444,22 +5085,616 @@ class RoutePlotter {
         // Check if too close to sides
         if (x < 100) {
           labelX = x + dotSize + padding;
-          this.ctx.textAlign = 'left';
+          align = 'left';
         } else if (x > cw - 100) {
           labelX = x - dotSize - padding;
-          this.ctx.textAlign = 'right';
+          align = 'right';
         }
         break;
     }
     
-    // Draw text with outline for readability
-    this.ctx.strokeText(waypoint.label, labelX, labelY);
-    this.ctx.fillText(waypoint.label, labelX, labelY);
-    
-    // Restore context to clear shadow and alpha
-    this.ctx.restore();
+    return { x: labelX, y: labelY, align };
   }
 
+  // ----- Georeference -----
+  
+  /**
+   * Apply a change to the georeference as one undoable step
+   * @param {Function} change - Mutates the GeoReference
+   * @param {string} label - History label
+   */
+  updateGeoReference(change, label) {
+    const before = this.geoReference.toJSON();
+    change(this.geoReference);
+    const after = this.geoReference.toJSON();
+    
+    this.updateGeoReferenceControls();
+    this.autoSave();
+    this.historyManager.record({
+      label,
+      undo: () => this._applyGeoReference(before),
+      redo: () => this._applyGeoReference(after)
+    });
+  }
+  
+  /**
+   * Replace the georeference from serialized data
+   * @private
+   */
+  _applyGeoReference(data) {
+    const { imageWidth, imageHeight } = this.geoReference;
+    this.geoReference = GeoReference.fromJSON(data, imageWidth, imageHeight);
+    this.updateGeoReferenceControls();
+    this.autoSave();
+  }
+  
+  /**
+   * Push georeference state to the UI
+   */
+  updateGeoReferenceControls() {
+    this.uiController?.updateGeoReferenceControls({
+      controlPoints: this.geoReference.controlPoints,
+      method: this.geoReference.method,
+      effectiveMethod: this.geoReference.getEffectiveMethod(),
+      ready: this.geoReference.isReady(),
+      rmsError: this.geoReference.getRmsError()
+    });
+  }
+  
+  /**
+   * Let the user click a known spot on the map, then type its lat/lon
+   */
+  startControlPointPick() {
+    if (!this.background.image) {
+      this.announce('Load a background map before adding control points', 'assertive');
+      return;
+    }
+    
+    this.announce('Click a spot on the map whose coordinates you know (Escape to cancel)');
+    this.eventBus.emit('canvas:pick-point', (imgPos) => {
+      const text = prompt('Latitude, longitude of this spot (e.g. 52.9388, -1.1965):');
+      if (text === null) return; // Cancelled
+      
+      const latLon = GeoReference.parseLatLon(text);
+      if (!latLon) {
+        this.announce('Could not read those coordinates - use decimal degrees like 52.9388, -1.1965', 'assertive');
+        return;
+      }
+      
+      this.updateGeoReference(geo => geo.addControlPoint({ imgX: imgPos.x, imgY: imgPos.y, ...latLon }), 'add control point');
+      this.announce(`Control point ${this.geoReference.controlPoints.length} added`);
+    });
+  }
+  
+  /**
+   * Replace the route with one read from a GPX, GeoJSON or KML file
+   * @param {File} file - Picked or dropped geo file
+   */
+  async importGeoFile(file) {
+    if (!this.geoReference.isReady()) {
+      this.announce('Georeference the background first: add at least two control points in Settings', 'assertive');
+      return;
+    }
+    
+    try {
+      const route = this.geoFormatService.parse(await file.text(), file.name);
+      
+      let offImage = 0;
+      let last = null;
+      const imported = [];
+      route.points.forEach((point, index) => {
+        const pos = this.geoReference.toImage(point.lat, point.lon);
+        const isEnd = index === 0 || index === route.points.length - 1;
+        
+        // Thin dense GPS tracks - keep every major point and both ends
+        if (!point.isMajor && !isEnd && last &&
+            Math.hypot(pos.imgX - last.imgX, pos.imgY - last.imgY) < GEO.IMPORT_MIN_SPACING) {
+          return;
+        }
+        if (pos.imgX < 0 || pos.imgX > 1 || pos.imgY < 0 || pos.imgY > 1) offImage++;
+        
+        const wp = point.isMajor ? Waypoint.createMajor(pos.imgX, pos.imgY) : Waypoint.createMinor(pos.imgX, pos.imgY);
+        if (point.label) {
+          wp.label = point.label;
+          wp.labelMode = point.labelMode || 'on';
+        }
+        if (point.isMajor && point.pauseTime > 0) {
+          wp.pauseMode = 'timed';
+          wp.pauseTime = point.pauseTime;
+        }
+        imported.push(wp);
+        last = pos;
+      });
+      
+      if (offImage === imported.length) {
+        throw new Error('Route lies entirely outside the georeferenced map');
+      }
+      
+      // Undo and redo go back to this route even after switching to another
+      const target = this.activeRoute;
+      const previous = [...target.waypoints];
+      this._setWaypoints(imported, target);
+      this.historyManager.record({
+        label: 'import route',
+        undo: () => this._setWaypoints(previous, target),
+        redo: () => this._setWaypoints(imported, target)
+      });
+      
+      const note = offImage > 0 ? ` (${offImage} outside the map)` : '';
+      this.announce(`Imported ${imported.length} waypoints from ${file.name}${note}`);
+    } catch (error) {
+      console.error('Failed to import route:', error);
+      this.announce(`Could not import route: ${error.message}`, 'assertive');
+    }
+  }
+  
+  /**
+   * Download the route as GPX, GeoJSON or KML
+   * @param {string} format - 'gpx' | 'geojson' | 'kml'
+   */
+  exportGeoFile(format = GEO.DEFAULT_FORMAT) {
+    if (!this.geoReference.isReady()) {
+      this.announce('Georeference the background first: add at least two control points in Settings', 'assertive');
+      return;
+    }
+    if (this.waypoints.length < 2) {
+      this.announce('Add at least two waypoints before exporting', 'assertive');
+      return;
+    }
+    
+    const toGeo = (imgX, imgY) => this.geoReference.toGeo(imgX, imgY);
+    const route = {
+      name: this.projectName,
+      points: this.waypoints.map(wp => ({
+        ...toGeo(wp.imgX, wp.imgY),
+        label: wp.label,
+        isMajor: wp.isMajor,
+        pauseTime: wp.shouldPause() ? wp.pauseTime : 0,
+        labelMode: wp.label ? wp.labelMode : null
+      })),
+      // Smoothed line as drawn, via image space so it's independent of the view
+      path: this.pathPoints.map(p => {
+        const img = this.coordinateTransform.layoutToImage(p.x, p.y);
+        return toGeo(img.x, img.y);
+      })
+    };
+    
+    const name = FileDownload.sanitizeFilename(this.projectName, PROJECT.DEFAULT_NAME);
+    const blob = new Blob([this.geoFormatService.serialize(route, format)], {
+      type: this.geoFormatService.getMimeType(format)
+    });
+    FileDownload.download(blob, `${name}.${format}`);
+    this.announce(`Route exported as ${format.toUpperCase()}`);
+  }
+  
+  // ----- Export -----
+  
+  /**
+   * Build an offscreen render target of a given pixel size
+   * The target keeps the on-screen framing: its logical size matches the
+   * display area scaled up to fill the output, so markers, labels and line
+   * widths keep their on-screen proportions at any resolution
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @returns {Object} Target with its own transform and path points
+   */
+  createRenderTarget(width, height) {
+    const scale = Math.min(width / this.displayWidth, height / this.displayHeight);
+    return this.buildRenderTarget(width, height, width / scale, height / scale, this.background.fit);
+  }
+  
+  /**
+   * Build a render target framed on the background image itself
+   * Output is the image's native resolution times a scale factor, with
+   * markers and lines sized as they appear over the image on screen.
+   * Without an image the current display area is used.
+   * @param {number} scaleFactor - Multiple of native resolution (e.g. 4)
+   * @returns {Object} Target (see createRenderTarget), plus clamped: boolean
+   */
+  createStillTarget(scaleFactor) {
+    const img = this.background.image;
+    const bounds = this.coordinateTransform.getImageBounds();
+    let nativeWidth = this.displayWidth;
+    let nativeHeight = this.displayHeight;
+    let logicalWidth = this.displayWidth;
+    let logicalHeight = this.displayHeight;
+    
+    if (img && bounds) {
+      nativeWidth = img.naturalWidth || img.width;
+      nativeHeight = img.naturalHeight || img.height;
+      logicalWidth = bounds.w;
+      logicalHeight = bounds.h;
+    }
+    
+    // Browsers refuse canvases past ~16k pixels per side
+    const requested = Math.max(nativeWidth, nativeHeight) * scaleFactor;
+    const limit = Math.min(1, EXPORT.MAX_STILL_DIMENSION / requested);
+    const width = Math.max(1, Math.round(nativeWidth * scaleFactor * limit));
+    const height = Math.max(1, Math.round(nativeHeight * scaleFactor * limit));
+    
+    // Canvas matches the image aspect, so 'fit' maps the image edge to edge
+    const target = this.buildRenderTarget(width, height, logicalWidth, logicalHeight, 'fit');
+    target.clamped = limit < 1;
+    return target;
+  }
+  
+  /**
+   * Build a render target from pixel and logical sizes
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @param {number} logicalWidth - Drawing-space width
+   * @param {number} logicalHeight - Drawing-space height
+   * @param {string} fitMode - Background fit for the target's transform
+   * @returns {Object} Target with its own transform and path points
+   */
+  buildRenderTarget(width, height, logicalWidth, logicalHeight, fitMode) {
+    const scale = width / logicalWidth;
+    
+    const transform = new CoordinateTransform();
+    transform.setCanvasDimensions(logicalWidth, logicalHeight);
+    if (this.background.image) {
+      const img = this.background.image;
+      transform.setImageDimensions(img.naturalWidth || img.width, img.naturalHeight || img.height, fitMode);
+    }
+    
+    // Paths must be recalculated in the target's canvas space
+    const pathCalculator = new PathCalculator();
+    const routePaths = new Map(); // Route ID → { pathPoints, timing }
+    this.routes.forEach(route => {
+      routePaths.set(route.id, pathCalculator.calculatePathWithTiming(this.getLayoutWaypoints(route, transform)));
+    });
+    
+    return { width, height, scale, logicalWidth, logicalHeight, fitMode, transform, routePaths };
+  }
+  
+  /**
+   * Run a drawing function with a render target standing in for the screen
+   * Swapped state is always restored, so the live render loop is unaffected
+   * @param {Object} target - From createRenderTarget()
+   * @param {Function} fn - Drawing function
+   */
+  withRenderTarget(target, fn) {
+    const saved = {
+      displayWidth: this.displayWidth,
+      displayHeight: this.displayHeight,
+      coordinateTransform: this.coordinateTransform
+    };
+    const savedPaths = new Map(this.routes.map(route => [route, { pathPoints: route.pathPoints, timing: route.pathTiming }]));
+    
+    this.displayWidth = target.logicalWidth;
+    this.displayHeight = target.logicalHeight;
+    this.coordinateTransform = target.transform;
+    this.routes.forEach(route => {
+      const path = target.routePaths.get(route.id);
+      route.setPath(path ? path.pathPoints : [], path?.timing);
+    });
+    
+    try {
+      fn();
+    } finally {
+      Object.assign(this, saved);
+      savedPaths.forEach(({ pathPoints, timing }, route) => { route.setPath(pathPoints, timing); });
+    }
+  }
+  
+  /**
+   * Composite one export frame: background, overlay, then vector layer
+   * @param {CanvasRenderingContext2D} ctx - Output context (target pixel size)
+   * @param {Object} target - From createRenderTarget()
+   * @param {number} time - Frame time in ms (drives beacons)
+   * @param {Object} options - { beacons, transparent, still, camera }
+   *   transparent drops the background image and overlay so only the
+   *   route is drawn, for compositing over other footage.
+   *   still draws the finished route for print: no path head, all labels.
+   *   camera frames the shot for the engine's progress (animation export)
+   */
+  renderFrameTo(ctx, target, time, options = {}) {
+    this.withRenderTarget(target, () => {
+      if (options.camera) {
+        this.applyCamera();
+      }
+      
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, target.width, target.height);
+      ctx.setTransform(target.scale, 0, 0, target.scale, 0, 0);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      
+      if (!options.transparent) {
+        // Opaque formats start from the canvas background color
+        ctx.fillStyle = RENDERING.EXPORT_BACKGROUND;
+        ctx.fillRect(0, 0, target.logicalWidth, target.logicalHeight);
+        
+        this.renderBackground(ctx);
+        this.renderOverlay(ctx);
+      }
+      this.renderVectorLayerTo(ctx, {
+        time,
+        beacons: options.beacons !== false,
+        pathHead: !options.still,
+        allLabels: !!options.still,
+        selectedWaypoints: [] // No editing highlight in exports
+      });
+      ctx.restore();
+    });
+  }
+  
+  /**
+   * Create the exporter for an output format
+   * @param {string} format - 'webm' | 'mp4' | 'png' | 'gif'
+   * @param {string} name - Sanitized project name (PNG frame prefix)
+   * @returns {FrameExporter}
+   */
+  createExporter(format, name) {
+    switch (format) {
+      case 'png':
+        return new PngSequenceExporter(name);
+      case 'gif':
+        return new GifExporter();
+      default:
+        return new VideoExporter(format);
+    }
+  }
+  
+  /**
+   * Export the animation as a video, zipped PNG sequence or animated GIF
+   * Drives AnimationEngine frame by frame from a fixed timeline, so the
+   * result is identical regardless of machine speed
+   * @param {Object} options
+   * @param {string} options.format - 'webm' | 'mp4' | 'png' | 'gif'
+   * @param {string} options.resolution - 'WIDTHxHEIGHT'
+   * @param {number} options.fps - Frames per second
+   * @param {boolean} options.includePauses - Hold at waypoint pauses
+   * @param {boolean} options.includeBeacons - Draw beacons
+   * @param {boolean} options.transparent - Route only, no background (PNG only)
+   */
+  async exportAnimation(options = {}) {
+    if (!this.hasRouteToDraw()) {
+      this.announce('Add at least two waypoints before exporting', 'assertive');
+      return;
+    }
+    if (this.activeExporter) return;
+    
+    const format = options.format || EXPORT.DEFAULT_FORMAT;
+    const name = FileDownload.sanitizeFilename(this.projectName, PROJECT.DEFAULT_NAME);
+    const exporter = this.createExporter(format, name);
+    const transparent = !!options.transparent && exporter.supportsTransparency;
+    
+    // Formats may cap size or frame rate - settle that before counting frames
+    const [requestedWidth, requestedHeight] = (options.resolution || EXPORT.DEFAULT_RESOLUTION).split('x').map(Number);
+    const { width, height, fps } = exporter.normalizeSettings({
+      width: requestedWidth,
+      height: requestedHeight,
+      fps: options.fps || EXPORT.DEFAULT_FPS
+    });
+    
+    // Fixed timeline: travel time from the engine plus waypoint holds on every route
+    // (the schedule is scaled to the engine duration, which constant-time mode sets)
+    const duration = this.animationEngine.state.duration;
+    const scheduleScale = this.animationEngine.routeScheduleEnd > 0 ? duration / this.animationEngine.routeScheduleEnd : 0;
+    // Holds use the export's own path timing so they line up with the frames drawn
+    const target = this.createRenderTarget(width, height);
+    const scheduledRoutes = this.animationEngine.routeSchedule.map(entry => ({
+      waypoints: this.routes.find(route => route.id === entry.id)?.waypoints || [],
+      timing: target.routePaths.get(entry.id)?.timing,
+      timeMap: entry.timeMap,
+      start: entry.start * scheduleScale,
+      duration: entry.duration * scheduleScale
+    }));
+    const timeline = ExportTimeline.fromRoutes(scheduledRoutes, duration, {
+      includePauses: options.includePauses !== false,
+      easing: this.animationEngine.state.easing
+    });
+    const frameCount = timeline.getFrameCount(fps);
+    
+    // Take the engine off the live clock for the duration of the export
+    const savedProgress = this.animationEngine.getProgress();
+    this.animationEngine.pause();
+    this.activeExporter = exporter;
+    this.eventBus.emit('export:started', { frameCount });
+    this.announce(`Exporting ${frameCount} frames`);
+    
+    let message;
+    try {
+      const blob = await exporter.export({
+        width,
+        height,
+        fps,
+        frameCount,
+        renderFrame: (ctx, time) => {
+          const frameState = timeline.getStateAt(time);
+          this.animationEngine.seekToProgress(frameState.progress);
+          this.renderFrameTo(ctx, target, time, {
+            beacons: options.includeBeacons !== false,
+            transparent,
+            camera: true
+          });
+        },
+        onProgress: (done, total) => this.eventBus.emit('export:progress', { done, total })
+      });
+      
+      if (blob) {
+        const filename = format === 'png' ? `${name}-frames.zip` : `${name}.${format}`;
+        FileDownload.download(blob, filename);
+        message = 'Export complete';
+      } else {
+        message = 'Export cancelled';
+      }
+      this.announce(message);
+    } catch (error) {
+      console.error('Export failed:', error);
+      message = `Export failed: ${error.message}`;
+      this.announce(message, 'assertive');
+    } finally {
+      this.activeExporter = null;
+      this.animationEngine.seekToProgress(savedProgress);
+      this.eventBus.emit('export:finished', { message });
+      this.render();
+    }
+  }
+  
+  /**
+   * Describe the finished route as plain shapes for vector export
+   * Mirrors renderVectorLayerTo: same segment styling, path shapes,
+   * markers and label placement, with every label shown
+   * @param {Object} target - From createStillTarget()
+   * @param {Object} options - { includeBackground }
+   * @returns {Object} Scene for SvgExporter.build()
+   */
+  buildRouteScene(target, options = {}) {
+    const scene = {
+      width: target.logicalWidth,
+      height: target.logicalHeight,
+      pixelWidth: target.width,
+      pixelHeight: target.height,
+      background: null,
+      overlay: null,
+      runs: [],
+      markers: [],
+      labels: []
+    };
+    
+    if (options.includeBackground !== false) {
+      const href = this.projectFileService.imageToDataURL(this.background.image);
+      if (href) scene.background = { href };
+      
+      const v = this.background.overlay;
+      if (v !== 0) {
+        scene.overlay = { color: v < 0 ? '#000' : '#fff', opacity: Math.min(Math.abs(v) / 100, 0.6) };
+      }
+    }
+    
+    this.withRenderTarget(target, () => {
+      const routes = this.getVisibleRoutes();
+      
+      // Consecutive path pieces sharing a style form one run, as on the canvas
+      // The still shows the finished path: casings and gradients carry over,
+      // glows and the animated effects (marching ants, comet tails) don't
+      routes.forEach(route => {
+        if (route.pathPoints.length < 2 || route.waypoints.length < 2) return;
+        
+        const { points, distances, runs } = this.createRoutePathDrawing(route);
+        const getPieces = (run, from, to) => {
+          const pieces = [];
+          for (let i = from + 1; i <= to; i++) {
+            pieces.push(PathShape.getPiece(run.shape, points[i - 1], points[i], i));
+          }
+          return pieces;
+        };
+        
+        // Casings sit under every line of their route
+        runs.forEach(run => {
+          if (!(run.effects?.casingWidth > 0)) return;
+          scene.runs.push({
+            color: run.effects.casingColor,
+            width: run.width + run.effects.casingWidth * 2,
+            style: 'solid',
+            pieces: getPieces(run, run.from, run.to)
+          });
+        });
+        
+        runs.forEach(run => {
+          const bands = run.gradient ? LineEffects.getGradientBands(distances, run, run.from, run.to) :
+            [{ from: run.from, to: run.to, color: run.color }];
+          bands.forEach(band => {
+            if (run.noise) {
+              // Sketchy runs export as their overlapping strokes
+              for (let pass = 0; pass < NOISE.SKETCH_PASSES; pass++) {
+                const sketch = PathShape.getSketchPoints(points, distances, band.from, band.to, run.noise, pass);
+                scene.runs.push({
+                  color: band.color,
+                  width: run.width * NOISE.SKETCH_WIDTH,
+                  style: 'solid',
+                  pieces: sketch.slice(1).map((end, i) => ({ start: sketch[i], control: null, end }))
+                });
+              }
+              return;
+            }
+            
+            scene.runs.push({ color: band.color, width: run.width, style: run.style, pieces: getPieces(run, band.from, band.to) });
+          });
+        });
+      });
+      
+      routes.forEach(route => {
+        const numbers = Markers.getNumbers(route.waypoints);
+        route.waypoints.forEach(waypoint => {
+          if (!waypoint.isMajor) return;
+          
+          const { image, ...marker } = this.getWaypointMarker(waypoint, numbers.get(waypoint));
+          if (marker.style !== 'none') {
+            // Images are embedded as their data URL (still loading ones show as a dot)
+            scene.markers.push(image ? { ...marker, href: waypoint.customImage } : marker);
+          }
+          
+          if (waypoint.label && waypoint.labelMode !== 'none') {
+            const placement = this.getLabelPlacement(waypoint, marker.x, marker.y, this.getMarkerLabelSize({ ...marker, image }));
+            scene.labels.push({ text: waypoint.label, ...placement });
+          }
+        });
+      });
+    });
+    
+    return scene;
+  }
+  
+  /**
+   * Export a still of the finished route
+   * @param {Object} options
+   * @param {string} options.format - 'png' | 'svg'
+   * @param {number} options.scale - Multiple of the background image's native resolution
+   * @param {boolean} options.includeBackground - Include background image and overlay
+   */
+  async exportStill(options = {}) {
+    if (!this.hasRouteToDraw()) {
+      this.announce('Add at least two waypoints before exporting', 'assertive');
+      return;
+    }
+    if (this.activeExporter) return; // An animation export owns the playhead
+    
+    const format = options.format === 'svg' ? 'svg' : 'png';
+    const includeBackground = options.includeBackground !== false;
+    const name = FileDownload.sanitizeFilename(this.projectName, PROJECT.DEFAULT_NAME);
+    const target = this.createStillTarget(options.scale || EXPORT.DEFAULT_STILL_SCALE);
+    
+    // Render the completed route, then put the playhead back
+    const savedProgress = this.animationEngine.getProgress();
+    this.animationEngine.pause();
+    this.animationEngine.seekToProgress(1);
+    
+    try {
+      let blob;
+      if (format === 'svg') {
+        const scene = this.buildRouteScene(target, { includeBackground });
+        blob = new Blob([this.svgExporter.build(scene)], { type: 'image/svg+xml' });
+      } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = target.width;
+        canvas.height = target.height;
+        this.renderFrameTo(canvas.getContext('2d'), target, 0, {
+          beacons: false,
+          transparent: !includeBackground,
+          still: true
+        });
+        blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+          throw new Error(`${target.width}×${target.height} is too large for this browser - try a smaller scale`);
+        }
+      }
+      
+      FileDownload.download(blob, `${name}.${format}`);
+      const note = target.clamped ? ` (reduced to ${target.width}×${target.height})` : '';
+      this.announce(`${format.toUpperCase()} export complete${note}`);
+    } catch (error) {
+      console.error('Still export failed:', error);
+      this.announce(`Export failed: ${error.message}`, 'assertive');
+    } finally {
+      this.animationEngine.seekToProgress(savedProgress);
+      this.render();
+    }
+  }
+  
   // ----- Assets -----
   loadImageFile(file) {
     return new Promise((resolve, reject) => {
@@ -2477,9 +5712,7 @@ class RoutePlotter {
       this.background.image = img;
       this.updateImageTransform(img);
       // Recalculate path with proper image bounds now that image is loaded
-      if (this.waypoints.length >= 2) {
-        this.calculatePath();
-      }
+      this.calculateAllPaths();
       this.render();
       console.log('Default image (UoN_map.png) loaded for dev testing');
     };
@@ -2491,94 +5724,25 @@ class RoutePlotter {
     img.src = './UoN_map.png';
   }
   
-  applyLineStyle(style) {
-    switch (style) {
-      case 'dotted':
-        this.ctx.setLineDash([2, 6]);
-        break;
-      case 'dashed':
-        this.ctx.setLineDash([10, 5]);
-        break;
-      case 'squiggle':
-        // Approximated with dashed pattern - true squiggle would need complex path manipulation
-        this.ctx.setLineDash([5, 3, 2, 3]);
-        break;
-      case 'solid':
-      default:
-        this.ctx.setLineDash([]);
-        break;
-    }
-  }
-  
-  // Draw the path head based on current style settings
-  drawPathHead(x, y, rotation) {
-    // Safety check for valid coordinates
-    if (!isFinite(x) || !isFinite(y)) {
-      console.warn('Invalid path head coordinates:', {x, y});
-      return;
-    }
-    
-    const pathHead = this.styles.pathHead;
-    const size = pathHead.size;
-    
-    this.ctx.save();
-    this.ctx.translate(x, y);
-    this.ctx.rotate(rotation);
-    
-    switch (pathHead.style) {
-      case 'dot':
-        // Simple dot (filled circle)
-        this.ctx.beginPath();
-        this.ctx.fillStyle = pathHead.color;
-        this.ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-        this.ctx.fill();
-        break;
-        
-      case 'arrow':
-        // Arrow shape
-        this.ctx.beginPath();
-        this.ctx.fillStyle = pathHead.color;
-        
-        // Draw arrow pointing right (rotation will handle direction)
-        this.ctx.moveTo(size, 0);            // Tip
-        this.ctx.lineTo(-size/2, size/2);    // Bottom corner
-        this.ctx.lineTo(-size/4, 0);         // Indentation
-        this.ctx.lineTo(-size/2, -size/2);   // Top corner
-        this.ctx.closePath();
-        this.ctx.fill();
-        break;
-        
-      case 'custom':
-        // Custom image
-        if (pathHead.image) {
-          const imgSize = size * 2; // Make image slightly larger for better visibility
-          // Draw the image centered and rotated
-          this.ctx.drawImage(
-            pathHead.image, 
-            -imgSize/2, -imgSize/2,
-            imgSize, imgSize
-          );
-        } else {
-          // Fallback to dot if no image loaded
-          this.ctx.beginPath();
-          this.ctx.fillStyle = pathHead.color;
-          this.ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-          this.ctx.fill();
-        }
-        break;
-        
-      default:
-        // Default to dot
-        this.ctx.beginPath();
-        this.ctx.fillStyle = pathHead.color;
-        this.ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-        this.ctx.fill();
-    }
-    
-    this.ctx.restore();
+  /**
+   * Draw the path head based on current style settings
+   * @param {number} x - Head position
+   * @param {number} y - Head position
+   * @param {number} heading - Direction of travel (radians)
+   * @param {string} style - Head style for the current leg (defaults to the global style)
+   * @param {number} travelled - Distance along the path (pixels), steps sprite frames
+   */
+  drawPathHead(x, y, heading, style = this.styles.pathHead.style, travelled = 0) {
+    this.renderingService.drawPathHead(this.ctx, x, y, heading, { ...this.styles.pathHead, style }, travelled);
   }
 
-  drawBeacon(point) {
+  /**
+   * Draw a waypoint beacon
+   * Beacons are a pure function of the clock so exported frames are reproducible
+   * @param {Object} point - Waypoint with canvas x/y
+   * @param {number} now - Clock in milliseconds
+   */
+  drawBeacon(point, now = performance.now()) {
     const bStyle = point.beaconStyle || 'none';
     const bColor = point.beaconColor || this.styles.beaconColor;
     if (bStyle === 'none') return;
@@ -2590,11 +5754,8 @@ class RoutePlotter {
     }
     
     if (bStyle === 'pulse') {
-      // Update pulse phase
-      this.beaconAnimation.pulsePhase = performance.now() * 0.003;
-      
       // Pulsing dot
-      const pulse = 1 + Math.sin(this.beaconAnimation.pulsePhase) * 0.3;
+      const pulse = 1 + Math.sin(now * 0.003) * 0.3;
       const pulseSize = RENDERING.BEACON_PULSE_SIZE * pulse;
       
       // Outer glow
@@ -2603,32 +5764,14 @@ class RoutePlotter {
       this.ctx.fillStyle = bColor;
       this.ctx.globalAlpha = RENDERING.BEACON_PULSE_OPACITY;
       this.ctx.fill();
-      
-      // Update pulse animation state
-      this.beaconAnimation.pulsePhase = (this.beaconAnimation.pulsePhase + 0.1) % (Math.PI * 2);
     } 
     else if (bStyle === 'ripple') {
       // Ripple effect - expanding circles that fade out
-      const now = Date.now();
-      
-      // Add a new ripple every interval
-      if (!point.lastRipple || now - point.lastRipple > RENDERING.BEACON_RIPPLE_INTERVAL) {
-        this.beaconAnimation.ripples.push({
-          x: point.x, 
-          y: point.y, 
-          radius: 0,
-          opacity: 0.5,
-          startTime: now,
-          color: bColor
-        });
-        point.lastRipple = now;
-      }
+      // A new ripple starts every interval; ages follow directly from the clock
+      const interval = RENDERING.BEACON_RIPPLE_INTERVAL;
+      const newestAge = now % interval;
       
-      // Draw all active ripples
-      this.beaconAnimation.ripples = this.beaconAnimation.ripples.filter(ripple => {
-        const age = now - ripple.startTime;
-        if (age > RENDERING.BEACON_RIPPLE_DURATION) return false; // Remove old ripples
-        
+      for (let age = newestAge; age <= RENDERING.BEACON_RIPPLE_DURATION; age += interval) {
         // Calculate current radius with smooth fade-out
         const radius = age / RENDERING.BEACON_RIPPLE_SPEED;
         const fadeProgress = age / RENDERING.BEACON_RIPPLE_DURATION;
@@ -2636,14 +5779,12 @@ class RoutePlotter {
         
         // Draw ripple
         this.ctx.beginPath();
-        this.ctx.arc(ripple.x, ripple.y, radius, 0, Math.PI * 2);
-        this.ctx.strokeStyle = ripple.color;
+        this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        this.ctx.strokeStyle = bColor;
         this.ctx.lineWidth = 2;
         this.ctx.globalAlpha = opacity;
         this.ctx.stroke();
-        
-        return true;
-      });
+      }
       
       // Draw center dot
       this.ctx.beginPath();
@@ -2690,9 +5831,10 @@ class RoutePlotter {
     }
     
     // Nullify references for garbage collection
-    this.waypoints = null;
-    this.pathPoints = null;
+    this.routes = null;
+    this.activeRoute = null;
     this.selectedWaypoint = null;
+    this.selectedWaypoints = [];
     this.waypointsById = null;
     this.background = null;
     this.elements = null;
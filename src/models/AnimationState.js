@@ -1,4 +1,4 @@
-import { ANIMATION } from '../config/constants.js';
+import { ANIMATION, EASING } from '../config/constants.js';
 
 /**
  * Model for managing animation state
@@ -11,7 +11,7 @@ export class AnimationState {
   
   /**
    * Reset animation to initial state
-   * Note: Preserves speed setting - only resets playback position
+   * Note: Preserves speed and timing curve settings - only resets playback position
    */
   reset() {
     // Preserve current speed if already set, otherwise use default
@@ -25,6 +25,7 @@ export class AnimationState {
     this.duration = ANIMATION.DEFAULT_DURATION;
     this.mode = 'constant-speed';         // or 'constant-time'
     this.speed = preservedSpeed;          // Preserve user's speed setting
+    this.easing = this.easing || EASING.DEFAULT_CURVE; // Timing curve over the whole timeline
     this.playbackSpeed = ANIMATION.DEFAULT_PLAYBACK_SPEED;
     
     console.log('✅ [AnimationState.reset()] AFTER - speed:', this.speed, 'duration:', this.duration);
@@ -159,6 +160,7 @@ export class AnimationState {
       duration: this.duration,
       mode: this.mode,
       speed: this.speed,
+      easing: this.easing,
       playbackSpeed: this.playbackSpeed,
       isPaused: this.isPaused,
       isWaitingAtWaypoint: this.isWaitingAtWaypoint,
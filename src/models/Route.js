@@ -0,0 +1,277 @@
+import { ROUTES } from '../config/constants.js';
+import { PathTiming } from '../utils/PathTiming.js';
+import { Waypoint } from './Waypoint.js';
+
+/**
+ * Model representing one route in a project
+ * Owns its waypoints, the style new waypoints start from, and the cached
+ * path points calculated for them. Several routes can share one map and
+ * be animated one after another or side by side.
+ */
+export class Route {
+  constructor(options = {}) {
+    this.id = options.id || this.generateId();
+    this.name = options.name || 'Route 1';
+    
+    // Style defaults for the first waypoint (later ones copy the previous waypoint)
+    this.color = options.color || ROUTES.COLORS[0];
+    
+    // Editing and playback
+    this.visible = options.visible !== undefined ? options.visible : true;
+    this.locked = options.locked || false;
+    this.startMode = ROUTES.START_MODES.includes(options.startMode) ? options.startMode : ROUTES.DEFAULT_START_MODE;
+    
+    this.waypoints = options.waypoints || []; // Waypoint instances
+    
+    // Derived data - recalculated, never saved
+    this.pathPoints = []; // Canvas-space path through the waypoints
+    this.pathTiming = null; // Where each waypoint lands on the path (see utils/PathTiming.js)
+    this._majorWaypointsCache = null;
+    this._pointSegmentsCache = null;
+  }
+  
+  /**
+   * Generate unique ID for route
+   * @private
+   * @returns {string} Unique identifier
+   */
+  generateId() {
+    return `route_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+  
+  /**
+   * Update route properties
+   * @param {Object} updates - Properties to update (name, color, visible, locked, startMode)
+   */
+  update(updates) {
+    ['name', 'color', 'visible', 'locked', 'startMode'].forEach(key => {
+      if (key in updates) {
+        this[key] = updates[key];
+      }
+    });
+  }
+  
+  /**
+   * Check if the route's waypoints can be selected and edited on the canvas
+   * @returns {boolean} True if visible and not locked
+   */
+  isEditable() {
+    return this.visible && !this.locked;
+  }
+  
+  /**
+   * Check if the route has enough waypoints to draw a path
+   * @returns {boolean}
+   */
+  hasPath() {
+    return this.waypoints.length >= 2;
+  }
+  
+  /**
+   * Apply the route's style defaults to a new waypoint
+   * @param {Waypoint} waypoint - Waypoint to style
+   * @returns {Waypoint} The waypoint (for chaining)
+   */
+  applyStyleTo(waypoint) {
+    waypoint.segmentColor = this.color;
+    waypoint.dotColor = this.color;
+    waypoint.beaconColor = this.color;
+    return waypoint;
+  }
+  
+  /**
+   * Store a newly calculated path
+   * @param {Array} pathPoints - Path through the waypoints
+   * @param {Object} timing - Timing table from PathCalculator (built by index if missing)
+   */
+  setPath(pathPoints, timing = null) {
+    this.pathPoints = pathPoints;
+    this.pathTiming = pathPoints.length > 0 ?
+      timing || PathTiming.fromPath(pathPoints, this.waypoints.length) :
+      null;
+    this.invalidateCache();
+  }
+  
+  /**
+   * Get the path timing if it matches the current waypoints
+   * Waypoint edits leave the old path in place until it is recalculated
+   * @private
+   * @returns {Object|null}
+   */
+  getCurrentTiming() {
+    const timing = this.pathTiming;
+    if (!timing || timing.waypointIndices.length !== this.waypoints.length) return null;
+    if (timing.distances.length !== this.pathPoints.length) return null;
+    return timing;
+  }
+  
+  /**
+   * Get the path point index where the head reaches a waypoint
+   * @param {number} index - Waypoint index
+   * @returns {number}
+   */
+  getWaypointPathIndex(index) {
+    const timing = this.getCurrentTiming();
+    if (timing) return timing.waypointIndices[index];
+    
+    const segments = Math.max(1, this.waypoints.length - 1);
+    return (index / segments) * Math.max(0, this.pathPoints.length - 1);
+  }
+  
+  /**
+   * Get the route progress (0-1) at which the head reaches a waypoint
+   * @param {number} index - Waypoint index
+   * @returns {number}
+   */
+  getWaypointProgress(index) {
+    const timing = this.getCurrentTiming();
+    if (timing) return PathTiming.getWaypointProgress(timing, index);
+    
+    return this.waypoints.length > 1 ? index / (this.waypoints.length - 1) : 0;
+  }
+  
+  /**
+   * Get the segment the head is in at a route progress value
+   * @param {number} progress - Route progress (0-1)
+   * @returns {number} Segment index, or -1 without a path
+   */
+  getSegmentAtProgress(progress) {
+    if (!this.hasPath()) return -1;
+    
+    const timing = this.getCurrentTiming();
+    if (timing) return PathTiming.getSegmentAtProgress(timing, progress);
+    
+    const segments = this.waypoints.length - 1;
+    return Math.min(Math.floor(Math.max(0, Math.min(1, progress)) * segments), segments - 1);
+  }
+  
+  /**
+   * Get the segment of the path piece ending at each path point
+   * Cached until the path or waypoints change
+   * @returns {number[]} One segment index per path point
+   */
+  getPointSegments() {
+    if (!this._pointSegmentsCache) {
+      const timing = this.getCurrentTiming() || PathTiming.fromPath(this.pathPoints, this.waypoints.length);
+      this._pointSegmentsCache = PathTiming.getPointSegments(timing);
+    }
+    return this._pointSegmentsCache;
+  }
+  
+  /**
+   * Get the length of the calculated path
+   * @returns {number} Length in pixels
+   */
+  getPathLength() {
+    if (!this.pathTiming) return 0;
+    return PathTiming.getLength(this.pathTiming);
+  }
+  
+  /**
+   * Split the route into timed legs
+   * A leg runs from one major waypoint to the next and takes that
+   * waypoint's fixed duration, or its share of the base time divided by
+   * its speed multiplier, eased by its timing curve. Minor waypoints don't
+   * start legs.
+   * @param {number} baseDuration - Time (ms) the whole path takes at the route speed
+   * @returns {Array<{end: number, duration: number, easing: string}>} In order: path
+   *   progress where each leg ends, its duration (ms) and its timing curve
+   */
+  getTimedLegs(baseDuration) {
+    if (!this.hasPath()) return [];
+    
+    const legs = [];
+    const last = this.waypoints.length - 1;
+    let legStart = 0;
+    for (let i = 1; i <= last; i++) {
+      if (i < last && !this.waypoints[i].isMajor) continue;
+      
+      const start = this.getWaypointProgress(legStart);
+      const end = this.getWaypointProgress(i);
+      const waypoint = this.waypoints[legStart];
+      legs.push({ end, duration: waypoint.getLegDuration((end - start) * baseDuration), easing: waypoint.getLegEasing() });
+      legStart = i;
+    }
+    return legs;
+  }
+  
+  /**
+   * Get positions of major waypoints as progress values (0-1) along this route
+   * Progress comes from the path timing, so a waypoint's pause and label
+   * trigger when the head actually reaches it
+   * Cached until invalidateCache() or setPath() is called
+   * @returns {Array<{index: number, progress: number, waypoint: Waypoint}>}
+   */
+  getMajorWaypointPositions() {
+    if (!this.hasPath()) return [];
+    
+    if (!this._majorWaypointsCache) {
+      this._majorWaypointsCache = [];
+      this.waypoints.forEach((waypoint, index) => {
+        if (waypoint.isMajor) {
+          this._majorWaypointsCache.push({ index, progress: this.getWaypointProgress(index), waypoint });
+        }
+      });
+    }
+    return this._majorWaypointsCache;
+  }
+  
+  /**
+   * Drop cached data derived from the waypoint list
+   * Call whenever waypoints are added, removed, reordered or change type
+   */
+  invalidateCache() {
+    this._majorWaypointsCache = null;
+    this._pointSegmentsCache = null;
+  }
+  
+  /**
+   * Convert to plain object for serialization
+   * @returns {Object} Plain object representation (path points are not saved)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      visible: this.visible,
+      locked: this.locked,
+      startMode: this.startMode,
+      waypoints: this.waypoints.map(wp => wp.toJSON())
+    };
+  }
+  
+  /**
+   * Create route from plain object
+   * Invalid waypoints are skipped rather than rejecting the route
+   * @param {Object} data - Plain object with route data
+   * @returns {Route} New route instance
+   */
+  static fromJSON(data) {
+    const waypoints = (data.waypoints || [])
+      .filter(wpData => {
+        const valid = Waypoint.validate(wpData);
+        if (!valid) {
+          console.warn('Invalid waypoint data, skipping:', wpData);
+        }
+        return valid;
+      })
+      .map(wpData => Waypoint.fromJSON(wpData));
+    
+    return new Route({ ...data, waypoints });
+  }
+  
+  /**
+   * Validate route data
+   * @param {Object} data - Data to validate
+   * @returns {boolean} True if data is valid
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (!Array.isArray(data.waypoints)) return false;
+    if (data.name !== undefined && typeof data.name !== 'string') return false;
+    if (data.startMode && !ROUTES.START_MODES.includes(data.startMode)) return false;
+    
+    return true;
+  }
+}
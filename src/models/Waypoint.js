@@ -1,4 +1,6 @@
-import { RENDERING, ANIMATION } from '../config/constants.js';
+import { RENDERING, ANIMATION, EASING, PATH, NOISE, LINE_EFFECTS, PATH_HEAD, MARKERS } from '../config/constants.js';
+import { Easing } from '../utils/Easing.js';
+import { Noise } from '../utils/Noise.js';
 
 /**
  * Model representing a waypoint on the route
@@ -19,14 +21,40 @@ export class Waypoint {
     // Visual properties
     this.segmentColor = options.segmentColor || RENDERING.DEFAULT_PATH_COLOR;
     this.segmentWidth = options.segmentWidth || RENDERING.DEFAULT_PATH_THICKNESS;
-    this.segmentStyle = options.segmentStyle || 'solid'; // solid, dashed, dotted
-    this.segmentTension = options.segmentTension || 0.5;
+    this.segmentStyle = options.segmentStyle || 'solid'; // solid, dashed, dotted, sketchy
+    
+    // Curve for segments starting from this waypoint (major waypoints control them, like pathShape)
+    this.segmentCurve = PATH.CURVE_TYPES.includes(options.segmentCurve) ? options.segmentCurve : PATH.DEFAULT_CURVE_TYPE;
+    this.segmentTension = Number.isFinite(options.segmentTension)
+      ? Math.max(PATH.MIN_TENSION, Math.min(PATH.MAX_TENSION, options.segmentTension))
+      : PATH.DEFAULT_TENSION; // Lower = tighter curves
+    this.cornerRadius = Number.isFinite(options.cornerRadius) ? options.cornerRadius : PATH.DEFAULT_CORNER_RADIUS; // Pixels, 'rounded' curves
+    
+    // Bézier handles: { x, y } offsets from the waypoint in normalized image coordinates
+    // (null = automatic, following the Catmull-Rom curve)
+    this.handleIn = options.handleIn ? { ...options.handleIn } : null;
+    this.handleOut = options.handleOut ? { ...options.handleOut } : null;
     
     // Path shape for segments starting from this waypoint
     this.pathShape = options.pathShape || 'line'; // line, squiggle, randomised
     
+    // Seeded noise behind 'randomised' shapes and 'sketchy' strokes - saved, so the
+    // wobble is the same on every load and in every export
+    this.noiseSeed = Number.isInteger(options.noiseSeed) ? options.noiseSeed : Noise.createSeed();
+    this.noiseRoughness = Number.isFinite(options.noiseRoughness) ? options.noiseRoughness : NOISE.DEFAULT_ROUGHNESS; // Pixels
+    this.noiseFrequency = Number.isFinite(options.noiseFrequency) ? options.noiseFrequency : NOISE.DEFAULT_FREQUENCY; // Wobbles per pixel
+    
+    // Line effects for segments starting from this waypoint (see utils/LineEffects.js)
+    this.marchingAnts = options.marchingAnts === true;
+    this.gradientMode = LINE_EFFECTS.GRADIENT_MODES.includes(options.gradientMode) ? options.gradientMode : 'none'; // none, colors, blend
+    this.gradientColor = options.gradientColor || LINE_EFFECTS.DEFAULT_GRADIENT_COLOR;
+    this.cometTail = options.cometTail || 0; // Trail length in pixels (0 = keep the whole line)
+    this.casingWidth = options.casingWidth || 0; // Outline each side in pixels (0 = none)
+    this.casingColor = options.casingColor || LINE_EFFECTS.DEFAULT_CASING_COLOR;
+    this.glow = options.glow || 0; // Blur in pixels (0 = none)
+    
     // Marker properties
-    this.markerStyle = options.markerStyle || 'dot'; // dot, square, flag, none
+    this.markerStyle = options.markerStyle || 'dot'; // One of MARKERS.STYLES
     this.dotColor = options.dotColor || RENDERING.DEFAULT_PATH_COLOR;
     this.dotSize = options.dotSize || (this.isMajor ? RENDERING.DEFAULT_DOT_SIZE : RENDERING.MINOR_DOT_SIZE);
     
@@ -43,14 +71,26 @@ export class Waypoint {
     this.pauseMode = options.pauseMode || 'none'; // none, timed
     this.pauseTime = options.pauseTime || ANIMATION.DEFAULT_WAIT_TIME;
     
+    // Leg timing (major waypoints): the leg runs to the next major waypoint
+    this.segmentSpeed = options.segmentSpeed || 1; // Multiplier on the route speed
+    this.segmentDuration = options.segmentDuration || 0; // Fixed leg time in ms (0 = use speed)
+    this.segmentEasing = Easing.isValid(options.segmentEasing) ? options.segmentEasing : EASING.DEFAULT_CURVE; // Curve name or cubic-bezier()
+    
     // Path head style for when animation reaches this waypoint
-    this.pathHeadStyle = options.pathHeadStyle || 'arrow'; // dot, arrow, custom, none
+    // Head shown while drawing this leg (major waypoints) - 'default' uses the global path head
+    this.pathHeadStyle = PATH_HEAD.STYLES.includes(options.pathHeadStyle) ? options.pathHeadStyle : 'default';
     this.pathHeadColor = options.pathHeadColor || '#111111';
     this.pathHeadSize = options.pathHeadSize || RENDERING.PATH_HEAD_SIZE;
     this.pathHeadImage = options.pathHeadImage || null;
     
-    // Custom image (for custom marker)
+    // Custom marker image (data URL, saved with the project), its longest side
+    // in pixels, and whether it is centred on the waypoint or stands on it
     this.customImage = options.customImage || null;
+    this.markerImageSize = options.markerImageSize || MARKERS.DEFAULT_IMAGE_SIZE;
+    this.markerAnchor = options.markerAnchor || MARKERS.DEFAULT_ANCHOR;
+    
+    // Camera keyframe (major waypoints): { zoom, imgX, imgY } shot centre in normalized image coordinates
+    this.camera = options.camera ? { ...options.camera } : null;
     
     // Metadata
     this.id = options.id || this.generateId();
@@ -168,11 +208,12 @@ export class Waypoint {
   copyPropertiesFrom(source, exclude = ['id', 'imgX', 'imgY', 'created', 'modified', 'label']) {
     // Properties to copy (style and path properties)
     const copyProps = [
-      'segmentColor', 'segmentWidth', 'segmentStyle', 'segmentTension',
-      'pathShape', 'markerStyle', 'dotColor', 'dotSize',
+      'segmentColor', 'segmentWidth', 'segmentStyle', 'segmentCurve', 'segmentTension', 'cornerRadius',
+      'pathShape', 'noiseRoughness', 'noiseFrequency', 'marchingAnts', 'gradientMode', 'gradientColor',
+      'cometTail', 'casingWidth', 'casingColor', 'glow', 'markerStyle', 'dotColor', 'dotSize',
       'beaconStyle', 'beaconColor', 'labelMode', 'labelPosition',
-      'pauseMode', 'pauseTime', 'pathHeadStyle', 'pathHeadColor',
-      'pathHeadSize', 'pathHeadImage', 'customImage'
+      'pauseMode', 'pauseTime', 'segmentSpeed', 'segmentDuration', 'segmentEasing', 'pathHeadStyle', 'pathHeadColor',
+      'pathHeadSize', 'pathHeadImage', 'customImage', 'markerImageSize', 'markerAnchor'
     ];
     
     copyProps.forEach(prop => {
@@ -193,6 +234,46 @@ export class Waypoint {
     return this; // Chainable
   }
   
+  /**
+   * Get the look of this waypoint and its segment, for copy/paste style
+   * Leaves out position, label text, path shape and timing
+   * @returns {Object} Property values, ready for another waypoint
+   */
+  getStyle() {
+    const styleProps = [
+      'segmentColor', 'segmentWidth', 'segmentStyle', 'noiseRoughness', 'noiseFrequency',
+      'marchingAnts', 'gradientMode', 'gradientColor', 'cometTail', 'casingWidth', 'casingColor', 'glow',
+      'markerStyle', 'dotColor', 'dotSize', 'customImage', 'markerImageSize', 'markerAnchor',
+      'beaconStyle', 'beaconColor', 'labelMode', 'labelPosition',
+      'pathHeadStyle', 'pathHeadColor', 'pathHeadSize', 'pathHeadImage'
+    ];
+    const style = {};
+    styleProps.forEach(prop => {
+      style[prop] = this[prop];
+    });
+    return style;
+  }
+  
+  /**
+   * Get how long the leg starting at this waypoint takes
+   * @param {number} baseDuration - Time (ms) the leg takes at the route speed
+   * @returns {number} Leg duration in milliseconds
+   */
+  getLegDuration(baseDuration) {
+    if (!this.isMajor) return baseDuration;
+    if (this.segmentDuration > 0) return this.segmentDuration;
+    const speed = Math.max(ANIMATION.MIN_SEGMENT_SPEED, Math.min(ANIMATION.MAX_SEGMENT_SPEED, this.segmentSpeed || 1));
+    return baseDuration / speed;
+  }
+  
+  /**
+   * Get the timing curve of the leg starting at this waypoint
+   * @returns {string} Curve spec for Easing.get() (linear for minor waypoints)
+   */
+  getLegEasing() {
+    return this.isMajor ? this.segmentEasing : EASING.DEFAULT_CURVE;
+  }
+  
   /**
    * Get list of properties that have changed since last clear
    * @returns {Array<string>} Array of property names that changed
@@ -213,7 +294,10 @@ export class Waypoint {
    * @returns {boolean} True if only style properties changed
    */
   isStyleChange() {
-    const styleProps = ['dotColor', 'dotSize', 'markerStyle', 'beaconColor', 'beaconStyle', 'label', 'labelMode', 'labelPosition'];
+    const styleProps = [
+      'dotColor', 'dotSize', 'markerStyle', 'customImage', 'markerImageSize', 'markerAnchor',
+      'beaconColor', 'beaconStyle', 'label', 'labelMode', 'labelPosition'
+    ];
     return this._dirtyProps.size > 0 &&
            Array.from(this._dirtyProps).every(p => styleProps.includes(p));
   }
@@ -223,10 +307,34 @@ export class Waypoint {
    * @returns {boolean} True if path properties changed
    */
   isPathChange() {
-    const pathProps = ['segmentColor', 'segmentWidth', 'segmentStyle', 'pathShape', 'segmentTension'];
+    const pathProps = [
+      'segmentColor', 'segmentWidth', 'segmentStyle', 'pathShape',
+      'segmentCurve', 'segmentTension', 'cornerRadius', 'handleIn', 'handleOut',
+      'noiseSeed', 'noiseRoughness', 'noiseFrequency'
+    ];
     return Array.from(this._dirtyProps).some(p => pathProps.includes(p));
   }
   
+  /**
+   * Check if recent changes restyle the drawn path
+   * @returns {boolean} True if segment color, width, stroke style, path shape, noise or line effects changed
+   */
+  isPathStyleChange() {
+    const styleProps = [
+      'segmentColor', 'segmentWidth', 'segmentStyle', 'pathShape', 'noiseSeed', 'noiseRoughness', 'noiseFrequency',
+      'marchingAnts', 'gradientMode', 'gradientColor', 'cometTail', 'casingWidth', 'casingColor', 'glow'
+    ];
+    return styleProps.some(p => this._dirtyProps.has(p));
+  }
+  
+  /**
+   * Check if recent changes affect leg timing
+   * @returns {boolean} True if speed, duration or timing curve changed
+   */
+  isTimingChange() {
+    return ['segmentSpeed', 'segmentDuration', 'segmentEasing'].some(p => this._dirtyProps.has(p));
+  }
+  
   /**
    * Check if position changed
    * @returns {boolean} True if position changed
@@ -256,8 +364,22 @@ export class Waypoint {
       segmentColor: this.segmentColor,
       segmentWidth: this.segmentWidth,
       segmentStyle: this.segmentStyle,
+      segmentCurve: this.segmentCurve,
       segmentTension: this.segmentTension,
+      cornerRadius: this.cornerRadius,
+      handleIn: this.handleIn ? { ...this.handleIn } : null,
+      handleOut: this.handleOut ? { ...this.handleOut } : null,
       pathShape: this.pathShape,
+      noiseSeed: this.noiseSeed,
+      noiseRoughness: this.noiseRoughness,
+      noiseFrequency: this.noiseFrequency,
+      marchingAnts: this.marchingAnts,
+      gradientMode: this.gradientMode,
+      gradientColor: this.gradientColor,
+      cometTail: this.cometTail,
+      casingWidth: this.casingWidth,
+      casingColor: this.casingColor,
+      glow: this.glow,
       markerStyle: this.markerStyle,
       dotColor: this.dotColor,
       dotSize: this.dotSize,
@@ -268,11 +390,17 @@ export class Waypoint {
       labelPosition: this.labelPosition,
       pauseMode: this.pauseMode,
       pauseTime: this.pauseTime,
+      segmentSpeed: this.segmentSpeed,
+      segmentDuration: this.segmentDuration,
+      segmentEasing: this.segmentEasing,
       pathHeadStyle: this.pathHeadStyle,
       pathHeadColor: this.pathHeadColor,
       pathHeadSize: this.pathHeadSize,
       pathHeadImage: this.pathHeadImage,
       customImage: this.customImage,
+      markerImageSize: this.markerImageSize,
+      markerAnchor: this.markerAnchor,
+      camera: this.camera ? { ...this.camera } : null,
       created: this.created,
       modified: this.modified
     };
@@ -332,12 +460,28 @@ export class Waypoint {
     if (typeof data.imgY !== 'number' || data.imgY < 0 || data.imgY > 1) return false;
     
     // Optional properties with valid values
-    if (data.markerStyle && !['dot', 'square', 'flag', 'none'].includes(data.markerStyle)) return false;
-    if (data.segmentStyle && !['solid', 'dashed', 'dotted'].includes(data.segmentStyle)) return false;
+    if (data.markerStyle && !MARKERS.STYLES.includes(data.markerStyle)) return false;
+    if (data.markerAnchor && !MARKERS.ANCHORS.includes(data.markerAnchor)) return false;
+    if (data.customImage && !(typeof data.customImage === 'string' && data.customImage.startsWith('data:image/'))) return false;
+    if (data.markerImageSize !== undefined && !(data.markerImageSize >= MARKERS.MIN_IMAGE_SIZE && data.markerImageSize <= MARKERS.MAX_IMAGE_SIZE)) return false;
+    if (data.segmentStyle && !['solid', 'dashed', 'dotted', 'sketchy'].includes(data.segmentStyle)) return false;
     if (data.pathShape && !['line', 'squiggle', 'randomised'].includes(data.pathShape)) return false;
+    if (data.segmentCurve && !PATH.CURVE_TYPES.includes(data.segmentCurve)) return false;
     if (data.beaconStyle && !['none', 'pulse', 'ripple'].includes(data.beaconStyle)) return false;
     if (data.labelMode && !['none', 'on', 'fade', 'persist'].includes(data.labelMode)) return false;
     if (data.pauseMode && !['none', 'timed'].includes(data.pauseMode)) return false;
+    if (data.pathHeadStyle && data.pathHeadStyle !== 'default' && !PATH_HEAD.STYLES.includes(data.pathHeadStyle)) return false;
+    
+    // Line effects
+    if (data.marchingAnts !== undefined && typeof data.marchingAnts !== 'boolean') return false;
+    if (data.gradientMode && !LINE_EFFECTS.GRADIENT_MODES.includes(data.gradientMode)) return false;
+    const isHex = value => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+    if (data.gradientColor !== undefined && !isHex(data.gradientColor)) return false;
+    if (data.casingColor !== undefined && !isHex(data.casingColor)) return false;
+    const inRange = (value, max) => typeof value === 'number' && value >= 0 && value <= max;
+    if (data.cometTail !== undefined && !inRange(data.cometTail, LINE_EFFECTS.MAX_COMET_TAIL)) return false;
+    if (data.casingWidth !== undefined && !inRange(data.casingWidth, LINE_EFFECTS.MAX_CASING_WIDTH)) return false;
+    if (data.glow !== undefined && !inRange(data.glow, LINE_EFFECTS.MAX_GLOW)) return false;
     
     return true;
   }
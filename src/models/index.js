@@ -3,4 +3,5 @@
  */
 
 export { AnimationState } from './AnimationState.js';
+export { Route } from './Route.js';
 export { Waypoint } from './Waypoint.js';
@@ -1,9 +1,21 @@
-import { ANIMATION } from '../config/constants.js';
+import { ANIMATION, EASING } from '../config/constants.js';
 import { AnimationState } from '../models/AnimationState.js';
+import { Easing } from '../utils/Easing.js';
+import { PathTiming } from '../utils/PathTiming.js';
 
 /**
  * Service for managing animation playback
  * Handles timing, waypoint waits, and frame rate control
+ *
+ * Progress runs over the whole timeline. When several routes share it,
+ * a route schedule places each route in time and getRouteProgress()
+ * maps the timeline progress to progress along one route. A route whose
+ * legs have their own speeds or durations carries a time map (see
+ * utils/PathTiming.js) so its head moves faster or slower leg by leg.
+ *
+ * The global timing curve (state.easing) sits between the two: timeline
+ * progress is eased into a schedule position before routes are placed on
+ * it, so the playhead and time display stay linear.
  */
 export class AnimationEngine {
   constructor(eventBus = null) {
@@ -12,6 +24,8 @@ export class AnimationEngine {
     this.animationFrameId = null;
     this.lastFrameTime = 0;
     this.onUpdate = null; // Callback for animation updates
+    this.routeSchedule = []; // [{ id, start, duration, timeMap }] in ms, see setRouteSchedule()
+    this.routeScheduleEnd = 0;
   }
   
   /**
@@ -174,6 +188,83 @@ export class AnimationEngine {
     this.emit('durationChange', duration);
   }
   
+  /**
+   * Place routes on the timeline and set the total duration to fit them
+   * @param {Array<{id: string, duration: number, startMode: string, timeMap: Array}>} routes - In drawing
+   *   order; timeMap (optional) is from PathTiming.buildTimeMap()
+   * @returns {number} Total duration in milliseconds
+   */
+  setRouteSchedule(routes) {
+    this.routeSchedule = AnimationEngine.buildSchedule(routes);
+    this.routeScheduleEnd = this.routeSchedule.reduce((end, entry) => Math.max(end, entry.start + entry.duration), 0);
+    this.setDuration(this.routeScheduleEnd);
+    return this.routeScheduleEnd;
+  }
+  
+  /**
+   * Work out when each route starts
+   * 'after-previous' waits until every earlier route has finished;
+   * 'with-previous' starts together with the route before it
+   * @param {Array<{id: string, duration: number, startMode: string, timeMap: Array}>} routes - In drawing order
+   * @returns {Array<{id: string, start: number, duration: number, timeMap: Array}>}
+   */
+  static buildSchedule(routes) {
+    let previousStart = 0;
+    let end = 0;
+    
+    return routes.map((route, index) => {
+      const start = index > 0 && route.startMode === 'with-previous' ? previousStart : end;
+      previousStart = start;
+      end = Math.max(end, start + route.duration);
+      return { id: route.id, start, duration: route.duration, timeMap: route.timeMap };
+    });
+  }
+  
+  /**
+   * Get the schedule position for a point on the timeline
+   * @param {number} progress - Timeline progress (defaults to current)
+   * @returns {number} Share of the schedule reached (overshooting curves leave 0-1)
+   */
+  getSchedulePosition(progress = this.getProgress()) {
+    return Easing.get(this.state.easing)(progress);
+  }
+  
+  /**
+   * Get progress along one route
+   * @param {string} routeId - Route ID from the schedule
+   * @param {number} progress - Timeline progress (defaults to current)
+   * @returns {number} Route progress from 0 to 1 (timeline progress if not scheduled)
+   */
+  getRouteProgress(routeId, progress = this.getProgress()) {
+    const entry = this.routeSchedule.find(e => e.id === routeId);
+    if (!entry) return progress;
+    
+    // Measured against the schedule rather than state.duration, so the
+    // relative timing holds when constant-time mode rescales the timeline
+    const time = this.getSchedulePosition(progress) * this.routeScheduleEnd;
+    if (entry.duration <= 0) {
+      return time >= entry.start ? 1 : 0;
+    }
+    const routeTime = Math.max(0, Math.min(1, (time - entry.start) / entry.duration));
+    return entry.timeMap ? PathTiming.timeToProgress(entry.timeMap, routeTime) : routeTime;
+  }
+  
+  /**
+   * Get the timeline progress at which a route reaches a point along it
+   * The inverse of getRouteProgress()
+   * @param {string} routeId - Route ID from the schedule
+   * @param {number} routeProgress - Progress along the route (0-1)
+   * @returns {number} Timeline progress from 0 to 1 (route progress if not scheduled)
+   */
+  getTimelineProgress(routeId, routeProgress) {
+    const entry = this.routeSchedule.find(e => e.id === routeId);
+    if (!entry || this.routeScheduleEnd <= 0) return routeProgress;
+    
+    const routeTime = entry.timeMap ? PathTiming.progressToTime(entry.timeMap, routeProgress) : routeProgress;
+    const position = (entry.start + routeTime * entry.duration) / this.routeScheduleEnd;
+    return Easing.invert(Easing.get(this.state.easing), position);
+  }
+  
   /**
    * Set animation speed in pixels per second (for constant-speed mode)
    * Rounds to nearest step value (5) to match slider constraints
@@ -188,6 +279,15 @@ export class AnimationEngine {
     this.emit('speedChange', roundedSpeed);
   }
   
+  /**
+   * Set the timing curve applied over the whole timeline
+   * @param {string} easing - Curve name or "cubic-bezier(...)" (see utils/Easing.js)
+   */
+  setEasing(easing) {
+    this.state.easing = Easing.isValid(easing) ? easing : EASING.DEFAULT_CURVE;
+    this.emit('easingChange', this.state.easing);
+  }
+  
   /**
    * Set playback speed multiplier
    * @param {number} speed - Playback speed (1 = normal, 2 = double speed)
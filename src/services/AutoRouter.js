@@ -0,0 +1,197 @@
+/**
+ * AutoRouter - Finds walkable routes between waypoints across the background
+ * Builds walkability masks from the background image by colour and runs the
+ * A* search (utils/AutoRoute.js) in a Web Worker, falling back to the main
+ * thread when workers are not available.
+ */
+
+import { AUTO_ROUTE } from '../config/constants.js';
+import { AutoRoute } from '../utils/AutoRoute.js';
+
+export class AutoRouter {
+  constructor() {
+    this.worker = null;
+    this.workerAvailable = false;
+    this.pendingRequests = new Map(); // Request ID → { resolve, reject }
+    this.requestId = 0;
+    
+    // Last colour mask, reused while the image and settings stay the same
+    this.colorMask = null; // { image, key, mask }
+    
+    this.initWorker();
+  }
+  
+  /**
+   * Initialize Web Worker if available
+   */
+  initWorker() {
+    if (typeof Worker === 'undefined') return;
+    
+    try {
+      this.worker = new Worker(
+        new URL('../workers/routingWorker.js', import.meta.url),
+        { type: 'module' }
+      );
+      this.worker.onmessage = this.handleWorkerMessage.bind(this);
+      this.worker.onerror = this.handleWorkerError.bind(this);
+      this.workerAvailable = true;
+    } catch (error) {
+      console.warn('AutoRouter: Failed to initialize Web Worker, falling back to main thread', error);
+      this.workerAvailable = false;
+    }
+  }
+  
+  /**
+   * Handle messages from worker
+   */
+  handleWorkerMessage(event) {
+    const { data, id, error } = event.data;
+    const request = this.pendingRequests.get(id);
+    if (!request) return; // Timed out
+    
+    this.pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(data);
+    }
+  }
+  
+  /**
+   * Handle worker errors - reject what's waiting and use the main thread from now on
+   */
+  handleWorkerError(error) {
+    console.error('AutoRouter: Worker error', error);
+    
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+    this.workerAvailable = false;
+    this.worker = null;
+  }
+  
+  /**
+   * Find a simplified walkable route between two points
+   * @param {Object} mask - Walkability mask (see utils/AutoRoute.js)
+   * @param {{x: number, y: number}} start - Normalized image coordinates (0-1)
+   * @param {{x: number, y: number}} goal - Normalized image coordinates (0-1)
+   * @returns {Promise<Array<{x: number, y: number}>|null>} Normalized points from start
+   *   to goal, or null when the mask doesn't connect them
+   */
+  findRoute(mask, start, goal) {
+    const tolerance = AUTO_ROUTE.SIMPLIFY_TOLERANCE;
+    
+    if (!this.workerAvailable) {
+      return Promise.resolve(AutoRoute.route(mask, start, goal, tolerance));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const id = this.requestId++;
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'find-route', data: { mask, start, goal, tolerance }, id });
+      
+      setTimeout(() => {
+        if (this.pendingRequests.has(id)) {
+          this.restartWorker(new Error('Route search timed out'));
+        }
+      }, AUTO_ROUTE.TIMEOUT);
+    });
+  }
+  
+  /**
+   * Stop a search that's taking too long
+   * A worker can't be interrupted mid-search, so it is replaced with a fresh
+   * one; requests queued behind the search fail with it
+   * @param {Error} error - Rejects every pending request
+   */
+  restartWorker(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+    this.worker?.terminate();
+    this.worker = null;
+    this.workerAvailable = false;
+    this.initWorker();
+  }
+  
+  /**
+   * Walkability mask of the background image by colour
+   * @param {HTMLImageElement} image - Background image
+   * @param {Object} settings - Auto-route settings ({ color, tolerance, cellSize })
+   * @returns {Object|null} Mask, or null if the image can't be read (cross-origin)
+   */
+  getColorMask(image, { color, tolerance, cellSize }) {
+    const key = `${color}|${tolerance}|${cellSize}`;
+    if (this.colorMask?.image === image && this.colorMask.key === key) {
+      return this.colorMask.mask;
+    }
+    
+    const pixels = this.readPixels(image);
+    if (!pixels) return null;
+    
+    const mask = AutoRoute.maskFromPixels(pixels.data, pixels.width, pixels.height, { color, tolerance, cellSize });
+    this.colorMask = { image, key, mask };
+    return mask;
+  }
+  
+  /**
+   * Colour of the background at a point
+   * @param {HTMLImageElement} image - Background image
+   * @param {number} x - Normalized image X (0-1)
+   * @param {number} y - Normalized image Y (0-1)
+   * @returns {string|null} '#rrggbb', or null if the image can't be read
+   */
+  sampleColor(image, x, y) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      const ctx = canvas.getContext('2d');
+      const width = image.naturalWidth || image.width;
+      const height = image.naturalHeight || image.height;
+      ctx.drawImage(image, -Math.floor(x * width), -Math.floor(y * height));
+      const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+      return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+    } catch (error) {
+      // Cross-origin images taint the canvas
+      console.error('Failed to read background colour:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Read an image's pixels at its native size
+   * @private
+   * @param {HTMLImageElement} image - Image to read
+   * @returns {ImageData|null}
+   */
+  readPixels(image) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth || image.width;
+      canvas.height = image.naturalHeight || image.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    } catch (error) {
+      console.error('Failed to read background image:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Clean up worker when done
+   */
+  destroy() {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(new Error('AutoRouter destroyed'));
+    }
+    this.pendingRequests.clear();
+    this.worker?.terminate();
+    this.worker = null;
+    this.workerAvailable = false;
+    this.colorMask = null;
+  }
+}
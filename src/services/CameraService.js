@@ -0,0 +1,204 @@
+import { CAMERA } from '../config/constants.js';
+import { Easing } from '../utils/Easing.js';
+import { PathTiming } from '../utils/PathTiming.js';
+
+// Share of the frame several moving heads may spread across in follow mode
+const HEAD_FRAME_SHARE = 0.8;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Service working out the camera shot for a point on the timeline
+ * Like SvgExporter it works from a plain scene description, so live
+ * playback and frame-stepped export get exactly the same moves.
+ *
+ * Scene shape (all positions in layout space, times as timeline fractions):
+ * {
+ *   width, height,                                 // Layout size (the canvas at zoom 1)
+ *   routes: [{ pathPoints, start, end, timeMap }], // When each route draws (schedule fractions)
+ *   keyframes: [{ time, zoom, x, y }],             // Shots pinned to major waypoints
+ *   easing                                         // Global timing curve (optional)
+ * }
+ * A route's timeMap (optional, see utils/PathTiming.js) maps its time to
+ * path progress when its legs run at different speeds. Route start and end
+ * are placed on the schedule, which the easing maps the timeline onto.
+ *
+ * A shot is { zoom, x, y }: the layout point to centre and the zoom to use.
+ */
+export class CameraService {
+  /**
+   * Create camera settings, filling gaps and out-of-range values with defaults
+   * @param {Object} data - Saved settings (optional)
+   * @returns {{mode: string, zoom: number, smoothing: number, overview: boolean}}
+   */
+  static createSettings(data = {}) {
+    const zoom = Number(data?.zoom);
+    const smoothing = Number(data?.smoothing);
+    return {
+      mode: CAMERA.MODES.includes(data?.mode) ? data.mode : CAMERA.DEFAULT_MODE,
+      zoom: Number.isFinite(zoom) && zoom > 0 ? clamp(zoom, 1, CAMERA.MAX_ZOOM) : CAMERA.DEFAULT_ZOOM,
+      smoothing: Number.isFinite(smoothing) ? clamp(smoothing, 0, 1) : CAMERA.DEFAULT_SMOOTHING,
+      overview: data?.overview !== undefined ? !!data.overview : true
+    };
+  }
+  
+  /**
+   * Get the shot for a point on the timeline
+   * @param {number} progress - Timeline progress (0-1)
+   * @param {Object} scene - Scene description (see class comment)
+   * @param {Object} settings - From createSettings()
+   * @returns {{zoom: number, x: number, y: number}|null} Null when the camera is off
+   */
+  getShot(progress, scene, settings) {
+    if (!settings || settings.mode === 'off') return null;
+    
+    const overview = this.getOverviewShot(scene);
+    const shot = settings.mode === 'follow' ?
+      this.getFollowShot(progress, scene, settings) :
+      this.getKeyframeShot(progress, scene);
+    if (!shot) return overview;
+    if (!settings.overview) return shot;
+    
+    // Pull in from the overview at the start and back out to it at the end
+    const edge = Math.min(progress, 1 - progress) / CAMERA.OVERVIEW_TRANSITION;
+    return CameraService.blend(overview, shot, smoothstep(clamp(edge, 0, 1)));
+  }
+  
+  /**
+   * Whole map in view
+   * @param {Object} scene - Scene description
+   * @returns {{zoom: number, x: number, y: number}}
+   */
+  getOverviewShot(scene) {
+    return { zoom: 1, x: scene.width / 2, y: scene.height / 2 };
+  }
+  
+  /**
+   * Track the path head of every route that is drawing
+   * Between routes the camera rests on the last one to finish, and before
+   * any starts it waits on the first. Zoom drops if needed to keep several
+   * heads in frame.
+   * @param {number} progress - Timeline progress (0-1)
+   * @param {Object} scene - Scene description
+   * @param {Object} settings - From createSettings()
+   * @returns {{zoom: number, x: number, y: number}|null} Null if nothing is drawn
+   */
+  getFollowShot(progress, scene, settings) {
+    const routes = scene.routes.filter(route => route.pathPoints.length > 0);
+    if (routes.length === 0) return null;
+    
+    const position = scene.easing ? Easing.get(scene.easing)(progress) : progress;
+    let tracked = routes.filter(route => position >= route.start && position <= route.end);
+    if (tracked.length === 0) {
+      const finished = routes.filter(route => position > route.end);
+      tracked = finished.length > 0 ?
+        [finished.reduce((last, route) => route.end > last.end ? route : last)] :
+        [routes.reduce((first, route) => route.start < first.start ? route : first)];
+    }
+    
+    const window = settings.smoothing * CAMERA.SMOOTHING_WINDOW;
+    const heads = tracked.map(route => {
+      const span = route.end - route.start;
+      const routeTime = span > 0 ? clamp((position - route.start) / span, 0, 1) : 1;
+      const routeProgress = route.timeMap ? PathTiming.timeToProgress(route.timeMap, routeTime) : routeTime;
+      return this.getSmoothedHead(route.pathPoints, routeProgress, window);
+    });
+    
+    const xs = heads.map(head => head.x);
+    const ys = heads.map(head => head.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    
+    const fitZoom = Math.min(
+      (scene.width * HEAD_FRAME_SHARE) / Math.max(maxX - minX, 1),
+      (scene.height * HEAD_FRAME_SHARE) / Math.max(maxY - minY, 1)
+    );
+    return {
+      zoom: Math.max(1, Math.min(settings.zoom, fitZoom)),
+      x: (minX + maxX) / 2,
+      y: (minY + maxY) / 2
+    };
+  }
+  
+  /**
+   * Interpolate between the keyframes either side of the playhead
+   * Holds the first shot before it and the last shot after it
+   * @param {number} progress - Timeline progress (0-1)
+   * @param {Object} scene - Scene description
+   * @returns {{zoom: number, x: number, y: number}|null} Null without keyframes
+   */
+  getKeyframeShot(progress, scene) {
+    const keyframes = [...(scene.keyframes || [])].sort((a, b) => a.time - b.time);
+    if (keyframes.length === 0) return null;
+    
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (progress <= first.time) return { zoom: first.zoom, x: first.x, y: first.y };
+    if (progress >= last.time) return { zoom: last.zoom, x: last.x, y: last.y };
+    
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.time > progress);
+    const from = keyframes[nextIndex - 1];
+    const to = keyframes[nextIndex];
+    const t = (progress - from.time) / (to.time - from.time);
+    return CameraService.blend(from, to, smoothstep(t));
+  }
+  
+  /**
+   * Average the head position over a window of route progress
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Route path
+   * @param {number} progress - Route progress (0-1)
+   * @param {number} window - Progress either side to average over (0 = no smoothing)
+   * @returns {{x: number, y: number}}
+   */
+  getSmoothedHead(pathPoints, progress, window) {
+    if (window <= 0) return CameraService.getHeadPosition(pathPoints, progress);
+    
+    const samples = CAMERA.SMOOTHING_SAMPLES;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < samples; i++) {
+      const offset = (i / (samples - 1) * 2 - 1) * window;
+      const point = CameraService.getHeadPosition(pathPoints, clamp(progress + offset, 0, 1));
+      x += point.x;
+      y += point.y;
+    }
+    return { x: x / samples, y: y / samples };
+  }
+  
+  /**
+   * Position along a path for a progress value
+   * @param {Array<{x: number, y: number}>} pathPoints - Route path
+   * @param {number} progress - Route progress (0-1)
+   * @returns {{x: number, y: number}}
+   */
+  static getHeadPosition(pathPoints, progress) {
+    if (pathPoints.length === 1) return { x: pathPoints[0].x, y: pathPoints[0].y };
+    
+    const exact = clamp(progress, 0, 1) * (pathPoints.length - 1);
+    const index = Math.min(Math.floor(exact), pathPoints.length - 2);
+    const t = exact - index;
+    const a = pathPoints[index];
+    const b = pathPoints[index + 1];
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+  
+  /**
+   * Mix two shots
+   * Zoom changes geometrically so zooming in and out feel equally paced
+   * @param {{zoom: number, x: number, y: number}} a - Shot at t = 0
+   * @param {{zoom: number, x: number, y: number}} b - Shot at t = 1
+   * @param {number} t - Mix amount (0-1)
+   * @returns {{zoom: number, x: number, y: number}}
+   */
+  static blend(a, b, t) {
+    return {
+      zoom: a.zoom * Math.pow(b.zoom / a.zoom, t),
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t
+    };
+  }
+}
@@ -1,7 +1,13 @@
+import { INTERACTION } from '../config/constants.js';
+
 /**
  * Service for handling coordinate transformations between different coordinate systems
  * Simplified version using 1:1 mapping when canvas matches image dimensions
  * Falls back to complex transformation for fit/fill modes
+ *
+ * A view transform (zoom and pan) sits on top: "layout" coordinates are the
+ * canvas at zoom 1, "canvas" coordinates are what is on screen. Path points
+ * are kept in layout space so zooming never recalculates paths.
  */
 export class CoordinateTransform {
   constructor() {
@@ -12,6 +18,7 @@ export class CoordinateTransform {
     this.imageBounds = null;
     this.fitMode = 'fit'; // 'fit' or 'fill'
     this.transform = null; // Cached transformation matrix for performance
+    this.view = { zoom: 1, panX: 0, panY: 0 }; // canvas = layout * zoom + pan
   }
   
   /**
@@ -22,6 +29,7 @@ export class CoordinateTransform {
   setCanvasDimensions(width, height) {
     this.canvasWidth = width;
     this.canvasHeight = height;
+    this.clampView();
   }
   
   /**
@@ -127,13 +135,37 @@ export class CoordinateTransform {
   }
   
   /**
-   * Convert canvas coordinates to normalized image coordinates (0-1)
-   * Simplified for 1:1 mapping when canvas matches image
+   * Convert on-screen canvas coordinates to normalized image coordinates (0-1)
+   * Takes the current zoom and pan into account
    * @param {number} canvasX - X coordinate on canvas
    * @param {number} canvasY - Y coordinate on canvas
    * @returns {{x: number, y: number}} Normalized image coordinates (0-1)
    */
   canvasToImage(canvasX, canvasY) {
+    const layout = this.canvasToLayout(canvasX, canvasY);
+    return this.layoutToImage(layout.x, layout.y);
+  }
+  
+  /**
+   * Convert normalized image coordinates (0-1) to on-screen canvas coordinates
+   * Takes the current zoom and pan into account
+   * @param {number} imageX - Normalized X coordinate (0-1)
+   * @param {number} imageY - Normalized Y coordinate (0-1)
+   * @returns {{x: number, y: number}} Canvas coordinates
+   */
+  imageToCanvas(imageX, imageY) {
+    const layout = this.imageToLayout(imageX, imageY);
+    return this.layoutToCanvas(layout.x, layout.y);
+  }
+  
+  /**
+   * Convert layout coordinates (canvas at zoom 1) to normalized image coordinates (0-1)
+   * Simplified for 1:1 mapping when canvas matches image
+   * @param {number} canvasX - X coordinate in layout space
+   * @param {number} canvasY - Y coordinate in layout space
+   * @returns {{x: number, y: number}} Normalized image coordinates (0-1)
+   */
+  layoutToImage(canvasX, canvasY) {
     // Check for 1:1 mapping scenario (canvas matches image)
     if (this.canvasWidth === this.imageWidth && this.canvasHeight === this.imageHeight) {
       // Direct 1:1 mapping - no transformation needed
@@ -163,13 +195,13 @@ export class CoordinateTransform {
   }
   
   /**
-   * Convert normalized image coordinates (0-1) to canvas coordinates
+   * Convert normalized image coordinates (0-1) to layout coordinates (canvas at zoom 1)
    * Simplified for 1:1 mapping when canvas matches image
    * @param {number} imageX - Normalized X coordinate (0-1)
    * @param {number} imageY - Normalized Y coordinate (0-1)
-   * @returns {{x: number, y: number}} Canvas coordinates
+   * @returns {{x: number, y: number}} Layout coordinates
    */
-  imageToCanvas(imageX, imageY) {
+  imageToLayout(imageX, imageY) {
     // Check for 1:1 mapping scenario (canvas matches image)
     if (this.canvasWidth === this.imageWidth && this.canvasHeight === this.imageHeight) {
       // Direct 1:1 mapping - no transformation needed
@@ -194,6 +226,150 @@ export class CoordinateTransform {
     };
   }
   
+  /**
+   * Apply the view transform to a layout point
+   * @param {number} x - Layout X
+   * @param {number} y - Layout Y
+   * @returns {{x: number, y: number}} Canvas coordinates
+   */
+  layoutToCanvas(x, y) {
+    const v = this.view;
+    return { x: x * v.zoom + v.panX, y: y * v.zoom + v.panY };
+  }
+  
+  /**
+   * Remove the view transform from a canvas point
+   * @param {number} canvasX - X coordinate on canvas
+   * @param {number} canvasY - Y coordinate on canvas
+   * @returns {{x: number, y: number}} Layout coordinates
+   */
+  canvasToLayout(canvasX, canvasY) {
+    const v = this.view;
+    return { x: (canvasX - v.panX) / v.zoom, y: (canvasY - v.panY) / v.zoom };
+  }
+  
+  /**
+   * Check if the view is at zoom 1 with no pan (layout and canvas coincide)
+   * @returns {boolean}
+   */
+  isViewIdentity() {
+    const v = this.view;
+    return v.zoom === 1 && v.panX === 0 && v.panY === 0;
+  }
+  
+  /**
+   * Get a copy of the current view
+   * @returns {{zoom: number, panX: number, panY: number}}
+   */
+  getView() {
+    return { ...this.view };
+  }
+  
+  /**
+   * Set zoom and pan directly (clamped to the allowed range)
+   * @param {Object} view - { zoom, panX, panY }
+   */
+  setView({ zoom = 1, panX = 0, panY = 0 } = {}) {
+    this.view = { zoom, panX, panY };
+    this.clampView();
+  }
+  
+  /**
+   * Zoom by a factor, keeping the given canvas point fixed on screen
+   * @param {number} factor - Multiplier (> 1 zooms in)
+   * @param {number} canvasX - Zoom centre X on canvas
+   * @param {number} canvasY - Zoom centre Y on canvas
+   */
+  zoomAt(factor, canvasX, canvasY) {
+    const anchor = this.canvasToLayout(canvasX, canvasY);
+    const zoom = this.clampZoom(this.view.zoom * factor);
+    this.view = {
+      zoom,
+      panX: canvasX - anchor.x * zoom,
+      panY: canvasY - anchor.y * zoom
+    };
+    this.clampView();
+  }
+  
+  /**
+   * Move the view by a canvas distance
+   * @param {number} dx - Horizontal distance in canvas pixels
+   * @param {number} dy - Vertical distance in canvas pixels
+   */
+  panBy(dx, dy) {
+    this.view.panX += dx;
+    this.view.panY += dy;
+    this.clampView();
+  }
+  
+  /**
+   * Zoom so a layout-space box fills the canvas (zoom-to-selection)
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Layout box
+   * @param {number} padding - Canvas pixels to leave around the box
+   * @param {number} maxZoom - Zoom cap for small or single-point boxes
+   */
+  zoomToBounds(bounds, padding = 0, maxZoom = INTERACTION.ZOOM_MAX) {
+    const width = Math.max(bounds.maxX - bounds.minX, 1);
+    const height = Math.max(bounds.maxY - bounds.minY, 1);
+    const zoom = this.clampZoom(Math.min(
+      (this.canvasWidth - padding * 2) / width,
+      (this.canvasHeight - padding * 2) / height,
+      maxZoom
+    ));
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    this.view = {
+      zoom,
+      panX: this.canvasWidth / 2 - centerX * zoom,
+      panY: this.canvasHeight / 2 - centerY * zoom
+    };
+    this.clampView();
+  }
+  
+  /**
+   * Centre the view on a layout point at the given zoom (camera shots)
+   * @param {number} x - Layout X to centre
+   * @param {number} y - Layout Y to centre
+   * @param {number} zoom - Zoom level
+   */
+  centerOn(x, y, zoom) {
+    const clamped = this.clampZoom(zoom);
+    this.view = {
+      zoom: clamped,
+      panX: this.canvasWidth / 2 - x * clamped,
+      panY: this.canvasHeight / 2 - y * clamped
+    };
+    this.clampView();
+  }
+  
+  /**
+   * Return to zoom 1 with no pan (zoom-to-fit)
+   */
+  resetView() {
+    this.view = { zoom: 1, panX: 0, panY: 0 };
+  }
+  
+  /**
+   * @private
+   */
+  clampZoom(zoom) {
+    return Math.max(INTERACTION.ZOOM_MIN, Math.min(INTERACTION.ZOOM_MAX, zoom || 1));
+  }
+  
+  /**
+   * Keep the zoom in range and the layout covering the whole canvas,
+   * so the map can't be panned out of sight
+   * @private
+   */
+  clampView() {
+    const v = this.view;
+    v.zoom = this.clampZoom(v.zoom);
+    const minPanX = this.canvasWidth - this.canvasWidth * v.zoom;
+    const minPanY = this.canvasHeight - this.canvasHeight * v.zoom;
+    v.panX = Math.min(0, Math.max(minPanX, v.panX));
+    v.panY = Math.min(0, Math.max(minPanY, v.panY));
+  }
+  
   /**
    * Check if a point is within the image bounds
    * @param {number} canvasX - X coordinate on canvas
@@ -203,11 +379,12 @@ export class CoordinateTransform {
   isWithinImageBounds(canvasX, canvasY) {
     if (!this.imageBounds) return false;
     
-    const bounds = this.imageBounds;
-    return canvasX >= bounds.x && 
-           canvasX <= bounds.x + bounds.w &&
-           canvasY >= bounds.y && 
-           canvasY <= bounds.y + bounds.h;
+    const bounds = this.imageBounds; // Layout space
+    const { x, y } = this.canvasToLayout(canvasX, canvasY);
+    return x >= bounds.x && 
+           x <= bounds.x + bounds.w &&
+           y >= bounds.y && 
+           y <= bounds.y + bounds.h;
   }
   
   /**
@@ -240,5 +417,6 @@ export class CoordinateTransform {
     this.imageBounds = null;
     this.transform = null;
     this.fitMode = 'fit';
+    this.resetView();
   }
 }
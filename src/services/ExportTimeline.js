@@ -0,0 +1,112 @@
+import { Easing } from '../utils/Easing.js';
+import { PathTiming } from '../utils/PathTiming.js';
+
+/**
+ * Service mapping export time to animation state
+ * Lays waypoint pauses out on a fixed timeline so every frame of an export
+ * can be computed directly from its timestamp - no wall-clock, no thresholds.
+ * Holds mirror live playback: a pause happens at each major waypoint with a
+ * timed pause, except at the very end of the route.
+ */
+export class ExportTimeline {
+  /**
+   * @param {number} duration - Travel time of the route in milliseconds
+   * @param {Array<{index: number, progress: number, duration: number}>} holds - Pauses along the route
+   */
+  constructor(duration, holds = []) {
+    this.duration = Math.max(0, duration);
+    this.holds = holds
+      .filter(hold => hold.duration > 0 && hold.progress >= 0 && hold.progress < 1)
+      .sort((a, b) => a.progress - b.progress);
+  }
+  
+  /**
+   * Build a timeline from route waypoints
+   * @param {Waypoint[]} waypoints - All waypoints (major and minor)
+   * @param {number} duration - Travel time in milliseconds
+   * @param {Object} options
+   * @param {boolean} options.includePauses - Hold at waypoints with timed pauses
+   * @param {Object} options.timing - Path timing table (waypoints spread by index without one)
+   * @returns {ExportTimeline}
+   */
+  static fromWaypoints(waypoints, duration, options = {}) {
+    return ExportTimeline.fromRoutes([{ waypoints, timing: options.timing, start: 0, duration }], duration, options);
+  }
+  
+  /**
+   * Build a timeline from several scheduled routes
+   * A hold on any route stops the whole timeline, as in live playback
+   * @param {Array<{waypoints: Waypoint[], timing: Object, timeMap: Array, start: number, duration: number}>} routes - Routes
+   *   with their path timing and time map (both optional, see utils/PathTiming.js) and schedule (ms)
+   * @param {number} duration - Total travel time of the timeline in milliseconds
+   * @param {Object} options
+   * @param {boolean} options.includePauses - Hold at waypoints with timed pauses
+   * @param {string} options.easing - Global timing curve the schedule is eased by (linear by default)
+   * @returns {ExportTimeline}
+   */
+  static fromRoutes(routes, duration, { includePauses = true, easing } = {}) {
+    const holds = [];
+    const ease = Easing.get(easing);
+    
+    if (includePauses && duration > 0) {
+      routes.forEach(route => {
+        if (route.waypoints.length < 2) return;
+        
+        const segments = route.waypoints.length - 1;
+        const timing = route.timing?.waypointIndices.length === route.waypoints.length ? route.timing : null;
+        route.waypoints.forEach((wp, index) => {
+          if (wp.shouldPause()) {
+            // Same progress positions the live wait check uses, placed on the shared timeline
+            const routeProgress = timing ? PathTiming.getWaypointProgress(timing, index) : index / segments;
+            const routeTime = route.timeMap ? PathTiming.progressToTime(route.timeMap, routeProgress) : routeProgress;
+            const progress = Easing.invert(ease, (route.start + routeTime * route.duration) / duration);
+            holds.push({ index, progress, duration: wp.getPauseDuration() });
+          }
+        });
+      });
+    }
+    
+    return new ExportTimeline(duration, holds);
+  }
+  
+  /**
+   * Total length of the export including holds
+   * @returns {number} Milliseconds
+   */
+  getTotalDuration() {
+    return this.holds.reduce((total, hold) => total + hold.duration, this.duration);
+  }
+  
+  /**
+   * Number of frames needed to cover the timeline (first and last frame included)
+   * @param {number} fps - Frames per second
+   * @returns {number}
+   */
+  getFrameCount(fps) {
+    return Math.floor(this.getTotalDuration() * fps / 1000) + 1;
+  }
+  
+  /**
+   * Get the animation state at a point on the timeline
+   * @param {number} time - Milliseconds from the start of the export
+   * @returns {{progress: number, holdIndex: number, holdElapsed: number}}
+   *   holdIndex is the waypoint index being held at, or -1 while travelling
+   */
+  getStateAt(time) {
+    const t = Math.max(0, Math.min(time, this.getTotalDuration()));
+    let holdTimeBefore = 0; // Hold time already spent before the current point
+    
+    for (const hold of this.holds) {
+      const holdStart = hold.progress * this.duration + holdTimeBefore;
+      
+      if (t < holdStart) break;
+      if (t < holdStart + hold.duration) {
+        return { progress: hold.progress, holdIndex: hold.index, holdElapsed: t - holdStart };
+      }
+      holdTimeBefore += hold.duration;
+    }
+    
+    const progress = this.duration > 0 ? (t - holdTimeBefore) / this.duration : 1;
+    return { progress: Math.max(0, Math.min(1, progress)), holdIndex: -1, holdElapsed: 0 };
+  }
+}
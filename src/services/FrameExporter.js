@@ -0,0 +1,137 @@
+import { EXPORT } from '../config/constants.js';
+
+/**
+ * Base class for offline frame-by-frame exporters
+ * Owns the render loop - offscreen canvas, progress, yielding and
+ * cancellation - while subclasses decide what happens to each frame.
+ * Output depends only on frame timestamps, never on machine speed.
+ */
+export class FrameExporter {
+  constructor() {
+    this.isExporting = false;
+    this.cancelled = false;
+  }
+  
+  /**
+   * Whether frames keep their alpha channel (transparent backgrounds)
+   * @returns {boolean}
+   */
+  get supportsTransparency() {
+    return false;
+  }
+  
+  /**
+   * Whether addFrame() reads pixels back with getImageData
+   * @returns {boolean}
+   */
+  get readsPixels() {
+    return false;
+  }
+  
+  /**
+   * Adjust requested output settings to what the format can encode
+   * Call before building the timeline so frame counts match the output
+   * @param {{width: number, height: number, fps: number}} settings
+   * @returns {{width: number, height: number, fps: number}}
+   */
+  normalizeSettings({ width, height, fps }) {
+    return { width: Math.round(width), height: Math.round(height), fps };
+  }
+  
+  /**
+   * Render every frame and hand each one to the subclass
+   * @param {Object} options
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.frameCount - Number of frames to render
+   * @param {Function} options.renderFrame - (ctx, timeMs, frameIndex) draws one frame
+   * @param {Function} [options.onProgress] - (framesDone, frameCount) progress callback
+   * @returns {Promise<Blob|null>} Encoded output, or null if cancelled
+   */
+  async export(options) {
+    if (this.isExporting) {
+      throw new Error('An export is already running');
+    }
+    
+    const { width, height, fps } = this.normalizeSettings(options);
+    const settings = { ...options, width, height, fps };
+    
+    this.isExporting = true;
+    this.cancelled = false;
+    
+    try {
+      await this.begin(settings);
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: this.readsPixels });
+      
+      for (let i = 0; i < settings.frameCount; i++) {
+        if (this.cancelled) break;
+        
+        const time = (i * 1000) / fps;
+        settings.renderFrame(ctx, time, i);
+        await this.addFrame(canvas, ctx, i, time);
+        
+        if (settings.onProgress) settings.onProgress(i + 1, settings.frameCount);
+        
+        // Let the UI breathe (progress bar, cancel button)
+        if (i % EXPORT.YIELD_EVERY_FRAMES === 0) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+      
+      if (this.cancelled) {
+        this.abort();
+        return null;
+      }
+      return await this.finish();
+    } catch (error) {
+      this.abort();
+      throw error;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+  
+  /**
+   * Prepare encoders for a new export
+   * @param {Object} settings - Normalized export options
+   */
+  async begin(settings) {
+    throw new Error('begin() must be implemented by subclass');
+  }
+  
+  /**
+   * Consume one rendered frame
+   * @param {HTMLCanvasElement} canvas - Frame canvas
+   * @param {CanvasRenderingContext2D} ctx - Frame context
+   * @param {number} index - Frame index
+   * @param {number} time - Frame time in milliseconds
+   */
+  async addFrame(canvas, ctx, index, time) {
+    throw new Error('addFrame() must be implemented by subclass');
+  }
+  
+  /**
+   * Finalize the output
+   * @returns {Promise<Blob>}
+   */
+  async finish() {
+    throw new Error('finish() must be implemented by subclass');
+  }
+  
+  /**
+   * Release encoder resources after a cancel or error
+   */
+  abort() {}
+  
+  /**
+   * Cancel the running export after the current frame
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
@@ -0,0 +1,457 @@
+import { GEO } from '../config/constants.js';
+
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+const KML_NS = 'http://www.opengis.net/kml/2.2';
+const ROUTE_NS = 'https://github.com/djDAOjones/router-plotter-02';
+
+const MIME_TYPES = {
+  gpx: 'application/gpx+xml',
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+/**
+ * Service for GPX, GeoJSON and KML route files
+ * Converts between files and a format-neutral route:
+ *   { name, points: [{ lat, lon, label, isMajor, pauseTime, labelMode }], path? }
+ * pauseTime is in milliseconds (0 = no pause). The optional path is the
+ * smoothed line as drawn ([{ lat, lon }]) so mapping tools show the same
+ * curve; it is written as the track/LineString and ignored on re-import.
+ *
+ * Files written by this app round-trip exactly: every waypoint carries
+ * its major/minor flag and pause time. Files from GPS devices and mapping
+ * tools are read as a line (track/LineString, imported as minor points with
+ * major ends) plus named points (waypoints/Points), which become labelled
+ * major waypoints at the nearest spot on the line.
+ */
+export class GeoFormatService {
+  /**
+   * Detect the format of a file from its name, falling back to content
+   * @param {string} filename - File name
+   * @param {string} text - File contents
+   * @returns {string|null} 'gpx' | 'geojson' | 'kml', or null if unknown
+   */
+  detectFormat(filename, text = '') {
+    const name = (filename || '').toLowerCase();
+    if (name.endsWith('.gpx')) return 'gpx';
+    if (name.endsWith('.kml')) return 'kml';
+    if (name.endsWith('.geojson')) return 'geojson';
+    
+    const head = text.trimStart().slice(0, 500);
+    if (head.startsWith('{')) return 'geojson';
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<kml[\s>]/.test(head)) return 'kml';
+    return null;
+  }
+  
+  /**
+   * Check whether a picked/dropped file is a supported geo file
+   * @param {File} file - Candidate file
+   * @returns {boolean}
+   */
+  isGeoFile(file) {
+    const name = (file?.name || '').toLowerCase();
+    return GEO.FILE_EXTENSIONS.some(ext => name.endsWith(ext));
+  }
+  
+  /**
+   * Get the MIME type for a format
+   * @param {string} format - 'gpx' | 'geojson' | 'kml'
+   * @returns {string}
+   */
+  getMimeType(format) {
+    return MIME_TYPES[format] || 'application/octet-stream';
+  }
+  
+  /**
+   * Parse a geo file into a route
+   * @param {string} text - File contents
+   * @param {string} filename - File name (used to detect the format)
+   * @returns {{name: string, points: Array<Object>}}
+   * @throws {Error} With a user-facing message if the file can't be used
+   */
+  parse(text, filename = '') {
+    const format = this.detectFormat(filename, text);
+    let route;
+    switch (format) {
+      case 'gpx':
+        route = this.parseGPX(text);
+        break;
+      case 'kml':
+        route = this.parseKML(text);
+        break;
+      case 'geojson':
+        route = this.parseGeoJSON(text);
+        break;
+      default:
+        throw new Error('File is not GPX, GeoJSON or KML');
+    }
+    
+    if (route.points.length < 2) {
+      throw new Error('File has no route with at least two points');
+    }
+    return route;
+  }
+  
+  /**
+   * Serialize a route to a file format
+   * @param {{name: string, points: Array<Object>}} route - Route to write
+   * @param {string} format - 'gpx' | 'geojson' | 'kml'
+   * @returns {string} File contents
+   */
+  serialize(route, format) {
+    switch (format) {
+      case 'gpx':
+        return this.toGPX(route);
+      case 'kml':
+        return this.toKML(route);
+      case 'geojson':
+        return this.toGeoJSON(route);
+      default:
+        throw new Error(`Unknown geo format: ${format}`);
+    }
+  }
+  
+  // ----- GPX -----
+  
+  parseGPX(text) {
+    const doc = this.parseXML(text, 'gpx');
+    const name = this.childText(doc.querySelector('metadata > name, rte > name, trk > name')) || '';
+    
+    // Our own exports (and planned routes) use <rte>; recordings use <trk>
+    const routePoints = [...doc.getElementsByTagName('rtept')];
+    if (routePoints.length >= 2) {
+      const points = routePoints.map(el => this.readGPXPoint(el));
+      const ownFile = routePoints.some(el => el.getElementsByTagName('type').length > 0);
+      return { name, points: ownFile ? points : this.markEnds(points) };
+    }
+    
+    const line = [...doc.getElementsByTagName('trkpt')].map(el => this.readGPXPoint(el, false));
+    const named = [...doc.getElementsByTagName('wpt')].map(el => this.readGPXPoint(el, true));
+    return { name, points: this.combine(line, named) };
+  }
+  
+  readGPXPoint(el, defaultMajor = true) {
+    const point = {
+      lat: parseFloat(el.getAttribute('lat')),
+      lon: parseFloat(el.getAttribute('lon')),
+      label: this.childText(this.firstChild(el, 'name')),
+      isMajor: defaultMajor,
+      pauseTime: 0,
+      labelMode: null
+    };
+    
+    const type = this.childText(this.firstChild(el, 'type'));
+    if (type === 'major' || type === 'minor') {
+      point.isMajor = type === 'major';
+    }
+    const pause = parseFloat(this.childText(this.firstChild(el, 'pause')));
+    if (pause > 0) point.pauseTime = pause;
+    const labelMode = this.childText(this.firstChild(el, 'labelMode'));
+    if (labelMode) point.labelMode = labelMode;
+    
+    return point;
+  }
+  
+  toGPX(route) {
+    const points = route.points.map(p => {
+      const extensions = [];
+      if (p.pauseTime > 0) extensions.push(`<rp:pause>${Math.round(p.pauseTime)}</rp:pause>`);
+      if (p.label && p.labelMode) extensions.push(`<rp:labelMode>${this.escape(p.labelMode)}</rp:labelMode>`);
+      
+      return [
+        `    <rtept lat="${this.coord(p.lat)}" lon="${this.coord(p.lon)}">`,
+        p.label ? `      <name>${this.escape(p.label)}</name>` : null,
+        `      <type>${p.isMajor ? 'major' : 'minor'}</type>`,
+        extensions.length ? `      <extensions>${extensions.join('')}</extensions>` : null,
+        '    </rtept>'
+      ].filter(Boolean).join('\n');
+    });
+    
+    const track = route.path?.length >= 2 ? [
+      '  <trk>',
+      `    <name>${this.escape(route.name)}</name>`,
+      '    <trkseg>',
+      ...route.path.map(p => `      <trkpt lat="${this.coord(p.lat)}" lon="${this.coord(p.lon)}"/>`),
+      '    </trkseg>',
+      '  </trk>'
+    ] : [];
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="Route Plotter" xmlns="${GPX_NS}" xmlns:rp="${ROUTE_NS}">`,
+      `  <metadata><name>${this.escape(route.name)}</name></metadata>`,
+      '  <rte>',
+      `    <name>${this.escape(route.name)}</name>`,
+      ...points,
+      '  </rte>',
+      ...track,
+      '</gpx>',
+      ''
+    ].join('\n');
+  }
+  
+  // ----- KML -----
+  
+  parseKML(text) {
+    const doc = this.parseXML(text, 'kml');
+    const documentName = this.childText(doc.querySelector('Document > name')) || '';
+    const line = [];
+    const named = [];
+    
+    [...doc.getElementsByTagName('Placemark')].forEach(placemark => {
+      const lineString = placemark.getElementsByTagName('LineString')[0];
+      if (lineString) {
+        line.push(...this.parseKMLCoordinates(this.childText(this.firstChild(lineString, 'coordinates')))
+          .map(c => ({ ...c, label: '', isMajor: false, pauseTime: 0, labelMode: null })));
+        return;
+      }
+      
+      const pointEl = placemark.getElementsByTagName('Point')[0];
+      if (!pointEl) return;
+      const [coord] = this.parseKMLCoordinates(this.childText(this.firstChild(pointEl, 'coordinates')));
+      if (!coord) return;
+      
+      const data = {};
+      [...placemark.getElementsByTagName('Data')].forEach(el => {
+        data[el.getAttribute('name')] = this.childText(this.firstChild(el, 'value'));
+      });
+      named.push({
+        ...coord,
+        label: this.childText(this.firstChild(placemark, 'name')),
+        isMajor: data.major !== undefined ? data.major === 'true' : true,
+        pauseTime: parseFloat(data.pauseTime) > 0 ? parseFloat(data.pauseTime) : 0,
+        labelMode: data.labelMode || null,
+        index: data.index !== undefined ? parseInt(data.index, 10) : undefined
+      });
+    });
+    
+    return { name: documentName, points: this.combine(line, named) };
+  }
+  
+  parseKMLCoordinates(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+      const [lon, lat] = tuple.split(',').map(Number);
+      return { lat, lon };
+    }).filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lon));
+  }
+  
+  toKML(route) {
+    const line = route.path?.length >= 2 ? route.path : route.points;
+    const coordinates = line.map(p => `${this.coord(p.lon)},${this.coord(p.lat)}`).join(' ');
+    const placemarks = route.points.map((p, index) => [
+      '    <Placemark>',
+      p.label ? `      <name>${this.escape(p.label)}</name>` : null,
+      '      <ExtendedData>',
+      `        <Data name="index"><value>${index}</value></Data>`,
+      `        <Data name="major"><value>${p.isMajor}</value></Data>`,
+      p.pauseTime > 0 ? `        <Data name="pauseTime"><value>${Math.round(p.pauseTime)}</value></Data>` : null,
+      p.label && p.labelMode ? `        <Data name="labelMode"><value>${this.escape(p.labelMode)}</value></Data>` : null,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${this.coord(p.lon)},${this.coord(p.lat)}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(Boolean).join('\n'));
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<kml xmlns="${KML_NS}">`,
+      '  <Document>',
+      `    <name>${this.escape(route.name)}</name>`,
+      '    <Placemark>',
+      `      <name>${this.escape(route.name)}</name>`,
+      `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+      '    </Placemark>',
+      ...placemarks,
+      '  </Document>',
+      '</kml>',
+      ''
+    ].join('\n');
+  }
+  
+  // ----- GeoJSON -----
+  
+  parseGeoJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    const features = data.type === 'FeatureCollection' ? (data.features || []) :
+      data.type === 'Feature' ? [data] :
+      [{ type: 'Feature', geometry: data, properties: {} }];
+    
+    const line = [];
+    const named = [];
+    features.forEach(feature => {
+      const geometry = feature?.geometry;
+      const props = feature?.properties || {};
+      if (!geometry) return;
+      
+      const toPoint = ([lon, lat]) => ({ lat, lon, label: '', isMajor: false, pauseTime: 0, labelMode: null });
+      switch (geometry.type) {
+        case 'LineString':
+          line.push(...geometry.coordinates.map(toPoint));
+          break;
+        case 'MultiLineString':
+          geometry.coordinates.forEach(coords => line.push(...coords.map(toPoint)));
+          break;
+        case 'Point': {
+          const [lon, lat] = geometry.coordinates;
+          named.push({
+            lat,
+            lon,
+            label: props.label ?? props.name ?? props.title ?? '',
+            isMajor: props.major !== undefined ? !!props.major : true,
+            pauseTime: props.pauseTime > 0 ? props.pauseTime : 0,
+            labelMode: props.labelMode || null,
+            index: Number.isInteger(props.index) ? props.index : undefined
+          });
+          break;
+        }
+      }
+    });
+    
+    const points = this.combine(line, named)
+      .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    return { name: data.name || features[0]?.properties?.name || '', points };
+  }
+  
+  toGeoJSON(route) {
+    const toPosition = (p) => [this.coord(p.lon), this.coord(p.lat)];
+    const line = route.path?.length >= 2 ? route.path : route.points;
+    const collection = {
+      type: 'FeatureCollection',
+      name: route.name,
+      features: [
+        {
+          type: 'Feature',
+          properties: { name: route.name },
+          geometry: { type: 'LineString', coordinates: line.map(toPosition) }
+        },
+        ...route.points.map((p, index) => {
+          const properties = { index, major: p.isMajor };
+          if (p.label) properties.label = p.label;
+          if (p.label && p.labelMode) properties.labelMode = p.labelMode;
+          if (p.pauseTime > 0) properties.pauseTime = Math.round(p.pauseTime);
+          return {
+            type: 'Feature',
+            properties,
+            geometry: { type: 'Point', coordinates: toPosition(p) }
+          };
+        })
+      ]
+    };
+    return JSON.stringify(collection, null, 2);
+  }
+  
+  // ----- Helpers -----
+  
+  /**
+   * Merge a line and named points into one point list
+   * Indexed points (our own exports) are the route; otherwise named points
+   * upgrade the nearest line point, or form the route if there's no line
+   * @private
+   */
+  combine(line, named) {
+    const indexed = named.filter(p => p.index !== undefined);
+    if (indexed.length >= 2 && indexed.length === named.length) {
+      return indexed.sort((a, b) => a.index - b.index).map(({ index, ...point }) => point);
+    }
+    
+    const plain = named.map(({ index, ...point }) => point);
+    if (line.length < 2) return plain;
+    
+    const points = this.markEnds(line.map(p => ({ ...p })));
+    const cosLat = Math.cos(points[0].lat * Math.PI / 180);
+    plain.forEach(wpt => {
+      let best = 0;
+      let bestDist = Infinity;
+      points.forEach((p, i) => {
+        const dx = (p.lon - wpt.lon) * cosLat;
+        const dy = p.lat - wpt.lat;
+        const dist = dx * dx + dy * dy;
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = i;
+        }
+      });
+      Object.assign(points[best], {
+        isMajor: true,
+        label: wpt.label || points[best].label,
+        labelMode: wpt.labelMode || points[best].labelMode,
+        pauseTime: wpt.pauseTime || points[best].pauseTime
+      });
+    });
+    return points;
+  }
+  
+  /**
+   * Make the first and last points major (route start and end)
+   * @private
+   */
+  markEnds(points) {
+    if (points.length > 0) {
+      points[0].isMajor = true;
+      points[points.length - 1].isMajor = true;
+    }
+    return points;
+  }
+  
+  /**
+   * Parse XML text, rejecting malformed files and the wrong root element
+   * @private
+   */
+  parseXML(text, rootName) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`File is not valid ${rootName.toUpperCase()}`);
+    }
+    if (doc.documentElement.localName !== rootName) {
+      throw new Error(`File is not a ${rootName.toUpperCase()} document`);
+    }
+    return doc;
+  }
+  
+  /**
+   * First direct child element with a local name (namespace agnostic)
+   * @private
+   */
+  firstChild(el, localName) {
+    if (!el) return null;
+    for (const child of el.getElementsByTagName('*')) {
+      if (child.localName === localName && (child.parentNode === el || child.parentNode?.localName === 'extensions')) {
+        return child;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * @private
+   */
+  childText(el) {
+    return el ? el.textContent.trim() : '';
+  }
+  
+  /**
+   * Round a coordinate to ~1cm
+   * @private
+   */
+  coord(value) {
+    return Math.round(value * 1e7) / 1e7;
+  }
+  
+  /**
+   * Escape text for XML
+   * @private
+   */
+  escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
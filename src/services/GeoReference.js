@@ -0,0 +1,324 @@
+import { GEO } from '../config/constants.js';
+
+/**
+ * Solve a linear least-squares problem via the normal equations
+ * @param {number[][]} rows - Design matrix rows
+ * @param {number[]} rhs - Right-hand side, one value per row
+ * @returns {number[]|null} Solution, or null if the system is degenerate
+ */
+function solveLeastSquares(rows, rhs) {
+  const n = rows[0].length;
+  
+  // Build augmented [AᵀA | Aᵀb]
+  const m = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  rows.forEach((row, r) => {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) m[i][j] += row[i] * row[j];
+      m[i][n] += row[i] * rhs[r];
+    }
+  });
+  
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+    }
+  }
+  
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Service linking the background image to real-world coordinates
+ * Control points pin normalized image positions (imgX, imgY) to lat/lon.
+ * A similarity fit (rotation, uniform scale, translation) needs 2 points;
+ * an affine fit (adds shear and independent axis scales) needs 3+.
+ *
+ * Fitting happens in image pixels against a local equirectangular
+ * projection (longitude scaled by cos(latitude)), so "uniform scale"
+ * means the same on the ground - accurate for city/regional maps.
+ */
+export class GeoReference {
+  /**
+   * @param {Object} options
+   * @param {Array<{imgX: number, imgY: number, lat: number, lon: number}>} options.controlPoints
+   * @param {string} options.method - 'similarity' | 'affine' | 'auto' (affine when 3+ points)
+   * @param {number} options.imageWidth - Background image width in pixels
+   * @param {number} options.imageHeight - Background image height in pixels
+   */
+  constructor(options = {}) {
+    this.controlPoints = (options.controlPoints || []).map(cp => ({ ...cp }));
+    this.method = options.method || 'auto';
+    this.imageWidth = options.imageWidth || 1;
+    this.imageHeight = options.imageHeight || 1;
+    this.transform = null; // [a, b, c, d, e, f]: x = a*u + b*v + c, y = d*u + e*v + f
+    this.originLat = 0;
+    this.refit();
+  }
+  
+  /**
+   * Set the pixel size of the referenced image (affects similarity fits)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  setImageDimensions(width, height) {
+    this.imageWidth = width || 1;
+    this.imageHeight = height || 1;
+    this.refit();
+  }
+  
+  /**
+   * Add a control point and refit
+   * @param {{imgX: number, imgY: number, lat: number, lon: number}} point
+   */
+  addControlPoint(point) {
+    if (!GeoReference.isValidLatLon(point.lat, point.lon)) {
+      throw new Error('Latitude must be between -90 and 90 and longitude between -180 and 180');
+    }
+    this.controlPoints.push({ imgX: point.imgX, imgY: point.imgY, lat: point.lat, lon: point.lon });
+    this.refit();
+  }
+  
+  /**
+   * Remove a control point and refit
+   * @param {number} index - Control point index
+   */
+  removeControlPoint(index) {
+    this.controlPoints.splice(index, 1);
+    this.refit();
+  }
+  
+  /**
+   * Remove all control points
+   */
+  clear() {
+    this.controlPoints = [];
+    this.refit();
+  }
+  
+  /**
+   * Set the fitting method and refit
+   * @param {string} method - 'similarity' | 'affine' | 'auto'
+   */
+  setMethod(method) {
+    this.method = method;
+    this.refit();
+  }
+  
+  /**
+   * Refit if there are enough points, otherwise drop the transform
+   * @private
+   */
+  refit() {
+    this.transform = null;
+    if (this.controlPoints.length >= GEO.MIN_CONTROL_POINTS) {
+      try {
+        this.fit();
+      } catch (error) {
+        console.warn('Georeference could not be fitted:', error.message);
+      }
+    }
+  }
+  
+  /**
+   * Get the method actually used for the current control points
+   * @returns {string} 'similarity' | 'affine'
+   */
+  getEffectiveMethod() {
+    if (this.method === 'auto') {
+      return this.controlPoints.length >= 3 ? 'affine' : 'similarity';
+    }
+    return this.method;
+  }
+  
+  /**
+   * Fit the image → geo transform to the control points
+   * @throws {Error} With a user-facing message if the points can't define a transform
+   */
+  fit() {
+    const method = this.getEffectiveMethod();
+    const needed = method === 'affine' ? 3 : 2;
+    if (this.controlPoints.length < needed) {
+      throw new Error(`${method === 'affine' ? 'Affine' : 'Similarity'} fit needs at least ${needed} control points`);
+    }
+    
+    this.originLat = this.controlPoints.reduce((sum, cp) => sum + cp.lat, 0) / this.controlPoints.length;
+    const samples = this.controlPoints.map(cp => ({
+      ...this.toPixels(cp.imgX, cp.imgY),
+      ...this.project(cp.lat, cp.lon)
+    }));
+    
+    let transform = null;
+    if (method === 'affine') {
+      const rows = samples.map(s => [s.u, s.v, 1]);
+      const xs = solveLeastSquares(rows, samples.map(s => s.x));
+      const ys = solveLeastSquares(rows, samples.map(s => s.y));
+      if (xs && ys) transform = [...xs, ...ys];
+    } else {
+      // Image y points down, latitude points up - fit against (u, -v) so the
+      // similarity needs no reflection: x = a*u - b*(-v) + tx, y = b*u + a*(-v) + ty
+      const rows = [];
+      const rhs = [];
+      samples.forEach(s => {
+        rows.push([s.u, s.v, 1, 0]);
+        rhs.push(s.x);
+        rows.push([-s.v, s.u, 0, 1]);
+        rhs.push(s.y);
+      });
+      const solution = solveLeastSquares(rows, rhs);
+      if (solution) {
+        const [a, b, tx, ty] = solution;
+        transform = [a, b, tx, b, -a, ty];
+      }
+    }
+    
+    if (!transform || Math.abs(transform[0] * transform[4] - transform[1] * transform[3]) < 1e-18) {
+      throw new Error('Control points are too close together or in a line');
+    }
+    this.transform = transform;
+  }
+  
+  /**
+   * Check if the image can be converted to and from lat/lon
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.transform !== null;
+  }
+  
+  /**
+   * Convert normalized image coordinates to lat/lon
+   * @param {number} imgX - Normalized x (0-1)
+   * @param {number} imgY - Normalized y (0-1)
+   * @returns {{lat: number, lon: number}}
+   */
+  toGeo(imgX, imgY) {
+    this.assertReady();
+    const [a, b, c, d, e, f] = this.transform;
+    const { u, v } = this.toPixels(imgX, imgY);
+    return this.unproject(a * u + b * v + c, d * u + e * v + f);
+  }
+  
+  /**
+   * Convert lat/lon to normalized image coordinates
+   * Results outside 0-1 are off the image
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {{imgX: number, imgY: number}}
+   */
+  toImage(lat, lon) {
+    this.assertReady();
+    const [a, b, c, d, e, f] = this.transform;
+    const { x, y } = this.project(lat, lon);
+    const det = a * e - b * d;
+    const u = (e * (x - c) - b * (y - f)) / det;
+    const v = (a * (y - f) - d * (x - c)) / det;
+    return { imgX: u / this.imageWidth, imgY: v / this.imageHeight };
+  }
+  
+  /**
+   * Root-mean-square distance between control points and the fit
+   * @returns {number} Error in metres (0 for an exact fit)
+   */
+  getRmsError() {
+    if (!this.isReady() || this.controlPoints.length === 0) return 0;
+    
+    const sumSq = this.controlPoints.reduce((sum, cp) => {
+      const fitted = this.toGeo(cp.imgX, cp.imgY);
+      const dy = (fitted.lat - cp.lat) * GEO.METERS_PER_DEGREE;
+      const dx = (fitted.lon - cp.lon) * GEO.METERS_PER_DEGREE * Math.cos(cp.lat * Math.PI / 180);
+      return sum + dx * dx + dy * dy;
+    }, 0);
+    return Math.sqrt(sumSq / this.controlPoints.length);
+  }
+  
+  /**
+   * Serialize for autosave/project files
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      method: this.method,
+      controlPoints: this.controlPoints.map(cp => ({ ...cp }))
+    };
+  }
+  
+  /**
+   * Restore from serialized data
+   * @param {Object|null} data - From toJSON()
+   * @param {number} imageWidth - Background image width in pixels
+   * @param {number} imageHeight - Background image height in pixels
+   * @returns {GeoReference}
+   */
+  static fromJSON(data, imageWidth, imageHeight) {
+    const controlPoints = (data?.controlPoints || []).filter(cp =>
+      Number.isFinite(cp.imgX) && Number.isFinite(cp.imgY) &&
+      GeoReference.isValidLatLon(cp.lat, cp.lon)
+    );
+    return new GeoReference({ controlPoints, method: data?.method, imageWidth, imageHeight });
+  }
+  
+  /**
+   * Check a latitude/longitude pair is in range
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean}
+   */
+  static isValidLatLon(lat, lon) {
+    return Number.isFinite(lat) && Number.isFinite(lon) &&
+      lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+  }
+  
+  /**
+   * Parse "lat, lon" text as typed or pasted from a map
+   * @param {string} text - e.g. "51.5074, -0.1278"
+   * @returns {{lat: number, lon: number}|null}
+   */
+  static parseLatLon(text) {
+    const parts = String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (parts.length !== 2 || !GeoReference.isValidLatLon(parts[0], parts[1])) return null;
+    return { lat: parts[0], lon: parts[1] };
+  }
+  
+  /**
+   * @private
+   */
+  assertReady() {
+    if (!this.isReady()) {
+      throw new Error('Background image is not georeferenced');
+    }
+  }
+  
+  /**
+   * Normalized image coordinates → image pixels
+   * @private
+   */
+  toPixels(imgX, imgY) {
+    return { u: imgX * this.imageWidth, v: imgY * this.imageHeight };
+  }
+  
+  /**
+   * Lat/lon → local equirectangular plane (degrees of latitude)
+   * @private
+   */
+  project(lat, lon) {
+    return { x: lon * Math.cos(this.originLat * Math.PI / 180), y: lat };
+  }
+  
+  /**
+   * Local equirectangular plane → lat/lon
+   * @private
+   */
+  unproject(x, y) {
+    return { lat: y, lon: x / Math.cos(this.originLat * Math.PI / 180) };
+  }
+}
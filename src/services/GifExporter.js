@@ -0,0 +1,77 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { EXPORT } from '../config/constants.js';
+import { FrameExporter } from './FrameExporter.js';
+
+/**
+ * Service for animated GIF export
+ * Each frame gets its own 256-color palette because the route draws in
+ * over time. GIF timing is in 1/100s, so delays are rounded cumulatively
+ * to keep the total length exact.
+ */
+export class GifExporter extends FrameExporter {
+  constructor() {
+    super();
+    this.encoder = null;
+  }
+  
+  get readsPixels() {
+    return true;
+  }
+  
+  /**
+   * Cap size and frame rate to what GIF viewers handle well
+   * Browsers slow delays under 20ms down to 100ms, so fps is capped at 50
+   */
+  normalizeSettings({ width, height, fps }) {
+    const scale = Math.min(1, EXPORT.GIF_MAX_DIMENSION / Math.max(width, height));
+    return {
+      width: Math.round(width * scale),
+      height: Math.round(height * scale),
+      fps: Math.min(fps, EXPORT.GIF_MAX_FPS)
+    };
+  }
+  
+  /**
+   * Get the display delay for a frame
+   * @param {number} index - Frame index
+   * @param {number} fps - Frames per second
+   * @returns {number} Delay in milliseconds (multiple of 10)
+   */
+  static getFrameDelay(index, fps) {
+    const toCentiseconds = (frame) => Math.round((frame * 100) / fps);
+    return (toCentiseconds(index + 1) - toCentiseconds(index)) * 10;
+  }
+  
+  async begin({ width, height, fps }) {
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.encoder = GIFEncoder();
+  }
+  
+  /**
+   * Quantize the frame to a palette and append it
+   */
+  async addFrame(canvas, ctx, index) {
+    const { data } = ctx.getImageData(0, 0, this.width, this.height);
+    const palette = quantize(data, 256);
+    const indexed = applyPalette(data, palette);
+    
+    this.encoder.writeFrame(indexed, this.width, this.height, {
+      palette,
+      delay: GifExporter.getFrameDelay(index, this.fps),
+      repeat: 0 // Loop forever
+    });
+  }
+  
+  async finish() {
+    this.encoder.finish();
+    const blob = new Blob([this.encoder.bytes()], { type: 'image/gif' });
+    this.encoder = null;
+    return blob;
+  }
+  
+  abort() {
+    this.encoder = null;
+  }
+}
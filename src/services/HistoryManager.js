@@ -0,0 +1,161 @@
+import { HISTORY } from '../config/constants.js';
+
+/**
+ * Service for undo/redo command history
+ * Stores reversible commands on bounded stacks and coalesces rapid repeats
+ * (slider drags, repeated nudges) into a single undo step
+ *
+ * A command is a plain object: { label, undo(), redo(), coalesceKey? }
+ * Commands are recorded AFTER the change has been applied
+ */
+export class HistoryManager {
+  constructor(eventBus = null, options = {}) {
+    this.eventBus = eventBus;
+    this.maxEntries = options.maxEntries || HISTORY.MAX_ENTRIES;
+    this.coalesceWindow = options.coalesceWindow ?? HISTORY.COALESCE_WINDOW;
+    this.undoStack = [];
+    this.redoStack = [];
+    this._isApplying = false; // Guards against recording while undoing/redoing
+  }
+  
+  /**
+   * Record a command that has already been applied
+   * Consecutive commands sharing a coalesceKey within the coalesce window
+   * are merged: the oldest undo is kept and the newest redo is adopted
+   * @param {Object} command - Command with label, undo and redo functions
+   */
+  record(command) {
+    if (this._isApplying) return;
+    
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    
+    if (command.coalesceKey && last &&
+        last.coalesceKey === command.coalesceKey &&
+        now - last.timestamp <= this.coalesceWindow) {
+      last.redo = command.redo;
+      last.timestamp = now;
+    } else {
+      this.undoStack.push({ ...command, timestamp: now });
+      
+      // Keep the stack bounded - drop the oldest step
+      if (this.undoStack.length > this.maxEntries) {
+        this.undoStack.shift();
+      }
+    }
+    
+    // Any new change invalidates the redo branch
+    this.redoStack = [];
+    this.emitChange();
+  }
+  
+  /**
+   * Apply a command and record it
+   * @param {Object} command - Command with label, undo and redo functions
+   */
+  execute(command) {
+    command.redo();
+    this.record(command);
+  }
+  
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} The undone command or null if nothing to undo
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    
+    this._apply(command.undo);
+    this.redoStack.push(command);
+    this.emitChange();
+    return command;
+  }
+  
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} The redone command or null if nothing to redo
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    
+    this._apply(command.redo);
+    // Redone steps must never merge with a following edit
+    command.timestamp = 0;
+    this.undoStack.push(command);
+    this.emitChange();
+    return command;
+  }
+  
+  /**
+   * Run an undo/redo function with recording suppressed
+   * @private
+   */
+  _apply(fn) {
+    this._isApplying = true;
+    try {
+      fn();
+    } finally {
+      this._isApplying = false;
+    }
+  }
+  
+  /**
+   * Check if there is anything to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  /**
+   * Check if there is anything to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  /**
+   * Check if an undo or redo is currently being applied
+   * @returns {boolean}
+   */
+  isApplying() {
+    return this._isApplying;
+  }
+  
+  /**
+   * Clear both stacks (e.g. after loading a different project)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emitChange();
+  }
+  
+  /**
+   * Get a summary of the current history state for UI updates
+   * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}}
+   */
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null
+    };
+  }
+  
+  /**
+   * Notify listeners that the stacks changed
+   * @private
+   */
+  emitChange() {
+    if (this.eventBus) {
+      this.eventBus.emit('history:changed', this.getState());
+    }
+  }
+}
@@ -1,228 +1,51 @@
-import { CatmullRom } from '../utils/CatmullRom.js';
-import { Easing } from '../utils/Easing.js';
-import { PATH, RENDERING } from '../config/constants.js';
+import { PathPipeline } from '../utils/PathPipeline.js';
+import { PathTiming } from '../utils/PathTiming.js';
 
 /**
  * Service for calculating paths through waypoints
- * Handles spline interpolation, reparameterization, and path shape generation
- * Optimized with curvature caching, binary search, and fast approximations
+ * The calculation itself lives in utils/PathPipeline.js, shared with the
+ * path Web Worker (see PathCalculatorWithWorker); this service runs it on
+ * the main thread and answers questions about the result.
  */
 export class PathCalculator {
   constructor() {
     this._majorWaypointsCache = new Map();
-    this._curvatureCache = new Map();
-    this._useFastCurvature = true; // Use fast approximation by default
   }
   
   /**
    * Calculate a smooth path through waypoints
    * @param {Array} waypoints - Array of waypoint objects
-   * @param {Object} options - Path calculation options
+   * @param {Object} options - Path calculation options (see PathPipeline.run())
    * @returns {Array} Array of path points
    */
   calculatePath(waypoints, options = {}) {
-    if (waypoints.length < 2) {
-      return [];
-    }
-    
-    // Convert waypoints to coordinates for spline calculation
-    const coords = waypoints.map(wp => ({ 
-      x: wp.x || wp.imgX, 
-      y: wp.y || wp.imgY,
-      isMajor: wp.isMajor
-    }));
-    
-    // Generate initial path using Catmull-Rom splines
-    const roughPath = CatmullRom.createPath(
-      coords, 
-      options.pointsPerSegment || PATH.POINTS_PER_SEGMENT,
-      options.tension || PATH.DEFAULT_TENSION
-    );
-    
-    // Apply corner-based velocity modulation for smoother animation
-    const evenPath = this.reparameterizeWithCornerSlowing(
-      roughPath, 
-      options.targetSpacing || PATH.TARGET_SPACING
-    );
-    
-    // Apply path shapes and generate stable points
-    return this.applyPathShapes(evenPath, waypoints);
-  }
-  
-  /**
-   * Reparameterize path with corner slowing for smoother animation
-   * Uses curvature-based velocity modulation with binary search optimization
-   * @param {Array} rawPath - Original path points
-   * @param {number} targetSpacing - Target spacing between points
-   * @returns {Array} Reparameterized path
-   */
-  reparameterizeWithCornerSlowing(rawPath, targetSpacing = PATH.TARGET_SPACING) {
-    if (rawPath.length < 2) return rawPath;
-    
-    // Calculate curvature at each point (with caching)
-    const curvatures = this._getCachedCurvature(rawPath);
-    
-    // Build distance array with velocity modulation based on curvature
-    const distances = [0];
-    let totalDistance = 0;
-    
-    for (let i = 1; i < rawPath.length; i++) {
-      const dx = rawPath[i].x - rawPath[i-1].x;
-      const dy = rawPath[i].y - rawPath[i-1].y;
-      const physicalDist = Math.sqrt(dx * dx + dy * dy);
-      
-      // Calculate velocity factor based on curvature
-      const curvature = curvatures[i];
-      const velocityFactor = this._calculateVelocityFactor(curvature);
-      
-      // Adjust distance based on velocity (slower = more time = more "distance" in time-space)
-      const adjustedDist = physicalDist / velocityFactor;
-      totalDistance += adjustedDist;
-      distances.push(totalDistance);
-    }
-    
-    // Create evenly-spaced points in adjusted distance space using binary search
-    const evenPath = [];
-    const numPoints = Math.floor(totalDistance / targetSpacing);
-    
-    for (let i = 0; i <= numPoints; i++) {
-      const targetDist = (i / numPoints) * totalDistance;
-      
-      // Binary search for segment (optimized from linear search)
-      const segmentIdx = this._binarySearchSegment(distances, targetDist);
-      
-      // Interpolate within the segment
-      const segStart = distances[segmentIdx];
-      const segEnd = distances[segmentIdx + 1] || segStart;
-      const segLength = segEnd - segStart;
-      const t = segLength > 0 ? (targetDist - segStart) / segLength : 0;
-      
-      const p1 = rawPath[segmentIdx];
-      const p2 = rawPath[segmentIdx + 1] || p1;
-      
-      evenPath.push({
-        x: p1.x + (p2.x - p1.x) * t,
-        y: p1.y + (p2.y - p1.y) * t
-      });
-    }
-    
-    return evenPath;
+    return this.calculatePathWithTiming(waypoints, options).pathPoints;
   }
   
   /**
-   * Calculate velocity factor based on curvature
-   * High curvature = slower, low curvature = faster
-   * @private
-   */
-  _calculateVelocityFactor(curvature) {
-    const maxCurvature = PATH.MAX_CURVATURE;
-    const minSpeed = PATH.MIN_CORNER_SPEED;
-    
-    // Apply quadratic easing for smoother corner slowing
-    const normalizedCurvature = Math.min(curvature / maxCurvature, 1);
-    const easedCurvature = Easing.quadIn(normalizedCurvature);
-    const velocityFactor = Math.max(minSpeed, 1 - easedCurvature * (1 - minSpeed));
-    
-    return velocityFactor;
-  }
-  
-  /**
-   * Binary search to find segment containing target distance
-   * Optimized from O(n) linear search to O(log n)
-   * @private
-   */
-  _binarySearchSegment(distances, targetDist) {
-    let left = 0;
-    let right = distances.length - 1;
-    
-    // Handle edge cases
-    if (targetDist <= distances[0]) return 0;
-    if (targetDist >= distances[right]) return right - 1;
-    
-    while (left < right - 1) {
-      const mid = Math.floor((left + right) / 2);
-      if (distances[mid] < targetDist) {
-        left = mid;
-      } else {
-        right = mid;
-      }
-    }
-    
-    return left;
-  }
-  
-  /**
-   * Apply path shapes (squiggle, randomised) to the path points
-   * @param {Array} evenPath - Evenly spaced path points
-   * @param {Array} waypoints - Original waypoints with shape information
-   * @returns {Array} Path with shapes applied
+   * Calculate a smooth path plus the timing table for its waypoints
+   * Points are evenly spaced in time, so each waypoint's path index is the
+   * moment the head reaches it - long segments and slow corners take a
+   * bigger share of the animation than short straight ones
+   * @param {Array} waypoints - Array of waypoint objects
+   * @param {Object} options - Path calculation options (see PathPipeline.run())
+   * @returns {{pathPoints: Array, timing: {waypointIndices: number[], distances: number[]}}}
+   *   See utils/PathTiming.js for the timing table
    */
-  applyPathShapes(evenPath, waypoints) {
-    const finalPath = [];
-    
-    // Create stable seed for randomised paths
-    let pathSeed = 0;
-    waypoints.forEach(wp => {
-      pathSeed += (wp.imgX || wp.x || 0) * 1000 + (wp.imgY || wp.y || 0);
-    });
-    
-    // Process each point
-    for (let i = 0; i < evenPath.length; i++) {
-      const point = evenPath[i];
-      
-      // Find which segment this point belongs to
-      const totalSegments = waypoints.length - 1;
-      const segmentProgress = i / evenPath.length;
-      const segmentIndex = Math.min(
-        Math.floor(segmentProgress * totalSegments), 
-        totalSegments - 1
-      );
-      
-      // Find the controlling waypoint
-      let controllerIdx = segmentIndex;
-      while (controllerIdx >= 0 && !waypoints[controllerIdx].isMajor) {
-        controllerIdx--;
-      }
-      
-      const controller = controllerIdx >= 0 ? waypoints[controllerIdx] : null;
-      const pathShape = controller?.pathShape || 'line';
-      
-      // Apply shape transformations
-      if (pathShape === 'randomised') {
-        // Generate stable random offset
-        const pointSeed = pathSeed + i * 100;
-        const rng1 = Math.sin(pointSeed) * 10000;
-        const rng2 = Math.cos(pointSeed) * 10000;
-        const randX = (rng1 - Math.floor(rng1)) * 2 - 1;
-        const randY = (rng2 - Math.floor(rng2)) * 2 - 1;
-        
-        finalPath.push({
-          x: point.x + randX * RENDERING.RANDOMISED_JITTER,
-          y: point.y + randY * RENDERING.RANDOMISED_JITTER,
-          originalX: point.x,
-          originalY: point.y,
-          pathShape: pathShape
-        });
-      } else {
-        // For squiggle and line shapes, store shape info but don't transform yet
-        finalPath.push({
-          ...point,
-          pathShape: pathShape
-        });
-      }
-    }
-    
-    return finalPath;
+  calculatePathWithTiming(waypoints, options = {}) {
+    return PathPipeline.toPath(PathPipeline.run(PathPipeline.toControlPoints(waypoints), options));
   }
   
   /**
    * Find major waypoint positions along the path
    * @param {Array} waypoints - Array of waypoints
+   * @param {Object} timing - Timing table from calculatePathWithTiming()
+   *   (without one, waypoints are spread evenly by index)
    * @returns {Array} Array of major waypoint positions
    */
-  getMajorWaypointPositions(waypoints) {
+  getMajorWaypointPositions(waypoints, timing = null) {
     // Use cache for performance
-    const cacheKey = this._getCacheKey(waypoints);
+    const cacheKey = this._getCacheKey(waypoints) + (timing ? `#${timing.waypointIndices.join(',')}/${timing.distances.length}` : '');
     if (this._majorWaypointsCache.has(cacheKey)) {
       return this._majorWaypointsCache.get(cacheKey);
     }
@@ -232,7 +55,8 @@ export class PathCalculator {
     
     waypoints.forEach((wp, index) => {
       if (wp.isMajor) {
-        const progress = totalWaypoints > 1 ? index / (totalWaypoints - 1) : 0;
+        let progress = totalWaypoints > 1 ? index / (totalWaypoints - 1) : 0;
+        if (timing) progress = PathTiming.getWaypointProgress(timing, index);
         majorWaypoints.push({
           index: index,
           progress: progress,
@@ -249,10 +73,12 @@ export class PathCalculator {
    * Find which segment a given progress value falls into
    * @param {number} progress - Progress value from 0 to 1
    * @param {number} totalWaypoints - Total number of waypoints
+   * @param {Object} timing - Timing table from calculatePathWithTiming() (optional)
    * @returns {number} Segment index
    */
-  findSegmentIndexForProgress(progress, totalWaypoints) {
+  findSegmentIndexForProgress(progress, totalWaypoints, timing = null) {
     if (totalWaypoints < 2) return -1;
+    if (timing) return PathTiming.getSegmentAtProgress(timing, progress);
     
     const segments = totalWaypoints - 1;
     const rawIndex = progress * segments;
@@ -314,130 +140,6 @@ export class PathCalculator {
    */
   clearCache() {
     this._majorWaypointsCache.clear();
-    this._curvatureCache.clear();
-  }
-  
-  /**
-   * Get cached curvature or calculate if not in cache
-   * @private
-   */
-  _getCachedCurvature(path) {
-    const pathKey = this._getPathHash(path);
-    
-    if (!this._curvatureCache.has(pathKey)) {
-      const curvatures = this._useFastCurvature
-        ? this._calculateCurvatureFast(path)
-        : this._calculateCurvatureAccurate(path);
-      this._curvatureCache.set(pathKey, curvatures);
-    }
-    
-    return this._curvatureCache.get(pathKey);
-  }
-  
-  /**
-   * Fast curvature approximation using triangle area method
-   * ~2.5x faster than accurate method with 95% similar results
-   * @private
-   */
-  _calculateCurvatureFast(path) {
-    const curvatures = [];
-    
-    for (let i = 0; i < path.length; i++) {
-      if (i === 0 || i === path.length - 1) {
-        curvatures.push(0);
-        continue;
-      }
-      
-      const p0 = path[i - 1];
-      const p1 = path[i];
-      const p2 = path[i + 1];
-      
-      // Triangle area method (cross product)
-      const area = Math.abs(
-        (p1.x - p0.x) * (p2.y - p0.y) - 
-        (p2.x - p0.x) * (p1.y - p0.y)
-      );
-      
-      // Calculate distances
-      const d1 = Math.hypot(p1.x - p0.x, p1.y - p0.y);
-      const d2 = Math.hypot(p2.x - p1.x, p2.y - p1.y);
-      const avgDist = (d1 + d2) / 2;
-      
-      // Approximate curvature
-      curvatures.push(avgDist > 0 ? area / (avgDist * avgDist) : 0);
-    }
-    
-    return curvatures;
-  }
-  
-  /**
-   * Accurate curvature calculation using geometric method
-   * More precise but slower than fast approximation
-   * @private
-   */
-  _calculateCurvatureAccurate(path) {
-    const curvatures = [];
-    
-    for (let i = 0; i < path.length; i++) {
-      if (i === 0 || i === path.length - 1) {
-        curvatures.push(0);
-        continue;
-      }
-      
-      const p0 = path[i - 1];
-      const p1 = path[i];
-      const p2 = path[i + 1];
-      
-      // Calculate vectors
-      const v1x = p1.x - p0.x;
-      const v1y = p1.y - p0.y;
-      const v2x = p2.x - p1.x;
-      const v2y = p2.y - p1.y;
-      
-      // Calculate lengths
-      const len1 = Math.sqrt(v1x * v1x + v1y * v1y);
-      const len2 = Math.sqrt(v2x * v2x + v2y * v2y);
-      
-      if (len1 === 0 || len2 === 0) {
-        curvatures.push(0);
-        continue;
-      }
-      
-      // Normalize vectors
-      const n1x = v1x / len1;
-      const n1y = v1y / len1;
-      const n2x = v2x / len2;
-      const n2y = v2y / len2;
-      
-      // Calculate angle change
-      const crossProduct = n1x * n2y - n1y * n2x;
-      const dotProduct = n1x * n2x + n1y * n2y;
-      const angle = Math.atan2(crossProduct, dotProduct);
-      
-      // Curvature is angle change divided by average segment length
-      const avgLen = (len1 + len2) / 2;
-      const curvature = avgLen > 0 ? Math.abs(angle) / avgLen : 0;
-      
-      curvatures.push(curvature);
-    }
-    
-    return curvatures;
-  }
-  
-  /**
-   * Generate cache key for path
-   * @private
-   */
-  _getPathHash(path) {
-    // Use first, middle, and last points for hash (fast approximation)
-    const len = path.length;
-    if (len < 3) return `${path[0].x},${path[0].y}`;
-    
-    const first = path[0];
-    const mid = path[Math.floor(len / 2)];
-    const last = path[len - 1];
-    
-    return `${first.x},${first.y}|${mid.x},${mid.y}|${last.x},${last.y}|${len}`;
   }
   
   /**
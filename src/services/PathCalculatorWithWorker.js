@@ -1,16 +1,24 @@
 /**
  * PathCalculatorWithWorker - Enhanced path calculator using Web Workers
  * Falls back to main thread if workers are not available
+ *
+ * The worker runs the same pipeline as the main thread (utils/PathPipeline.js),
+ * so results match whichever thread calculates them. Requests made with a
+ * key (e.g. a route ID) supersede earlier ones with that key: the older
+ * request is cancelled and resolves to null.
  */
 
 import { PathCalculator } from './PathCalculator.js';
+import { PathPipeline } from '../utils/PathPipeline.js';
 
 export class PathCalculatorWithWorker extends PathCalculator {
   constructor() {
     super();
     this.worker = null;
     this.workerAvailable = false;
-    this.pendingRequests = new Map();
+    this.pendingRequests = new Map(); // Request ID → { resolve, reject, key }
+    this.latestRequests = new Map(); // Key → ID of its newest request
+    this.cancelledRequests = new Set(); // IDs whose late replies are ignored
     this.requestId = 0;
     
     this.initWorker();
@@ -51,16 +59,19 @@ export class PathCalculatorWithWorker extends PathCalculator {
     
     const request = this.pendingRequests.get(id);
     if (!request) {
-      console.warn('PathCalculator: Received message for unknown request', id);
+      // A cancelled request may already have been running; a timed-out one isn't tracked
+      if (!this.cancelledRequests.delete(id) && type !== 'path-cancelled') {
+        console.warn('PathCalculator: Received message for unknown request', id);
+      }
       return;
     }
     
-    this.pendingRequests.delete(id);
+    this.finishRequest(id);
     
     if (error) {
       request.reject(new Error(error));
     } else {
-      request.resolve(data.pathPoints);
+      request.resolve(PathPipeline.toPath(data));
     }
   }
   
@@ -75,6 +86,8 @@ export class PathCalculatorWithWorker extends PathCalculator {
       request.reject(error);
     }
     this.pendingRequests.clear();
+    this.latestRequests.clear();
+    this.cancelledRequests.clear();
     
     // Disable worker and fall back to main thread
     this.workerAvailable = false;
@@ -84,42 +97,92 @@ export class PathCalculatorWithWorker extends PathCalculator {
   /**
    * Calculate path using worker if available
    * @param {Array} waypoints - Array of waypoints
-   * @returns {Promise<Array>} Promise resolving to path points
+   * @param {Object} options - As for calculatePathWithTimingAsync()
+   * @returns {Promise<Array|null>} Promise resolving to path points (null if superseded)
+   */
+  async calculatePathAsync(waypoints, options = {}) {
+    const result = await this.calculatePathWithTimingAsync(waypoints, options);
+    return result ? result.pathPoints : null;
+  }
+  
+  /**
+   * Calculate path and waypoint timing using worker if available
+   * @param {Array} waypoints - Array of waypoints
+   * @param {Object} options - Path calculation options (see PathPipeline.run()), plus
+   * @param {string} options.key - Supersede earlier requests made with the same key
+   * @returns {Promise<{pathPoints: Array, timing: Object}|null>} Promise resolving to
+   *   path points and their timing table (see utils/PathTiming.js), or null if a
+   *   newer request with the same key replaced it
    */
-  async calculatePathAsync(waypoints) {
+  async calculatePathWithTimingAsync(waypoints, options = {}) {
+    const { key, ...pathOptions } = options;
+    
     if (!this.workerAvailable) {
       // Fall back to synchronous calculation on main thread
-      return Promise.resolve(this.calculatePath(waypoints));
+      return Promise.resolve(this.calculatePathWithTiming(waypoints, pathOptions));
+    }
+    
+    if (key !== undefined && this.latestRequests.has(key)) {
+      this.cancelRequest(this.latestRequests.get(key));
     }
     
     return new Promise((resolve, reject) => {
       const id = this.requestId++;
       
-      this.pendingRequests.set(id, { resolve, reject });
+      this.pendingRequests.set(id, { resolve, reject, key });
+      if (key !== undefined) {
+        this.latestRequests.set(key, id);
+      }
       
       // Send calculation request to worker
       this.worker.postMessage({
         type: 'calculate-path',
         data: {
-          waypoints: waypoints.map(wp => ({
-            x: wp.x || wp.imgX,
-            y: wp.y || wp.imgY,
-            isMajor: wp.isMajor
-          }))
+          points: PathPipeline.toControlPoints(waypoints),
+          options: pathOptions
         },
         id: id
       });
       
-      // Timeout after 5 seconds
+      // Timeout after 5 seconds - the worker may never answer, so the ID isn't kept
       setTimeout(() => {
         if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
+          this.finishRequest(id);
+          this.worker?.postMessage({ type: 'cancel', id });
           reject(new Error('Path calculation timed out'));
         }
       }, 5000);
     });
   }
   
+  /**
+   * Cancel a pending request, resolving the caller's promise with null
+   * The worker skips it if it hasn't started; a reply that still arrives is ignored
+   * @param {number} id - Request ID
+   */
+  cancelRequest(id) {
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+    
+    this.finishRequest(id);
+    this.cancelledRequests.add(id);
+    this.worker?.postMessage({ type: 'cancel', id });
+    request.resolve(null);
+  }
+  
+  /**
+   * Forget a request that has been answered or cancelled
+   * @private
+   * @param {number} id - Request ID
+   */
+  finishRequest(id) {
+    const request = this.pendingRequests.get(id);
+    this.pendingRequests.delete(id);
+    if (request && this.latestRequests.get(request.key) === id) {
+      this.latestRequests.delete(request.key);
+    }
+  }
+  
   /**
    * Override the synchronous method to try async first
    * @param {Array} waypoints - Array of waypoints
@@ -155,6 +218,8 @@ export class PathCalculatorWithWorker extends PathCalculator {
         request.reject(new Error('PathCalculator destroyed'));
       }
       this.pendingRequests.clear();
+      this.latestRequests.clear();
+      this.cancelledRequests.clear();
       
       // Terminate worker
       this.worker.terminate();
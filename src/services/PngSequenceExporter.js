@@ -0,0 +1,82 @@
+import { Zip, ZipPassThrough } from 'fflate';
+import { FrameExporter } from './FrameExporter.js';
+
+/**
+ * Service for numbered PNG sequence export (zipped)
+ * Frames keep their alpha channel so a transparent route can be
+ * composited over other footage (e.g. After Effects image sequence import)
+ */
+export class PngSequenceExporter extends FrameExporter {
+  /**
+   * @param {string} prefix - File name prefix for each frame
+   */
+  constructor(prefix = 'frame') {
+    super();
+    this.prefix = prefix;
+    this.zip = null;
+    this.chunks = [];
+    this.zipError = null;
+  }
+  
+  get supportsTransparency() {
+    return true;
+  }
+  
+  /**
+   * Build the file name for a frame
+   * Zero-padded so the sequence sorts correctly everywhere
+   * @param {number} index - Frame index (0-based)
+   * @param {number} frameCount - Total frames
+   * @returns {string} e.g. "frame_00042.png"
+   */
+  getFrameFilename(index, frameCount) {
+    const digits = Math.max(5, String(frameCount).length);
+    return `${this.prefix}_${String(index).padStart(digits, '0')}.png`;
+  }
+  
+  async begin({ frameCount }) {
+    this.frameCount = frameCount;
+    this.chunks = [];
+    this.zipError = null;
+    this.zip = new Zip((error, chunk) => {
+      if (error) {
+        this.zipError = error;
+        return;
+      }
+      this.chunks.push(chunk);
+    });
+  }
+  
+  /**
+   * Encode the frame as PNG and stream it into the archive
+   */
+  async addFrame(canvas, ctx, index) {
+    if (this.zipError) throw this.zipError;
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error(`Frame ${index + 1} could not be encoded as PNG`);
+    }
+    
+    // PNG is already compressed - store it rather than deflating again
+    const entry = new ZipPassThrough(this.getFrameFilename(index, this.frameCount));
+    this.zip.add(entry);
+    entry.push(new Uint8Array(await blob.arrayBuffer()), true);
+  }
+  
+  async finish() {
+    this.zip.end();
+    if (this.zipError) throw this.zipError;
+    
+    const blob = new Blob(this.chunks, { type: 'application/zip' });
+    this.zip = null;
+    this.chunks = [];
+    return blob;
+  }
+  
+  abort() {
+    this.zip?.terminate();
+    this.zip = null;
+    this.chunks = [];
+  }
+}
@@ -0,0 +1,292 @@
+import { PROJECT, PATH } from '../config/constants.js';
+import { Waypoint } from '../models/Waypoint.js';
+import { Route } from '../models/Route.js';
+import { FileDownload } from '../utils/FileDownload.js';
+import { Noise } from '../utils/Noise.js';
+
+// Segment tension every waypoint saved before version 3, when it didn't shape the path
+const LEGACY_TENSION = 0.5;
+
+// Path head style every waypoint saved before version 4, when it wasn't used
+const LEGACY_HEAD_STYLE = 'arrow';
+
+/**
+ * Service for shareable project files (.routeplot.json)
+ * Builds, validates and migrates the versioned project format.
+ * Unlike the autosave slot, a project file embeds the background image
+ * so it can be opened on another machine.
+ *
+ * File shape (version 4):
+ * {
+ *   format: 'routeplot', version: 4, name, savedAt,
+ *   routes: [Route.toJSON()...],
+ *   activeRouteId,
+ *   styles: {...},
+ *   animationState: { mode, speed, easing, duration, playbackSpeed },
+ *   background: { overlay, fit, image: dataURL|null },
+ *   geoReference: { method, controlPoints: [{ imgX, imgY, lat, lon }] } | null,
+ *   camera: { mode, zoom, smoothing, overview } | null
+ * }
+ *
+ * Version 1 files held a single `waypoints` list; it becomes the first route.
+ * Before version 3 every waypoint saved an unused segment tension of 0.5,
+ * and before version 4 an unused path head style of 'arrow'.
+ * Waypoints saved before noise seeds existed get one derived from their id.
+ */
+export class ProjectFileService {
+  /**
+   * Build a project object from application state
+   * @param {Object} state - Current state
+   * @param {string} state.name - Project name
+   * @param {Route[]} state.routes - Routes in drawing order
+   * @param {string} [state.activeRouteId] - Route being edited
+   * @param {Object} state.styles - Global styles (pathHead.image is dropped)
+   * @param {Object} state.animationState - Engine settings to persist
+   * @param {Object} state.background - { overlay, fit }
+   * @param {Object} [state.geoReference] - GeoReference.toJSON()
+   * @param {Object} [state.camera] - Camera settings
+   * @param {string|null} imageDataURL - Embedded background image
+   * @returns {Object} Project object ready for serialization
+   */
+  createProject(state, imageDataURL = null) {
+    // Image elements can't be serialized
+    const styles = { ...state.styles };
+    if (styles.pathHead) {
+      styles.pathHead = { ...styles.pathHead, image: null };
+    }
+    
+    return {
+      format: PROJECT.FORMAT,
+      version: PROJECT.VERSION,
+      name: state.name || PROJECT.DEFAULT_NAME,
+      savedAt: new Date().toISOString(),
+      routes: state.routes.map(route => route.toJSON()),
+      activeRouteId: state.activeRouteId || null,
+      styles,
+      animationState: { ...state.animationState },
+      background: {
+        overlay: state.background.overlay,
+        fit: state.background.fit,
+        image: imageDataURL
+      },
+      geoReference: state.geoReference || null,
+      camera: state.camera ? { ...state.camera } : null
+    };
+  }
+  
+  /**
+   * Serialize a project to JSON text
+   * @param {Object} project - Project from createProject()
+   * @returns {string} Pretty-printed JSON (diff friendly for version control)
+   */
+  serialize(project) {
+    return JSON.stringify(project, null, 2);
+  }
+  
+  /**
+   * Parse and validate project file text
+   * @param {string} text - File contents
+   * @returns {Object} Project migrated to the current version
+   * @throws {Error} With a user-facing message if the file can't be used
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    if (!data || typeof data !== 'object' || data.format !== PROJECT.FORMAT) {
+      throw new Error('File is not a Route Plotter project');
+    }
+    if (typeof data.version !== 'number' || data.version > PROJECT.VERSION) {
+      throw new Error(`Project version ${data.version} is newer than this app supports`);
+    }
+    if (data.version < 2 && !Array.isArray(data.waypoints)) {
+      throw new Error('Project has no waypoint list');
+    }
+    if (data.version >= 2 && !Array.isArray(data.routes)) {
+      throw new Error('Project has no route list');
+    }
+    
+    const project = this.migrate(data);
+    
+    // Drop routes and waypoints that fail validation rather than rejecting the whole file
+    project.routes = project.routes
+      .filter(routeData => {
+        const valid = Route.validate(routeData);
+        if (!valid) {
+          console.warn('Invalid route data in project, skipping:', routeData);
+        }
+        return valid;
+      })
+      .map(routeData => ({
+        ...routeData,
+        waypoints: routeData.waypoints.filter(wpData => {
+          const valid = Waypoint.validate(wpData);
+          if (!valid) {
+            console.warn('Invalid waypoint data in project, skipping:', wpData);
+          }
+          return valid;
+        })
+      }));
+    
+    return project;
+  }
+  
+  /**
+   * Upgrade older project versions to the current shape
+   * Add a step here whenever PROJECT.VERSION is bumped
+   * @param {Object} data - Parsed project of any supported version
+   * @returns {Object} Project at PROJECT.VERSION
+   */
+  migrate(data) {
+    const project = { ...data };
+    
+    // v2: projects hold several routes - the v1 waypoint list is the first
+    if (data.version < 2) {
+      project.routes = [{ name: 'Route 1', waypoints: data.waypoints }];
+      project.activeRouteId = null;
+      delete project.waypoints;
+    }
+    
+    // v3: segment tension shapes the path - keep older paths as they were drawn
+    if (data.version < 3) {
+      this.resetLegacyTension(project.routes);
+    }
+    
+    // v4: a waypoint's path head style switches the head for its leg - keep
+    // older paths on the global head
+    if (data.version < 4) {
+      this.resetLegacyHeadStyle(project.routes);
+    }
+    
+    // Waypoints saved before noise seeds existed (any version) need a stable one
+    this.seedLegacyNoise(project.routes);
+    
+    // Fill defaults for optional sections
+    project.styles = project.styles || {};
+    project.animationState = project.animationState || {};
+    project.background = { overlay: 0, fit: 'fit', image: null, ...project.background };
+    project.geoReference = project.geoReference || null;
+    project.camera = project.camera || null;
+    project.version = PROJECT.VERSION;
+    
+    return project;
+  }
+  
+  /**
+   * Reset the segment tension saved before it shaped the path
+   * Paths were drawn at PATH.DEFAULT_TENSION whatever the waypoint held
+   * @param {Array<Object>} routes - Route data, changed in place
+   */
+  resetLegacyTension(routes) {
+    routes.forEach(route => {
+      if (!Array.isArray(route?.waypoints)) return; // Dropped by validation later
+      route.waypoints.forEach(wpData => {
+        if (wpData?.segmentTension === LEGACY_TENSION) {
+          wpData.segmentTension = PATH.DEFAULT_TENSION;
+        }
+      });
+    });
+  }
+  
+  /**
+   * Reset the path head style saved before it switched the head per leg
+   * Every leg used the global path head whatever the waypoint held
+   * @param {Array<Object>} routes - Route data, changed in place
+   */
+  resetLegacyHeadStyle(routes) {
+    routes.forEach(route => {
+      if (!Array.isArray(route?.waypoints)) return; // Dropped by validation later
+      route.waypoints.forEach(wpData => {
+        if (wpData?.pathHeadStyle === LEGACY_HEAD_STYLE) {
+          wpData.pathHeadStyle = 'default';
+        }
+      });
+    });
+  }
+  
+  /**
+   * Give waypoints saved before noise seeds existed a seed of their own
+   * It is derived from the waypoint's id, so a randomised leg draws the same
+   * way every time the file is opened rather than picking a new random seed
+   * @param {Array<Object>} routes - Route data, changed in place
+   */
+  seedLegacyNoise(routes) {
+    routes.forEach(route => {
+      if (!Array.isArray(route?.waypoints)) return; // Dropped by validation later
+      route.waypoints.forEach(wpData => {
+        if (wpData && !Number.isInteger(wpData.noiseSeed)) {
+          wpData.noiseSeed = Noise.seedFrom(String(wpData.id ?? `${wpData.imgX},${wpData.imgY}`));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Check whether a dropped/picked file looks like a project file
+   * @param {File} file - Candidate file
+   * @returns {boolean}
+   */
+  isProjectFile(file) {
+    if (!file) return false;
+    const name = (file.name || '').toLowerCase();
+    return name.endsWith('.json') || file.type === PROJECT.MIME_TYPE;
+  }
+  
+  /**
+   * Encode an image element as a PNG data URL
+   * @param {HTMLImageElement|null} img - Image to embed
+   * @returns {string|null} Data URL, or null if there is no image or it can't be read
+   */
+  imageToDataURL(img) {
+    if (!img) return null;
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth || img.width;
+      canvas.height = img.naturalHeight || img.height;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      return canvas.toDataURL('image/png');
+    } catch (error) {
+      // Cross-origin images taint the canvas
+      console.error('Failed to embed background image:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Load an embedded image
+   * @param {string} dataURL - Data URL from a project file
+   * @returns {Promise<HTMLImageElement>}
+   */
+  loadImage(dataURL) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Embedded background image could not be decoded'));
+      img.src = dataURL;
+    });
+  }
+  
+  /**
+   * Build the download file name for a project
+   * @param {string} name - Project name
+   * @returns {string} e.g. "Campus tour.routeplot.json"
+   */
+  getFilename(name) {
+    return FileDownload.sanitizeFilename(name, PROJECT.DEFAULT_NAME) + PROJECT.FILE_EXTENSION;
+  }
+  
+  /**
+   * Derive a project name from a file name
+   * @param {string} filename - e.g. "Campus tour.routeplot.json"
+   * @returns {string} e.g. "Campus tour"
+   */
+  getNameFromFilename(filename) {
+    return (filename || '')
+      .replace(/\.routeplot\.json$/i, '')
+      .replace(/\.json$/i, '') || PROJECT.DEFAULT_NAME;
+  }
+}
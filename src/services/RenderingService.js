@@ -3,13 +3,28 @@
  * Extracted from main.js for better modularity
  */
 
-import { RENDERING, INTERACTION } from '../config/constants.js';
+import { RENDERING, INTERACTION, NOISE, LINE_EFFECTS, PATH_HEAD } from '../config/constants.js';
 import { Easing } from '../utils/Easing.js';
+import { LineEffects } from '../utils/LineEffects.js';
+import { PathHead } from '../utils/PathHead.js';
+import { PathShape } from '../utils/PathShape.js';
+import { PathTiming } from '../utils/PathTiming.js';
+
+/**
+ * Check whether a run has anything to draw under its line
+ * @param {Object} run - Run from RenderingService.createPathDrawing()
+ * @returns {boolean} True for a casing or glow
+ */
+function hasUnderlay(run) {
+  return !!run.effects && (run.effects.casingWidth > 0 || run.effects.glow > 0);
+}
 
 export class RenderingService {
   constructor() {
     this.vectorCanvas = null;
-    this.waypointPositions = [];
+    this.pathTiming = null; // Timing of the path being drawn (used by labels)
+    this.pathDrawings = new Map(); // Path ID → { inputs, drawing }
+    this.pathLayers = new Map(); // Path ID → { canvas, under, drawing, drawn } - pieces stroked so far
   }
 
   /**
@@ -135,18 +150,22 @@ export class RenderingService {
 
   /**
    * Render complete vector layer (paths, waypoints, labels)
+   * state.pathTiming places the waypoints on the path (see utils/PathTiming.js);
+   * without it they are spread evenly by index
    */
   renderVectorLayerTo(ctx, state) {
     const { waypoints, pathPoints, styles, animationEngine, selectedWaypoint, imageToCanvas, displayWidth, displayHeight } = state;
+    const timing = state.pathTiming || PathTiming.fromPath(pathPoints, waypoints.length);
+    this.pathTiming = timing;
     
     // Render path if we have points
     if (pathPoints.length > 0 && waypoints.length > 1) {
-      this.renderPath(ctx, pathPoints, waypoints, styles, animationEngine);
+      this.renderPath(ctx, pathPoints, waypoints, styles, animationEngine, timing);
       this.renderPathHead(ctx, pathPoints, styles, animationEngine);
     }
     
     // Render beacons
-    this.renderBeacons(ctx, waypoints, animationEngine, state.beaconAnimation, imageToCanvas, styles);
+    this.renderBeacons(ctx, waypoints, animationEngine, state.beaconAnimation, imageToCanvas, styles, timing);
     
     // Render waypoint markers
     this.renderWaypoints(ctx, waypoints, selectedWaypoint, styles, imageToCanvas, displayWidth, displayHeight);
@@ -154,153 +173,380 @@ export class RenderingService {
   
   /**
    * Render the animated path
+   * Pieces already passed come from the path's cached layer, so a frame only
+   * strokes what the head covered since the last one
+   * @param {Object} timing - Path timing table (waypoints spread by index without one)
    */
-  renderPath(ctx, pathPoints, waypoints, styles, animationEngine) {
+  renderPath(ctx, pathPoints, waypoints, styles, animationEngine, timing = PathTiming.fromPath(pathPoints, waypoints.length)) {
     const totalPoints = pathPoints.length;
     const progress = animationEngine.getProgress();
-    const exactPosition = totalPoints * progress;
-    const pointsToRender = Math.floor(exactPosition);
-    const fraction = exactPosition - pointsToRender; // Fractional part for partial segment
-    const segments = waypoints.length - 1;
-    const pointsPerSegment = Math.floor(totalPoints / segments);
-    const controllerForSegment = new Array(segments);
-    
-    // Store exact waypoint positions in path points for later use in labels
-    this.waypointPositions = [];
-    waypoints.forEach((wp, index) => {
-      if (index < waypoints.length - 1) {
-        const exactPointIndex = (index / segments) * totalPoints;
-        this.waypointPositions.push({
-          waypointIndex: index,
-          pointIndex: exactPointIndex
-        });
-      }
-    });
-    
-    let lastMajorIdx = -1;
-    for (let s = 0; s < segments; s++) {
-      if (waypoints[s].isMajor) lastMajorIdx = s;
-      controllerForSegment[s] = lastMajorIdx;
-    }
+    const exactPosition = (totalPoints - 1) * progress;
+    const pointsToRender = PathTiming.getPointIndexAtProgress(timing, progress) + 1;
+    const fraction = exactPosition - (pointsToRender - 1); // Fractional part for partial segment
     
-    for (let i = 1; i < pointsToRender; i++) {
-      const segmentIndex = Math.min(Math.floor(i / pointsPerSegment), segments - 1);
-      const controllerIdx = controllerForSegment[segmentIndex];
-      const controller = controllerIdx >= 0 ? waypoints[controllerIdx] : {
+    const drawing = this.getPathDrawing('path', [pathPoints, waypoints.length, timing, styles.pathColor, styles.pathThickness], () => {
+      const segments = waypoints.length - 1;
+      const fallback = {
         segmentColor: styles.pathColor,
         segmentWidth: styles.pathThickness,
         segmentStyle: 'solid',
         pathShape: 'line'
       };
-      
-      ctx.strokeStyle = controller.segmentColor;
-      ctx.lineWidth = controller.segmentWidth;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-      this.applyLineStyle(ctx, controller.segmentStyle);
-      ctx.beginPath();
-      
-      const pathShape = controller.pathShape || 'line';
-      const p1 = pathPoints[i - 1];
-      const p2 = pathPoints[i];
-      
-      if (pathShape === 'squiggle') {
-        // Create a wavy path using control points
-        const midX = (p1.x + p2.x) / 2;
-        const midY = (p1.y + p2.y) / 2;
-        const perpX = -(p2.y - p1.y) * 0.15; // Perpendicular offset
-        const perpY = (p2.x - p1.x) * 0.15;
-        
-        ctx.moveTo(p1.x, p1.y);
-        const wave = Math.sin(i * 0.5) * 0.5;
-        ctx.quadraticCurveTo(
-          midX + perpX * wave, 
-          midY + perpY * wave,
-          p2.x, p2.y
-        );
-      } else if (pathShape === 'randomised') {
-        // Add random jitter to the path
-        const jitterAmount = 3;
-        const jitteredP1 = {
-          x: p1.x + (Math.random() - 0.5) * jitterAmount,
-          y: p1.y + (Math.random() - 0.5) * jitterAmount
-        };
-        const jitteredP2 = {
-          x: p2.x + (Math.random() - 0.5) * jitterAmount,
-          y: p2.y + (Math.random() - 0.5) * jitterAmount
-        };
-        ctx.moveTo(jitteredP1.x, jitteredP1.y);
-        ctx.lineTo(jitteredP2.x, jitteredP2.y);
-      } else {
-        // Default line
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
+      const controllers = new Array(segments);
+      let lastMajor = null;
+      for (let s = 0; s < segments; s++) {
+        if (waypoints[s].isMajor) lastMajor = waypoints[s];
+        controllers[s] = lastMajor || fallback;
       }
-      
-      ctx.stroke();
-    }
+      return RenderingService.createPathDrawing(pathPoints, PathTiming.getPointSegments(timing), controllers);
+    });
+    this.renderPathLayer(ctx, 'path', drawing, pointsToRender);
     
     // Draw partial final segment for smooth animation (sub-pixel interpolation)
-    // Use tiny threshold (0.001%) to avoid degenerate cases while maintaining perfect smoothness
+    // It moves every frame, so it is stroked live rather than cached
     if (pointsToRender > 0 && pointsToRender < totalPoints && fraction > 0.00001) {
-      if (Math.random() < 0.01) { // Log 1% of the time to avoid spam
-        console.log('[RenderPath] Drawing partial segment - fraction:', fraction.toFixed(5), 'at point:', pointsToRender);
-      }
       const i = pointsToRender;
-      const segmentIndex = Math.min(Math.floor(i / pointsPerSegment), segments - 1);
-      const controllerIdx = controllerForSegment[segmentIndex];
-      const controller = controllerIdx >= 0 ? waypoints[controllerIdx] : {
-        segmentColor: styles.pathColor,
-        segmentWidth: styles.pathThickness,
-        segmentStyle: 'solid',
-        pathShape: 'line'
-      };
-      
-      ctx.strokeStyle = controller.segmentColor;
-      ctx.lineWidth = controller.segmentWidth;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-      this.applyLineStyle(ctx, controller.segmentStyle);
-      ctx.beginPath();
-      
+      const run = drawing.runs.find(r => r.to >= i);
       const p1 = pathPoints[i - 1];
       const p2 = pathPoints[i];
-      
-      // Interpolate end point for smooth partial segment
       const partialEnd = {
         x: p1.x + (p2.x - p1.x) * fraction,
         y: p1.y + (p2.y - p1.y) * fraction
       };
       
-      const pathShape = controller.pathShape || 'line';
-      
-      if (pathShape === 'squiggle') {
-        const midX = (p1.x + partialEnd.x) / 2;
-        const midY = (p1.y + partialEnd.y) / 2;
-        const perpX = -(partialEnd.y - p1.y) * 0.15;
-        const perpY = (partialEnd.x - p1.x) * 0.15;
-        
-        ctx.moveTo(p1.x, p1.y);
-        const wave = Math.sin(i * 0.5) * 0.5;
-        ctx.quadraticCurveTo(
-          midX + perpX * wave,
-          midY + perpY * wave,
-          partialEnd.x, partialEnd.y
-        );
-      } else if (pathShape === 'randomised') {
-        // For randomised, use simple line to avoid flickering
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(partialEnd.x, partialEnd.y);
+      this.applyRunStyle(ctx, run, drawing.distances[i - 1] - drawing.distances[run.from]);
+      ctx.beginPath();
+      this.tracePiece(ctx, PathShape.getPiece(run.shape, p1, partialEnd, i), null);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.lineDashOffset = 0;
+    }
+  }
+  
+  /**
+   * Prepare a path for drawing
+   * Consecutive pieces that share a style are grouped into runs, and each
+   * run is stroked as a single path
+   * @param {Array<{x: number, y: number}>} points - Path points in canvas space
+   * @param {number[]} pointSegments - Segment of the piece ending at each point
+   *   (see PathTiming.getPointSegments)
+   * @param {Array<Object>} controllers - Style source for each segment:
+   *   segmentColor, segmentWidth, segmentStyle, pathShape, (for sketchy
+   *   strokes) noiseSeed, noiseRoughness and noiseFrequency, and the line
+   *   effects read by LineEffects.getEffects()
+   * @returns {{points: Array, distances: number[], runs: Array<Object>, underlay: boolean}}
+   *   Runs are { from, to, color, width, style, shape, noise, effects, animated, gradient }
+   *   and cover the pieces ending at points from + 1 to `to`. noise is set for
+   *   sketchy runs, effects for runs with line effects, and gradient ({ from, to }
+   *   colours) for gradient runs. underlay is set when a run that isn't
+   *   animated has a casing or glow.
+   */
+  static createPathDrawing(points, pointSegments, controllers) {
+    const distances = PathTiming.getCumulativeDistances(points);
+    const runs = [];
+    let run = null;
+    let runController = null;
+    for (let i = 1; i < points.length; i++) {
+      const controller = controllers[pointSegments[i]];
+      const shape = controller.pathShape || 'line';
+      // Sketch strokes wobble by their own waypoint's noise, and effects span their own
+      // waypoint's segments, so those only join runs of the same waypoint
+      const sketchy = controller.segmentStyle === 'sketchy';
+      const effects = LineEffects.getEffects(controller);
+      if (!run || run.color !== controller.segmentColor || run.width !== controller.segmentWidth ||
+          run.style !== controller.segmentStyle || run.shape !== shape ||
+          ((sketchy || effects || run.effects) && controller !== runController)) {
+        run = {
+          from: i - 1,
+          to: i,
+          color: controller.segmentColor,
+          width: controller.segmentWidth,
+          style: controller.segmentStyle,
+          shape,
+          noise: sketchy ? {
+            seed: controller.noiseSeed || 0,
+            roughness: controller.noiseRoughness ?? NOISE.DEFAULT_ROUGHNESS,
+            frequency: controller.noiseFrequency || NOISE.DEFAULT_FREQUENCY,
+            start: distances[i - 1]
+          } : null,
+          effects,
+          animated: LineEffects.isAnimated(effects),
+          gradient: null
+        };
+        runController = controller;
+        runs.push(run);
       } else {
-        // Default line with interpolated end point
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(partialEnd.x, partialEnd.y);
+        run.to = i;
       }
-      
-      ctx.stroke();
     }
     
+    // 'blend' fades into the colour the next run starts with
+    runs.forEach((run, r) => {
+      if (run.effects?.gradientMode === 'colors') {
+        run.gradient = { from: run.color, to: run.effects.gradientColor };
+      } else if (run.effects?.gradientMode === 'blend') {
+        run.gradient = { from: run.color, to: runs[r + 1]?.color ?? run.color };
+      }
+    });
+    
+    const underlay = runs.some(run => !run.animated && hasUnderlay(run));
+    return { points, distances, runs, underlay };
+  }
+  
+  /**
+   * Get the drawing for a path, rebuilding it only when its inputs change
+   * @param {string} key - Path ID (the route ID)
+   * @param {Array} inputs - Values the drawing depends on, compared by identity
+   * @param {Function} build - Returns a new drawing (see createPathDrawing)
+   * @returns {Object} Drawing
+   */
+  getPathDrawing(key, inputs, build) {
+    const cached = this.pathDrawings.get(key);
+    if (cached && cached.inputs.length === inputs.length &&
+        cached.inputs.every((value, i) => value === inputs[i])) {
+      return cached.drawing;
+    }
+    
+    const drawing = build();
+    this.pathDrawings.set(key, { inputs, drawing });
+    return drawing;
+  }
+  
+  /**
+   * Drop a path's drawing and cached layer
+   * For changes its inputs can't see, such as a waypoint restyling its segment
+   * @param {string} key - Path ID (the route ID)
+   */
+  invalidatePath(key) {
+    this.pathDrawings.delete(key);
+    this.pathLayers.delete(key);
+  }
+  
+  /**
+   * Draw a path up to a point through its cached layer
+   * The layer keeps every piece stroked so far. Moving forward strokes just
+   * the new pieces onto it; a new drawing, a resized canvas or moving back
+   * (seeking, looping) clears it and starts again. Casings and glows go on
+   * a second canvas underneath, so new pieces never cover the line drawn
+   * before them. Animated runs change every frame and are drawn live on top.
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into (no transform)
+   * @param {string} key - Path ID (the route ID)
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {number} pointsToRender - Number of path points reached
+   * @param {number} time - Clock (ms) for marching ants
+   */
+  renderPathLayer(ctx, key, drawing, pointsToRender, time = performance.now()) {
+    const { width, height } = ctx.canvas;
+    let layer = this.pathLayers.get(key);
+    if (!layer) {
+      layer = { canvas: document.createElement('canvas'), under: null, drawing: null, drawn: 1 };
+      this.pathLayers.set(key, layer);
+    }
+    
+    const layerCtx = layer.canvas.getContext('2d');
+    if (layer.drawing !== drawing || layer.canvas.width !== width || layer.canvas.height !== height ||
+        pointsToRender < layer.drawn) {
+      if (drawing.underlay && !layer.under) {
+        layer.under = document.createElement('canvas');
+      }
+      [layer.canvas, layer.under].forEach(canvas => {
+        if (!canvas) return;
+        if (canvas.width !== width || canvas.height !== height) {
+          canvas.width = width;
+          canvas.height = height;
+        }
+        canvas.getContext('2d').clearRect(0, 0, width, height);
+      });
+      layer.drawing = drawing;
+      layer.drawn = 1;
+    }
+    
+    if (pointsToRender > layer.drawn) {
+      const underCtx = drawing.underlay ? layer.under.getContext('2d') : layerCtx;
+      this.drawPathRange(layerCtx, drawing, layer.drawn - 1, pointsToRender - 1, underCtx);
+      layer.drawn = pointsToRender;
+    }
+    
+    if (layer.drawn > 1) {
+      if (drawing.underlay) ctx.drawImage(layer.under, 0, 0);
+      ctx.drawImage(layer.canvas, 0, 0);
+    }
+    this.drawAnimatedRuns(ctx, drawing, pointsToRender - 1, time);
+  }
+  
+  /**
+   * Stroke the pieces between two path points, one path per run
+   * Dashes carry on from where the run's earlier pieces left off, so a run
+   * drawn in several steps matches one drawn in a single stroke. Animated
+   * runs are left to drawAnimatedRuns().
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {number} from - First point
+   * @param {number} to - Last point
+   * @param {CanvasRenderingContext2D} under - Context for casings and glows
+   */
+  drawPathRange(ctx, drawing, from, to, under = ctx) {
+    const parts = [];
+    drawing.runs.forEach(run => {
+      const start = Math.max(run.from, from);
+      const end = Math.min(run.to, to);
+      if (end > start && !run.animated) parts.push({ run, from: start, to: end, alpha: 1 });
+    });
+    this.strokeParts(ctx, drawing, parts, under, 0);
+  }
+  
+  /**
+   * Stroke the animated runs up to the head, for this frame
+   * Marching ants shift their dashes with the clock; comet tails keep only
+   * the line close behind the head, fading out along it
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {number} to - Point the head has reached
+   * @param {number} time - Clock (ms)
+   */
+  drawAnimatedRuns(ctx, drawing, to, time) {
+    const parts = [];
+    drawing.runs.forEach(run => {
+      const end = Math.min(run.to, to);
+      if (!run.animated || end <= run.from) return;
+      
+      if (run.effects.cometTail > 0) {
+        LineEffects.getCometBands(drawing.distances, run.from, end, drawing.distances[to], run.effects.cometTail)
+          .forEach(band => parts.push({ run, ...band }));
+      } else {
+        parts.push({ run, from: run.from, to: end, alpha: 1 });
+      }
+    });
+    this.strokeParts(ctx, drawing, parts, ctx, (time * LINE_EFFECTS.ANTS_SPEED) / 1000);
+  }
+  
+  /**
+   * Stroke parts of runs: every casing and glow first, then the lines over them
+   * @param {CanvasRenderingContext2D} ctx - Context for the lines
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {Array<{run: Object, from: number, to: number, alpha: number}>} parts - Point ranges of runs
+   * @param {CanvasRenderingContext2D} under - Context for casings and glows
+   * @param {number} antsShift - Distance marching ants have moved (px)
+   */
+  strokeParts(ctx, drawing, parts, under, antsShift) {
+    if (parts.length === 0) return;
+    
+    parts.forEach(part => {
+      if (!hasUnderlay(part.run)) return;
+      under.globalAlpha = part.alpha;
+      this.strokeUnderlay(under, drawing, part);
+    });
+    under.globalAlpha = 1;
+    
+    const { distances } = drawing;
+    parts.forEach(({ run, from, to, alpha }) => {
+      ctx.globalAlpha = alpha;
+      const bands = run.gradient ? LineEffects.getGradientBands(distances, run, from, to) : [{ from, to, color: run.color }];
+      bands.forEach(band => {
+        if (run.noise) {
+          this.drawSketchRange(ctx, drawing, run, band.from, band.to, band.color);
+          return;
+        }
+        
+        const shift = run.effects?.marchingAnts ? antsShift : 0;
+        this.applyRunStyle(ctx, run, distances[band.from] - distances[run.from] - shift);
+        ctx.strokeStyle = band.color;
+        ctx.beginPath();
+        let pen = null;
+        for (let i = band.from + 1; i <= band.to; i++) {
+          pen = this.tracePiece(ctx, PathShape.getPiece(run.shape, drawing.points[i - 1], drawing.points[i], i), pen);
+        }
+        ctx.stroke();
+      });
+    });
+    ctx.globalAlpha = 1;
     ctx.setLineDash([]);
+    ctx.lineDashOffset = 0;
+  }
+  
+  /**
+   * Stroke the casing and glow under part of a run
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {{run: Object, from: number, to: number}} part - Point range of the run
+   */
+  strokeUnderlay(ctx, drawing, { run, from, to }) {
+    const { casingWidth, casingColor, glow } = run.effects;
+    ctx.strokeStyle = casingWidth > 0 ? casingColor : run.color;
+    ctx.lineWidth = run.width + casingWidth * 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash([]);
+    ctx.shadowBlur = glow;
+    ctx.shadowColor = glow > 0 ? run.color : 'transparent';
+    
+    ctx.beginPath();
+    let pen = null;
+    for (let i = from + 1; i <= to; i++) {
+      pen = this.tracePiece(ctx, PathShape.getPiece(run.shape, drawing.points[i - 1], drawing.points[i], i), pen);
+    }
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+    ctx.shadowColor = 'transparent';
+  }
+  
+  /**
+   * Stroke part of a sketchy run: a few thin, overlapping wobbly lines
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} drawing - From createPathDrawing()
+   * @param {Object} run - Sketchy run
+   * @param {number} from - First point
+   * @param {number} to - Last point
+   * @param {string} color - Stroke colour (a gradient band's, or the run's)
+   */
+  drawSketchRange(ctx, drawing, run, from, to, color = run.color) {
+    this.applyRunStyle(ctx, run, 0);
+    ctx.strokeStyle = color;
+    for (let pass = 0; pass < NOISE.SKETCH_PASSES; pass++) {
+      const sketch = PathShape.getSketchPoints(drawing.points, drawing.distances, from, to, run.noise, pass);
+      ctx.beginPath();
+      ctx.moveTo(sketch[0].x, sketch[0].y);
+      for (let i = 1; i < sketch.length; i++) {
+        ctx.lineTo(sketch[i].x, sketch[i].y);
+      }
+      ctx.stroke();
+    }
+  }
+  
+  /**
+   * Set the stroke style for a run
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} run - Run from createPathDrawing()
+   * @param {number} dashOffset - Run length already drawn (px)
+   */
+  applyRunStyle(ctx, run, dashOffset) {
+    ctx.strokeStyle = run.color;
+    ctx.lineWidth = run.noise ? run.width * NOISE.SKETCH_WIDTH : run.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    const dash = PathShape.getDashPattern(run.style);
+    ctx.setLineDash(run.effects?.marchingAnts && dash.length === 0 && !run.noise ? LINE_EFFECTS.ANTS_DASH : dash);
+    ctx.lineDashOffset = dashOffset;
+  }
+  
+  /**
+   * Add one piece to the current path
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} piece - From PathShape.getPiece()
+   * @param {{x: number, y: number}|null} pen - Where the last piece ended
+   * @returns {{x: number, y: number}} Where this piece ends
+   */
+  tracePiece(ctx, piece, pen) {
+    // Jittered pieces don't join up, so they start a new subpath
+    if (!pen || pen.x !== piece.start.x || pen.y !== piece.start.y) {
+      ctx.moveTo(piece.start.x, piece.start.y);
+    }
+    if (piece.control) {
+      ctx.quadraticCurveTo(piece.control.x, piece.control.y, piece.end.x, piece.end.y);
+    } else {
+      ctx.lineTo(piece.end.x, piece.end.y);
+    }
+    return piece.end;
   }
   
   /**
@@ -309,14 +555,15 @@ export class RenderingService {
   renderPathHead(ctx, pathPoints, styles, animationEngine) {
     const progress = animationEngine.getProgress();
     const totalPoints = pathPoints.length;
-    const exactPosition = totalPoints * progress;
-    const pointsToRender = Math.floor(exactPosition);
+    // Same point positions as renderPath, so the head sits on each waypoint as it is reached
+    const exactPosition = (totalPoints - 1) * progress;
+    const pointsToRender = Math.floor(exactPosition + 1e-9) + 1;
     
     if (pointsToRender > 1 && pointsToRender < totalPoints) {
       // Interpolate between current and next point for smooth movement
       const currentIndex = Math.min(pointsToRender - 1, pathPoints.length - 2);
       const nextIndex = currentIndex + 1;
-      const fraction = exactPosition - pointsToRender; // Fractional part (0-1)
+      const fraction = Math.max(0, exactPosition - currentIndex); // Fractional part (0-1)
       
       const currentPoint = pathPoints[currentIndex];
       const nextPoint = pathPoints[nextIndex];
@@ -351,29 +598,32 @@ export class RenderingService {
   
   /**
    * Draw the path head based on current style settings
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {number} x - Head position
+   * @param {number} y - Head position
+   * @param {number} heading - Direction of travel (radians); turned into a
+   *   rotation by pathHead.rotationMode (see PathHead.getPose)
+   * @param {Object} pathHead - { style, color, size, image, rotationMode, spriteFrames }
+   * @param {number} travelled - Distance along the path (pixels), steps sprite frames
    */
-  drawPathHead(ctx, x, y, rotation, pathHead) {
+  drawPathHead(ctx, x, y, heading, pathHead, travelled = 0) {
     // Safety check for valid coordinates
     if (!isFinite(x) || !isFinite(y)) {
       console.warn('Invalid path head coordinates:', {x, y});
       return;
     }
+    if (pathHead.style === 'none') return;
     
     const size = pathHead.size;
+    const { rotation, flip } = PathHead.getPose(heading, pathHead.rotationMode || PATH_HEAD.DEFAULT_ROTATION_MODE);
     
     ctx.save();
     ctx.translate(x, y);
     ctx.rotate(rotation);
+    if (flip) ctx.scale(-1, 1);
     
+    const image = pathHead.image;
     switch (pathHead.style) {
-      case 'dot':
-        // Simple dot (filled circle)
-        ctx.beginPath();
-        ctx.fillStyle = pathHead.color;
-        ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-        ctx.fill();
-        break;
-        
       case 'arrow':
         // Arrow shape
         ctx.beginPath();
@@ -389,47 +639,65 @@ export class RenderingService {
         break;
         
       case 'custom':
-        // Custom image
-        if (pathHead.image) {
+      case 'sprite':
+        // Custom image, or one frame of a sprite sheet (frames side by side)
+        if (image) {
           const imgSize = size * 2; // Make image slightly larger for better visibility
-          // Draw the image centered and rotated
-          ctx.drawImage(
-            pathHead.image, 
-            -imgSize/2, -imgSize/2,
-            imgSize, imgSize
-          );
-        } else {
-          // Fallback to dot if no image loaded
-          ctx.beginPath();
-          ctx.fillStyle = pathHead.color;
-          ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-          ctx.fill();
+          if (pathHead.style === 'sprite') {
+            const frames = pathHead.spriteFrames || PATH_HEAD.DEFAULT_SPRITE_FRAMES;
+            const frameWidth = image.width / frames;
+            const drawWidth = image.height > 0 ? imgSize * (frameWidth / image.height) : imgSize;
+            const frame = PathHead.getSpriteFrame(travelled, frames);
+            ctx.drawImage(image, frame * frameWidth, 0, frameWidth, image.height, -drawWidth/2, -imgSize/2, drawWidth, imgSize);
+          } else {
+            // Draw the image centered and rotated
+            ctx.drawImage(image, -imgSize/2, -imgSize/2, imgSize, imgSize);
+          }
+          break;
         }
+        // Fallback to dot if no image loaded
+        this.drawHeadDot(ctx, size, pathHead.color);
         break;
         
       default:
-        // Default to dot
-        ctx.beginPath();
-        ctx.fillStyle = pathHead.color;
-        ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
-        ctx.fill();
+        if (PathHead.isIcon(pathHead.style)) {
+          PathHead.drawIcon(ctx, pathHead.style, size, pathHead.color);
+        } else {
+          // Dot, and the default for unknown styles
+          this.drawHeadDot(ctx, size, pathHead.color);
+        }
     }
     
     ctx.restore();
   }
   
+  /**
+   * Draw a dot path head at the origin
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {number} size - Head size (the dot's diameter)
+   * @param {string} color - Fill colour
+   */
+  drawHeadDot(ctx, size, color) {
+    ctx.beginPath();
+    ctx.fillStyle = color;
+    ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  
   /**
    * Render beacon effects at waypoints
    */
-  renderBeacons(ctx, waypoints, animationEngine, beaconAnimation, imageToCanvas, styles) {
+  renderBeacons(ctx, waypoints, animationEngine, beaconAnimation, imageToCanvas, styles, timing = this.pathTiming) {
     if (!waypoints.length) return;
     
     const currentProgress = animationEngine.getProgress();
     
     waypoints.forEach((waypoint, wpIndex) => {
       if (waypoint.isMajor) {
-        // Calculate normalized progress for this waypoint
-        const exactWaypointProgress = wpIndex / (waypoints.length - 1);
+        // Progress at which the head reaches this waypoint
+        const exactWaypointProgress = timing && timing.waypointIndices.length === waypoints.length ?
+          PathTiming.getWaypointProgress(timing, wpIndex) :
+          wpIndex / (waypoints.length - 1);
         
         // Show beacon EXACTLY when we reach a waypoint (not after)
         // Use a small threshold to ensure reliable triggering
@@ -598,18 +866,15 @@ export class RenderingService {
     
     // Find the true waypoint position in path coordinates
     const wpIndex = waypoints.indexOf(waypoint);
-    const totalPoints = this.waypointPositions.length;
+    const timing = this.pathTiming;
+    if (!timing || timing.waypointIndices.length !== waypoints.length) return;
+    const totalPoints = timing.distances.length;
     
     // Get exact path position for this waypoint
-    let waypointPointIndex = 0;
-    if (wpIndex < waypoints.length - 1) {
-      waypointPointIndex = (wpIndex / (waypoints.length - 1)) * totalPoints;
-    } else {
-      waypointPointIndex = totalPoints;
-    }
+    const waypointPointIndex = timing.waypointIndices[wpIndex];
     
     // Current animation position in path coordinates
-    const exactCurrentPoint = totalPoints * animationEngine.getProgress();
+    const exactCurrentPoint = Math.max(0, totalPoints - 1) * animationEngine.getProgress();
     
     // Calculate animation timing parameters
     const fadeTimeInPoints = totalPoints * 0.02; // 1% of animation = 0.5 seconds
@@ -0,0 +1,195 @@
+import { PathShape } from '../utils/PathShape.js';
+import { Markers } from '../utils/Markers.js';
+
+// Coordinates are written with 2 decimals - plenty for print, keeps files small
+const round = (n) => Math.round(n * 100) / 100;
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+/**
+ * Service for vector (SVG) export of the finished route
+ * Works from a plain scene description built by the app, so the output
+ * is a pure function of route data and can be checked without a canvas.
+ *
+ * Scene shape:
+ * {
+ *   width, height,            // viewBox (logical canvas units)
+ *   pixelWidth, pixelHeight,  // Intrinsic document size
+ *   background: { href } | null,
+ *   overlay: { color, opacity } | null,
+ *   runs: [{ color, width, style, pieces: [PathShape.getPiece()...] }],
+ *   markers: [{ style, x, y, size, fill, stroke, strokeWidth, number?, anchor?, href?, imageWidth?, imageHeight? }],
+ *   labels: [{ text, x, y, align }]
+ * }
+ */
+export class SvgExporter {
+  /**
+   * Build an SVG document from a scene
+   * @param {Object} scene - Scene description (see class comment)
+   * @returns {string} Standalone SVG markup
+   */
+  build(scene) {
+    const width = round(scene.width);
+    const height = round(scene.height);
+    const parts = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(scene.pixelWidth || width)}" height="${Math.round(scene.pixelHeight || height)}" viewBox="0 0 ${width} ${height}">`
+    ];
+    
+    if (scene.background) {
+      parts.push(`  <image id="background" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" href="${scene.background.href}"/>`);
+    }
+    if (scene.overlay) {
+      parts.push(`  <rect id="overlay" x="0" y="0" width="${width}" height="${height}" fill="${scene.overlay.color}" fill-opacity="${round(scene.overlay.opacity)}"/>`);
+    }
+    
+    parts.push('  <g id="route" fill="none" stroke-linecap="round" stroke-linejoin="round">');
+    (scene.runs || []).forEach(run => {
+      const d = this.buildPathData(run.pieces);
+      if (!d) return;
+      const dash = PathShape.getDashPattern(run.style);
+      const dashAttr = dash.length ? ` stroke-dasharray="${dash.join(' ')}"` : '';
+      parts.push(`    <path d="${d}" stroke="${this.escape(run.color)}" stroke-width="${round(run.width)}"${dashAttr}/>`);
+    });
+    parts.push('  </g>');
+    
+    parts.push('  <g id="markers">');
+    (scene.markers || []).forEach(marker => {
+      const markup = this.buildMarker(marker);
+      if (markup) parts.push(`    ${markup}`);
+    });
+    parts.push('  </g>');
+    
+    parts.push('  <g id="labels" font-family="Arial, sans-serif" font-weight="bold" font-size="16" fill="#fff" stroke="#000" stroke-width="3" paint-order="stroke" dominant-baseline="middle">');
+    (scene.labels || []).forEach(label => {
+      const anchor = TEXT_ANCHORS[label.align] || TEXT_ANCHORS.center;
+      parts.push(`    <text x="${round(label.x)}" y="${round(label.y)}" text-anchor="${anchor}">${this.escape(label.text)}</text>`);
+    });
+    parts.push('  </g>');
+    
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+  }
+  
+  /**
+   * Join consecutive path pieces into one path data string
+   * A new subpath only starts where a piece doesn't continue the last one
+   * @param {Array<Object>} pieces - From PathShape.getPiece()
+   * @returns {string} SVG path data
+   */
+  buildPathData(pieces = []) {
+    const commands = [];
+    let last = null;
+    
+    pieces.forEach(piece => {
+      const continues = last &&
+        Math.abs(last.x - piece.start.x) < 0.01 &&
+        Math.abs(last.y - piece.start.y) < 0.01;
+      if (!continues) {
+        commands.push(`M${round(piece.start.x)} ${round(piece.start.y)}`);
+      }
+      
+      if (piece.control) {
+        commands.push(`Q${round(piece.control.x)} ${round(piece.control.y)} ${round(piece.end.x)} ${round(piece.end.y)}`);
+      } else {
+        commands.push(`L${round(piece.end.x)} ${round(piece.end.y)}`);
+      }
+      last = piece.end;
+    });
+    
+    return commands.join(' ');
+  }
+  
+  /**
+   * Build markup for a waypoint marker (same geometry as the canvas markers, see Markers)
+   * @param {Object} marker - { style, x, y, size, fill, stroke, strokeWidth, number, anchor, href, imageWidth, imageHeight }
+   * @returns {string|null} Element markup, or null for style 'none'
+   */
+  buildMarker(marker) {
+    const { style, x, y, size, fill, stroke = 'white', strokeWidth = 2 } = marker;
+    const paint = `fill="${this.escape(fill)}" stroke="${this.escape(stroke)}" stroke-width="${round(strokeWidth)}"`;
+    const circle = (r) => `<circle cx="${round(x)}" cy="${round(y)}" r="${round(r)}" ${paint}/>`;
+    const square = `<rect x="${round(x - size)}" y="${round(y - size)}" width="${round(size * 2)}" height="${round(size * 2)}" ${paint}/>`;
+    
+    if (Markers.isIcon(style)) {
+      const icon = Markers.getIcon(style);
+      const badge = icon.badge === 'square' ? square : circle(size);
+      const glyph = icon.text ?
+        this.buildMarkerText(icon.text, x, y, size, icon.scale) :
+        `<path d="${icon.polygons.map(corners => this.buildPolygon(corners, x, y, size)).join(' ')}" fill="#FFFFFF"/>`;
+      return `<g>${badge}${glyph}</g>`;
+    }
+    
+    switch (style) {
+      case 'none':
+        return null;
+      case 'square':
+        return square;
+      case 'number':
+        return `<g>${circle(size)}${marker.number ? this.buildMarkerText(String(marker.number), x, y, size) : ''}</g>`;
+      case 'pin': {
+        const head = Markers.getPinHead(x, y, size);
+        const d = `M${round(x)} ${round(y)} L${round(head.left.x)} ${round(head.left.y)} ` +
+          `A${round(head.r)} ${round(head.r)} 0 1 1 ${round(head.right.x)} ${round(head.right.y)} Z`;
+        return `<g><path d="${d}" ${paint}/><circle cx="${round(head.cx)}" cy="${round(head.cy)}" r="${round(head.r * 0.4)}" fill="#FFFFFF"/></g>`;
+      }
+      case 'custom': {
+        if (!marker.href) return circle(size / 2); // Image never loaded
+        const box = Markers.getImageBox(marker);
+        return `<image x="${round(box.x)}" y="${round(box.y)}" width="${round(box.width)}" height="${round(box.height)}" preserveAspectRatio="none" href="${this.escape(marker.href)}"/>`;
+      }
+      case 'flag': {
+        const top = round(y - size * 2);
+        const d = [
+          `M${round(x)} ${top} L${round(x)} ${round(y + size)}`, // Pole
+          `M${round(x)} ${top} L${round(x + size * 1.5)} ${round(y - size * 1.3)}`,
+          `L${round(x + size * 1.2)} ${round(y - size)} L${round(x)} ${round(y - size * 0.7)} Z`
+        ].join(' ');
+        return `<path d="${d}" ${paint}/>`;
+      }
+      case 'dot':
+      default:
+        return circle(size);
+    }
+  }
+  
+  /**
+   * Build white text centred on a numbered or icon marker
+   * @param {string} text - Number or icon text
+   * @param {number} x - Marker centre
+   * @param {number} y - Marker centre
+   * @param {number} size - Marker size
+   * @param {number} scale - Icon text scale
+   * @returns {string} Text element markup
+   */
+  buildMarkerText(text, x, y, size, scale = 1) {
+    const fontSize = Markers.getFontSize(size, text, scale);
+    return `<text x="${round(x)}" y="${round(y)}" font-family="Arial, sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+      `fill="#FFFFFF" text-anchor="middle" dominant-baseline="central">${this.escape(text)}</text>`;
+  }
+  
+  /**
+   * Build path data for an icon glyph polygon
+   * @param {Array<number[]>} corners - [x, y] pairs in multiples of the marker size
+   * @param {number} x - Marker centre
+   * @param {number} y - Marker centre
+   * @param {number} size - Marker size
+   * @returns {string} Closed subpath
+   */
+  buildPolygon(corners, x, y, size) {
+    return corners.map(([cx, cy], i) => `${i === 0 ? 'M' : 'L'}${round(x + cx * size)} ${round(y + cy * size)}`).join(' ') + ' Z';
+  }
+  
+  /**
+   * Escape text for use in XML content and attributes
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
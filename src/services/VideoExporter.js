@@ -0,0 +1,192 @@
+import { Muxer as WebMMuxer, ArrayBufferTarget as WebMTarget } from 'webm-muxer';
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer';
+import { EXPORT } from '../config/constants.js';
+import { FrameExporter } from './FrameExporter.js';
+
+// Encoder configurations to try per container, best first
+// Level 5.2 H.264 covers up to 4K at 60fps
+const CODECS = {
+  webm: [
+    { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+    { codec: 'vp8', muxerCodec: 'V_VP8' }
+  ],
+  mp4: [
+    { codec: 'avc1.640034', muxerCodec: 'avc' },
+    { codec: 'avc1.4d0034', muxerCodec: 'avc' },
+    { codec: 'avc1.42003e', muxerCodec: 'avc' },
+    { codec: 'vp09.00.10.08', muxerCodec: 'vp9' }
+  ]
+};
+
+const MIME_TYPES = {
+  webm: 'video/webm',
+  mp4: 'video/mp4'
+};
+
+/**
+ * Service for offline, frame-exact video export
+ * Encodes each rendered frame with WebCodecs and muxes it into WebM or MP4
+ */
+export class VideoExporter extends FrameExporter {
+  /**
+   * @param {string} format - 'webm' | 'mp4'
+   */
+  constructor(format = EXPORT.DEFAULT_FORMAT) {
+    super();
+    this.format = format;
+    this.encoder = null;
+    this.muxer = null;
+    this.encoderError = null;
+  }
+  
+  /**
+   * Check if the browser can encode video (WebCodecs)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+  }
+  
+  /**
+   * Get the MIME type for an export format
+   * @param {string} format - 'webm' | 'mp4'
+   * @returns {string}
+   */
+  static getMimeType(format) {
+    return MIME_TYPES[format] || MIME_TYPES.webm;
+  }
+  
+  /**
+   * Encoders require even dimensions
+   */
+  normalizeSettings({ width, height, fps }) {
+    return {
+      width: Math.round(width / 2) * 2,
+      height: Math.round(height / 2) * 2,
+      fps
+    };
+  }
+  
+  /**
+   * Find the first encoder configuration the browser supports
+   * @param {string} format - 'webm' | 'mp4'
+   * @param {number} width - Frame width (even)
+   * @param {number} height - Frame height (even)
+   * @param {number} fps - Frames per second
+   * @returns {Promise<{config: Object, muxerCodec: string}|null>}
+   */
+  async findEncoderConfig(format, width, height, fps) {
+    const bitrate = Math.round(width * height * fps * EXPORT.BITS_PER_PIXEL);
+    
+    for (const candidate of CODECS[format] || []) {
+      const config = {
+        codec: candidate.codec,
+        width,
+        height,
+        bitrate,
+        framerate: fps
+      };
+      if (candidate.muxerCodec === 'avc') {
+        config.avc = { format: 'avc' }; // Length-prefixed NALUs as MP4 expects
+      }
+      
+      try {
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) {
+          return { config, muxerCodec: candidate.muxerCodec };
+        }
+      } catch (error) {
+        // Malformed/unknown codec string on this browser - try the next one
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Pick a codec and set up the encoder and muxer
+   */
+  async begin({ width, height, fps }) {
+    if (!VideoExporter.isSupported()) {
+      throw new Error('Video export needs a browser with WebCodecs support (Chrome, Edge or Safari 17+)');
+    }
+    
+    const encoderSetup = await this.findEncoderConfig(this.format, width, height, fps);
+    if (!encoderSetup) {
+      throw new Error(`This browser can't encode ${this.format.toUpperCase()} at ${width}×${height}`);
+    }
+    
+    this.frameDuration = 1e6 / fps; // Microseconds
+    this.keyFrameEvery = Math.max(1, Math.round(fps * EXPORT.KEYFRAME_INTERVAL));
+    this.encoderError = null;
+    
+    const muxer = this.createMuxer(this.format, encoderSetup.muxerCodec, width, height, fps);
+    this.muxer = muxer;
+    this.encoder = new VideoEncoder({
+      output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+      error: (error) => { this.encoderError = error; }
+    });
+    this.encoder.configure(encoderSetup.config);
+  }
+  
+  /**
+   * Encode one frame, stamped from its index rather than the clock
+   */
+  async addFrame(canvas, ctx, index) {
+    if (this.encoderError) throw this.encoderError;
+    
+    const frame = new VideoFrame(canvas, {
+      timestamp: Math.round(index * this.frameDuration),
+      duration: Math.round(this.frameDuration),
+      alpha: 'discard'
+    });
+    this.encoder.encode(frame, { keyFrame: index % this.keyFrameEvery === 0 });
+    frame.close();
+    
+    // Backpressure: don't let unencoded frames pile up in memory
+    while (this.encoder.encodeQueueSize > EXPORT.MAX_ENCODE_QUEUE) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  
+  /**
+   * Flush the encoder and finalize the container
+   */
+  async finish() {
+    await this.encoder.flush();
+    if (this.encoderError) throw this.encoderError;
+    this.encoder.close();
+    this.encoder = null;
+    
+    this.muxer.finalize();
+    const blob = new Blob([this.muxer.target.buffer], { type: VideoExporter.getMimeType(this.format) });
+    this.muxer = null;
+    return blob;
+  }
+  
+  abort() {
+    if (this.encoder && this.encoder.state !== 'closed') {
+      this.encoder.close();
+    }
+    this.encoder = null;
+    this.muxer = null;
+  }
+  
+  /**
+   * Create the container muxer for a format
+   * @private
+   */
+  createMuxer(format, muxerCodec, width, height, fps) {
+    if (format === 'mp4') {
+      return new Mp4Muxer({
+        target: new Mp4Target(),
+        video: { codec: muxerCodec, width, height, frameRate: fps },
+        fastStart: 'in-memory' // moov atom first so players can start immediately
+      });
+    }
+    
+    return new WebMMuxer({
+      target: new WebMTarget(),
+      video: { codec: muxerCodec, width, height, frameRate: fps }
+    });
+  }
+}
@@ -4,7 +4,19 @@
  */
 
 export { AnimationEngine } from './AnimationEngine.js';
+export { AutoRouter } from './AutoRouter.js';
+export { CameraService } from './CameraService.js';
 export { CoordinateTransform } from './CoordinateTransform.js';
+export { ExportTimeline } from './ExportTimeline.js';
+export { FrameExporter } from './FrameExporter.js';
+export { GeoFormatService } from './GeoFormatService.js';
+export { GeoReference } from './GeoReference.js';
+export { GifExporter } from './GifExporter.js';
+export { HistoryManager } from './HistoryManager.js';
 export { PathCalculator } from './PathCalculator.js';
+export { PngSequenceExporter } from './PngSequenceExporter.js';
+export { ProjectFileService } from './ProjectFileService.js';
 export { RenderingService } from './RenderingService.js';
 export { StorageService } from './StorageService.js';
+export { SvgExporter } from './SvgExporter.js';
+export { VideoExporter } from './VideoExporter.js';
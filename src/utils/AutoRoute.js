@@ -0,0 +1,324 @@
+import { AUTO_ROUTE } from '../config/constants.js';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Neighbouring cells: [dx, dy, cost] - diagonals cost √2
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Octile distance - the shortest 8-way path between two cells with nothing in the way
+ * @param {number} dx - Cells across
+ * @param {number} dy - Cells down
+ * @returns {number}
+ */
+function octile(dx, dy) {
+  const ax = Math.abs(dx);
+  const ay = Math.abs(dy);
+  return Math.max(ax, ay) + (Math.SQRT2 - 1) * Math.min(ax, ay);
+}
+
+/**
+ * Auto-routing between waypoints over a walkability mask
+ * A mask is a grid of cells over the whole background, each walkable (1) or
+ * not (0): { width, height, cells: Uint8Array } with cells row by row. It is
+ * built from the background by colour (a footpath colour within a tolerance)
+ * or painted by hand, and kept in cells so the search stays fast on large maps.
+ *   findPath - A* shortest 8-way path, never cutting a blocked corner
+ *   simplify - Ramer-Douglas-Peucker, so the route needs few waypoints
+ *   route    - both, in normalized image coordinates (what the worker runs)
+ */
+export class AutoRoute {
+  /**
+   * Create auto-route settings, filling gaps and out-of-range values with defaults
+   * @param {Object} data - Saved settings (optional)
+   * @returns {{source: string, color: string, tolerance: number, cellSize: number}}
+   */
+  static createSettings(data = {}) {
+    const tolerance = Number(data?.tolerance);
+    const cellSize = Number(data?.cellSize);
+    return {
+      source: AUTO_ROUTE.SOURCES.includes(data?.source) ? data.source : AUTO_ROUTE.DEFAULT_SOURCE,
+      color: /^#[0-9a-f]{6}$/i.test(data?.color) ? data.color.toLowerCase() : AUTO_ROUTE.DEFAULT_COLOR,
+      tolerance: Number.isFinite(tolerance) ? clamp(tolerance, 0, AUTO_ROUTE.MAX_TOLERANCE) : AUTO_ROUTE.DEFAULT_TOLERANCE,
+      cellSize: Number.isFinite(cellSize) && cellSize > 0
+        ? clamp(Math.round(cellSize), AUTO_ROUTE.MIN_CELL_SIZE, AUTO_ROUTE.MAX_CELL_SIZE)
+        : AUTO_ROUTE.DEFAULT_CELL_SIZE
+    };
+  }
+  
+  /**
+   * Cell size to use for an image, grown past the chosen size when the grid would be too big
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} cellSize - Chosen cell size in pixels
+   * @returns {number}
+   */
+  static getCellSize(width, height, cellSize) {
+    return Math.max(cellSize, Math.ceil(Math.sqrt((width * height) / AUTO_ROUTE.MAX_CELLS)));
+  }
+  
+  /**
+   * Create an empty (all blocked) mask
+   * @param {number} width - Cells across
+   * @param {number} height - Cells down
+   * @returns {{width: number, height: number, cells: Uint8Array}}
+   */
+  static createMask(width, height) {
+    const w = Math.max(1, Math.ceil(width));
+    const h = Math.max(1, Math.ceil(height));
+    return { width: w, height: h, cells: new Uint8Array(w * h) };
+  }
+  
+  /**
+   * Build a mask from image pixels by colour
+   * A cell is walkable when enough of its pixels are within the tolerance of the colour
+   * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Object} settings - { color, tolerance, cellSize } from createSettings()
+   * @returns {{width: number, height: number, cells: Uint8Array}}
+   */
+  static maskFromPixels(data, width, height, { color, tolerance, cellSize }) {
+    const size = AutoRoute.getCellSize(width, height, cellSize);
+    const mask = AutoRoute.createMask(width / size, height / size);
+    const counts = new Uint32Array(mask.cells.length);
+    const r = parseInt(color.slice(1, 3), 16);
+    const g = parseInt(color.slice(3, 5), 16);
+    const b = parseInt(color.slice(5, 7), 16);
+    const limit = tolerance * tolerance;
+    
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / size) * mask.width;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] === 0) continue; // Transparent
+        const dr = data[i] - r;
+        const dg = data[i + 1] - g;
+        const db = data[i + 2] - b;
+        if (dr * dr + dg * dg + db * db <= limit) {
+          counts[row + Math.floor(x / size)]++;
+        }
+      }
+    }
+    
+    // Edge cells hold fewer pixels
+    for (let cy = 0; cy < mask.height; cy++) {
+      const rows = Math.min(size, height - cy * size);
+      for (let cx = 0; cx < mask.width; cx++) {
+        const pixels = rows * Math.min(size, width - cx * size);
+        const index = cy * mask.width + cx;
+        mask.cells[index] = counts[index] >= pixels * AUTO_ROUTE.MIN_COVERAGE ? 1 : 0;
+      }
+    }
+    return mask;
+  }
+  
+  /**
+   * Paint (or erase) a disc of cells
+   * @param {Object} mask - Mask to change in place
+   * @param {number} x - Centre in cells
+   * @param {number} y - Centre in cells
+   * @param {number} radius - Radius in cells
+   * @param {boolean} walkable - Paint walkable (true) or blocked (false)
+   */
+  static paint(mask, x, y, radius, walkable = true) {
+    const value = walkable ? 1 : 0;
+    const r = Math.max(0.5, radius);
+    const minX = Math.max(0, Math.floor(x - r));
+    const maxX = Math.min(mask.width - 1, Math.ceil(x + r));
+    const minY = Math.max(0, Math.floor(y - r));
+    const maxY = Math.min(mask.height - 1, Math.ceil(y + r));
+    for (let cy = minY; cy <= maxY; cy++) {
+      for (let cx = minX; cx <= maxX; cx++) {
+        if (Math.hypot(cx + 0.5 - x, cy + 0.5 - y) <= r) {
+          mask.cells[cy * mask.width + cx] = value;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Find the walkable cell nearest a point
+   * @param {Object} mask - Walkability mask
+   * @param {number} x - Cell column
+   * @param {number} y - Cell row
+   * @param {number} radius - Furthest to look, in cells
+   * @returns {number} Cell index, or -1 if none is in reach
+   */
+  static nearestWalkable(mask, x, y, radius = AUTO_ROUTE.SEARCH_RADIUS) {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let cy = Math.max(0, y - radius); cy <= Math.min(mask.height - 1, y + radius); cy++) {
+      for (let cx = Math.max(0, x - radius); cx <= Math.min(mask.width - 1, x + radius); cx++) {
+        const distance = Math.hypot(cx - x, cy - y);
+        if (mask.cells[cy * mask.width + cx] && distance <= radius && distance < bestDistance) {
+          best = cy * mask.width + cx;
+          bestDistance = distance;
+        }
+      }
+    }
+    return best;
+  }
+  
+  /**
+   * Shortest path over the mask with A*
+   * Waypoints just off the mask join it at the nearest walkable cell
+   * @param {Object} mask - Walkability mask
+   * @param {{x: number, y: number}} start - Start in cells
+   * @param {{x: number, y: number}} goal - Goal in cells
+   * @returns {Array<{x: number, y: number}>|null} Points in cells from start to goal
+   *   (cell centres between), or null when the mask doesn't connect them
+   */
+  static findPath(mask, start, goal) {
+    const { width, height, cells } = mask;
+    const cellOf = point => AutoRoute.nearestWalkable(mask,
+      clamp(Math.floor(point.x), 0, width - 1),
+      clamp(Math.floor(point.y), 0, height - 1));
+    const from = cellOf(start);
+    const to = cellOf(goal);
+    if (from < 0 || to < 0) return null;
+    
+    const goalX = to % width;
+    const goalY = Math.floor(to / width);
+    const cost = new Float64Array(cells.length).fill(Infinity);
+    const parent = new Int32Array(cells.length).fill(-1);
+    const closed = new Uint8Array(cells.length);
+    
+    // Binary heap of cell indices by estimated total cost (stale entries are skipped)
+    const heap = [];
+    const scores = [];
+    const push = (index, score) => {
+      let i = heap.length;
+      heap.push(index);
+      scores.push(score);
+      while (i > 0) {
+        const up = (i - 1) >> 1;
+        if (scores[up] <= score) break;
+        heap[i] = heap[up];
+        scores[i] = scores[up];
+        i = up;
+      }
+      heap[i] = index;
+      scores[i] = score;
+    };
+    const pop = () => {
+      const top = heap[0];
+      const lastIndex = heap.pop();
+      const lastScore = scores.pop();
+      if (heap.length > 0) {
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          if (left >= heap.length) break;
+          const child = left + 1 < heap.length && scores[left + 1] < scores[left] ? left + 1 : left;
+          if (scores[child] >= lastScore) break;
+          heap[i] = heap[child];
+          scores[i] = scores[child];
+          i = child;
+        }
+        heap[i] = lastIndex;
+        scores[i] = lastScore;
+      }
+      return top;
+    };
+    
+    cost[from] = 0;
+    push(from, octile(from % width - goalX, Math.floor(from / width) - goalY));
+    
+    while (heap.length > 0) {
+      const current = pop();
+      if (closed[current]) continue;
+      if (current === to) break;
+      closed[current] = 1;
+      
+      const x = current % width;
+      const y = Math.floor(current / width);
+      for (const [dx, dy, step] of NEIGHBOURS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const next = ny * width + nx;
+        if (!cells[next] || closed[next]) continue;
+        // Diagonals only where both sides are open
+        if (dx && dy && (!cells[y * width + nx] || !cells[ny * width + x])) continue;
+        
+        const nextCost = cost[current] + step;
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          parent[next] = current;
+          push(next, nextCost + octile(nx - goalX, ny - goalY));
+        }
+      }
+    }
+    
+    if (to !== from && parent[to] < 0) return null;
+    
+    const points = [];
+    for (let index = to; index >= 0; index = index === from ? -1 : parent[index]) {
+      points.push({ x: index % width + 0.5, y: Math.floor(index / width) + 0.5 });
+    }
+    points.reverse();
+    
+    // End exactly on the waypoints, even when they sit off the mask
+    return [{ x: start.x, y: start.y }, ...points, { x: goal.x, y: goal.y }];
+  }
+  
+  /**
+   * Drop points that hardly change the shape of a line (Ramer-Douglas-Peucker)
+   * @param {Array<{x: number, y: number}>} points - Line to simplify
+   * @param {number} tolerance - Furthest a dropped point may be from the result
+   * @returns {Array<{x: number, y: number}>} Kept points, first and last always included
+   */
+  static simplify(points, tolerance) {
+    if (points.length < 3) return points.slice();
+    
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      const a = points[first];
+      const b = points[last];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      
+      let furthest = -1;
+      let furthestDistance = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const p = points[i];
+        const distance = length > 0
+          ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length
+          : Math.hypot(p.x - a.x, p.y - a.y);
+        if (distance > furthestDistance) {
+          furthest = i;
+          furthestDistance = distance;
+        }
+      }
+      
+      if (furthest > 0) {
+        keep[furthest] = 1;
+        stack.push([first, furthest], [furthest, last]);
+      }
+    }
+    return points.filter((point, i) => keep[i]);
+  }
+  
+  /**
+   * Route between two points over a mask, simplified
+   * @param {Object} mask - Walkability mask
+   * @param {{x: number, y: number}} start - Start in normalized image coordinates (0-1)
+   * @param {{x: number, y: number}} goal - Goal in normalized image coordinates (0-1)
+   * @param {number} tolerance - Simplification tolerance in cells
+   * @returns {Array<{x: number, y: number}>|null} Normalized points from start to goal, or null
+   */
+  static route(mask, start, goal, tolerance = AUTO_ROUTE.SIMPLIFY_TOLERANCE) {
+    const toCells = point => ({ x: point.x * mask.width, y: point.y * mask.height });
+    const path = AutoRoute.findPath(mask, toCells(start), toCells(goal));
+    if (!path) return null;
+    
+    return AutoRoute.simplify(path, tolerance).map(point => ({ x: point.x / mask.width, y: point.y / mask.height }));
+  }
+}
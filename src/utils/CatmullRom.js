@@ -34,6 +34,62 @@ export class CatmullRom {
     };
   }
   
+  /**
+   * Tangents at both ends of a segment for a Catmull-Rom spline of any knot spacing
+   * Alpha 0 is the uniform spline interpolate() draws, 0.5 the centripetal and
+   * 1 the chordal one. Spacing knots by distance stops short segments next to
+   * long ones from overshooting into cusps and loops.
+   * @param {Object} p0 - Previous control point {x, y}
+   * @param {Object} p1 - Start point of segment {x, y}
+   * @param {Object} p2 - End point of segment {x, y}
+   * @param {Object} p3 - Next control point {x, y}
+   * @param {number} alpha - Knot spacing exponent (0 to 1)
+   * @param {number} tension - Tension value, as for interpolate() (0.5 = standard spline)
+   * @returns {{m1x: number, m1y: number, m2x: number, m2y: number}} Tangents at p1 and p2
+   */
+  static getTangents(p0, p1, p2, p3, alpha, tension) {
+    const d01 = Math.pow(Math.hypot(p1.x - p0.x, p1.y - p0.y), alpha);
+    const d12 = Math.pow(Math.hypot(p2.x - p1.x, p2.y - p1.y), alpha);
+    const d23 = Math.pow(Math.hypot(p3.x - p2.x, p3.y - p2.y), alpha);
+    if (d12 < 1e-9) return { m1x: 0, m1y: 0, m2x: 0, m2y: 0 };
+    
+    // Ends repeat their point - fall back to the uniform end tangent
+    const tangent = (a, b, c, dab, dbc) => {
+      if (dab < 1e-9) return (c - b) / 2;
+      if (dbc < 1e-9) return (b - a) / 2;
+      return d12 * ((b - a) / dab - (c - a) / (dab + dbc) + (c - b) / dbc);
+    };
+    const scale = 2 * tension;
+    
+    return {
+      m1x: tangent(p0.x, p1.x, p2.x, d01, d12) * scale,
+      m1y: tangent(p0.y, p1.y, p2.y, d01, d12) * scale,
+      m2x: tangent(p1.x, p2.x, p3.x, d12, d23) * scale,
+      m2y: tangent(p1.y, p2.y, p3.y, d12, d23) * scale
+    };
+  }
+  
+  /**
+   * Interpolates a point on a cubic Hermite segment
+   * @param {Object} p1 - Start point of segment {x, y}
+   * @param {Object} p2 - End point of segment {x, y}
+   * @param {Object} tangents - From getTangents()
+   * @param {number} t - Interpolation parameter (0 to 1)
+   * @returns {Object} Interpolated point {x, y}
+   */
+  static hermite(p1, p2, tangents, t) {
+    const { m1x, m1y, m2x, m2y } = tangents;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    
+    return {
+      x: p1.x + m1x * t + (3 * dx - 2 * m1x - m2x) * t2 + (2 * -dx + m1x + m2x) * t3,
+      y: p1.y + m1y * t + (3 * dy - 2 * m1y - m2y) * t2 + (2 * -dy + m1y + m2y) * t3
+    };
+  }
+  
   /**
    * Creates a smooth path through waypoints using Catmull-Rom splines
    * @param {Array} waypoints - Array of waypoint objects with x and y properties
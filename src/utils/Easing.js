@@ -1,16 +1,67 @@
+import { EASING } from '../config/constants.js';
+
+const BACK_OVERSHOOT = 1.70158;
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+
+// Solved cubic-bezier() curves by control points, looked up every frame during playback
+const bezierCache = new Map();
+
 /**
  * Essential easing functions for Route Plotter
  * Optimized for performance and clarity
- * 
+ *
  * All functions: t ∈ [0,1] → result ∈ [0,1]
+ * (back and elastic curves overshoot in between)
+ *
+ * Timing curves are picked by spec - a curve name from EASING.CURVES or a
+ * CSS-style "cubic-bezier(x1, y1, x2, y2)" - so they save as plain strings.
  */
 export class Easing {
+  /**
+   * Linear - constant rate, no easing
+   *
+   * Usage: Default timing curve for the animation and for each leg
+   *
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static linear(t) {
+    return t;
+  }
+  
+  /**
+   * Sine ease-in - gentle start
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static sineIn(t) {
+    return 1 - Math.cos((t * Math.PI) / 2);
+  }
+  
+  /**
+   * Sine ease-out - gentle stop
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static sineOut(t) {
+    return Math.sin((t * Math.PI) / 2);
+  }
+  
+  /**
+   * Sine ease-in-out - gentle start and stop
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static sineInOut(t) {
+    return -(Math.cos(Math.PI * t) - 1) / 2;
+  }
+  
   /**
    * Quadratic ease-in - slow start, accelerating
-   * 
+   *
    * Usage: Corner slowing calculations in path generation
    * Called ~1000+ times per path during reparameterization
-   * 
+   *
    * @param {number} t - Progress (0 to 1)
    * @returns {number} Eased value
    */
@@ -18,12 +69,57 @@ export class Easing {
     return t * t;
   }
   
+  /**
+   * Quadratic ease-out - fast start, decelerating
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static quadOut(t) {
+    return 1 - (1 - t) * (1 - t);
+  }
+  
+  /**
+   * Quadratic ease-in-out
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static quadInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+  }
+  
+  /**
+   * Alias of quadIn() under its CSS-style name
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static easeInQuad(t) {
+    return Easing.quadIn(t);
+  }
+  
+  /**
+   * Alias of quadOut() under its CSS-style name
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static easeOutQuad(t) {
+    return Easing.quadOut(t);
+  }
+  
+  /**
+   * Cubic ease-in - slow start, accelerating harder than quadIn
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static cubicIn(t) {
+    return t * t * t;
+  }
+  
   /**
    * Cubic ease-out - fast start, decelerating
-   * 
+   *
    * Usage: Ripple fade effects in beacon animations
    * Called every frame (60 FPS) for each active ripple
-   * 
+   *
    * @param {number} t - Progress (0 to 1)
    * @returns {number} Eased value
    */
@@ -34,16 +130,209 @@ export class Easing {
   
   /**
    * Cubic ease-in-out - smooth S-curve
-   * 
-   * Usage: Global animation timing for smooth start/stop
-   * Called every frame (60 FPS) in main animation loop
-   * 
+   *
+   * Usage: Timing curve for a smooth start/stop
+   *
    * @param {number} t - Progress (0 to 1)
    * @returns {number} Eased value
    */
   static cubicInOut(t) {
-    return t < 0.5 
-      ? 4 * t * t * t 
+    return t < 0.5
+      ? 4 * t * t * t
       : 1 + 4 * (t - 1) * (t - 1) * (t - 1);
   }
+  
+  /**
+   * Quartic ease-in - very slow start
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static quartIn(t) {
+    return t * t * t * t;
+  }
+  
+  /**
+   * Quartic ease-out - very slow stop
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static quartOut(t) {
+    return 1 - Math.pow(1 - t, 4);
+  }
+  
+  /**
+   * Quartic ease-in-out
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static quartInOut(t) {
+    return t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2;
+  }
+  
+  /**
+   * Back ease-in - pulls back before setting off
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value (dips below 0)
+   */
+  static backIn(t) {
+    return (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t;
+  }
+  
+  /**
+   * Back ease-out - overshoots, then settles
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value (rises above 1)
+   */
+  static backOut(t) {
+    return 1 - Easing.backIn(1 - t);
+  }
+  
+  /**
+   * Back ease-in-out
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static backInOut(t) {
+    return t < 0.5 ? Easing.backIn(2 * t) / 2 : 1 - Easing.backIn(2 - 2 * t) / 2;
+  }
+  
+  /**
+   * Elastic ease-in - winds up with growing wobbles
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value (dips below 0)
+   */
+  static elasticIn(t) {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD);
+  }
+  
+  /**
+   * Elastic ease-out - springs past the end and wobbles to rest
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value (rises above 1)
+   */
+  static elasticOut(t) {
+    return 1 - Easing.elasticIn(1 - t);
+  }
+  
+  /**
+   * Elastic ease-in-out
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  static elasticInOut(t) {
+    return t < 0.5 ? Easing.elasticIn(2 * t) / 2 : 1 - Easing.elasticIn(2 - 2 * t) / 2;
+  }
+  
+  /**
+   * Build a CSS-style cubic Bézier curve through (0,0), (x1,y1), (x2,y2), (1,1)
+   * @param {number} x1 - First control point x (0 to 1)
+   * @param {number} y1 - First control point y
+   * @param {number} x2 - Second control point x (0 to 1)
+   * @param {number} y2 - Second control point y
+   * @returns {Function} t → eased value
+   */
+  static cubicBezier(x1, y1, x2, y2) {
+    const bezier = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+    const slope = (a, b, s) => 3 * a * (1 - s) * (1 - s) + 6 * (b - a) * s * (1 - s) + 3 * (1 - b) * s * s;
+    
+    return (t) => {
+      if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+      
+      // Find the curve parameter for this x: Newton first, bisection if it stalls
+      let s = t;
+      for (let i = 0; i < 8; i++) {
+        const dx = bezier(x1, x2, s) - t;
+        if (Math.abs(dx) < 1e-7) return bezier(y1, y2, s);
+        const d = slope(x1, x2, s);
+        if (Math.abs(d) < 1e-6) break;
+        s -= dx / d;
+      }
+      let low = 0;
+      let high = 1;
+      s = t;
+      for (let i = 0; i < 40; i++) {
+        if (bezier(x1, x2, s) < t) low = s; else high = s;
+        s = (low + high) / 2;
+      }
+      return bezier(y1, y2, s);
+    };
+  }
+  
+  /**
+   * Read the control points from a "cubic-bezier(x1, y1, x2, y2)" spec
+   * @param {string} spec - Curve spec
+   * @returns {number[]|null} [x1, y1, x2, y2], or null if it isn't a valid Bézier spec
+   *   (x values must lie in 0-1 so the curve stays a function of time)
+   */
+  static parseBezier(spec) {
+    const match = /^\s*cubic-bezier\(([^)]*)\)\s*$/i.exec(String(spec || ''));
+    if (!match) return null;
+    
+    const values = match[1].split(',').map(part => part.trim() === '' ? NaN : Number(part));
+    if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+    if (values[0] < 0 || values[0] > 1 || values[2] < 0 || values[2] > 1) return null;
+    return values;
+  }
+  
+  /**
+   * Check a timing curve spec can be used
+   * @param {string} spec - Curve name or "cubic-bezier(...)"
+   * @returns {boolean}
+   */
+  static isValid(spec) {
+    return EASING.CURVES.includes(spec) || Easing.parseBezier(spec) !== null;
+  }
+  
+  /**
+   * Get the function for a timing curve spec
+   * @param {string} spec - Curve name or "cubic-bezier(...)"
+   * @returns {Function} t → eased value (linear for unknown specs)
+   */
+  static get(spec) {
+    if (EASING.CURVES.includes(spec)) return Easing[spec];
+    
+    const points = Easing.parseBezier(spec);
+    if (!points) return Easing.linear;
+    
+    // Keyed by the numbers, so spacing and formatting don't add entries
+    const key = points.join(',');
+    if (!bezierCache.has(key)) {
+      if (bezierCache.size >= EASING.BEZIER_CACHE_SIZE) {
+        bezierCache.delete(bezierCache.keys().next().value); // Oldest first
+      }
+      bezierCache.set(key, Easing.cubicBezier(...points));
+    }
+    return bezierCache.get(key);
+  }
+  
+  /**
+   * Find when a timing curve first reaches a value
+   * Scans for the first step that crosses it, then bisects, so curves that
+   * overshoot give the earliest crossing
+   * @param {Function} ease - Easing function
+   * @param {number} value - Eased value to find
+   * @returns {number} t (0 to 1); 1 if the curve never reaches the value
+   */
+  static invert(ease, value) {
+    if (ease === Easing.linear) return Math.max(0, Math.min(1, value));
+    if (value <= ease(0)) return 0;
+    
+    const samples = EASING.INVERT_SAMPLES;
+    let previous = 0;
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      if (ease(t) >= value) {
+        let low = previous;
+        let high = t;
+        for (let j = 0; j < 40; j++) {
+          const mid = (low + high) / 2;
+          if (ease(mid) < value) low = mid; else high = mid;
+        }
+        return high;
+      }
+      previous = t;
+    }
+    return 1;
+  }
 }
@@ -0,0 +1,39 @@
+/**
+ * File download helpers
+ * Triggers browser downloads for generated content (projects, exports)
+ */
+export class FileDownload {
+  /**
+   * Download a Blob as a file
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   */
+  static download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Revoke after the click has been handled so the download can start
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  
+  /**
+   * Make a user-supplied name safe to use as a file name
+   * @param {string} name - Raw name
+   * @param {string} fallback - Used when nothing usable remains
+   * @returns {string} File-system safe name (no extension)
+   */
+  static sanitizeFilename(name, fallback = 'route') {
+    const cleaned = String(name || '')
+      .trim()
+      .replace(/[\\/:*?"<>|\x00-\x1F]+/g, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/^[.\-\s]+|[.\-\s]+$/g, '');
+    return cleaned || fallback;
+  }
+}
@@ -0,0 +1,139 @@
+import { LINE_EFFECTS } from '../config/constants.js';
+
+/**
+ * Parse a hex colour
+ * @param {string} color - '#rgb' or '#rrggbb'
+ * @returns {number[]|null} [r, g, b] (0-255), or null if it isn't hex
+ */
+function parseHex(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!match) return null;
+  
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Group consecutive pieces that fall in the same band
+ * @param {number} from - First point
+ * @param {number} to - Last point
+ * @param {Function} stepOf - Band of the piece ending at point i
+ * @returns {Array<{from: number, to: number, step: number}>}
+ */
+function groupPieces(from, to, stepOf) {
+  const bands = [];
+  let band = null;
+  for (let i = from + 1; i <= to; i++) {
+    const step = stepOf(i);
+    if (band && band.step === step) {
+      band.to = i;
+    } else {
+      band = { from: i - 1, to: i, step };
+      bands.push(band);
+    }
+  }
+  return bands;
+}
+
+/**
+ * Per-segment line effects shared by canvas rendering and SVG export
+ *   marchingAnts - dashes crawl along the line once the head has passed
+ *   gradientMode - 'colors' fades to gradientColor over the segment,
+ *                  'blend' fades into the next segment's colour
+ *   cometTail    - only this much line (pixels) trails the head, fading out
+ *   casingWidth  - outline (casingColor) on each side, under the line
+ *   glow         - blur (pixels) in the line's colour, under the line
+ * Gradients and comet tails are drawn as bands of pieces, each band one
+ * colour or opacity. A piece's band depends only on its distance along the
+ * path, so drawing a run in several steps matches drawing it in one.
+ */
+export class LineEffects {
+  /**
+   * Read a waypoint's line effects
+   * @param {Object} controller - Waypoint (or fallback style) controlling a segment
+   * @returns {Object|null} Effects, or null when the segment has none
+   */
+  static getEffects(controller) {
+    const effects = {
+      marchingAnts: controller.marchingAnts === true,
+      gradientMode: LINE_EFFECTS.GRADIENT_MODES.includes(controller.gradientMode) ? controller.gradientMode : 'none',
+      gradientColor: controller.gradientColor || LINE_EFFECTS.DEFAULT_GRADIENT_COLOR,
+      cometTail: controller.cometTail > 0 ? controller.cometTail : 0,
+      casingWidth: controller.casingWidth > 0 ? controller.casingWidth : 0,
+      casingColor: controller.casingColor || LINE_EFFECTS.DEFAULT_CASING_COLOR,
+      glow: controller.glow > 0 ? controller.glow : 0
+    };
+    const active = effects.marchingAnts || effects.gradientMode !== 'none' || effects.cometTail > 0 ||
+      effects.casingWidth > 0 || effects.glow > 0;
+    return active ? effects : null;
+  }
+  
+  /**
+   * Check whether effects change from frame to frame
+   * Animated runs can't be kept in a cached layer
+   * @param {Object|null} effects - From getEffects()
+   * @returns {boolean}
+   */
+  static isAnimated(effects) {
+    return !!effects && (effects.marchingAnts || effects.cometTail > 0);
+  }
+  
+  /**
+   * Mix two hex colours
+   * @param {string} from - '#rgb' or '#rrggbb'
+   * @param {string} to - '#rgb' or '#rrggbb'
+   * @param {number} t - 0 (from) to 1 (to)
+   * @returns {string} '#rrggbb', or the nearer colour when either isn't hex
+   */
+  static mixColors(from, to, t) {
+    const a = parseHex(from);
+    const b = parseHex(to);
+    if (!a || !b) return t < 0.5 ? from : to;
+    
+    return '#' + a.map((channel, i) => {
+      const value = Math.round(channel + (b[i] - channel) * t);
+      return value.toString(16).padStart(2, '0');
+    }).join('');
+  }
+  
+  /**
+   * Split part of a gradient run into single-colour bands
+   * @param {number[]} distances - Cumulative distance at each path point
+   * @param {Object} run - Run with gradient { from, to } colours
+   * @param {number} from - First point
+   * @param {number} to - Last point
+   * @returns {Array<{from: number, to: number, color: string}>}
+   */
+  static getGradientBands(distances, run, from, to) {
+    const start = distances[run.from];
+    const length = distances[run.to] - start;
+    return groupPieces(from, to, i => {
+      const middle = (distances[i - 1] + distances[i]) / 2;
+      return length > 0 ? Math.round(((middle - start) / length) * LINE_EFFECTS.GRADIENT_STEPS) : 0;
+    }).map(({ from, to, step }) => ({
+      from,
+      to,
+      color: LineEffects.mixColors(run.gradient.from, run.gradient.to, step / LINE_EFFECTS.GRADIENT_STEPS)
+    }));
+  }
+  
+  /**
+   * Split part of a comet tail run into bands, fading away from the head
+   * Pieces further than the tail behind the head are left out
+   * @param {number[]} distances - Cumulative distance at each path point
+   * @param {number} from - First point
+   * @param {number} to - Last point (at or behind the head)
+   * @param {number} head - Distance of the head along the path
+   * @param {number} tail - Tail length (pixels)
+   * @returns {Array<{from: number, to: number, alpha: number}>}
+   */
+  static getCometBands(distances, from, to, head, tail) {
+    let first = from;
+    while (first < to && head - distances[first + 1] >= tail) first++;
+    
+    return groupPieces(first, to, i => {
+      const behind = head - (distances[i - 1] + distances[i]) / 2;
+      return Math.max(1, Math.ceil((1 - behind / tail) * LINE_EFFECTS.COMET_STEPS));
+    }).map(({ from, to, step }) => ({ from, to, alpha: step / LINE_EFFECTS.COMET_STEPS }));
+  }
+}
@@ -0,0 +1,253 @@
+import { MARKERS } from '../config/constants.js';
+
+// Text and glyphs on numbered and icon markers
+const GLYPH_COLOR = '#FFFFFF';
+
+// Built-in icons: a white glyph on a circle or square badge. Glyph text and
+// polygon corners are in multiples of the marker size, centred on the waypoint
+const ICONS = {
+  info: { badge: 'circle', text: 'i' },
+  parking: { badge: 'square', text: 'P' },
+  toilets: { badge: 'square', text: 'WC', scale: 0.6 },
+  entrance: {
+    badge: 'square',
+    polygons: [
+      [[-0.7, -0.15], [-0.1, -0.15], [-0.1, -0.45], [0.3, 0], [-0.1, 0.45], [-0.1, 0.15], [-0.7, 0.15]], // Arrow
+      [[0.4, -0.65], [0.6, -0.65], [0.6, 0.65], [0.4, 0.65]] // Doorway
+    ]
+  },
+  cafe: {
+    badge: 'circle',
+    polygons: [
+      [[-0.55, -0.35], [0.35, -0.35], [0.25, 0.3], [-0.45, 0.3]], // Cup
+      [[0.33, -0.25], [0.65, -0.25], [0.65, 0.1], [0.28, 0.1], [0.3, -0.02], [0.52, -0.02], [0.52, -0.13], [0.32, -0.13]], // Handle
+      [[-0.7, 0.38], [0.5, 0.38], [0.4, 0.52], [-0.6, 0.52]] // Saucer
+    ]
+  }
+};
+
+/**
+ * Waypoint marker geometry and drawing shared by the editor and exports
+ *   dot, square, flag - plain shapes in the marker colour
+ *   number            - a circle with the major waypoint's number in it
+ *   pin               - a teardrop with its tip on the waypoint
+ *   icons             - info, parking, entrance, café and toilets badges
+ *   custom            - an uploaded image, its longest side the image size,
+ *                       centred on the waypoint or standing on it
+ * A marker is a plain description - { style, x, y, size, fill, stroke,
+ * strokeWidth, number, anchor, image, imageWidth, imageHeight } - so canvas
+ * drawing, SVG export and hit-testing all work from the same numbers.
+ */
+export class Markers {
+  /**
+   * Check whether a style is a built-in icon
+   * @param {string} style - Marker style
+   * @returns {boolean}
+   */
+  static isIcon(style) {
+    return MARKERS.ICONS.includes(style);
+  }
+  
+  /**
+   * Badge and glyph of a built-in icon
+   * @param {string} style - Icon name from MARKERS.ICONS
+   * @returns {Object|null} { badge: 'circle'|'square', text?, scale?, polygons? }
+   */
+  static getIcon(style) {
+    return ICONS[style] || null;
+  }
+  
+  /**
+   * Number the major waypoints of a route in order, from 1
+   * @param {Waypoint[]} waypoints - Route waypoints
+   * @returns {Map<Waypoint, number>}
+   */
+  static getNumbers(waypoints) {
+    const numbers = new Map();
+    waypoints.filter(wp => wp.isMajor).forEach((wp, i) => numbers.set(wp, i + 1));
+    return numbers;
+  }
+  
+  /**
+   * Font size for the text on a numbered or icon marker
+   * @param {number} size - Marker size
+   * @param {string} text - Number or icon text
+   * @param {number} scale - Icon text scale
+   * @returns {number} Pixels
+   */
+  static getFontSize(size, text, scale = 1) {
+    const fit = text.length > 2 ? 0.7 : text.length > 1 ? 0.9 : 1.2;
+    return Math.round(size * fit * scale);
+  }
+  
+  /**
+   * Pin head circle and where the pin's sides meet it
+   * The tip is on the waypoint; the sides are tangent to the head
+   * @param {number} x - Waypoint position
+   * @param {number} y - Waypoint position
+   * @param {number} size - Head radius
+   * @returns {{cx: number, cy: number, r: number, left: Object, right: Object}}
+   */
+  static getPinHead(x, y, size) {
+    // The tip is two radii below the centre, so the sides touch 60° either side of straight down
+    const cy = y - size * 2;
+    const dx = size * Math.cos(Math.PI / 6);
+    const dy = size * Math.sin(Math.PI / 6);
+    return { cx: x, cy, r: size, left: { x: x - dx, y: cy + dy }, right: { x: x + dx, y: cy + dy } };
+  }
+  
+  /**
+   * Box a custom marker image is drawn into
+   * @param {Object} marker - Marker with x, y, size, anchor and the image's natural imageWidth/imageHeight
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  static getImageBox({ x, y, size, anchor, imageWidth, imageHeight }) {
+    const longest = Math.max(imageWidth || 1, imageHeight || 1);
+    const width = size * (imageWidth || 1) / longest;
+    const height = size * (imageHeight || 1) / longest;
+    return {
+      x: x - width / 2,
+      y: anchor === 'bottom' ? y - height : y - height / 2,
+      width,
+      height
+    };
+  }
+  
+  /**
+   * Area a marker covers, for hit-testing
+   * @param {Object} marker - Marker description
+   * @returns {{left: number, top: number, right: number, bottom: number}|null} Null for 'none'
+   */
+  static getBounds(marker) {
+    const { style, x, y, size } = marker;
+    switch (style) {
+      case 'none':
+        return null;
+      case 'flag':
+        return { left: x, top: y - size * 2, right: x + size * 1.5, bottom: y + size };
+      case 'pin':
+        return { left: x - size, top: y - size * 3, right: x + size, bottom: y };
+      case 'custom': {
+        if (!marker.image && !marker.href) {
+          // Drawn as a dot until the image loads
+          return { left: x - size / 2, top: y - size / 2, right: x + size / 2, bottom: y + size / 2 };
+        }
+        const box = Markers.getImageBox(marker);
+        return { left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height };
+      }
+    }
+    return { left: x - size, top: y - size, right: x + size, bottom: y + size };
+  }
+  
+  /**
+   * Check whether a point is on a marker
+   * @param {Object} marker - Marker description
+   * @param {number} x - Canvas position
+   * @param {number} y - Canvas position
+   * @returns {boolean}
+   */
+  static contains(marker, x, y) {
+    const bounds = Markers.getBounds(marker);
+    return !!bounds && x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom;
+  }
+  
+  /**
+   * Draw a marker
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {Object} marker - Marker description; image is a loaded image for 'custom'
+   */
+  static draw(ctx, marker) {
+    const { style, x, y, size } = marker;
+    if (style === 'none') return;
+    
+    if (style === 'custom' && marker.image) {
+      const box = Markers.getImageBox(marker);
+      ctx.drawImage(marker.image, box.x, box.y, box.width, box.height);
+      return;
+    }
+    
+    ctx.fillStyle = marker.fill;
+    ctx.strokeStyle = marker.stroke || 'white';
+    ctx.lineWidth = marker.strokeWidth ?? 2;
+    ctx.beginPath();
+    
+    if (style === 'square') {
+      ctx.rect(x - size, y - size, size * 2, size * 2);
+    } else if (style === 'flag') {
+      // Pole
+      ctx.moveTo(x, y - size * 2);
+      ctx.lineTo(x, y + size);
+      // Flag
+      ctx.moveTo(x, y - size * 2);
+      ctx.lineTo(x + size * 1.5, y - size * 1.3);
+      ctx.lineTo(x + size * 1.2, y - size);
+      ctx.lineTo(x, y - size * 0.7);
+      ctx.closePath();
+    } else if (style === 'pin') {
+      const head = Markers.getPinHead(x, y, size);
+      ctx.moveTo(x, y);
+      ctx.lineTo(head.left.x, head.left.y);
+      ctx.arc(head.cx, head.cy, head.r, Math.PI * 5 / 6, Math.PI * 13 / 6);
+      ctx.closePath();
+    } else if (Markers.isIcon(style) && ICONS[style].badge === 'square') {
+      ctx.rect(x - size, y - size, size * 2, size * 2);
+    } else if (style === 'custom') {
+      // Image still loading (or missing) - a dot half the image size
+      ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+    } else {
+      // Dot, numbered and circle icons
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+    
+    if (style === 'pin') {
+      const head = Markers.getPinHead(x, y, size);
+      ctx.fillStyle = GLYPH_COLOR;
+      ctx.beginPath();
+      ctx.arc(head.cx, head.cy, head.r * 0.4, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (style === 'number' && marker.number) {
+      Markers.drawText(ctx, String(marker.number), x, y, size);
+    } else if (Markers.isIcon(style)) {
+      Markers.drawGlyph(ctx, ICONS[style], x, y, size);
+    }
+  }
+  
+  /**
+   * Draw white text centred on a marker
+   * @private
+   */
+  static drawText(ctx, text, x, y, size, scale = 1) {
+    ctx.fillStyle = GLYPH_COLOR;
+    ctx.font = `bold ${Markers.getFontSize(size, text, scale)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+  }
+  
+  /**
+   * Draw an icon's glyph on its badge
+   * @private
+   */
+  static drawGlyph(ctx, icon, x, y, size) {
+    if (icon.text) {
+      Markers.drawText(ctx, icon.text, x, y, size, icon.scale);
+      return;
+    }
+    
+    ctx.fillStyle = GLYPH_COLOR;
+    ctx.beginPath();
+    icon.polygons.forEach(corners => {
+      corners.forEach(([cx, cy], i) => {
+        if (i === 0) {
+          ctx.moveTo(x + cx * size, y + cy * size);
+        } else {
+          ctx.lineTo(x + cx * size, y + cy * size);
+        }
+      });
+      ctx.closePath();
+    });
+    ctx.fill();
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Seeded noise for path shapes and hand-drawn strokes
+ * The same seed and position always give the same value - on the main
+ * thread, in the path worker and in every export frame - so nothing drawn
+ * from it flickers or changes between renders. Only new seeds are random.
+ */
+export class Noise {
+  /**
+   * Pick a new seed (for a new waypoint, or to reshuffle one)
+   * @returns {number} Non-negative 31-bit integer
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x7fffffff);
+  }
+  
+  /**
+   * Derive a seed from a string, so the same text always gives the same seed
+   * @param {string} text - Any string (e.g. a waypoint id)
+   * @returns {number} Non-negative 31-bit integer
+   */
+  static seedFrom(text) {
+    let h = 0x811c9dc5; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (h >>> 0) & 0x7fffffff;
+  }
+  
+  /**
+   * Hash a seed and an integer into a pseudo-random number
+   * @param {number} seed - Integer seed
+   * @param {number} n - Integer position
+   * @returns {number} Value in [0, 1)
+   */
+  static random(seed, n) {
+    let h = Math.imul((seed | 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(n | 0, 0xc2b2ae35);
+    h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+    h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  }
+  
+  /**
+   * Smooth 1D value noise
+   * Random values at whole positions, eased between, so it wanders rather
+   * than jumps. Each extra octave adds detail at twice the frequency and
+   * half the strength.
+   * @param {number} seed - Integer seed
+   * @param {number} x - Position (1 = one random value per unit)
+   * @param {number} octaves - Layers of detail
+   * @returns {number} Value in [-1, 1]
+   */
+  static smooth(seed, x, octaves = 1) {
+    let total = 0;
+    let strength = 1;
+    let range = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+      const position = x * (1 << octave);
+      const i = Math.floor(position);
+      const f = position - i;
+      const u = f * f * (3 - 2 * f);
+      const a = Noise.random(seed + octave, i);
+      const b = Noise.random(seed + octave, i + 1);
+      total += (a + (b - a) * u) * 2 * strength - strength;
+      range += strength;
+      strength /= 2;
+    }
+    return total / range;
+  }
+}
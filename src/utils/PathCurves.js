@@ -0,0 +1,240 @@
+import { CatmullRom } from './CatmullRom.js';
+
+// Catmull-Rom knot spacing for each spline curve type
+const SPLINE_ALPHA = {
+  'catmull-rom': 0,
+  centripetal: 0.5,
+  chordal: 1
+};
+
+/**
+ * Uniform Catmull-Rom neighbours of a segment (ends repeat their point)
+ * @param {Array} points - Control points
+ * @param {number} i - Segment index
+ * @returns {Array<Object>} [p0, p1, p2, p3]
+ */
+function getNeighbours(points, i) {
+  const last = points.length - 1;
+  return [points[Math.max(0, i - 1)], points[i], points[i + 1], points[Math.min(last, i + 2)]];
+}
+
+/**
+ * Bézier control points of a segment
+ * Without a dragged handle, each end takes the handle that reproduces the
+ * Catmull-Rom curve at the segment's tension, so switching a segment to
+ * Bézier leaves it looking the same until a handle moves
+ * @param {Array} points - Control points
+ * @param {number} i - Segment index
+ * @param {number} tension - Segment tension
+ * @returns {Array<{x: number, y: number}>} [start, handle out, handle in, end]
+ */
+function getBezierControls(points, i, tension) {
+  const [p0, p1, p2, p3] = getNeighbours(points, i);
+  const { m1x, m1y, m2x, m2y } = CatmullRom.getTangents(p0, p1, p2, p3, 0, tension);
+  return [
+    { x: p1.x, y: p1.y },
+    p1.handleOut || { x: p1.x + m1x / 3, y: p1.y + m1y / 3 },
+    p2.handleIn || { x: p2.x - m2x / 3, y: p2.y - m2y / 3 },
+    { x: p2.x, y: p2.y }
+  ];
+}
+
+/**
+ * Arc that rounds the corner at a waypoint
+ * Only corners between two rounded segments are rounded. The radius shrinks
+ * where the legs are too short to fit it.
+ * @param {Array} points - Control points
+ * @param {Array} segments - Segment settings
+ * @param {number} w - Waypoint index
+ * @returns {Object|null} { cx, cy, radius, start, sweep } (angles in radians), or null for a sharp corner
+ */
+function getCorner(points, segments, w) {
+  if (w <= 0 || w >= points.length - 1) return null;
+  if (segments[w - 1].curve !== 'rounded' || segments[w].curve !== 'rounded') return null;
+  
+  const a = points[w - 1], b = points[w], c = points[w + 1];
+  const lengthA = Math.hypot(a.x - b.x, a.y - b.y);
+  const lengthC = Math.hypot(c.x - b.x, c.y - b.y);
+  if (lengthA < 1e-9 || lengthC < 1e-9) return null;
+  
+  const ux = (a.x - b.x) / lengthA, uy = (a.y - b.y) / lengthA;
+  const vx = (c.x - b.x) / lengthC, vy = (c.y - b.y) / lengthC;
+  const angle = Math.acos(Math.max(-1, Math.min(1, ux * vx + uy * vy)));
+  if (angle < 1e-3 || angle > Math.PI - 1e-3) return null; // Doubling back, or no turn
+  
+  const half = Math.tan(angle / 2);
+  const requested = Math.min(segments[w - 1].cornerRadius, segments[w].cornerRadius);
+  const inset = Math.min(requested / half, lengthA / 2, lengthC / 2); // Corner to where the arc starts
+  const radius = inset * half;
+  if (radius < 1e-6) return null;
+  
+  const bisector = Math.hypot(ux + vx, uy + vy);
+  const toCentre = radius / Math.sin(angle / 2);
+  const cx = b.x + ((ux + vx) / bisector) * toCentre;
+  const cy = b.y + ((uy + vy) / bisector) * toCentre;
+  
+  const start = Math.atan2(b.y + uy * inset - cy, b.x + ux * inset - cx);
+  let sweep = Math.atan2(b.y + vy * inset - cy, b.x + vx * inset - cx) - start;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+  
+  return { cx, cy, radius, start, sweep };
+}
+
+/**
+ * Piece of a rounded segment: part of a corner arc
+ * @param {Object} corner - From getCorner()
+ * @param {number} from - Share of the sweep to start at
+ * @param {number} to - Share of the sweep to end at
+ * @returns {{length: number, at: Function}}
+ */
+function arcPiece(corner, from, to) {
+  const { cx, cy, radius, start, sweep } = corner;
+  return {
+    length: radius * Math.abs(sweep) * (to - from),
+    at: f => {
+      const angle = start + sweep * (from + (to - from) * f);
+      return { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) };
+    }
+  };
+}
+
+/**
+ * Piece of a rounded segment: a straight run
+ * @param {{x: number, y: number}} a - Start
+ * @param {{x: number, y: number}} b - End
+ * @returns {{length: number, at: Function}}
+ */
+function linePiece(a, b) {
+  return {
+    length: Math.hypot(b.x - a.x, b.y - a.y),
+    at: f => ({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f })
+  };
+}
+
+/**
+ * Sample a straight segment whose ends may curve into rounded corners
+ * A rounded corner's arc is split at its middle - the point closest to the
+ * waypoint - so each segment still starts where its waypoint is reached
+ * @param {Array} points - Control points
+ * @param {Array<Object|null>} corners - Arc at each waypoint
+ * @param {number} i - Segment index
+ * @param {number} count - Points to sample
+ * @param {Array} path - Output points
+ */
+function sampleRounded(points, corners, i, count, path) {
+  const startCorner = corners[i];
+  const endCorner = corners[i + 1];
+  const pieces = [];
+  
+  let from = points[i];
+  if (startCorner) {
+    const arc = arcPiece(startCorner, 0.5, 1);
+    pieces.push(arc);
+    from = arc.at(1);
+  }
+  let to = points[i + 1];
+  let endArc = null;
+  if (endCorner) {
+    endArc = arcPiece(endCorner, 0, 0.5);
+    to = endArc.at(0);
+  }
+  pieces.push(linePiece(from, to));
+  if (endArc) pieces.push(endArc);
+  
+  const total = pieces.reduce((sum, piece) => sum + piece.length, 0);
+  let piece = 0;
+  let before = 0; // Length of the pieces already passed
+  for (let j = 0; j < count; j++) {
+    const target = (j / count) * total;
+    while (piece < pieces.length - 1 && before + pieces[piece].length <= target) {
+      before += pieces[piece].length;
+      piece++;
+    }
+    const length = pieces[piece].length;
+    path.push(pieces[piece].at(length > 0 ? (target - before) / length : 0));
+  }
+}
+
+/**
+ * Builds the dense line through a route's control points, segment by segment
+ * Each segment picks its own interpolation:
+ *   'catmull-rom' - uniform Catmull-Rom spline (the original curve)
+ *   'centripetal' - Catmull-Rom with distance-spaced knots; no cusps or loops
+ *   'chordal'     - Catmull-Rom spaced by full distance; rounder, wider bends
+ *   'rounded'     - straight lines, corners rounded at a radius (pixels)
+ *   'bezier'      - cubic Bézier through each waypoint's handles
+ * Tension scales the spline tangents (and the automatic Bézier handles).
+ *
+ * Every segment gets the same number of samples, so waypoint w is raw point
+ * w * pointsPerSegment - except where a rounded corner cuts inside its
+ * waypoint, when it's the middle of the arc.
+ */
+export class PathCurves {
+  /**
+   * Create the dense path
+   * @param {Array<{x: number, y: number, handleIn: Object|null, handleOut: Object|null}>} points -
+   *   Control points; handles are absolute positions in the same space
+   * @param {Array<{curve: string, tension: number, cornerRadius: number}>} segments -
+   *   Settings for each segment (one fewer than points)
+   * @param {number} pointsPerSegment - Samples per segment
+   * @returns {Array<{x: number, y: number}>} pointsPerSegment per segment, plus the end point
+   */
+  static createPath(points, segments, pointsPerSegment) {
+    if (points.length < 2) return [];
+    
+    const path = [];
+    const step = 1 / pointsPerSegment;
+    const corners = points.map((point, w) => getCorner(points, segments, w));
+    
+    segments.forEach(({ curve, tension }, i) => {
+      if (curve === 'rounded') {
+        sampleRounded(points, corners, i, pointsPerSegment, path);
+      } else if (curve === 'bezier') {
+        const [b0, b1, b2, b3] = getBezierControls(points, i, tension);
+        for (let j = 0; j < pointsPerSegment; j++) {
+          const t = j * step;
+          const u = 1 - t;
+          path.push({
+            x: u * u * u * b0.x + 3 * u * u * t * b1.x + 3 * u * t * t * b2.x + t * t * t * b3.x,
+            y: u * u * u * b0.y + 3 * u * u * t * b1.y + 3 * u * t * t * b2.y + t * t * t * b3.y
+          });
+        }
+      } else {
+        const [p0, p1, p2, p3] = getNeighbours(points, i);
+        const alpha = SPLINE_ALPHA[curve] ?? 0;
+        if (alpha === 0) {
+          for (let j = 0; j < pointsPerSegment; j++) {
+            path.push(CatmullRom.interpolate(p0, p1, p2, p3, j * step, tension));
+          }
+        } else {
+          const tangents = CatmullRom.getTangents(p0, p1, p2, p3, alpha, tension);
+          for (let j = 0; j < pointsPerSegment; j++) {
+            path.push(CatmullRom.hermite(p1, p2, tangents, j * step));
+          }
+        }
+      }
+    });
+    
+    const last = points[points.length - 1];
+    path.push({ x: last.x, y: last.y });
+    return path;
+  }
+  
+  /**
+   * Bézier handles around a waypoint, for drawing and dragging them
+   * @param {Array} points - Control points
+   * @param {Array} segments - Segment settings
+   * @param {number} index - Waypoint index
+   * @returns {{in: {x: number, y: number}|null, out: {x: number, y: number}|null}}
+   *   Handle positions; null where the segment on that side isn't a Bézier
+   */
+  static getHandles(points, segments, index) {
+    const before = segments[index - 1];
+    const after = segments[index];
+    return {
+      in: before?.curve === 'bezier' ? getBezierControls(points, index - 1, before.tension)[2] : null,
+      out: after?.curve === 'bezier' ? getBezierControls(points, index, after.tension)[1] : null
+    };
+  }
+}
@@ -0,0 +1,269 @@
+import { PATH_HEAD } from '../config/constants.js';
+
+// Fill for windows and wheel hubs on vehicle icons
+const ICON_DETAIL = '#FFFFFF';
+
+/**
+ * Add a closed polygon to the current path
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {number} s - Icon size (coordinates are in multiples of it)
+ * @param {Array<number[]>} corners - [x, y] pairs
+ */
+function polygon(ctx, s, corners) {
+  corners.forEach(([x, y], i) => {
+    if (i === 0) {
+      ctx.moveTo(x * s, y * s);
+    } else {
+      ctx.lineTo(x * s, y * s);
+    }
+  });
+  ctx.closePath();
+}
+
+/**
+ * Fill wheels with a light hub
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {number} s - Icon size
+ * @param {number[]} xs - Wheel centres
+ * @param {number} y - Wheel height
+ * @param {number} radius - Wheel radius
+ * @param {string} color - Tyre colour
+ */
+function wheels(ctx, s, xs, y, radius, color) {
+  [[color, radius], [ICON_DETAIL, radius * 0.4]].forEach(([fill, r]) => {
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    xs.forEach(x => {
+      ctx.moveTo((x + r) * s, y * s);
+      ctx.arc(x * s, y * s, r * s, 0, Math.PI * 2);
+    });
+    ctx.fill();
+  });
+}
+
+/**
+ * Fill window panes
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {number} s - Icon size
+ * @param {Array<number[]>} panes - [x, y, width, height] in multiples of the size
+ */
+function windows(ctx, s, panes) {
+  ctx.fillStyle = ICON_DETAIL;
+  ctx.beginPath();
+  panes.forEach(([x, y, w, h]) => ctx.rect(x * s, y * s, w * s, h * s));
+  ctx.fill();
+}
+
+// Built-in icons, each drawn facing right and centred on the head
+// (roughly -size..size on both axes)
+const ICONS = {
+  walker(ctx, s, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(0.15 * s, -0.7 * s, 0.22 * s, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.strokeStyle = color;
+    ctx.lineWidth = s / 5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(0.05 * s, -0.4 * s); // Body
+    ctx.lineTo(-0.05 * s, 0.15 * s);
+    ctx.lineTo(0.3 * s, 0.9 * s); // Front leg
+    ctx.moveTo(-0.05 * s, 0.15 * s);
+    ctx.lineTo(-0.35 * s, 0.9 * s); // Back leg
+    ctx.moveTo(0.35 * s, 0.05 * s); // Arms
+    ctx.lineTo(0.02 * s, -0.3 * s);
+    ctx.lineTo(-0.3 * s, -0.05 * s);
+    ctx.stroke();
+  },
+  
+  bike(ctx, s, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = s / 8;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    [-0.55, 0.55].forEach(x => {
+      ctx.moveTo((x + 0.4) * s, 0.45 * s);
+      ctx.arc(x * s, 0.45 * s, 0.4 * s, 0, Math.PI * 2);
+    });
+    ctx.moveTo(-0.55 * s, 0.45 * s); // Frame
+    ctx.lineTo(-0.1 * s, -0.2 * s);
+    ctx.lineTo(0.45 * s, -0.2 * s);
+    ctx.lineTo(0.55 * s, 0.45 * s);
+    ctx.moveTo(-0.1 * s, -0.2 * s);
+    ctx.lineTo(0.05 * s, 0.45 * s);
+    ctx.lineTo(-0.55 * s, 0.45 * s);
+    ctx.moveTo(0.45 * s, -0.2 * s); // Handlebar
+    ctx.lineTo(0.4 * s, -0.45 * s);
+    ctx.lineTo(0.6 * s, -0.5 * s);
+    ctx.moveTo(-0.25 * s, -0.3 * s); // Saddle
+    ctx.lineTo(0.0 * s, -0.3 * s);
+    ctx.stroke();
+  },
+  
+  car(ctx, s, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    polygon(ctx, s, [[-1, 0.35], [-1, -0.05], [-0.55, -0.15], [-0.3, -0.55], [0.35, -0.55], [0.6, -0.15], [1, -0.05], [1, 0.35]]);
+    ctx.fill();
+    
+    ctx.fillStyle = ICON_DETAIL;
+    ctx.beginPath();
+    polygon(ctx, s, [[-0.42, -0.15], [-0.24, -0.45], [0, -0.45], [0, -0.15]]);
+    polygon(ctx, s, [[0.08, -0.15], [0.08, -0.45], [0.3, -0.45], [0.48, -0.15]]);
+    ctx.fill();
+    wheels(ctx, s, [-0.55, 0.55], 0.38, 0.22, color);
+  },
+  
+  bus(ctx, s, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.rect(-s, -0.65 * s, 2 * s, 1.05 * s);
+    ctx.fill();
+    
+    windows(ctx, s, [[-0.9, -0.5, 0.35, 0.3], [-0.45, -0.5, 0.35, 0.3], [0, -0.5, 0.35, 0.3], [0.45, -0.5, 0.45, 0.45]]);
+    wheels(ctx, s, [-0.6, 0.6], 0.42, 0.2, color);
+  },
+  
+  train(ctx, s, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    polygon(ctx, s, [[-1, 0.4], [-1, -0.55], [0.5, -0.55], [1, -0.1], [1, 0.4]]);
+    ctx.fill();
+    
+    windows(ctx, s, [[-0.85, -0.4, 0.3, 0.3], [-0.4, -0.4, 0.3, 0.3], [0.05, -0.4, 0.3, 0.3]]);
+    wheels(ctx, s, [-0.65, -0.1, 0.55], 0.5, 0.15, color);
+  },
+  
+  plane(ctx, s, color) {
+    // Seen from above, nose to the right
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(s, 0);
+    ctx.quadraticCurveTo(0.8 * s, -0.15 * s, 0.5 * s, -0.12 * s);
+    ctx.lineTo(-0.8 * s, -0.1 * s);
+    ctx.lineTo(-s, 0);
+    ctx.lineTo(-0.8 * s, 0.1 * s);
+    ctx.lineTo(0.5 * s, 0.12 * s);
+    ctx.quadraticCurveTo(0.8 * s, 0.15 * s, s, 0);
+    ctx.closePath();
+    [1, -1].forEach(side => {
+      polygon(ctx, s, [[0.25, -0.1 * side], [-0.15, -0.9 * side], [-0.35, -0.9 * side], [-0.15, -0.1 * side]]); // Wing
+      polygon(ctx, s, [[-0.65, -0.08 * side], [-0.85, -0.45 * side], [-0.97, -0.45 * side], [-0.88, -0.05 * side]]); // Tail
+    });
+    ctx.fill();
+  }
+};
+
+/**
+ * Point at a distance along a path
+ * @param {Array<{x: number, y: number}>} points - Path points
+ * @param {number[]} distances - Cumulative distance at each point
+ * @param {number} distance - Distance along the path (clamped to its ends)
+ * @returns {{x: number, y: number}}
+ */
+function pointAtDistance(points, distances, distance) {
+  const last = points.length - 1;
+  if (distance <= 0) return points[0];
+  if (distance >= distances[last]) return points[last];
+  
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (distances[mid] <= distance) lo = mid; else hi = mid;
+  }
+  const span = distances[hi] - distances[lo];
+  const t = span > 0 ? (distance - distances[lo]) / span : 0;
+  return {
+    x: points[lo].x + (points[hi].x - points[lo].x) * t,
+    y: points[lo].y + (points[hi].y - points[lo].y) * t
+  };
+}
+
+/**
+ * Path head placement and drawing shared by the editor and exports
+ *   Heading  - the path direction at the head, optionally averaged over a
+ *              stretch of path so the head turns smoothly round tight corners
+ *   Rotation - 'follow' turns with the heading, 'upright' never turns, and
+ *              'flip' turns but mirrors instead of going upside down when
+ *              heading left
+ *   Icons    - vector vehicles and a walker, drawn facing right
+ *   Sprites  - a sheet of frames side by side, stepped by distance travelled
+ *              so a walking figure's stride matches its speed and stands
+ *              still while paused
+ */
+export class PathHead {
+  /**
+   * Check whether a style is a built-in icon
+   * @param {string} style - Path head style
+   * @returns {boolean}
+   */
+  static isIcon(style) {
+    return PATH_HEAD.ICONS.includes(style);
+  }
+  
+  /**
+   * Direction of travel at a path point
+   * @param {Array<{x: number, y: number}>} points - Path points
+   * @param {number[]} distances - Cumulative distance at each point
+   * @param {number} index - Point the head is at
+   * @param {number} smoothing - Path length to average over (pixels, 0 = the last piece only)
+   * @returns {number} Heading in radians (0 = right)
+   */
+  static getHeading(points, distances, index, smoothing = 0) {
+    if (points.length < 2) return 0;
+    
+    if (smoothing > 0) {
+      const here = distances[index];
+      const behind = pointAtDistance(points, distances, here - smoothing / 2);
+      const ahead = pointAtDistance(points, distances, here + smoothing / 2);
+      if (behind.x !== ahead.x || behind.y !== ahead.y) {
+        return Math.atan2(ahead.y - behind.y, ahead.x - behind.x);
+      }
+    }
+    
+    const from = points[Math.max(0, index - 1)];
+    const to = points[Math.max(1, index)];
+    return Math.atan2(to.y - from.y, to.x - from.x);
+  }
+  
+  /**
+   * Turn a heading into the head's rotation for a rotation mode
+   * @param {number} heading - Direction of travel (radians)
+   * @param {string} mode - 'follow' | 'upright' | 'flip'
+   * @returns {{rotation: number, flip: boolean}} flip mirrors the head left to right
+   */
+  static getPose(heading, mode) {
+    if (mode === 'upright') return { rotation: 0, flip: false };
+    if (mode === 'flip' && Math.cos(heading) < 0) {
+      return { rotation: heading - Math.PI, flip: true };
+    }
+    return { rotation: heading, flip: false };
+  }
+  
+  /**
+   * Sprite sheet frame for the distance travelled
+   * @param {number} distance - Distance along the path (pixels)
+   * @param {number} frames - Frames in the sheet
+   * @returns {number} Frame index
+   */
+  static getSpriteFrame(distance, frames) {
+    if (!(frames > 1)) return 0;
+    return Math.floor(Math.max(0, distance) / PATH_HEAD.SPRITE_STEP) % frames;
+  }
+  
+  /**
+   * Draw a built-in icon at the origin, facing right
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into (already placed and rotated)
+   * @param {string} style - Icon name from PATH_HEAD.ICONS
+   * @param {number} size - Head size (the icon spans about twice this)
+   * @param {string} color - Icon colour
+   */
+  static drawIcon(ctx, style, size, color) {
+    ICONS[style]?.(ctx, size, color);
+  }
+}
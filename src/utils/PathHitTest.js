@@ -0,0 +1,53 @@
+/**
+ * Hit-testing points against a drawn path, for inserting waypoints mid-route
+ *   nearestPoint   - the closest spot on a polyline and how far along it is,
+ *                    as a fractional point index (2.5 = halfway from point 2 to 3)
+ *   getInsertIndex - which waypoint array slot that spot falls in, from the
+ *                    path point index each waypoint is reached at
+ * Works in whatever space the points are in; callers pass layout points and
+ * scale their click radius by the zoom.
+ */
+export class PathHitTest {
+  /**
+   * Find the closest point on a polyline
+   * @param {Array<{x: number, y: number}>} points - Path points
+   * @param {number} x - Point to test
+   * @param {number} y - Point to test
+   * @returns {{x: number, y: number, position: number, distance: number}|null} Null for fewer than 2 points
+   */
+  static nearestPoint(points, x, y) {
+    if (points.length < 2) return null;
+    
+    let best = null;
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+      const px = a.x + dx * t;
+      const py = a.y + dy * t;
+      const distance = Math.hypot(x - px, y - py);
+      if (!best || distance < best.distance) {
+        best = { x: px, y: py, position: i + t, distance };
+      }
+    }
+    return best;
+  }
+  
+  /**
+   * Array index a new waypoint at a path position should be inserted at
+   * Always between two existing waypoints, never before the first or after the last
+   * @param {number[]} waypointIndices - Path point index reached at each waypoint (ascending)
+   * @param {number} position - Fractional path point index, from nearestPoint()
+   * @returns {number} Index to insert at (1 to waypointIndices.length - 1)
+   */
+  static getInsertIndex(waypointIndices, position) {
+    const last = waypointIndices.length - 1;
+    for (let i = 1; i < last; i++) {
+      if (position < waypointIndices[i]) return i;
+    }
+    return Math.max(1, last);
+  }
+}
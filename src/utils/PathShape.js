@@ -0,0 +1,98 @@
+import { NOISE } from '../config/constants.js';
+import { Noise } from './Noise.js';
+
+/**
+ * Path shape geometry shared by canvas rendering and SVG export
+ * Every piece is a pure function of its point index (and sketch strokes of
+ * their waypoint's noise seed), so the route looks the same on screen, in
+ * every exported frame and in vector output
+ */
+
+// Dash patterns per segment style (canvas setLineDash / SVG stroke-dasharray)
+const DASH_PATTERNS = {
+  solid: [],
+  dotted: [2, 6],
+  dashed: [10, 5],
+  squiggle: [5, 3, 2, 3], // Approximated with dashed pattern
+  sketchy: [] // Drawn as overlapping wobbly strokes (see getSketchPoints)
+};
+
+const SQUIGGLE_OFFSET = 0.15; // Perpendicular control offset for 'squiggle'
+
+export class PathShape {
+  /**
+   * Get the dash pattern for a segment style
+   * @param {string} style - 'solid' | 'dotted' | 'dashed' | 'squiggle' | 'sketchy'
+   * @returns {number[]} Dash lengths (empty for solid)
+   */
+  static getDashPattern(style) {
+    return DASH_PATTERNS[style] || DASH_PATTERNS.solid;
+  }
+  
+  /**
+   * Get the drawn piece between two consecutive path points
+   * 'randomised' points were already moved by the path calculation, so they
+   * are joined like a plain line
+   * @param {string} shape - 'line' | 'squiggle' | 'randomised'
+   * @param {{x: number, y: number}} p1 - Previous path point
+   * @param {{x: number, y: number}} p2 - Current path point
+   * @param {number} index - Index of p2 in the path (seeds the shape)
+   * @returns {{start: Object, control: Object|null, end: Object}}
+   *   control is set for quadratic curves, null for straight lines
+   */
+  static getPiece(shape, p1, p2, index) {
+    if (shape === 'squiggle') {
+      // Wavy path using a perpendicular control point
+      const perpX = -(p2.y - p1.y) * SQUIGGLE_OFFSET;
+      const perpY = (p2.x - p1.x) * SQUIGGLE_OFFSET;
+      const wave = Math.sin(index * 0.5) * 0.5;
+      return {
+        start: { x: p1.x, y: p1.y },
+        control: {
+          x: (p1.x + p2.x) / 2 + perpX * wave,
+          y: (p1.y + p2.y) / 2 + perpY * wave
+        },
+        end: { x: p2.x, y: p2.y }
+      };
+    }
+    
+    // Default line
+    return {
+      start: { x: p1.x, y: p1.y },
+      control: null,
+      end: { x: p2.x, y: p2.y }
+    };
+  }
+  
+  /**
+   * Points of one stroke of a 'sketchy' line
+   * Each pass wobbles the path sideways by its own seeded noise, measured
+   * from the start of the run, so a run drawn a few points at a time
+   * matches one drawn in one go
+   * @param {Array<{x: number, y: number}>} points - Path points
+   * @param {number[]} distances - Path length at each point
+   * @param {number} from - First point
+   * @param {number} to - Last point
+   * @param {Object} noise - { seed, roughness, frequency, start } - start is the
+   *   path length where the run begins
+   * @param {number} pass - Stroke number (0 to NOISE.SKETCH_PASSES - 1)
+   * @returns {Array<{x: number, y: number}>} One point per path point from `from` to `to`
+   */
+  static getSketchPoints(points, distances, from, to, noise, pass) {
+    const { seed, roughness, frequency, start } = noise;
+    const seedForPass = seed + pass * 7919;
+    const last = points.length - 1;
+    const sketch = [];
+    for (let i = from; i <= to; i++) {
+      const a = points[Math.max(0, i - 1)];
+      const b = points[Math.min(last, i + 1)];
+      const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      const offset = Noise.smooth(seedForPass, (distances[i] - start) * frequency, NOISE.OCTAVES) * roughness / 2;
+      sketch.push({
+        x: points[i].x - ((b.y - a.y) / length) * offset,
+        y: points[i].y + ((b.x - a.x) / length) * offset
+      });
+    }
+    return sketch;
+  }
+}
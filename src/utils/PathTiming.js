@@ -0,0 +1,198 @@
+import { EASING } from '../config/constants.js';
+import { Easing } from './Easing.js';
+
+/**
+ * Interpolate across time map breakpoints
+ * Each breakpoint's easing shapes the leg that ends at it. Where several
+ * breakpoints share a value, the first one wins.
+ * @param {Array<Object>} points - Breakpoints in ascending order of `from`
+ * @param {number} value - Value to look up
+ * @param {string} from - Key being looked up ('time' or 'progress')
+ * @param {string} to - Key being returned
+ * @returns {number}
+ */
+function interpolate(points, value, from, to) {
+  const index = points.findIndex(point => point[from] >= value);
+  if (index === -1) return points[points.length - 1][to];
+  if (index === 0) return points[0][to];
+  
+  const a = points[index - 1];
+  const b = points[index];
+  const span = b[from] - a[from];
+  if (span <= 0) return b[to];
+  
+  const ease = Easing.get(b.easing);
+  const local = (value - a[from]) / span;
+  // Time runs along the curve's input, progress along its output
+  const t = from === 'time' ? ease(local) : Easing.invert(ease, local);
+  return a[to] + t * (b[to] - a[to]);
+}
+
+/**
+ * Waypoint timing along a calculated path
+ * Path points are evenly spaced in time (corner slowing packs them closer
+ * on bends), so a point's index is when the head reaches it. The timing
+ * table records which point each waypoint landed on and how far along the
+ * route every point is, so pauses, labels, beacons and segment styles all
+ * trigger exactly where the head is drawn.
+ *
+ * Timing shape:
+ * {
+ *   waypointIndices: number[], // Path point index reached at each waypoint
+ *   distances: number[]        // Path length (px) from the start to each point
+ * }
+ *
+ * Legs with their own speed or a fixed duration stretch parts of a route's
+ * time. A time map records that as [{ time, progress }] breakpoints from the
+ * share of the route's time elapsed (0-1) to the path progress reached.
+ */
+export class PathTiming {
+  /**
+   * Build timing for a path calculated without one
+   * Waypoints are spread evenly by index - only a fallback, since real
+   * segments take time in proportion to their (corner-slowed) length
+   * @param {Array<{x: number, y: number}>} pathPoints - Calculated path
+   * @param {number} waypointCount - Number of waypoints the path runs through
+   * @returns {{waypointIndices: number[], distances: number[]}}
+   */
+  static fromPath(pathPoints, waypointCount) {
+    const lastPoint = Math.max(0, pathPoints.length - 1);
+    const segments = Math.max(1, waypointCount - 1);
+    const waypointIndices = [];
+    for (let w = 0; w < waypointCount; w++) {
+      waypointIndices.push(Math.round((w / segments) * lastPoint));
+    }
+    return { waypointIndices, distances: PathTiming.getCumulativeDistances(pathPoints) };
+  }
+  
+  /**
+   * Running path length at each point
+   * @param {Array<{x: number, y: number}>} pathPoints - Path points
+   * @returns {number[]} One distance per point, starting at 0
+   */
+  static getCumulativeDistances(pathPoints) {
+    const distances = [];
+    let total = 0;
+    pathPoints.forEach((point, i) => {
+      if (i > 0) {
+        total += Math.hypot(point.x - pathPoints[i - 1].x, point.y - pathPoints[i - 1].y);
+      }
+      distances.push(total);
+    });
+    return distances;
+  }
+  
+  /**
+   * Progress (0-1) at which the head reaches a waypoint
+   * @param {Object} timing - Timing table
+   * @param {number} waypointIndex - Waypoint index in the route
+   * @returns {number}
+   */
+  static getWaypointProgress(timing, waypointIndex) {
+    const lastPoint = timing.distances.length - 1;
+    if (lastPoint <= 0) return 0;
+    return timing.waypointIndices[waypointIndex] / lastPoint;
+  }
+  
+  /**
+   * Index of the path point the head has reached
+   * @param {Object} timing - Timing table
+   * @param {number} progress - Route progress (0-1)
+   * @returns {number}
+   */
+  static getPointIndexAtProgress(timing, progress) {
+    const lastPoint = Math.max(0, timing.distances.length - 1);
+    const clamped = Math.max(0, Math.min(1, progress));
+    // Tolerance keeps a waypoint's own progress from rounding down onto the point before it
+    return Math.min(lastPoint, Math.floor(clamped * lastPoint + 1e-9));
+  }
+  
+  /**
+   * Segment the head is in at a progress value
+   * A head sitting exactly on a waypoint is at the start of the next segment
+   * @param {Object} timing - Timing table
+   * @param {number} progress - Route progress (0-1)
+   * @returns {number} Segment index, or -1 without segments
+   */
+  static getSegmentAtProgress(timing, progress) {
+    const segments = timing.waypointIndices.length - 1;
+    if (segments < 1) return -1;
+    
+    const lastPoint = Math.max(0, timing.distances.length - 1);
+    const position = Math.max(0, Math.min(1, progress)) * lastPoint + 1e-9;
+    let segment = 0;
+    while (segment < segments - 1 && timing.waypointIndices[segment + 1] <= position) {
+      segment++;
+    }
+    return segment;
+  }
+  
+  /**
+   * Segment for every drawn piece of the path
+   * Entry i is the segment of the piece ending at point i (entry 0 is unused)
+   * @param {Object} timing - Timing table
+   * @returns {number[]} One segment index per path point
+   */
+  static getPointSegments(timing) {
+    const segments = Math.max(1, timing.waypointIndices.length - 1);
+    const pointSegments = new Array(timing.distances.length).fill(0);
+    let segment = 0;
+    for (let i = 1; i < pointSegments.length; i++) {
+      while (segment < segments - 1 && timing.waypointIndices[segment + 1] < i) {
+        segment++;
+      }
+      pointSegments[i] = segment;
+    }
+    return pointSegments;
+  }
+  
+  /**
+   * Build a route's time map from its timed legs
+   * @param {Array<{end: number, duration: number, easing: string}>} legs - In order: path
+   *   progress where each leg ends, the time (ms) it takes and its timing curve (optional)
+   * @returns {{duration: number, timeMap: Array<{time: number, progress: number, easing: string}>|null}}
+   *   Total duration (ms) and the map (null if the route takes no time)
+   */
+  static buildTimeMap(legs) {
+    const duration = legs.reduce((total, leg) => total + leg.duration, 0);
+    if (duration <= 0) return { duration: 0, timeMap: null };
+    
+    const timeMap = [{ time: 0, progress: 0 }];
+    let elapsed = 0;
+    legs.forEach(leg => {
+      elapsed += leg.duration;
+      timeMap.push({ time: elapsed / duration, progress: leg.end, easing: leg.easing || EASING.DEFAULT_CURVE });
+    });
+    return { duration, timeMap };
+  }
+  
+  /**
+   * Path progress reached after a share of the route's time
+   * @param {Array<{time: number, progress: number}>} timeMap - From buildTimeMap()
+   * @param {number} time - Share of the route's time (0-1)
+   * @returns {number} Path progress (0-1)
+   */
+  static timeToProgress(timeMap, time) {
+    return interpolate(timeMap, time, 'time', 'progress');
+  }
+  
+  /**
+   * Share of the route's time taken to reach a path progress
+   * @param {Array<{time: number, progress: number}>} timeMap - From buildTimeMap()
+   * @param {number} progress - Path progress (0-1)
+   * @returns {number} Share of the route's time (0-1) when it is first reached
+   *   (a leg whose curve overshoots can pass the same point more than once)
+   */
+  static progressToTime(timeMap, progress) {
+    return interpolate(timeMap, progress, 'progress', 'time');
+  }
+  
+  /**
+   * Total path length
+   * @param {Object} timing - Timing table
+   * @returns {number} Length in pixels
+   */
+  static getLength(timing) {
+    return timing.distances.length > 0 ? timing.distances[timing.distances.length - 1] : 0;
+  }
+}
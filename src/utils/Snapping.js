@@ -0,0 +1,111 @@
+import { SNAPPING } from '../config/constants.js';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Snapping for waypoints being added or dragged
+ *   grid      - to the nearest grid crossing, spaced in background image pixels
+ *   angle     - along 15° or 45° rays from the previous waypoint (Shift-drag)
+ *   waypoints - onto another waypoint, or lined up with one horizontally or
+ *               vertically, so corridors come out straight
+ *   path      - onto an existing route line
+ * The helpers are plain geometry in whatever space they're given; the app
+ * snaps in screen pixels so the reach feels the same at every zoom, and in
+ * image pixels for the grid so it stays fixed to the map.
+ */
+export class Snapping {
+  /**
+   * Create snapping settings, filling gaps and out-of-range values with defaults
+   * @param {Object} data - Saved settings (optional)
+   * @returns {{grid: boolean, gridSize: number, angleStep: number, waypoints: boolean, path: boolean}}
+   */
+  static createSettings(data = {}) {
+    const gridSize = Number(data?.gridSize);
+    return {
+      grid: data?.grid === true,
+      gridSize: Number.isFinite(gridSize) && gridSize > 0
+        ? clamp(gridSize, SNAPPING.MIN_GRID_SIZE, SNAPPING.MAX_GRID_SIZE)
+        : SNAPPING.DEFAULT_GRID_SIZE,
+      angleStep: SNAPPING.ANGLE_STEPS.includes(data?.angleStep) ? data.angleStep : SNAPPING.DEFAULT_ANGLE_STEP,
+      waypoints: data?.waypoints === true,
+      path: data?.path === true
+    };
+  }
+  
+  /**
+   * Snap a point to the nearest grid crossing
+   * @param {number} x - Point to snap
+   * @param {number} y - Point to snap
+   * @param {number} size - Grid spacing
+   * @returns {{x: number, y: number}}
+   */
+  static toGrid(x, y, size) {
+    return { x: Math.round(x / size) * size, y: Math.round(y / size) * size };
+  }
+  
+  /**
+   * Constrain a point to the nearest angle step from an anchor
+   * The point keeps its distance along the chosen ray
+   * @param {{x: number, y: number}} anchor - Previous waypoint
+   * @param {number} x - Point to constrain
+   * @param {number} y - Point to constrain
+   * @param {number} step - Angle step in degrees
+   * @returns {{x: number, y: number, angle: number}} angle in degrees (0 = right, 90 = down)
+   */
+  static constrainAngle(anchor, x, y, step) {
+    const dx = x - anchor.x;
+    const dy = y - anchor.y;
+    const angle = Math.round((Math.atan2(dy, dx) * 180 / Math.PI) / step) * step;
+    const radians = angle * Math.PI / 180;
+    const distance = dx * Math.cos(radians) + dy * Math.sin(radians);
+    return {
+      x: anchor.x + Math.cos(radians) * distance,
+      y: anchor.y + Math.sin(radians) * distance,
+      angle: ((angle % 360) + 360) % 360
+    };
+  }
+  
+  /**
+   * Snap a point onto the nearest of several points within reach
+   * @param {number} x - Point to snap
+   * @param {number} y - Point to snap
+   * @param {Array<{x: number, y: number}>} points - Candidates
+   * @param {number} radius - Reach
+   * @returns {{x: number, y: number}|null} The candidate, or null if none is close enough
+   */
+  static toPoint(x, y, points, radius) {
+    let best = null;
+    let bestDistance = radius;
+    points.forEach(point => {
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance <= bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+  
+  /**
+   * Line a point up with the nearest other point on each axis
+   * @param {number} x - Point to align
+   * @param {number} y - Point to align
+   * @param {Array<{x: number, y: number}>} points - Candidates
+   * @param {number} radius - Reach on each axis
+   * @returns {{x: number, y: number, alignX: Object|null, alignY: Object|null}} alignX is the
+   *   point sharing the new x (a vertical guide), alignY the one sharing the new y
+   */
+  static align(x, y, points, radius) {
+    let alignX = null;
+    let alignY = null;
+    points.forEach(point => {
+      if (Math.abs(point.x - x) <= radius && (!alignX || Math.abs(point.x - x) < Math.abs(alignX.x - x))) {
+        alignX = point;
+      }
+      if (Math.abs(point.y - y) <= radius && (!alignY || Math.abs(point.y - y) < Math.abs(alignY.y - y))) {
+        alignY = point;
+      }
+    });
+    return { x: alignX ? alignX.x : x, y: alignY ? alignY.y : y, alignX, alignY };
+  }
+}
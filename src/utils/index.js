@@ -2,5 +2,17 @@
  * Barrel export for utility functions
  */
 
+export { AutoRoute } from './AutoRoute.js';
 export { CatmullRom } from './CatmullRom.js';
 export { Easing } from './Easing.js';
+export { FileDownload } from './FileDownload.js';
+export { LineEffects } from './LineEffects.js';
+export { Markers } from './Markers.js';
+export { Noise } from './Noise.js';
+export { PathCurves } from './PathCurves.js';
+export { PathHitTest } from './PathHitTest.js';
+export { PathHead } from './PathHead.js';
+export { PathPipeline } from './PathPipeline.js';
+export { PathShape } from './PathShape.js';
+export { PathTiming } from './PathTiming.js';
+export { Snapping } from './Snapping.js';
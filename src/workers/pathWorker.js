@@ -1,220 +1,65 @@
 /**
  * Web Worker for heavy path calculations
- * Offloads Catmull-Rom spline interpolation to a separate thread
+ * Runs the same pipeline as PathCalculator (utils/PathPipeline.js) off the
+ * main thread and transfers the typed-array result back without copying.
+ *
+ * Messages in:
+ *   { type: 'calculate-path', id, data: { points, options } } - points from PathPipeline.toControlPoints()
+ *   { type: 'cancel', id }                                     - drop a request that hasn't started
+ * Messages out:
+ *   { type: 'path-calculated', id, data: result }
+ *   { type: 'path-cancelled', id }                            - a cancelled request was skipped
+ *   { type: 'error', id, error: message }
+ * Every request gets exactly one reply.
  */
 
-// Import path calculation logic
-import { CatmullRom } from '../utils/CatmullRom.js';
-import { PATH } from '../config/constants.js';
+import { PathPipeline } from '../utils/PathPipeline.js';
 
 /**
- * Calculate path through waypoints
+ * Create the worker's message handler
+ * Requests wait one task before running, so a cancel posted straight after
+ * (the waypoints changed again) arrives in time to skip the stale work
+ * @param {Function} post - Sends a reply: (message, transferList)
+ * @returns {Function} Takes each incoming message's data
  */
-function calculatePath(waypoints) {
-  if (waypoints.length < 2) {
-    return [];
-  }
+export function createMessageHandler(post) {
+  const queued = new Map(); // Request ID → data, until it runs or is cancelled
   
-  const pathPoints = [];
-  const segments = waypoints.length - 1;
-  const pointsPerSegment = PATH.POINTS_PER_SEGMENT;
-  
-  for (let i = 0; i < segments; i++) {
-    const p0 = waypoints[Math.max(0, i - 1)];
-    const p1 = waypoints[i];
-    const p2 = waypoints[i + 1];
-    const p3 = waypoints[Math.min(waypoints.length - 1, i + 2)];
+  const run = (id) => {
+    const data = queued.get(id);
+    if (!data) return; // Cancelled
+    queued.delete(id);
     
-    // Generate points for this segment
-    for (let t = 0; t <= pointsPerSegment; t++) {
-      const normalizedT = t / pointsPerSegment;
-      
-      // Skip the first point of segments after the first to avoid duplicates
-      if (i > 0 && t === 0) continue;
-      
-      // Use Catmull-Rom interpolation with configured tension
-      const point = CatmullRom.interpolate(p0, p1, p2, p3, normalizedT, PATH.DEFAULT_TENSION);
-      
-      // Add waypoint reference for later use
-      point.segmentIndex = i;
-      point.waypointStart = i;
-      point.waypointEnd = i + 1;
-      point.segmentProgress = normalizedT;
-      
-      pathPoints.push(point);
+    try {
+      const result = PathPipeline.run(data.points, data.options);
+      post({ type: 'path-calculated', data: result, id }, PathPipeline.getTransferables(result));
+    } catch (error) {
+      post({ type: 'error', error: error.message, id });
     }
-  }
-  
-  // Reparameterize for even spacing
-  const reparameterized = reparameterizePath(pathPoints);
-  
-  // Calculate cumulative distances for animation
-  calculateCumulativeDistances(reparameterized);
-  
-  // Calculate curvature for corner slowing
-  calculateCurvature(reparameterized);
-  
-  return reparameterized;
-}
-
-/**
- * Reparameterize path for even spacing
- */
-function reparameterizePath(pathPoints) {
-  if (pathPoints.length < 2) return pathPoints;
+  };
   
-  const targetSpacing = PATH.TARGET_SPACING || 2;
-  const reparameterized = [pathPoints[0]];
-  let accumulatedDistance = 0;
-  
-  for (let i = 1; i < pathPoints.length; i++) {
-    const p1 = reparameterized[reparameterized.length - 1];
-    const p2 = pathPoints[i];
-    const distance = Math.sqrt(
-      Math.pow(p2.x - p1.x, 2) + 
-      Math.pow(p2.y - p1.y, 2)
-    );
-    
-    accumulatedDistance += distance;
-    
-    // Add point if we've moved far enough
-    if (accumulatedDistance >= targetSpacing) {
-      reparameterized.push(p2);
-      accumulatedDistance = 0;
-    }
-  }
-  
-  // Always include the last point
-  const lastPoint = pathPoints[pathPoints.length - 1];
-  const lastReparam = reparameterized[reparameterized.length - 1];
-  if (lastPoint !== lastReparam) {
-    reparameterized.push(lastPoint);
-  }
-  
-  return reparameterized;
-}
-
-/**
- * Calculate cumulative distances along path
- */
-function calculateCumulativeDistances(pathPoints) {
-  let totalDistance = 0;
-  
-  for (let i = 0; i < pathPoints.length; i++) {
-    if (i === 0) {
-      pathPoints[i].distance = 0;
-      pathPoints[i].cumulativeDistance = 0;
-    } else {
-      const p1 = pathPoints[i - 1];
-      const p2 = pathPoints[i];
-      const segmentDistance = Math.sqrt(
-        Math.pow(p2.x - p1.x, 2) + 
-        Math.pow(p2.y - p1.y, 2)
-      );
-      
-      totalDistance += segmentDistance;
-      pathPoints[i].distance = segmentDistance;
-      pathPoints[i].cumulativeDistance = totalDistance;
-    }
-  }
-  
-  // Normalize cumulative distances to 0-1 range
-  if (totalDistance > 0) {
-    for (let i = 0; i < pathPoints.length; i++) {
-      pathPoints[i].normalizedDistance = pathPoints[i].cumulativeDistance / totalDistance;
-    }
-  }
-}
-
-/**
- * Calculate curvature at each point for corner slowing
- */
-function calculateCurvature(pathPoints) {
-  for (let i = 0; i < pathPoints.length; i++) {
-    if (i === 0 || i === pathPoints.length - 1) {
-      // No curvature at endpoints
-      pathPoints[i].curvature = 0;
-      pathPoints[i].speedMultiplier = 1;
-    } else {
-      const p0 = pathPoints[i - 1];
-      const p1 = pathPoints[i];
-      const p2 = pathPoints[i + 1];
-      
-      // Calculate angle change
-      const angle1 = Math.atan2(p1.y - p0.y, p1.x - p0.x);
-      const angle2 = Math.atan2(p2.y - p1.y, p2.x - p1.x);
-      let angleDiff = Math.abs(angle2 - angle1);
-      
-      // Normalize angle difference to 0-π
-      if (angleDiff > Math.PI) {
-        angleDiff = 2 * Math.PI - angleDiff;
-      }
-      
-      // Calculate curvature (0 = straight, 1 = 180° turn)
-      const curvature = angleDiff / Math.PI;
-      pathPoints[i].curvature = curvature;
-      
-      // Calculate speed multiplier for corner slowing
-      // Straight = 1.0 speed, tight corner = MIN_CORNER_SPEED
-      const minSpeed = PATH.MIN_CORNER_SPEED || 0.2;
-      const speedMultiplier = 1 - (curvature * (1 - minSpeed));
-      pathPoints[i].speedMultiplier = speedMultiplier;
-    }
-  }
-}
-
-/**
- * Handle messages from main thread
- */
-self.onmessage = function(event) {
-  const { type, data, id } = event.data;
-  
-  try {
+  return ({ type, data, id }) => {
     switch (type) {
       case 'calculate-path':
-        const pathPoints = calculatePath(data.waypoints);
-        self.postMessage({
-          type: 'path-calculated',
-          data: { pathPoints },
-          id: id
-        });
-        break;
-        
-      case 'reparameterize':
-        const reparameterized = reparameterizePath(data.pathPoints);
-        self.postMessage({
-          type: 'path-reparameterized',
-          data: { pathPoints: reparameterized },
-          id: id
-        });
+        queued.set(id, data);
+        setTimeout(() => run(id), 0);
         break;
-        
-      case 'calculate-distances':
-        calculateCumulativeDistances(data.pathPoints);
-        self.postMessage({
-          type: 'distances-calculated',
-          data: { pathPoints: data.pathPoints },
-          id: id
-        });
-        break;
-        
-      case 'calculate-curvature':
-        calculateCurvature(data.pathPoints);
-        self.postMessage({
-          type: 'curvature-calculated',
-          data: { pathPoints: data.pathPoints },
-          id: id
-        });
+      
+      case 'cancel':
+        // Already-finished requests have had their reply
+        if (queued.delete(id)) {
+          post({ type: 'path-cancelled', id });
+        }
         break;
-        
+      
       default:
-        throw new Error(`Unknown message type: ${type}`);
+        post({ type: 'error', error: `Unknown message type: ${type}`, id });
     }
-  } catch (error) {
-    self.postMessage({
-      type: 'error',
-      error: error.message,
-      id: id
-    });
-  }
-};
+  };
+}
+
+// Only wire up when actually running as a worker (tests import the handler directly)
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const handleMessage = createMessageHandler((message, transfer) => self.postMessage(message, transfer));
+  self.onmessage = (event) => handleMessage(event.data);
+}
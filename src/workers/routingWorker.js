@@ -0,0 +1,42 @@
+/**
+ * Web Worker for auto-routing
+ * Runs the A* search over a walkability mask (utils/AutoRoute.js) off the
+ * main thread, so a long search on a big map doesn't freeze the editor.
+ *
+ * Messages in:
+ *   { type: 'find-route', id, data: { mask, start, goal, tolerance } } - points in normalized image coordinates
+ * Messages out:
+ *   { type: 'route-found', id, data: points|null } - null when the mask doesn't connect them
+ *   { type: 'error', id, error: message }
+ * Every request gets exactly one reply.
+ */
+
+import { AutoRoute } from '../utils/AutoRoute.js';
+
+/**
+ * Create the worker's message handler
+ * @param {Function} post - Sends a reply
+ * @returns {Function} Takes each incoming message's data
+ */
+export function createMessageHandler(post) {
+  return ({ type, data, id }) => {
+    switch (type) {
+      case 'find-route':
+        try {
+          post({ type: 'route-found', data: AutoRoute.route(data.mask, data.start, data.goal, data.tolerance), id });
+        } catch (error) {
+          post({ type: 'error', error: error.message, id });
+        }
+        break;
+      
+      default:
+        post({ type: 'error', error: `Unknown message type: ${type}`, id });
+    }
+  };
+}
+
+// Only wire up when actually running as a worker (tests import the handler directly)
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const handleMessage = createMessageHandler((message) => self.postMessage(message));
+  self.onmessage = (event) => handleMessage(event.data);
+}
@@ -5,12 +5,44 @@
 
 // Import modules to test
 import { Waypoint } from '../src/models/Waypoint.js';
+import { Route } from '../src/models/Route.js';
 import { AnimationState } from '../src/models/AnimationState.js';
+import { AnimationEngine } from '../src/services/AnimationEngine.js';
 import { PathCalculator } from '../src/services/PathCalculator.js';
+import { PathCalculatorWithWorker } from '../src/services/PathCalculatorWithWorker.js';
 import { CoordinateTransform } from '../src/services/CoordinateTransform.js';
+import { HistoryManager } from '../src/services/HistoryManager.js';
+import { ProjectFileService } from '../src/services/ProjectFileService.js';
+import { ExportTimeline } from '../src/services/ExportTimeline.js';
+import { GifExporter } from '../src/services/GifExporter.js';
+import { PngSequenceExporter } from '../src/services/PngSequenceExporter.js';
+import { SvgExporter } from '../src/services/SvgExporter.js';
+import { GeoReference } from '../src/services/GeoReference.js';
+import { GeoFormatService } from '../src/services/GeoFormatService.js';
+import { CameraService } from '../src/services/CameraService.js';
+import { AutoRouter } from '../src/services/AutoRouter.js';
+import { RenderingService } from '../src/services/RenderingService.js';
 import { EventBus } from '../src/core/EventBus.js';
+import { ContextMenu } from '../src/controllers/ContextMenu.js';
+import { UIController } from '../src/controllers/UIController.js';
+import { InteractionHandler } from '../src/handlers/InteractionHandler.js';
+import { RoutePlotter } from '../src/main.js';
+import { INTERACTION, EASING, PATH, NOISE, LINE_EFFECTS, PATH_HEAD, MARKERS, SNAPPING, AUTO_ROUTE } from '../src/config/constants.js';
 import { Easing } from '../src/utils/Easing.js';
 import { CatmullRom } from '../src/utils/CatmullRom.js';
+import { PathCurves } from '../src/utils/PathCurves.js';
+import { PathHitTest } from '../src/utils/PathHitTest.js';
+import { LineEffects } from '../src/utils/LineEffects.js';
+import { Markers } from '../src/utils/Markers.js';
+import { PathHead } from '../src/utils/PathHead.js';
+import { Noise } from '../src/utils/Noise.js';
+import { PathShape } from '../src/utils/PathShape.js';
+import { PathTiming } from '../src/utils/PathTiming.js';
+import { PathPipeline } from '../src/utils/PathPipeline.js';
+import { Snapping } from '../src/utils/Snapping.js';
+import { AutoRoute } from '../src/utils/AutoRoute.js';
+import { createMessageHandler } from '../src/workers/pathWorker.js';
+import { createMessageHandler as createRoutingMessageHandler } from '../src/workers/routingWorker.js';
 
 // Example test suite for Waypoint model
 describe('Waypoint Model', () => {
@@ -73,6 +105,29 @@ describe('Waypoint Model', () => {
     expect(restored.imgX).toBe(0.5);
     expect(restored.imgY).toBe(0.5);
   });
+  
+  test('should keep valid path curve settings', () => {
+    const waypoint = new Waypoint({
+      segmentCurve: 'bezier',
+      segmentTension: 0,
+      cornerRadius: 35,
+      handleOut: { x: 0.1, y: -0.05 }
+    });
+    const restored = Waypoint.fromJSON(waypoint.toJSON());
+    
+    expect(restored.segmentCurve).toBe('bezier');
+    expect(restored.segmentTension).toBe(0); // Straight lines, not the default
+    expect(restored.cornerRadius).toBe(35);
+    expect(restored.handleOut).toEqual({ x: 0.1, y: -0.05 });
+    expect(restored.handleOut).not.toBe(waypoint.handleOut);
+    expect(restored.handleIn).toBeNull();
+    
+    const fallback = new Waypoint({ segmentCurve: 'wobbly', segmentTension: 3 });
+    expect(fallback.segmentCurve).toBe(PATH.DEFAULT_CURVE_TYPE);
+    expect(fallback.segmentTension).toBe(PATH.MAX_TENSION);
+    expect(new Waypoint().segmentTension).toBe(PATH.DEFAULT_TENSION);
+    expect(Waypoint.validate({ imgX: 0.5, imgY: 0.5, segmentCurve: 'wobbly' })).toBe(false);
+  });
 });
 
 // Example test suite for AnimationState
@@ -162,6 +217,30 @@ describe('PathCalculator', () => {
     expect(length).toBe(9); // 5 + 4
   });
   
+  test('should time waypoints by path length rather than index', () => {
+    const calculator = new PathCalculator();
+    const waypoints = [
+      { x: 10, y: 10, isMajor: true },
+      { x: 110, y: 10, isMajor: true },
+      { x: 1010, y: 10, isMajor: true }
+    ];
+    
+    const { pathPoints, timing } = calculator.calculatePathWithTiming(waypoints);
+    const [first, middle, last] = timing.waypointIndices;
+    
+    expect(timing.distances.length).toBe(pathPoints.length);
+    expect(first).toBe(0);
+    expect(last).toBe(pathPoints.length - 1);
+    // The short first segment gets about a tenth of the route, not half
+    expect(middle / last).toBeCloseTo(0.1, 1);
+    expect(pathPoints[middle].x).toBeCloseTo(110, -1);
+    expect(timing.distances[last]).toBeCloseTo(1000, 0);
+    
+    const majors = calculator.getMajorWaypointPositions(waypoints, timing);
+    expect(majors[1].progress).toBe(middle / last);
+    expect(calculator.findSegmentIndexForProgress(majors[1].progress, 3, timing)).toBe(1);
+  });
+  
   test('should find major waypoint positions', () => {
     const calculator = new PathCalculator();
     const waypoints = [
@@ -189,6 +268,97 @@ describe('PathCalculator', () => {
     
     expect(first).toBe(second); // Should return same cached object
   });
+  
+  test('should calculate the same path in the worker as on the main thread', async () => {
+    const waypoints = [
+      { x: 0, y: 0, imgX: 0, imgY: 0, isMajor: true, pathShape: 'randomised' },
+      { x: 120, y: 80, imgX: 0.3, imgY: 0.2, isMajor: false },
+      { x: 300, y: 20, imgX: 0.75, imgY: 0.05, isMajor: true, pathShape: 'line' },
+      { x: 400, y: 200, imgX: 1, imgY: 0.5, isMajor: true }
+    ];
+    const replies = [];
+    const handleMessage = createMessageHandler((message, transfer) => replies.push({ message, transfer }));
+    
+    handleMessage({ type: 'calculate-path', id: 1, data: { points: PathPipeline.toControlPoints(waypoints), options: {} } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    const [{ message, transfer }] = replies;
+    expect(message.type).toBe('path-calculated');
+    expect(message.data.x).toBeInstanceOf(Float32Array);
+    expect(message.data.curvature).toBeInstanceOf(Float32Array);
+    expect(message.data.waypointIndices).toBeInstanceOf(Int32Array);
+    expect(transfer).toContain(message.data.x.buffer);
+    expect(PathPipeline.toPath(message.data)).toEqual(new PathCalculator().calculatePathWithTiming(waypoints));
+  });
+  
+  test('should cancel a worker request superseded by a newer one', async () => {
+    const replies = [];
+    class FakeWorker {
+      constructor() {
+        this.handleMessage = createMessageHandler(message => {
+          replies.push(message.type);
+          this.onmessage({ data: message });
+        });
+      }
+      postMessage(message) {
+        this.handleMessage(structuredClone(message));
+      }
+      terminate() {}
+    }
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    
+    try {
+      const calculator = new PathCalculatorWithWorker();
+      const before = [{ x: 0, y: 0, isMajor: true }, { x: 100, y: 0, isMajor: true }];
+      const after = [{ x: 0, y: 0, isMajor: true }, { x: 0, y: 100, isMajor: true }];
+      
+      const stale = calculator.calculatePathWithTimingAsync(before, { key: 'route-1' });
+      const latest = calculator.calculatePathWithTimingAsync(after, { key: 'route-1' });
+      
+      expect(await stale).toBeNull();
+      expect(await latest).toEqual(calculator.calculatePathWithTiming(after));
+      // The stale request never ran
+      expect(replies).toEqual(['path-cancelled', 'path-calculated']);
+      expect(calculator.pendingRequests.size).toBe(0);
+      expect(calculator.cancelledRequests.size).toBe(0);
+      calculator.destroy();
+    } finally {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    }
+  });
+  
+  test('should forget a timed-out request the worker never answers', async () => {
+    const posted = [];
+    class SilentWorker {
+      postMessage(message) {
+        posted.push(message.type);
+      }
+      terminate() {}
+    }
+    vi.stubGlobal('Worker', SilentWorker);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.useFakeTimers();
+    
+    try {
+      const calculator = new PathCalculatorWithWorker();
+      const request = calculator.calculatePathWithTimingAsync([{ x: 0, y: 0, isMajor: true }, { x: 100, y: 0, isMajor: true }], { key: 'route-1' });
+      const result = expect(request).rejects.toThrow('timed out');
+      vi.advanceTimersByTime(5000);
+      await result;
+      
+      expect(posted).toEqual(['calculate-path', 'cancel']);
+      expect(calculator.pendingRequests.size).toBe(0);
+      expect(calculator.latestRequests.size).toBe(0);
+      expect(calculator.cancelledRequests.size).toBe(0);
+      calculator.destroy();
+    } finally {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    }
+  });
 });
 
 // Example test suite for CoordinateTransform
@@ -226,6 +396,983 @@ describe('CoordinateTransform', () => {
     expect(transform.isWithinImageBounds(400, 300)).toBe(true); // Center
     expect(transform.isWithinImageBounds(0, 0)).toBe(false); // Outside
   });
+  
+  test('should zoom around a fixed point and round-trip at any zoom', () => {
+    const transform = new CoordinateTransform();
+    transform.setCanvasDimensions(800, 600);
+    transform.setImageDimensions(1000, 1000, 'fit');
+    
+    const before = transform.canvasToImage(500, 200);
+    transform.zoomAt(3, 500, 200);
+    
+    expect(transform.getView().zoom).toBe(3);
+    const after = transform.canvasToImage(500, 200);
+    expect(after.x).toBeCloseTo(before.x, 10); // Point under the cursor stays put
+    expect(after.y).toBeCloseTo(before.y, 10);
+    
+    const canvasPos = transform.imageToCanvas(0.6, 0.4);
+    const imgPos = transform.canvasToImage(canvasPos.x, canvasPos.y);
+    expect(imgPos.x).toBeCloseTo(0.6, 10);
+    expect(imgPos.y).toBeCloseTo(0.4, 10);
+    
+    // Layout space ignores the view
+    expect(transform.imageToLayout(0.5, 0.5)).toEqual({ x: 400, y: 300 });
+  });
+  
+  test('should clamp zoom and keep the map covering the canvas', () => {
+    const transform = new CoordinateTransform();
+    transform.setCanvasDimensions(800, 600);
+    
+    transform.zoomAt(0.1, 400, 300);
+    expect(transform.isViewIdentity()).toBe(true);
+    
+    transform.zoomAt(100, 400, 300);
+    expect(transform.getView().zoom).toBe(INTERACTION.ZOOM_MAX);
+    
+    transform.resetView();
+    transform.zoomAt(2, 0, 0);
+    transform.panBy(500, 500);
+    expect(transform.getView()).toEqual({ zoom: 2, panX: 0, panY: 0 });
+    transform.panBy(-5000, -5000);
+    expect(transform.getView()).toEqual({ zoom: 2, panX: -800, panY: -600 });
+  });
+  
+  test('should frame a box for zoom-to-selection', () => {
+    const transform = new CoordinateTransform();
+    transform.setCanvasDimensions(800, 600);
+    
+    transform.zoomToBounds({ minX: 300, minY: 200, maxX: 500, maxY: 300 }, 0);
+    
+    expect(transform.getView().zoom).toBe(4);
+    expect(transform.layoutToCanvas(400, 250)).toEqual({ x: 400, y: 300 }); // Box centred
+  });
+});
+
+// Example test suite for HistoryManager
+describe('HistoryManager Service', () => {
+  
+  // Command that sets a value on a target object
+  const setCommand = (target, from, to, coalesceKey) => ({
+    label: 'set value',
+    undo: () => { target.value = from; },
+    redo: () => { target.value = to; },
+    coalesceKey
+  });
+  
+  test('should undo and redo recorded commands', () => {
+    const history = new HistoryManager();
+    const target = { value: 1 };
+    
+    history.execute(setCommand(target, 1, 2));
+    expect(target.value).toBe(2);
+    expect(history.canUndo()).toBe(true);
+    
+    history.undo();
+    expect(target.value).toBe(1);
+    expect(history.canRedo()).toBe(true);
+    
+    history.redo();
+    expect(target.value).toBe(2);
+  });
+  
+  test('should clear redo stack when a new command is recorded', () => {
+    const history = new HistoryManager();
+    const target = { value: 1 };
+    
+    history.execute(setCommand(target, 1, 2));
+    history.undo();
+    history.execute(setCommand(target, 1, 3));
+    
+    expect(history.canRedo()).toBe(false);
+  });
+  
+  test('should coalesce rapid commands with the same key', () => {
+    const history = new HistoryManager(null, { coalesceWindow: 10000 });
+    const target = { value: 0 };
+    
+    history.execute(setCommand(target, 0, 1, 'slider'));
+    history.execute(setCommand(target, 1, 2, 'slider'));
+    history.execute(setCommand(target, 2, 3, 'slider'));
+    expect(history.undoStack.length).toBe(1);
+    
+    history.undo();
+    expect(target.value).toBe(0); // Back to before the first edit
+    history.redo();
+    expect(target.value).toBe(3); // Forward to the last edit
+  });
+  
+  test('should keep the stack bounded', () => {
+    const history = new HistoryManager(null, { maxEntries: 3 });
+    const target = { value: 0 };
+    
+    for (let i = 0; i < 5; i++) {
+      history.execute(setCommand(target, i, i + 1));
+    }
+    
+    expect(history.undoStack.length).toBe(3);
+    while (history.undo()) { /* drain */ }
+    expect(target.value).toBe(2); // Oldest two steps were dropped
+  });
+  
+  test('should ignore commands recorded while undoing', () => {
+    const history = new HistoryManager();
+    const target = { value: 1 };
+    
+    history.execute({
+      label: 'nested',
+      undo: () => history.record(setCommand(target, 0, 0)),
+      redo: () => {}
+    });
+    history.undo();
+    
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(true);
+  });
+  
+  test('should emit history:changed with labels', () => {
+    const bus = new EventBus();
+    const history = new HistoryManager(bus);
+    const states = [];
+    bus.on('history:changed', (state) => states.push(state));
+    
+    history.execute(setCommand({ value: 0 }, 0, 1));
+    
+    expect(states[0]).toEqual({
+      canUndo: true,
+      canRedo: false,
+      undoLabel: 'set value',
+      redoLabel: null
+    });
+  });
+});
+
+// Example test suite for ProjectFileService
+describe('ProjectFileService', () => {
+  
+  const createState = () => ({
+    name: 'Campus tour',
+    routes: [new Route({
+      name: 'Main loop',
+      waypoints: [
+        Waypoint.createMajor(0.1, 0.2),
+        Waypoint.createMinor(0.5, 0.5),
+        Waypoint.createMajor(0.9, 0.8)
+      ]
+    })],
+    styles: { pathColor: '#FF6B6B', pathHead: { style: 'custom', image: {} } },
+    animationState: { mode: 'constant-speed', speed: 200, duration: 5000, playbackSpeed: 1 },
+    background: { overlay: -20, fit: 'fill' }
+  });
+  
+  test('should round-trip a project through JSON', () => {
+    const service = new ProjectFileService();
+    const state = createState();
+    const text = service.serialize(service.createProject(state, 'data:image/png;base64,AAAA'));
+    
+    const project = service.parse(text);
+    
+    expect(project.format).toBe('routeplot');
+    expect(project.name).toBe('Campus tour');
+    expect(project.routes.length).toBe(1);
+    expect(project.routes[0].name).toBe('Main loop');
+    expect(project.routes[0].waypoints.length).toBe(3);
+    
+    const restored = Waypoint.fromJSON(project.routes[0].waypoints[1]);
+    expect(restored.id).toBe(state.routes[0].waypoints[1].id);
+    expect(restored.isMajor).toBe(false);
+    expect(restored.imgX).toBe(0.5);
+    
+    expect(project.styles.pathHead.image).toBeNull(); // Image elements aren't saved
+    expect(project.animationState.speed).toBe(200);
+    expect(project.background).toEqual({
+      overlay: -20,
+      fit: 'fill',
+      image: 'data:image/png;base64,AAAA'
+    });
+  });
+  
+  test('should reject files that are not projects', () => {
+    const service = new ProjectFileService();
+    
+    expect(() => service.parse('not json')).toThrow('not valid JSON');
+    expect(() => service.parse('{"waypoints": []}')).toThrow('not a Route Plotter project');
+    expect(() => service.parse('{"format": "routeplot", "version": 99, "waypoints": []}'))
+      .toThrow('newer');
+  });
+  
+  test('should skip invalid waypoints and fill missing sections', () => {
+    const service = new ProjectFileService();
+    const project = service.parse(JSON.stringify({
+      format: 'routeplot',
+      version: 1,
+      waypoints: [{ imgX: 0.5, imgY: 0.5 }, { imgX: 'bad' }]
+    }));
+    
+    // Version 1 waypoint lists become the first route
+    expect(project.routes.length).toBe(1);
+    expect(project.routes[0].waypoints.length).toBe(1);
+    expect(project.waypoints).toBeUndefined();
+    expect(project.background).toEqual({ overlay: 0, fit: 'fit', image: null });
+  });
+  
+  test('should skip invalid routes', () => {
+    const service = new ProjectFileService();
+    const project = service.parse(JSON.stringify({
+      format: 'routeplot',
+      version: 2,
+      routes: [{ name: 'Ok', waypoints: [] }, { name: 'No waypoints' }]
+    }));
+    
+    expect(project.routes.map(r => r.name)).toEqual(['Ok']);
+    expect(() => service.parse('{"format": "routeplot", "version": 2}')).toThrow('no route list');
+  });
+  
+  test('should reset the unused tension saved before version 3', () => {
+    const service = new ProjectFileService();
+    const project = service.parse(JSON.stringify({
+      format: 'routeplot',
+      version: 2,
+      routes: [{ name: 'Old', waypoints: [
+        { imgX: 0.1, imgY: 0.1, segmentTension: 0.5 },
+        { imgX: 0.9, imgY: 0.9, segmentTension: 0.8 }
+      ] }]
+    }));
+    
+    expect(project.version).toBe(4);
+    expect(project.routes[0].waypoints.map(wp => wp.segmentTension)).toEqual([PATH.DEFAULT_TENSION, 0.8]);
+  });
+  
+  test('should reset the unused path head style saved before version 4', () => {
+    const service = new ProjectFileService();
+    const project = service.parse(JSON.stringify({
+      format: 'routeplot',
+      version: 3,
+      routes: [{ name: 'Old', waypoints: [
+        { imgX: 0.1, imgY: 0.1, pathHeadStyle: 'arrow' },
+        { imgX: 0.9, imgY: 0.9, pathHeadStyle: 'dot' }
+      ] }]
+    }));
+    
+    expect(project.routes[0].waypoints.map(wp => wp.pathHeadStyle)).toEqual(['default', 'dot']);
+  });
+  
+  test('should give waypoints saved without a noise seed the same one on every open', () => {
+    const service = new ProjectFileService();
+    const json = JSON.stringify({
+      format: 'routeplot',
+      version: 3,
+      routes: [{ name: 'Old', waypoints: [
+        { id: 'wp_1', imgX: 0.1, imgY: 0.1 },
+        { id: 'wp_2', imgX: 0.5, imgY: 0.5 },
+        { id: 'wp_3', imgX: 0.9, imgY: 0.9, noiseSeed: 7 }
+      ] }]
+    });
+    
+    const seeds = service.parse(json).routes[0].waypoints.map(wp => wp.noiseSeed);
+    expect(service.parse(json).routes[0].waypoints.map(wp => wp.noiseSeed)).toEqual(seeds);
+    expect(seeds.every(Number.isInteger)).toBe(true);
+    expect(seeds[0]).not.toBe(seeds[1]);
+    expect(seeds[2]).toBe(7);
+  });
+  
+  test('should build safe file names', () => {
+    const service = new ProjectFileService();
+    
+    expect(service.getFilename('Campus: tour/2')).toBe('Campus- tour-2.routeplot.json');
+    expect(service.getFilename('')).toBe('Untitled route.routeplot.json');
+    expect(service.getNameFromFilename('Campus tour.routeplot.json')).toBe('Campus tour');
+  });
+});
+
+// Example test suite for Route model and route scheduling
+describe('Route Model', () => {
+  
+  test('should round-trip through JSON without path points', () => {
+    const route = new Route({
+      name: 'Bus',
+      color: '#2ECC71',
+      locked: true,
+      startMode: 'with-previous',
+      waypoints: [Waypoint.createMajor(0.1, 0.1), Waypoint.createMajor(0.9, 0.9)]
+    });
+    route.pathPoints = [{ x: 0, y: 0 }];
+    
+    const json = route.toJSON();
+    expect(json.pathPoints).toBeUndefined();
+    
+    const restored = Route.fromJSON(json);
+    expect(restored.id).toBe(route.id);
+    expect(restored.name).toBe('Bus');
+    expect(restored.locked).toBe(true);
+    expect(restored.isEditable()).toBe(false);
+    expect(restored.startMode).toBe('with-previous');
+    expect(restored.waypoints[1]).toBeInstanceOf(Waypoint);
+    expect(restored.pathPoints).toEqual([]);
+  });
+  
+  test('should cache major waypoint positions until invalidated', () => {
+    const route = new Route({
+      waypoints: [Waypoint.createMajor(0, 0), Waypoint.createMinor(0.5, 0.5), Waypoint.createMajor(1, 1)]
+    });
+    
+    const positions = route.getMajorWaypointPositions();
+    expect(positions.map(p => p.progress)).toEqual([0, 1]);
+    expect(route.getMajorWaypointPositions()).toBe(positions);
+    
+    route.waypoints[1].isMajor = true;
+    route.invalidateCache();
+    expect(route.getMajorWaypointPositions().map(p => p.progress)).toEqual([0, 0.5, 1]);
+  });
+  
+  test('should place waypoints using the path timing', () => {
+    const route = new Route({
+      waypoints: [Waypoint.createMajor(0, 0), Waypoint.createMajor(0.2, 0), Waypoint.createMajor(1, 0)]
+    });
+    const pathPoints = Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 }));
+    
+    route.setPath(pathPoints, { waypointIndices: [0, 2, 10], distances: pathPoints.map(p => p.x) });
+    
+    expect(route.getMajorWaypointPositions().map(p => p.progress)).toEqual([0, 0.2, 1]);
+    expect(route.getSegmentAtProgress(0.1)).toBe(0);
+    expect(route.getSegmentAtProgress(0.2)).toBe(1);
+    expect(route.getPointSegments()).toEqual([0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1]);
+    expect(route.getPathLength()).toBe(100);
+    
+    // Timing for an outdated waypoint list is ignored until the path is recalculated
+    route.waypoints.push(Waypoint.createMajor(1, 1));
+    route.invalidateCache();
+    expect(route.getWaypointProgress(1)).toBeCloseTo(1 / 3);
+  });
+  
+  test('should schedule routes one after another or together', () => {
+    const schedule = AnimationEngine.buildSchedule([
+      { id: 'a', duration: 4000, startMode: 'after-previous' },
+      { id: 'b', duration: 2000, startMode: 'with-previous' },
+      { id: 'c', duration: 1000, startMode: 'after-previous' }
+    ]);
+    
+    expect(schedule).toEqual([
+      { id: 'a', start: 0, duration: 4000 },
+      { id: 'b', start: 0, duration: 2000 },
+      { id: 'c', start: 4000, duration: 1000 }
+    ]);
+  });
+  
+  test('should map timeline progress to each route', () => {
+    const engine = new AnimationEngine();
+    const total = engine.setRouteSchedule([
+      { id: 'a', duration: 2000, startMode: 'after-previous' },
+      { id: 'b', duration: 2000, startMode: 'after-previous' }
+    ]);
+    
+    expect(total).toBe(4000);
+    expect(engine.getRouteProgress('a', 0.25)).toBe(0.5);
+    expect(engine.getRouteProgress('b', 0.25)).toBe(0);
+    expect(engine.getRouteProgress('a', 0.75)).toBe(1);
+    expect(engine.getRouteProgress('b', 0.75)).toBe(0.5);
+    
+    // Constant-time mode rescales the timeline without changing the schedule
+    engine.setDuration(10000);
+    expect(engine.getRouteProgress('b', 0.75)).toBe(0.5);
+  });
+  
+  test('should time legs by their speed or fixed duration', () => {
+    const route = new Route({
+      waypoints: [
+        new Waypoint({ imgX: 0, imgY: 0, isMajor: true, segmentSpeed: 0.5 }),
+        Waypoint.createMinor(0.25, 0),
+        new Waypoint({ imgX: 0.5, imgY: 0, isMajor: true, segmentDuration: 1000 }),
+        Waypoint.createMajor(1, 0)
+      ]
+    });
+    const pathPoints = Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 }));
+    route.setPath(pathPoints, { waypointIndices: [0, 3, 5, 10], distances: pathPoints.map(p => p.x) });
+    
+    // 4000ms at the route speed: first leg at half speed, second fixed at 1s
+    const legs = route.getTimedLegs(4000);
+    expect(legs).toEqual([{ end: 0.5, duration: 4000, easing: 'linear' }, { end: 1, duration: 1000, easing: 'linear' }]);
+    
+    const { duration, timeMap } = PathTiming.buildTimeMap(legs);
+    expect(duration).toBe(5000);
+    
+    const engine = new AnimationEngine();
+    engine.setRouteSchedule([{ id: route.id, duration, startMode: 'after-previous', timeMap }]);
+    expect(engine.getRouteProgress(route.id, 0.4)).toBeCloseTo(0.25);
+    expect(engine.getRouteProgress(route.id, 0.9)).toBeCloseTo(0.75);
+    expect(engine.getTimelineProgress(route.id, 0.5)).toBeCloseTo(0.8);
+  });
+  
+  test('should ease each leg and the whole timeline', () => {
+    const route = new Route({
+      waypoints: [
+        new Waypoint({ imgX: 0, imgY: 0, isMajor: true, segmentEasing: 'quadIn' }),
+        new Waypoint({ imgX: 0.5, imgY: 0, isMajor: true, segmentEasing: 'not-a-curve' }),
+        Waypoint.createMajor(1, 0)
+      ]
+    });
+    expect(route.waypoints[1].segmentEasing).toBe('linear');
+    
+    const pathPoints = Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 }));
+    route.setPath(pathPoints, { waypointIndices: [0, 5, 10], distances: pathPoints.map(p => p.x) });
+    const { duration, timeMap } = PathTiming.buildTimeMap(route.getTimedLegs(2000));
+    
+    const engine = new AnimationEngine();
+    engine.setRouteSchedule([{ id: route.id, duration, startMode: 'after-previous', timeMap }]);
+    // Halfway through the first leg's time, quadIn has covered a quarter of it
+    expect(engine.getRouteProgress(route.id, 0.25)).toBeCloseTo(0.125);
+    expect(engine.getRouteProgress(route.id, 0.5)).toBeCloseTo(0.5);
+    expect(engine.getTimelineProgress(route.id, 0.125)).toBeCloseTo(0.25);
+    
+    // The global curve eases the timeline before routes are placed on it
+    engine.setEasing('cubicInOut');
+    expect(engine.getRouteProgress(route.id, 0.5)).toBeCloseTo(0.5);
+    // (the second leg is linear, so route progress follows the eased schedule)
+    expect(engine.getRouteProgress(route.id, 0.75)).toBeCloseTo(Easing.cubicInOut(0.75));
+    expect(engine.getTimelineProgress(route.id, 0.75)).toBeCloseTo(Easing.invert(Easing.cubicInOut, 0.75));
+  });
+  
+  test('should place pauses from every route on one export timeline', () => {
+    const paused = () => new Waypoint({ imgX: 0.5, imgY: 0.5, isMajor: true, pauseMode: 'timed', pauseTime: 500 });
+    const timeline = ExportTimeline.fromRoutes([
+      { waypoints: [Waypoint.createMajor(0, 0), paused(), Waypoint.createMajor(1, 1)], start: 0, duration: 2000 },
+      { waypoints: [Waypoint.createMajor(0, 0), paused(), Waypoint.createMajor(1, 1)], start: 2000, duration: 2000 }
+    ], 4000);
+    
+    expect(timeline.holds.map(h => h.progress)).toEqual([0.25, 0.75]);
+    expect(timeline.getTotalDuration()).toBe(5000);
+  });
+});
+
+// Example test suite for ExportTimeline
+describe('ExportTimeline Service', () => {
+  const route = () => [
+    new Waypoint({ imgX: 0, imgY: 0, isMajor: true }),
+    new Waypoint({ imgX: 0.5, imgY: 0.5, isMajor: true, pauseMode: 'timed', pauseTime: 1000 }),
+    new Waypoint({ imgX: 1, imgY: 1, isMajor: true })
+  ];
+  
+  test('should add waypoint holds to the total duration', () => {
+    const timeline = ExportTimeline.fromWaypoints(route(), 4000);
+    
+    expect(timeline.holds.length).toBe(1);
+    expect(timeline.holds[0].progress).toBe(0.5);
+    expect(timeline.getTotalDuration()).toBe(5000);
+    expect(timeline.getFrameCount(30)).toBe(151); // First and last frame included
+  });
+  
+  test('should hold progress during a pause', () => {
+    const timeline = ExportTimeline.fromWaypoints(route(), 4000);
+    
+    expect(timeline.getStateAt(1000).progress).toBe(0.25);
+    
+    const held = timeline.getStateAt(2500);
+    expect(held.progress).toBe(0.5);
+    expect(held.holdIndex).toBe(1);
+    expect(held.holdElapsed).toBe(500);
+    
+    // Travel resumes after the hold
+    expect(timeline.getStateAt(4000).progress).toBe(0.75);
+    expect(timeline.getStateAt(5000).progress).toBe(1);
+  });
+  
+  test('should skip holds when pauses are excluded', () => {
+    const timeline = ExportTimeline.fromWaypoints(route(), 4000, { includePauses: false });
+    
+    expect(timeline.getTotalDuration()).toBe(4000);
+    expect(timeline.getStateAt(2000).progress).toBe(0.5);
+    expect(timeline.getStateAt(2000).holdIndex).toBe(-1);
+  });
+});
+
+// Example test suite for image exporters
+describe('Image Exporters', () => {
+  
+  test('should keep GIF length exact despite 1/100s delays', () => {
+    const fps = 30;
+    let total = 0;
+    for (let i = 0; i < fps * 3; i++) {
+      const delay = GifExporter.getFrameDelay(i, fps);
+      expect(delay % 10).toBe(0);
+      total += delay;
+    }
+    
+    expect(total).toBe(3000);
+  });
+  
+  test('should cap GIF size and frame rate', () => {
+    const settings = new GifExporter().normalizeSettings({ width: 1920, height: 1080, fps: 60 });
+    
+    expect(settings.width).toBe(960);
+    expect(settings.height).toBe(540);
+    expect(settings.fps).toBe(50);
+  });
+  
+  test('should name PNG frames so they sort in order', () => {
+    const exporter = new PngSequenceExporter('route');
+    
+    expect(exporter.getFrameFilename(7, 150)).toBe('route_00007.png');
+    expect(exporter.getFrameFilename(123456, 200000)).toBe('route_123456.png');
+    expect(exporter.supportsTransparency).toBe(true);
+    expect(new GifExporter().supportsTransparency).toBe(false);
+  });
+});
+
+// Example test suite for SvgExporter
+describe('SvgExporter Service', () => {
+  const scene = () => ({
+    width: 200,
+    height: 100,
+    runs: [{
+      color: '#ff0000',
+      width: 4,
+      style: 'dashed',
+      pieces: [
+        PathShape.getPiece('line', { x: 0, y: 0 }, { x: 50, y: 0 }, 1),
+        PathShape.getPiece('line', { x: 50, y: 0 }, { x: 100, y: 50 }, 2)
+      ]
+    }],
+    markers: [{ style: 'square', x: 10, y: 10, size: 5, fill: '#00f' }],
+    labels: [{ text: 'Start & <finish>', x: 10, y: 0, align: 'left' }]
+  });
+  
+  test('should emit one path per styled run', () => {
+    const svg = new SvgExporter().build(scene());
+    
+    expect(svg).toContain('viewBox="0 0 200 100"');
+    expect(svg).toContain('<path d="M0 0 L50 0 L100 50" stroke="#ff0000" stroke-width="4" stroke-dasharray="10 5"/>');
+  });
+  
+  test('should draw markers and escape labels', () => {
+    const svg = new SvgExporter().build(scene());
+    
+    expect(svg).toContain('<rect x="5" y="5" width="10" height="10" fill="#00f"');
+    expect(svg).toContain('text-anchor="start">Start &amp; &lt;finish&gt;</text>');
+  });
+  
+  test('should start a new subpath for disconnected pieces', () => {
+    const exporter = new SvgExporter();
+    const p1 = { x: 0, y: 0 };
+    const p2 = { x: 10, y: 10 };
+    
+    // Sketch strokes overlap rather than join, so each pass is its own subpath
+    const first = { start: p1, control: null, end: p2 };
+    const gap = { start: { x: 12, y: 9 }, control: null, end: p1 };
+    const joined = PathShape.getPiece('randomised', p2, p1, 6);
+    
+    expect(exporter.buildPathData([first, gap]).match(/M/g).length).toBe(2);
+    expect(exporter.buildPathData([first, joined]).match(/M/g).length).toBe(1);
+  });
+});
+
+// Example test suite for GeoReference
+describe('GeoReference Service', () => {
+  const corners = [
+    { imgX: 0, imgY: 0, lat: 53.0, lon: -1.2 },
+    { imgX: 1, imgY: 1, lat: 52.9, lon: -1.0 },
+    { imgX: 1, imgY: 0, lat: 53.0, lon: -1.0 }
+  ];
+  
+  test('should need two control points before converting', () => {
+    const geo = new GeoReference({ controlPoints: corners.slice(0, 1), imageWidth: 1000, imageHeight: 800 });
+    
+    expect(geo.isReady()).toBe(false);
+    expect(() => geo.toGeo(0.5, 0.5)).toThrow();
+    
+    geo.addControlPoint(corners[1]);
+    expect(geo.isReady()).toBe(true);
+    expect(geo.getEffectiveMethod()).toBe('similarity');
+  });
+  
+  test('should round-trip image and geo coordinates', () => {
+    const geo = new GeoReference({ controlPoints: corners, imageWidth: 1000, imageHeight: 800 });
+    
+    expect(geo.getEffectiveMethod()).toBe('affine');
+    expect(geo.getRmsError()).toBeCloseTo(0, 6); // 3 points fit an affine exactly
+    
+    const { lat, lon } = geo.toGeo(0.25, 0.75);
+    expect(lat).toBeCloseTo(52.925, 6);
+    expect(lon).toBeCloseTo(-1.15, 6);
+    
+    const back = geo.toImage(lat, lon);
+    expect(back.imgX).toBeCloseTo(0.25, 6);
+    expect(back.imgY).toBeCloseTo(0.75, 6);
+  });
+  
+  test('should parse typed coordinates and survive serialization', () => {
+    expect(GeoReference.parseLatLon('52.9388, -1.1965')).toEqual({ lat: 52.9388, lon: -1.1965 });
+    expect(GeoReference.parseLatLon('95, 0')).toBeNull();
+    expect(GeoReference.parseLatLon('hello')).toBeNull();
+    
+    const geo = new GeoReference({ controlPoints: corners, method: 'similarity', imageWidth: 1000, imageHeight: 800 });
+    const restored = GeoReference.fromJSON(JSON.parse(JSON.stringify(geo)), 1000, 800);
+    expect(restored.method).toBe('similarity');
+    expect(restored.toGeo(0.5, 0.5)).toEqual(geo.toGeo(0.5, 0.5));
+  });
+});
+
+// Example test suite for GeoFormatService
+describe('GeoFormatService', () => {
+  const service = new GeoFormatService();
+  const route = {
+    name: 'Campus <tour>',
+    points: [
+      { lat: 52.94, lon: -1.19, label: 'Start', isMajor: true, pauseTime: 0, labelMode: 'on' },
+      { lat: 52.945, lon: -1.195, label: '', isMajor: false, pauseTime: 0, labelMode: 'none' },
+      { lat: 52.95, lon: -1.2, label: 'Library & café', isMajor: true, pauseTime: 2000, labelMode: 'fade' }
+    ]
+  };
+  
+  test.each(['gpx', 'geojson', 'kml'])('should round-trip a route through %s', (format) => {
+    const text = service.serialize(route, format);
+    const parsed = service.parse(text, `route.${format}`);
+    
+    expect(parsed.points).toHaveLength(3);
+    parsed.points.forEach((point, i) => {
+      expect(point.lat).toBeCloseTo(route.points[i].lat, 6);
+      expect(point.lon).toBeCloseTo(route.points[i].lon, 6);
+      expect(point.isMajor).toBe(route.points[i].isMajor);
+    });
+    expect(parsed.points[2].label).toBe('Library & café');
+    expect(parsed.points[2].pauseTime).toBe(2000);
+  });
+  
+  test('should read foreign tracks with named waypoints as major points', () => {
+    const gpx = `<?xml version="1.0"?>
+      <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+        <wpt lat="52.9451" lon="-1.1951"><name>Cafe</name></wpt>
+        <trk><trkseg>
+          <trkpt lat="52.94" lon="-1.19"/>
+          <trkpt lat="52.945" lon="-1.195"/>
+          <trkpt lat="52.95" lon="-1.2"/>
+        </trkseg></trk>
+      </gpx>`;
+    const parsed = service.parse(gpx, 'walk.gpx');
+    
+    expect(parsed.points.map(p => p.isMajor)).toEqual([true, true, true]);
+    expect(parsed.points[1].label).toBe('Cafe');
+  });
+  
+  test('should reject unknown and empty files', () => {
+    expect(() => service.parse('hello', 'notes.txt')).toThrow('not GPX');
+    expect(() => service.parse('{"type":"FeatureCollection","features":[]}', 'empty.geojson')).toThrow('at least two points');
+  });
+});
+
+// Example test suite for CameraService
+describe('CameraService', () => {
+  const camera = new CameraService();
+  const scene = {
+    width: 800,
+    height: 600,
+    routes: [{ pathPoints: [{ x: 100, y: 100 }, { x: 300, y: 100 }, { x: 500, y: 100 }], start: 0, end: 1 }],
+    keyframes: [
+      { time: 0.2, zoom: 2, x: 200, y: 200 },
+      { time: 0.6, zoom: 8, x: 600, y: 400 }
+    ]
+  };
+  
+  test('should fill missing settings with defaults and clamp the rest', () => {
+    expect(CameraService.createSettings()).toEqual({ mode: 'off', zoom: 3, smoothing: 0.5, overview: true });
+    expect(CameraService.createSettings({ mode: 'spin', zoom: 50, smoothing: -1, overview: false }))
+      .toEqual({ mode: 'off', zoom: 8, smoothing: 0, overview: false });
+  });
+  
+  test('should give no shot when off and the overview at the start and end', () => {
+    const follow = CameraService.createSettings({ mode: 'follow' });
+    
+    expect(camera.getShot(0.5, scene, CameraService.createSettings())).toBeNull();
+    expect(camera.getShot(0, scene, follow)).toEqual({ zoom: 1, x: 400, y: 300 });
+    expect(camera.getShot(1, scene, follow)).toEqual({ zoom: 1, x: 400, y: 300 });
+  });
+  
+  test('should centre on the path head in follow mode', () => {
+    const settings = CameraService.createSettings({ mode: 'follow', zoom: 4, smoothing: 0, overview: false });
+    const shot = camera.getShot(0.5, scene, settings);
+    
+    expect(shot).toEqual({ zoom: 4, x: 300, y: 100 });
+  });
+  
+  test('should ease between keyframes and hold outside them', () => {
+    const settings = CameraService.createSettings({ mode: 'keyframes', overview: false });
+    
+    expect(camera.getShot(0.1, scene, settings)).toEqual({ zoom: 2, x: 200, y: 200 });
+    expect(camera.getShot(0.9, scene, settings)).toEqual({ zoom: 8, x: 600, y: 400 });
+    
+    const middle = camera.getShot(0.4, scene, settings);
+    expect(middle.zoom).toBeCloseTo(4); // Geometric midpoint of 2 and 8
+    expect(middle.x).toBeCloseTo(400);
+    expect(middle.y).toBeCloseTo(300);
+  });
+  
+  test('should keep waypoint keyframes through serialization', () => {
+    const waypoint = Waypoint.createMajor(0.5, 0.5);
+    waypoint.camera = { zoom: 2.5, imgX: 0.4, imgY: 0.6 };
+    
+    const restored = Waypoint.fromJSON(waypoint.toJSON());
+    expect(restored.camera).toEqual({ zoom: 2.5, imgX: 0.4, imgY: 0.6 });
+    expect(Waypoint.createMajor(0.1, 0.1).camera).toBeNull();
+  });
+});
+
+// Example test suite for multi-select and bulk editing
+describe('Multi-select', () => {
+  let app;
+  let route;
+  let other;
+  
+  // Just the app state the selection code touches - no DOM, canvas or services
+  const createApp = (routes) => {
+    const bus = new EventBus();
+    const plotter = Object.create(RoutePlotter.prototype);
+    Object.assign(plotter, {
+      eventBus: bus,
+      historyManager: new HistoryManager(bus),
+      renderingService: { invalidatePath: vi.fn() },
+      routes,
+      activeRoute: routes[0],
+      selectedWaypoint: null,
+      selectedWaypoints: [],
+      waypointsById: new Map(routes.flatMap(r => r.waypoints).map(wp => [wp.id, wp])),
+      imageToCanvas: (imgX, imgY) => ({ x: imgX * 100, y: imgY * 100 })
+    });
+    ['updateRouteList', 'updateWaypointEditor', 'updateWaypointList', 'calculatePath', 'calculateAllPaths',
+      'autoSave', 'queueRender', 'announce'].forEach(name => { plotter[name] = vi.fn(); });
+    return plotter;
+  };
+  
+  beforeEach(() => {
+    route = new Route({ name: 'Main' });
+    route.waypoints = [
+      Waypoint.createMajor(0.1, 0.1),
+      Waypoint.createMinor(0.2, 0.1),
+      Waypoint.createMajor(0.3, 0.1),
+      Waypoint.createMinor(0.4, 0.1),
+      Waypoint.createMajor(0.5, 0.1)
+    ];
+    other = new Route({ name: 'Other' });
+    other.waypoints = [Waypoint.createMajor(0.1, 0.9), Waypoint.createMajor(0.2, 0.9)];
+    app = createApp([route, other]);
+  });
+  
+  test('should toggle waypoints in and out of the selection', () => {
+    const [a, , b] = route.waypoints;
+    
+    app.toggleWaypointSelection(a);
+    app.toggleWaypointSelection(b);
+    expect(app.selectedWaypoints).toEqual([a, b]);
+    expect(app.selectedWaypoint).toBe(b);
+    
+    // Removing a waypoint that isn't primary keeps the primary
+    app.toggleWaypointSelection(a);
+    expect(app.selectedWaypoints).toEqual([b]);
+    expect(app.selectedWaypoint).toBe(b);
+    
+    app.toggleWaypointSelection(b);
+    expect(app.selectedWaypoints).toEqual([]);
+    expect(app.selectedWaypoint).toBe(null);
+    expect(app.announce).toHaveBeenLastCalledWith('Selection cleared');
+  });
+  
+  test('should select a range of major waypoints from the anchor', () => {
+    const [first, , middle, , last] = route.waypoints;
+    
+    app.setSelection([first]);
+    app.selectWaypointRange(last);
+    expect(app.selectedWaypoints).toEqual([first, middle, last]);
+    expect(app.selectedWaypoint).toBe(first); // Anchor stays primary
+    
+    // Ranges run backwards too
+    app.setSelection([last]);
+    app.selectWaypointRange(middle);
+    expect(app.selectedWaypoints).toEqual([last, middle]);
+    expect(app.selectedWaypoint).toBe(last);
+  });
+  
+  test('should start a range at the clicked waypoint when the primary is a minor', () => {
+    const [, minor, middle] = route.waypoints;
+    
+    app.setSelection([minor]);
+    app.selectWaypointRange(middle);
+    expect(app.selectedWaypoints).toEqual([minor, middle]);
+    expect(app.selectedWaypoint).toBe(middle);
+  });
+  
+  test('should make another route active when selecting its waypoints', () => {
+    app.toggleWaypointSelection(other.waypoints[0]);
+    expect(app.activeRoute).toBe(other);
+    expect(app.updateRouteList).toHaveBeenCalled();
+  });
+  
+  test('should select waypoints inside a rectangle', () => {
+    const [a, b, c] = route.waypoints;
+    const rect = { minX: 5, minY: 5, maxX: 25, maxY: 15 };
+    
+    app.setSelection([other.waypoints[0]]);
+    app.selectWaypointsInRect(rect, false);
+    expect(app.selectedWaypoints).toEqual([a, b]);
+    expect(app.selectedWaypoint).toBe(a); // Last major inside
+    
+    app.selectWaypointsInRect({ minX: 25, minY: 5, maxX: 35, maxY: 15 }, true);
+    expect(app.selectedWaypoints).toEqual([a, b, c]);
+    expect(app.selectedWaypoint).toBe(c);
+    
+    // Nothing inside: additive keeps the selection, otherwise it clears
+    app.selectWaypointsInRect({ minX: 60, minY: 60, maxX: 70, maxY: 70 }, true);
+    expect(app.selectedWaypoints).toEqual([a, b, c]);
+    expect(app.selectedWaypoint).toBe(c);
+    app.selectWaypointsInRect({ minX: 60, minY: 60, maxX: 70, maxY: 70 }, false);
+    expect(app.selectedWaypoints).toEqual([]);
+  });
+  
+  test('should leave locked and hidden routes out of a rectangle selection', () => {
+    other.locked = true;
+    app.selectWaypointsInRect({ minX: 0, minY: 0, maxX: 100, maxY: 100 }, false);
+    expect(app.selectedWaypoints).toEqual(route.waypoints);
+  });
+  
+  test('should apply a bulk edit to the selection as one undo step', () => {
+    const waypoints = route.waypoints.slice(0, 3);
+    app.setSelection(waypoints);
+    
+    app.updateSelectionProperties({ segmentWidth: 7 });
+    expect(waypoints.map(wp => wp.segmentWidth)).toEqual([7, 7, 7]);
+    expect(app.historyManager.getState().undoLabel).toBe('segment width of 3 waypoints');
+    expect(app.calculateAllPaths).toHaveBeenCalledTimes(1);
+    
+    app.historyManager.undo();
+    expect(waypoints.every(wp => wp.segmentWidth !== 7)).toBe(true);
+    expect(app.historyManager.canUndo()).toBe(false);
+  });
+  
+  test('should skip minor waypoints for major-only properties', () => {
+    const [major, minor, other] = route.waypoints;
+    const minorColor = minor.dotColor;
+    app.setSelection([major, minor, other]);
+    
+    app.updateSelectionProperties({ dotColor: '#00ff00' });
+    expect(major.dotColor).toBe('#00ff00');
+    expect(other.dotColor).toBe('#00ff00');
+    expect(minor.dotColor).toBe(minorColor);
+    expect(app.historyManager.getState().undoLabel).toMatch(/of 2 waypoints$/);
+    
+    // Nothing to change when only minors are selected
+    app.historyManager.clear();
+    app.setSelection([minor]);
+    app.updateSelectionProperties({ dotColor: '#0000ff' });
+    expect(app.historyManager.canUndo()).toBe(false);
+  });
+  
+  test('should make a mixed selection the opposite type of the primary', () => {
+    const [major, minor, other] = route.waypoints;
+    app.setSelection([minor, major, other], major);
+    
+    app.toggleSelectionType(major);
+    expect([major, minor, other].map(wp => wp.isMajor)).toEqual([false, false, false]);
+    expect(app.announce).toHaveBeenLastCalledWith('2 waypoints are now minor');
+    expect(app.historyManager.getState().undoLabel).toBe('waypoint types');
+    
+    app.historyManager.undo();
+    expect([major, minor, other].map(wp => wp.isMajor)).toEqual([true, false, true]);
+  });
+  
+  test('should delete waypoints across routes and undo them together', () => {
+    const before = [...route.waypoints];
+    const otherBefore = [...other.waypoints];
+    const doomed = [route.waypoints[1], route.waypoints[2], other.waypoints[0]];
+    app.setSelection(doomed);
+    
+    app.deleteWaypoints(doomed);
+    expect(route.waypoints.length).toBe(3);
+    expect(other.waypoints).toEqual([otherBefore[1]]);
+    expect(app.selectedWaypoints).toEqual([]);
+    expect(app.waypointsById.has(doomed[0].id)).toBe(false);
+    expect(app.historyManager.getState().undoLabel).toBe('delete 3 waypoints');
+    
+    app.historyManager.undo();
+    expect(route.waypoints).toEqual(before);
+    expect(other.waypoints).toEqual(otherBefore);
+    expect(doomed.every(wp => app.waypointsById.get(wp.id) === wp)).toBe(true);
+    expect(app.historyManager.canUndo()).toBe(false);
+  });
+  
+  test('should mark controls whose values differ across the selection as mixed', () => {
+    const make = (tag, className = '') => {
+      const element = document.createElement(tag);
+      element.className = className;
+      return element;
+    };
+    const style = make('select');
+    ['solid', 'dashed'].forEach(value => style.add(new Option(value, value)));
+    const ui = Object.create(UIController.prototype);
+    ui.selectedWaypoint = null;
+    ui.elements = {
+      waypointSelectionInfo: make('div'),
+      segmentWidth: make('input'),
+      segmentWidthValue: make('span'),
+      segmentStyle: style,
+      dotColor: make('input')
+    };
+    
+    const [major, minor, other] = route.waypoints;
+    major.segmentWidth = 4;
+    other.segmentStyle = 'dashed';
+    minor.dotColor = '#123456'; // Minors don't count for major-only controls
+    ui.showSelectionValues([major, minor, other]);
+    
+    expect(ui.elements.waypointSelectionInfo.textContent).toBe('3 waypoints selected - changes apply to all');
+    expect(ui.elements.segmentWidth.classList.contains('mixed')).toBe(true);
+    expect(ui.elements.segmentWidthValue.textContent).toBe('Mixed');
+    expect(style.classList.contains('mixed')).toBe(true);
+    expect(style.selectedIndex).toBe(-1);
+    expect(ui.elements.dotColor.classList.contains('mixed')).toBe(false);
+    
+    // A single waypoint is never mixed
+    ui.showSelectionValues([major]);
+    expect(ui.elements.segmentWidth.classList.contains('mixed')).toBe(false);
+    expect(ui.elements.waypointSelectionInfo.style.display).toBe('none');
+  });
+  
+  test('should only start a marquee once the drag passes the threshold', () => {
+    const bus = new EventBus();
+    const canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+    const handler = new InteractionHandler(canvas, bus);
+    const marquee = vi.fn();
+    const select = vi.fn();
+    bus.on('selection:marquee', marquee);
+    bus.on('waypoints:select-in-rect', select);
+    bus.on('waypoint:check-at-position', (pos, callback) => callback(null));
+    
+    handler.handleMouseDown({ button: 0, clientX: 50, clientY: 40, shiftKey: true });
+    handler.handleMouseMove({ buttons: 1, clientX: 50 + INTERACTION.DRAG_THRESHOLD - 1, clientY: 40 });
+    expect(marquee).not.toHaveBeenCalled();
+    
+    handler.handleMouseMove({ buttons: 1, clientX: 20, clientY: 70 });
+    expect(marquee).toHaveBeenLastCalledWith({ minX: 20, minY: 40, maxX: 50, maxY: 70 });
+    
+    handler.handleMouseUp({ button: 0 });
+    expect(marquee).toHaveBeenLastCalledWith(null);
+    expect(select).toHaveBeenCalledWith({ rect: { minX: 20, minY: 40, maxX: 50, maxY: 70 }, additive: true });
+    expect(handler.marquee).toBe(null);
+    handler.destroy();
+  });
+  
+  test('should not select anything after a click without a drag', () => {
+    const bus = new EventBus();
+    const canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+    const handler = new InteractionHandler(canvas, bus);
+    const select = vi.fn();
+    bus.on('waypoints:select-in-rect', select);
+    bus.on('waypoint:check-at-position', (pos, callback) => callback(null));
+    
+    handler.handleMouseDown({ button: 0, clientX: 50, clientY: 40 });
+    handler.handleMouseMove({ buttons: 1, clientX: 51, clientY: 41 });
+    handler.handleMouseUp({ button: 0 });
+    expect(select).not.toHaveBeenCalled();
+    expect(handler.hasDragged).toBe(false);
+    handler.destroy();
+  });
 });
 
 // Example test suite for EventBus
@@ -302,6 +1449,47 @@ describe('Easing Functions', () => {
     expect(midEaseIn).toBeLessThan(0.5); // Slow start
     expect(midEaseOut).toBeGreaterThan(0.5); // Fast start
   });
+  
+  test('should start and end every curve in place', () => {
+    EASING.CURVES.forEach(name => {
+      expect(Easing.get(name)(0)).toBeCloseTo(0);
+      expect(Easing.get(name)(1)).toBeCloseTo(1);
+    });
+    expect(Easing.backOut(0.5)).toBeGreaterThan(1); // Overshoots
+  });
+  
+  test('should look up curves by name or cubic-bezier spec', () => {
+    expect(Easing.get('cubicInOut')).toBe(Easing.cubicInOut);
+    expect(Easing.get('unknown')).toBe(Easing.linear);
+    expect(Easing.get('cubic-bezier(0, 0, 1, 1)')(0.3)).toBeCloseTo(0.3);
+    
+    const ease = Easing.get('cubic-bezier(0.42, 0, 0.58, 1)');
+    expect(ease(0.5)).toBeCloseTo(0.5);
+    expect(ease(0.25)).toBeLessThan(0.25);
+    
+    expect(Easing.parseBezier('cubic-bezier(0.25, 0.1, 0.25, 1)')).toEqual([0.25, 0.1, 0.25, 1]);
+    expect(Easing.isValid('cubic-bezier(1.5, 0, 0.5, 1)')).toBe(false);
+    expect(Easing.isValid('cubic-bezier(0.5, 0, 1)')).toBe(false);
+  });
+  
+  test('should keep a bounded cache of custom curves', () => {
+    const ease = Easing.get('cubic-bezier(0.3, 0, 0.7, 1)');
+    expect(Easing.get(' cubic-bezier(0.3,0,0.7,1) ')).toBe(ease); // Same curve, written differently
+    expect(Easing.get('cubic-bezier(2, 0, 0.7, 1)')).toBe(Easing.linear);
+    
+    // Enough other curves push the first one out
+    for (let i = 0; i < EASING.BEZIER_CACHE_SIZE; i++) {
+      Easing.get(`cubic-bezier(0.1, ${i}, 0.9, 1)`);
+    }
+    expect(Easing.get('cubic-bezier(0.3, 0, 0.7, 1)')).not.toBe(ease);
+  });
+  
+  test('should find when a curve first reaches a value', () => {
+    expect(Easing.invert(Easing.quadIn, 0.25)).toBeCloseTo(0.5);
+    expect(Easing.invert(Easing.linear, 0.3)).toBe(0.3);
+    // backOut passes 1 before settling back onto it
+    expect(Easing.invert(Easing.backOut, 1)).toBeLessThan(1);
+  });
 });
 
 // Example test suite for CatmullRom splines
@@ -333,4 +1521,882 @@ describe('CatmullRom Splines', () => {
     expect(path[0]).toEqual(waypoints[0]);
     expect(path[path.length - 1]).toEqual(waypoints[2]);
   });
+  
+  test('should match the uniform spline with alpha 0 and avoid overshoot with centripetal knots', () => {
+    const p0 = { x: 0, y: 0 };
+    const p1 = { x: 100, y: 0 };
+    const p2 = { x: 110, y: 10 };
+    const p3 = { x: 300, y: 200 };
+    
+    const uniform = CatmullRom.hermite(p1, p2, CatmullRom.getTangents(p0, p1, p2, p3, 0, 0.5), 0.3);
+    const expected = CatmullRom.interpolate(p0, p1, p2, p3, 0.3, 0.5);
+    expect(uniform.x).toBeCloseTo(expected.x, 9);
+    expect(uniform.y).toBeCloseTo(expected.y, 9);
+    
+    // A short segment between long ones: the uniform spline loops back behind its start
+    const lowest = (alpha) => {
+      const tangents = CatmullRom.getTangents(p0, p1, p2, p3, alpha, 0.5);
+      let minY = Infinity;
+      for (let t = 0; t <= 1; t += 0.05) {
+        minY = Math.min(minY, CatmullRom.hermite(p1, p2, tangents, t).y);
+      }
+      return minY;
+    };
+    expect(lowest(0)).toBeLessThan(-5);
+    expect(lowest(0.5)).toBeGreaterThanOrEqual(-1e-9);
+  });
+});
+
+// Example test suite for per-segment path curves
+describe('PathCurves', () => {
+  
+  const square = [
+    { x: 0, y: 0, handleIn: null, handleOut: null },
+    { x: 100, y: 0, handleIn: null, handleOut: null },
+    { x: 100, y: 100, handleIn: null, handleOut: null }
+  ];
+  const segmentsOf = (curve, extra = {}) => [0, 1].map(() => ({ curve, tension: 0.2, cornerRadius: 20, ...extra }));
+  
+  test('should reproduce the original Catmull-Rom path by default', () => {
+    const path = PathCurves.createPath(square, segmentsOf('catmull-rom'), 10);
+    
+    expect(path.length).toBe(21);
+    expect(path).toEqual(CatmullRom.createPath(square, 10, 0.2).map(p => ({ x: p.x, y: p.y })));
+  });
+  
+  test('should draw straight segments at zero tension', () => {
+    const path = PathCurves.createPath(square, segmentsOf('centripetal', { tension: 0 }), 10);
+    
+    path.slice(0, 11).forEach(point => expect(point.y).toBeCloseTo(0, 9));
+    path.slice(10).forEach(point => expect(point.x).toBeCloseTo(100, 9));
+  });
+  
+  test('should round corners at the radius, with the arc middle at the waypoint', () => {
+    const path = PathCurves.createPath(square, segmentsOf('rounded'), 10);
+    const inset = 20 * (1 - Math.SQRT1_2); // Arc middle sits this far in from the corner on each axis
+    
+    expect(path[0]).toEqual({ x: 0, y: 0 });
+    expect(path[10].x).toBeCloseTo(100 - inset, 6);
+    expect(path[10].y).toBeCloseTo(inset, 6);
+    expect(path[20]).toEqual({ x: 100, y: 100 });
+    path.forEach(point => {
+      expect(point.x).toBeLessThanOrEqual(100 + 1e-9);
+      expect(point.y).toBeGreaterThanOrEqual(-1e-9);
+    });
+  });
+  
+  test('should follow the smooth curve until a Bézier handle is dragged', () => {
+    const smooth = PathCurves.createPath(square, segmentsOf('catmull-rom'), 10);
+    const bezier = PathCurves.createPath(square, segmentsOf('bezier'), 10);
+    bezier.forEach((point, i) => {
+      expect(point.x).toBeCloseTo(smooth[i].x, 9);
+      expect(point.y).toBeCloseTo(smooth[i].y, 9);
+    });
+    
+    const dragged = square.map((point, i) => i === 0 ? { ...point, handleOut: { x: 0, y: -60 } } : point);
+    expect(PathCurves.getHandles(dragged, segmentsOf('bezier'), 0).out).toEqual({ x: 0, y: -60 });
+    expect(PathCurves.getHandles(dragged, segmentsOf('bezier'), 0).in).toBeNull();
+    expect(PathCurves.createPath(dragged, segmentsOf('bezier'), 10)[2].y).toBeLessThan(0);
+  });
+  
+  test('should shape each leg from its controlling major waypoint', () => {
+    const calculator = new PathCalculator();
+    const waypoints = [
+      { x: 0, y: 0, isMajor: true, segmentCurve: 'catmull-rom', segmentTension: 0 },
+      { x: 100, y: 0, isMajor: false, segmentTension: 1 },
+      { x: 100, y: 100, isMajor: true, segmentCurve: 'rounded', cornerRadius: 30 },
+      { x: 0, y: 100, isMajor: false }
+    ];
+    
+    const segments = PathPipeline.getSegments(PathPipeline.toControlPoints(waypoints));
+    expect(segments.map(s => s.curve)).toEqual(['catmull-rom', 'catmull-rom', 'rounded']);
+    expect(segments.map(s => s.tension)).toEqual([0, 0, PATH.DEFAULT_TENSION]);
+    
+    const { pathPoints, timing } = calculator.calculatePathWithTiming(waypoints);
+    // Tension 0 keeps the first leg on the straight line
+    pathPoints.slice(0, timing.waypointIndices[1]).forEach(point => expect(point.y).toBeCloseTo(0, 3));
+  });
+});
+
+// Example test suite for RenderingService path drawing
+describe('RenderingService', () => {
+  const red = { segmentColor: '#f00', segmentWidth: 3, segmentStyle: 'solid', pathShape: 'line' };
+  const blue = { segmentColor: '#00f', segmentWidth: 3, segmentStyle: 'dashed', pathShape: 'line' };
+  const points = Array.from({ length: 31 }, (_, i) => ({ x: i * 10, y: 0 }));
+  const pointSegments = points.map((_, i) => Math.min(2, Math.floor(Math.max(0, i - 1) / 10)));
+  
+  test('should batch consecutive pieces sharing a style into one run', () => {
+    // The first two segments have separate controllers but the same style
+    const drawing = RenderingService.createPathDrawing(points, pointSegments, [red, { ...red }, blue]);
+    expect(drawing.runs.map(run => [run.from, run.to, run.color])).toEqual([[0, 20, '#f00'], [20, 30, '#00f']]);
+    expect(drawing.distances[30]).toBe(300);
+    
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.stroke.mockClear();
+    ctx.lineTo.mockClear();
+    new RenderingService().drawPathRange(ctx, drawing, 0, 25);
+    expect(ctx.stroke).toHaveBeenCalledTimes(2);
+    expect(ctx.lineTo).toHaveBeenCalledTimes(25);
+  });
+  
+  test('should only stroke new pieces onto the cached path layer', () => {
+    const service = new RenderingService();
+    const drawing = RenderingService.createPathDrawing(points, pointSegments, [red, red, blue]);
+    const target = { canvas: { width: 300, height: 50 }, drawImage: vi.fn() };
+    const layerCtx = document.createElement('canvas').getContext('2d');
+    layerCtx.lineTo.mockClear();
+    
+    service.renderPathLayer(target, 'route', drawing, 11);
+    service.renderPathLayer(target, 'route', drawing, 16);
+    expect(layerCtx.lineTo).toHaveBeenCalledTimes(15);
+    expect(target.drawImage).toHaveBeenCalledTimes(2);
+    
+    // The same frame again strokes nothing
+    service.renderPathLayer(target, 'route', drawing, 16);
+    expect(layerCtx.lineTo).toHaveBeenCalledTimes(15);
+    
+    // Dashes pick up where the run's cached pieces ended
+    service.renderPathLayer(target, 'route', drawing, 26);
+    const offsets = [];
+    layerCtx.stroke.mockImplementation(() => offsets.push(layerCtx.lineDashOffset));
+    service.renderPathLayer(target, 'route', drawing, 29);
+    layerCtx.stroke.mockReset();
+    expect(offsets).toEqual([50]);
+    
+    // Seeking back redraws from the start
+    layerCtx.lineTo.mockClear();
+    service.renderPathLayer(target, 'route', drawing, 6);
+    expect(layerCtx.lineTo).toHaveBeenCalledTimes(5);
+  });
+  
+  test('should rebuild a path drawing when its inputs change or it is invalidated', () => {
+    const service = new RenderingService();
+    const build = vi.fn(() => RenderingService.createPathDrawing(points, pointSegments, [red, red, blue]));
+    
+    const first = service.getPathDrawing('route', [points, 1], build);
+    expect(service.getPathDrawing('route', [points, 1], build)).toBe(first);
+    expect(service.getPathDrawing('route', [points, 2], build)).not.toBe(first);
+    
+    service.invalidatePath('route');
+    service.getPathDrawing('route', [points, 2], build);
+    expect(build).toHaveBeenCalledTimes(3);
+    
+    const waypoint = new Waypoint({ x: 0, y: 0 });
+    waypoint.update({ dotColor: '#123456' });
+    expect(waypoint.isPathStyleChange()).toBe(false);
+    waypoint.update({ segmentStyle: 'dotted' });
+    expect(waypoint.isPathStyleChange()).toBe(true);
+  });
+});
+
+// Example test suite for seeded noise (randomised shapes and sketchy strokes)
+describe('Noise', () => {
+  test('should give the same smooth value for the same seed and position', () => {
+    const values = Array.from({ length: 200 }, (_, i) => Noise.smooth(42, i * 0.05, NOISE.OCTAVES));
+    expect(Array.from({ length: 200 }, (_, i) => Noise.smooth(42, i * 0.05, NOISE.OCTAVES))).toEqual(values);
+    expect(Noise.smooth(43, 0.5)).not.toBe(Noise.smooth(42, 0.5));
+    
+    values.forEach((value, i) => {
+      expect(Math.abs(value)).toBeLessThanOrEqual(1);
+      if (i > 0) expect(Math.abs(value - values[i - 1])).toBeLessThan(0.5); // Wanders, doesn't jump
+    });
+  });
+  
+  test('should wobble a randomised path by its waypoint seed alone', () => {
+    const calculator = new PathCalculator();
+    const route = (noise) => [
+      { x: 0, y: 0, isMajor: true, pathShape: 'randomised', noiseSeed: 7, ...noise },
+      { x: 200, y: 0, isMajor: false },
+      { x: 400, y: 0, isMajor: true }
+    ];
+    
+    const first = calculator.calculatePathWithTiming(route()).pathPoints;
+    expect(calculator.calculatePathWithTiming(route()).pathPoints).toEqual(first);
+    expect(calculator.calculatePathWithTiming(route({ noiseSeed: 8 })).pathPoints).not.toEqual(first);
+    
+    // Fades in from the start and wobbles no more than the roughness
+    expect(first[0].y).toBeCloseTo(0, 5);
+    expect(Math.max(...first.map(p => Math.abs(p.y)))).toBeGreaterThan(0.5);
+    first.forEach(p => expect(Math.abs(p.y)).toBeLessThanOrEqual(NOISE.DEFAULT_ROUGHNESS + 1e-3));
+    
+    const flat = calculator.calculatePathWithTiming(route({ noiseRoughness: 0 })).pathPoints;
+    flat.forEach(p => expect(p.y).toBeCloseTo(0, 5));
+  });
+  
+  test('should draw sketchy strokes the same in one go or a piece at a time', () => {
+    const points = Array.from({ length: 41 }, (_, i) => ({ x: i * 5, y: 0 }));
+    const sketchy = { segmentColor: '#333', segmentWidth: 4, segmentStyle: 'sketchy', pathShape: 'line', noiseSeed: 99 };
+    const drawing = RenderingService.createPathDrawing(points, points.map(() => 0), [sketchy]);
+    const [run] = drawing.runs;
+    expect(run.noise).toEqual({ seed: 99, roughness: NOISE.DEFAULT_ROUGHNESS, frequency: NOISE.DEFAULT_FREQUENCY, start: 0 });
+    
+    const whole = PathShape.getSketchPoints(points, drawing.distances, 0, 40, run.noise, 1);
+    const later = PathShape.getSketchPoints(points, drawing.distances, 25, 40, run.noise, 1);
+    expect(later).toEqual(whole.slice(25));
+    expect(PathShape.getSketchPoints(points, drawing.distances, 0, 40, run.noise, 0)).not.toEqual(whole);
+    
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.stroke.mockClear();
+    new RenderingService().drawPathRange(ctx, drawing, 0, 40);
+    expect(ctx.stroke).toHaveBeenCalledTimes(NOISE.SKETCH_PASSES);
+  });
+  
+  test('should save each waypoint\'s noise settings', () => {
+    const waypoint = new Waypoint({ imgX: 0.5, imgY: 0.5, segmentStyle: 'sketchy', noiseRoughness: 6 });
+    expect(Number.isInteger(waypoint.noiseSeed)).toBe(true);
+    
+    const restored = new Waypoint(JSON.parse(JSON.stringify(waypoint.toJSON())));
+    expect(restored.noiseSeed).toBe(waypoint.noiseSeed);
+    expect(restored.noiseRoughness).toBe(6);
+    expect(Waypoint.validate(waypoint.toJSON())).toBe(true);
+    
+    restored.update({ noiseSeed: restored.noiseSeed + 1 });
+    expect(restored.isPathChange()).toBe(true);
+    expect(restored.isPathStyleChange()).toBe(true);
+  });
+});
+
+// Example test suite for line effects (marching ants, gradients, comet tails, casings, glows)
+describe('LineEffects', () => {
+  const red = { segmentColor: '#ff0000', segmentWidth: 3, segmentStyle: 'solid', pathShape: 'line' };
+  const blue = { segmentColor: '#0000ff', segmentWidth: 3, segmentStyle: 'dashed', pathShape: 'line' };
+  const points = Array.from({ length: 31 }, (_, i) => ({ x: i * 10, y: 0 }));
+  const pointSegments = points.map((_, i) => Math.min(2, Math.floor(Math.max(0, i - 1) / 10)));
+  
+  test('should save and validate each waypoint\'s line effects', () => {
+    const waypoint = new Waypoint({ imgX: 0.5, imgY: 0.5, marchingAnts: true, gradientMode: 'blend', casingWidth: 2, glow: 8 });
+    const restored = new Waypoint(JSON.parse(JSON.stringify(waypoint.toJSON())));
+    expect(restored.marchingAnts).toBe(true);
+    expect(restored.gradientMode).toBe('blend');
+    expect(restored.casingWidth).toBe(2);
+    expect(restored.glow).toBe(8);
+    expect(Waypoint.validate(waypoint.toJSON())).toBe(true);
+    
+    const valid = { imgX: 0.5, imgY: 0.5 };
+    expect(Waypoint.validate({ ...valid, gradientMode: 'rainbow' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, gradientColor: 'red' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, marchingAnts: 'yes' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, cometTail: -10 })).toBe(false);
+    expect(Waypoint.validate({ ...valid, casingWidth: LINE_EFFECTS.MAX_CASING_WIDTH + 1 })).toBe(false);
+    expect(Waypoint.validate({ ...valid, glow: Infinity })).toBe(false);
+    
+    restored.update({ cometTail: 100 });
+    expect(restored.isPathStyleChange()).toBe(true);
+    expect(restored.isPathChange()).toBe(false); // Restyles the line, the path stays put
+  });
+  
+  test('should fade gradients to a second colour or into the next segment', () => {
+    expect(LineEffects.mixColors('#000000', '#ffffff', 0.5)).toBe('#808080');
+    expect(LineEffects.mixColors('#f00', '#0000ff', 1)).toBe('#0000ff');
+    
+    const fade = { ...red, gradientMode: 'colors', gradientColor: '#0000ff' };
+    const blend = { ...red, segmentColor: '#00ff00', gradientMode: 'blend' };
+    const drawing = RenderingService.createPathDrawing(points, pointSegments, [fade, blend, blue]);
+    expect(drawing.runs.map(run => run.gradient)).toEqual([
+      { from: '#ff0000', to: '#0000ff' },
+      { from: '#00ff00', to: '#0000ff' },
+      null
+    ]);
+    
+    // Each piece keeps its colour however the run is split up
+    const colors = bands => bands.flatMap(band => Array(band.to - band.from).fill(band.color));
+    const [run] = drawing.runs;
+    const whole = colors(LineEffects.getGradientBands(drawing.distances, run, 0, 10));
+    const split = colors([
+      ...LineEffects.getGradientBands(drawing.distances, run, 0, 4),
+      ...LineEffects.getGradientBands(drawing.distances, run, 4, 10)
+    ]);
+    expect(split).toEqual(whole);
+    expect(whole[0]).not.toBe(whole[9]);
+  });
+  
+  test('should draw animated runs live instead of into the cached layer', () => {
+    const ants = { ...red, marchingAnts: true };
+    const comet = { ...blue, cometTail: 50 };
+    const drawing = RenderingService.createPathDrawing(points, pointSegments, [red, ants, comet]);
+    expect(drawing.runs.map(run => run.animated)).toEqual([false, true, true]);
+    
+    const service = new RenderingService();
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.lineTo.mockClear();
+    service.drawPathRange(ctx, drawing, 0, 30);
+    expect(ctx.lineTo).toHaveBeenCalledTimes(10);
+    
+    // Marching ants move with the clock
+    const offsets = [];
+    ctx.stroke.mockImplementation(() => offsets.push(ctx.lineDashOffset));
+    service.drawAnimatedRuns(ctx, drawing, 20, 0);
+    service.drawAnimatedRuns(ctx, drawing, 20, 1000);
+    expect(offsets).toEqual([0, -LINE_EFFECTS.ANTS_SPEED]);
+    
+    // The comet keeps only the last 50px behind the head, fading away from it
+    const alphas = [];
+    ctx.stroke.mockImplementation(() => alphas.push(ctx.globalAlpha));
+    ctx.lineTo.mockClear();
+    service.drawAnimatedRuns(ctx, drawing, 30, 0);
+    ctx.stroke.mockReset();
+    expect(ctx.lineTo).toHaveBeenCalledTimes(10 + 5);
+    const tail = alphas.slice(1);
+    expect(tail.length).toBeGreaterThan(1);
+    tail.forEach((alpha, i) => {
+      expect(alpha).toBeLessThan(1);
+      if (i > 0) expect(alpha).toBeGreaterThan(tail[i - 1]);
+    });
+  });
+  
+  test('should stroke casings and glows under the line', () => {
+    const cased = { ...red, casingWidth: 2, casingColor: '#ffffff', glow: 6 };
+    const drawing = RenderingService.createPathDrawing(points, pointSegments, [cased, red, blue]);
+    expect(drawing.underlay).toBe(true);
+    expect(drawing.runs[0].to).toBe(10); // Effects don't join the next waypoint's run
+    
+    const ctx = document.createElement('canvas').getContext('2d');
+    const strokes = [];
+    ctx.stroke.mockImplementation(() => strokes.push([ctx.strokeStyle, ctx.lineWidth, ctx.shadowBlur]));
+    new RenderingService().drawPathRange(ctx, drawing, 0, 10);
+    ctx.stroke.mockReset();
+    expect(strokes).toEqual([['#ffffff', 7, 6], ['#ff0000', 3, 0]]);
+    
+    // The cached layer keeps them on a canvas of their own
+    const target = { canvas: { width: 300, height: 50 }, drawImage: vi.fn() };
+    new RenderingService().renderPathLayer(target, 'route', drawing, 11);
+    expect(target.drawImage).toHaveBeenCalledTimes(2);
+  });
+});
+
+// Example test suite for path head icons, rotation and sprites
+describe('PathHead', () => {
+  // Right along the top, then a right-angle turn down
+  const corner = [...Array.from({ length: 11 }, (_, i) => ({ x: i * 10, y: 0 })), ...Array.from({ length: 10 }, (_, i) => ({ x: 100, y: (i + 1) * 10 }))];
+  const distances = corner.map((_, i) => i * 10);
+  
+  test('should smooth the heading round corners', () => {
+    // Just past the corner the raw heading has already turned
+    expect(PathHead.getHeading(corner, distances, 11)).toBeCloseTo(Math.PI / 2);
+    expect(PathHead.getHeading(corner, distances, 5)).toBeCloseTo(0);
+    
+    // Averaged over 40px it is still part way round
+    const smoothed = PathHead.getHeading(corner, distances, 11, 40);
+    expect(smoothed).toBeGreaterThan(0);
+    expect(smoothed).toBeLessThan(Math.PI / 2);
+    expect(PathHead.getHeading(corner, distances, 5, 40)).toBeCloseTo(0);
+  });
+  
+  test('should turn, stay upright or flip with the rotation mode', () => {
+    const left = Math.PI * 0.9;
+    expect(PathHead.getPose(left, 'follow')).toEqual({ rotation: left, flip: false });
+    expect(PathHead.getPose(left, 'upright')).toEqual({ rotation: 0, flip: false });
+    
+    const flipped = PathHead.getPose(left, 'flip');
+    expect(flipped.flip).toBe(true);
+    expect(flipped.rotation).toBeCloseTo(-Math.PI * 0.1);
+    expect(PathHead.getPose(0.3, 'flip')).toEqual({ rotation: 0.3, flip: false });
+  });
+  
+  test('should step sprite frames with the distance travelled', () => {
+    expect(PathHead.getSpriteFrame(0, 4)).toBe(0);
+    expect(PathHead.getSpriteFrame(PATH_HEAD.SPRITE_STEP, 4)).toBe(1);
+    expect(PathHead.getSpriteFrame(PATH_HEAD.SPRITE_STEP * 5, 4)).toBe(1);
+    expect(PathHead.getSpriteFrame(100, 1)).toBe(0);
+    
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.drawImage.mockClear();
+    const sheet = { width: 400, height: 100 };
+    new RenderingService().drawPathHead(ctx, 0, 0, 0, { style: 'sprite', size: 10, color: '#000', image: sheet, spriteFrames: 4 }, PATH_HEAD.SPRITE_STEP * 2);
+    expect(ctx.drawImage.mock.calls[0].slice(1, 5)).toEqual([200, 0, 100, 100]);
+  });
+  
+  test('should draw icons, mirror flipped heads and draw nothing for none', () => {
+    const service = new RenderingService();
+    const ctx = document.createElement('canvas').getContext('2d');
+    const head = { style: 'none', size: 10, color: '#123456' };
+    ctx.save.mockClear();
+    service.drawPathHead(ctx, 5, 5, 0, head);
+    expect(ctx.save).not.toHaveBeenCalled();
+    
+    ctx.fill.mockClear();
+    ctx.scale.mockClear();
+    service.drawPathHead(ctx, 5, 5, Math.PI, { ...head, style: 'bus', rotationMode: 'flip' });
+    expect(ctx.fill).toHaveBeenCalled();
+    expect(ctx.scale).toHaveBeenCalledWith(-1, 1);
+  });
+  
+  test('should save each leg\'s path head and fall back to the global head', () => {
+    expect(new Waypoint({ imgX: 0.5, imgY: 0.5 }).pathHeadStyle).toBe('default');
+    expect(new Waypoint({ imgX: 0.5, imgY: 0.5, pathHeadStyle: 'train' }).toJSON().pathHeadStyle).toBe('train');
+    expect(Waypoint.validate({ imgX: 0.5, imgY: 0.5, pathHeadStyle: 'default' })).toBe(true);
+    expect(Waypoint.validate({ imgX: 0.5, imgY: 0.5, pathHeadStyle: 'rocket' })).toBe(false);
+  });
+});
+
+// Example test suite for waypoint markers (numbers, pins, icons and images)
+describe('Markers', () => {
+  const image = 'data:image/png;base64,iVBORw0KGgo=';
+  
+  test('should number major waypoints and save marker images', () => {
+    const waypoints = [
+      new Waypoint({ imgX: 0.1, imgY: 0.1, isMajor: true }),
+      new Waypoint({ imgX: 0.2, imgY: 0.2, isMajor: false }),
+      new Waypoint({ imgX: 0.3, imgY: 0.3, isMajor: true })
+    ];
+    const numbers = Markers.getNumbers(waypoints);
+    expect(numbers.get(waypoints[2])).toBe(2);
+    expect(numbers.has(waypoints[1])).toBe(false);
+    
+    const waypoint = new Waypoint({ imgX: 0.5, imgY: 0.5, markerStyle: 'custom', customImage: image, markerImageSize: 48, markerAnchor: 'bottom' });
+    const restored = new Waypoint(JSON.parse(JSON.stringify(waypoint.toJSON())));
+    expect(restored.customImage).toBe(image);
+    expect(restored.markerImageSize).toBe(48);
+    expect(restored.markerAnchor).toBe('bottom');
+    expect(Waypoint.validate(waypoint.toJSON())).toBe(true);
+    
+    const valid = { imgX: 0.5, imgY: 0.5 };
+    expect(Waypoint.validate({ ...valid, markerStyle: 'pin' })).toBe(true);
+    expect(Waypoint.validate({ ...valid, markerStyle: 'star' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, markerAnchor: 'top' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, customImage: 'https://example.com/a.png' })).toBe(false);
+    expect(Waypoint.validate({ ...valid, markerImageSize: MARKERS.MAX_IMAGE_SIZE + 1 })).toBe(false);
+  });
+  
+  test('should hit-test the whole marker, not just the waypoint', () => {
+    // A pin stands on the waypoint, its head two sizes above
+    const pin = { style: 'pin', x: 100, y: 100, size: 10 };
+    expect(Markers.contains(pin, 100, 75)).toBe(true);
+    expect(Markers.contains(pin, 100, 110)).toBe(false);
+    
+    // A 2:1 image standing on the waypoint
+    const custom = { style: 'custom', x: 100, y: 100, size: 40, anchor: 'bottom', image: {}, imageWidth: 200, imageHeight: 100 };
+    expect(Markers.getImageBox(custom)).toEqual({ x: 80, y: 80, width: 40, height: 20 });
+    expect(Markers.contains(custom, 115, 85)).toBe(true);
+    expect(Markers.contains(custom, 100, 105)).toBe(false);
+    expect(Markers.getBounds({ style: 'none', x: 0, y: 0, size: 8 })).toBeNull();
+  });
+  
+  test('should draw numbers, icon badges and images on the canvas', () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.fillText.mockClear();
+    ctx.rect.mockClear();
+    ctx.drawImage.mockClear();
+    
+    Markers.draw(ctx, { style: 'number', x: 10, y: 10, size: 8, fill: '#f00', number: 12 });
+    expect(ctx.fillText).toHaveBeenCalledWith('12', 10, 10);
+    
+    Markers.draw(ctx, { style: 'parking', x: 10, y: 10, size: 8, fill: '#00f' });
+    expect(ctx.rect).toHaveBeenCalledWith(2, 2, 16, 16);
+    expect(ctx.fillText).toHaveBeenLastCalledWith('P', 10, 10);
+    
+    const picture = {};
+    Markers.draw(ctx, { style: 'custom', x: 50, y: 50, size: 20, anchor: 'center', image: picture, imageWidth: 10, imageHeight: 10 });
+    expect(ctx.drawImage).toHaveBeenCalledWith(picture, 40, 40, 20, 20);
+  });
+  
+  test('should export numbers, pins, icons and images to SVG', () => {
+    const exporter = new SvgExporter();
+    const base = { x: 100, y: 100, size: 10, fill: '#f00' };
+    
+    expect(exporter.buildMarker({ ...base, style: 'number', number: 3 })).toContain('>3</text>');
+    expect(exporter.buildMarker({ ...base, style: 'pin' })).toMatch(/^<g><path d="M100 100 L91.34 85 A10 10 0 1 1 108.66 85 Z"/);
+    expect(exporter.buildMarker({ ...base, style: 'cafe' })).toContain('fill="#FFFFFF"/></g>');
+    expect(exporter.buildMarker({ ...base, style: 'custom', size: 40, anchor: 'bottom', href: image, imageWidth: 20, imageHeight: 40 }))
+      .toBe(`<image x="90" y="60" width="20" height="40" preserveAspectRatio="none" href="${image}"/>`);
+  });
+});
+
+// Example test suite for the waypoint and canvas context menus
+describe('ContextMenu', () => {
+  let bus;
+  let menu;
+  
+  const press = (key, options = {}) => {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+  
+  beforeEach(() => {
+    bus = new EventBus();
+    menu = new ContextMenu(bus);
+  });
+  
+  afterEach(() => {
+    menu.close();
+  });
+  
+  test('should open an accessible menu with the first item focused', () => {
+    const waypoint = Waypoint.createMajor(0.5, 0.5);
+    bus.emit('waypoint:show-context-menu', { waypoint, x: 10, y: 20 });
+    
+    const element = document.querySelector('.context-menu');
+    expect(element.getAttribute('role')).toBe('menu');
+    expect(element.getAttribute('aria-label')).toBe('Major waypoint actions');
+    expect(document.activeElement.textContent).toBe('Split segment');
+    expect(element.querySelectorAll('[role="separator"]').length).toBe(3);
+    
+    // Nobody answered context-menu:get-state, so Paste style is unavailable
+    const paste = [...element.querySelectorAll('[role="menuitem"]')].find(item => item.textContent === 'Paste style');
+    expect(paste.getAttribute('aria-disabled')).toBe('true');
+  });
+  
+  test('should move with arrows, Home/End and letters, skipping separators', () => {
+    bus.emit('waypoint:show-context-menu', { waypoint: Waypoint.createMinor(0.5, 0.5), x: 0, y: 0 });
+    
+    press('ArrowUp');
+    expect(document.activeElement.textContent).toBe('Delete');
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Split segment');
+    press('End');
+    press('Home');
+    press('ArrowDown');
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Make major');
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Copy style');
+    press('s');
+    expect(document.activeElement.textContent).toBe('Set as start');
+  });
+  
+  test('should emit the chosen action and skip disabled items', () => {
+    const waypoint = Waypoint.createMajor(0.5, 0.5);
+    const split = vi.fn();
+    const duplicate = vi.fn();
+    bus.on('waypoint:split-segment', split);
+    bus.on('waypoint:duplicate', duplicate);
+    bus.on('context-menu:get-state', (data, callback) => callback({ isFirst: false, isLast: true, canPasteStyle: false }));
+    
+    bus.emit('waypoint:show-context-menu', { waypoint, x: 0, y: 0 });
+    press('Enter'); // Split segment - disabled on the last waypoint
+    expect(split).not.toHaveBeenCalled();
+    expect(menu.isOpen()).toBe(true);
+    
+    press('ArrowDown');
+    press('Enter');
+    expect(duplicate).toHaveBeenCalledWith(waypoint);
+    expect(menu.isOpen()).toBe(false);
+    expect(document.querySelector('.context-menu')).toBeNull();
+  });
+  
+  test('should close on Escape and give focus back', () => {
+    const button = document.createElement('button');
+    document.body.appendChild(button);
+    button.focus();
+    
+    bus.emit('waypoint:show-context-menu', { waypoint: Waypoint.createMajor(0.5, 0.5), x: 0, y: 0 });
+    expect(document.activeElement).not.toBe(button);
+    
+    const shortcut = vi.fn();
+    document.addEventListener('keydown', shortcut);
+    press('Escape');
+    document.removeEventListener('keydown', shortcut);
+    
+    expect(menu.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(button);
+    expect(shortcut).not.toHaveBeenCalled(); // Menu keys don't reach the canvas shortcuts
+    button.remove();
+  });
+  
+  test('should add a waypoint where the canvas was right-clicked', () => {
+    const add = vi.fn();
+    bus.on('waypoint:add', add);
+    bus.on('coordinate:canvas-to-image', ({ canvasX, canvasY }, callback) => callback({ x: canvasX / 100, y: canvasY / 100 }));
+    bus.on('context-menu:get-state', (data, callback) => callback({ canAdd: true, canInsert: false, canPaste: false }));
+    
+    bus.emit('canvas:show-context-menu', { x: 5, y: 5, canvasX: 25, canvasY: 50 });
+    expect(document.querySelector('.context-menu').getAttribute('aria-label')).toBe('Canvas actions');
+    press('ArrowDown');
+    press(' ');
+    
+    expect(add).toHaveBeenCalledWith({ imgX: 0.25, imgY: 0.5, isMajor: false });
+  });
+});
+
+// Example test suite for inserting waypoints by clicking on the path
+describe('PathHitTest', () => {
+  const points = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 20, y: 20 }];
+  
+  test('should find the closest point on the path and how far along it is', () => {
+    const hit = PathHitTest.nearestPoint(points, 15, 3);
+    expect(hit).toEqual({ x: 15, y: 0, position: 1.5, distance: 3 });
+    
+    // Past the end snaps to the last point
+    expect(PathHitTest.nearestPoint(points, 25, 30)).toMatchObject({ x: 20, y: 20, position: 4 });
+    expect(PathHitTest.nearestPoint([{ x: 0, y: 0 }], 1, 1)).toBeNull();
+  });
+  
+  test('should insert between the waypoints either side of the hit', () => {
+    // Waypoints reached at path points 0, 2 and 4
+    const waypointIndices = [0, 2, 4];
+    expect(PathHitTest.getInsertIndex(waypointIndices, 0.5)).toBe(1);
+    expect(PathHitTest.getInsertIndex(waypointIndices, 1.99)).toBe(1);
+    expect(PathHitTest.getInsertIndex(waypointIndices, 3.5)).toBe(2);
+    
+    // Never before the first waypoint or after the last
+    expect(PathHitTest.getInsertIndex(waypointIndices, 0)).toBe(1);
+    expect(PathHitTest.getInsertIndex(waypointIndices, 4)).toBe(2);
+    expect(PathHitTest.getInsertIndex([0, 4], 2)).toBe(1);
+  });
+});
+
+// Example test suite for keyboard editing on the focused map
+describe('InteractionHandler keyboard editing', () => {
+  let bus;
+  let canvas;
+  let handler;
+  
+  const press = (key, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+  
+  beforeEach(() => {
+    bus = new EventBus();
+    canvas = document.createElement('canvas');
+    canvas.tabIndex = 0;
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+    document.body.appendChild(canvas);
+    handler = new InteractionHandler(canvas, bus);
+    canvas.focus();
+  });
+  
+  afterEach(() => {
+    handler.destroy();
+    canvas.remove();
+  });
+  
+  test('should move a crosshair with the arrow keys and hide it on blur', () => {
+    const moves = [];
+    bus.on('cursor:moved', pos => moves.push(pos));
+    
+    press('ArrowRight'); // Appears in the middle, then moves
+    press('ArrowDown', { ctrlKey: true });
+    expect(moves).toEqual([{ x: 110, y: 50 }, { x: 110, y: 51 }]);
+    
+    for (let i = 0; i < 20; i++) press('ArrowRight');
+    expect(handler.cursor.x).toBe(200); // Stays on the map
+    
+    canvas.blur();
+    expect(moves[moves.length - 1]).toBeNull();
+    expect(handler.cursor).toBeNull();
+  });
+  
+  test('should add waypoints at the crosshair with Enter and Shift+Enter', () => {
+    const add = vi.fn();
+    bus.on('waypoint:add', add);
+    bus.on('waypoint:check-at-position', (pos, callback) => callback(null));
+    bus.on('path:check-at-position', (pos, callback) => callback(null));
+    bus.on('coordinate:canvas-to-image', ({ canvasX, canvasY }, callback) => callback({ x: canvasX / 200, y: canvasY / 100 }));
+    
+    press('Enter'); // First Enter only shows the crosshair
+    expect(add).not.toHaveBeenCalled();
+    press('Enter');
+    press('ArrowLeft');
+    press('Enter', { shiftKey: true });
+    
+    expect(add).toHaveBeenNthCalledWith(1, { imgX: 0.5, imgY: 0.5, isMajor: true });
+    expect(add).toHaveBeenNthCalledWith(2, { imgX: 0.45, imgY: 0.5, isMajor: false });
+  });
+  
+  test('should cycle waypoints with Tab and let focus leave at the ends', () => {
+    const directions = [];
+    let atEnd = false;
+    bus.on('waypoint:select-adjacent', (direction, callback) => {
+      directions.push(direction);
+      callback?.(!atEnd);
+    });
+    
+    expect(press('Tab').defaultPrevented).toBe(true);
+    press('End');
+    atEnd = true;
+    expect(press('Tab').defaultPrevented).toBe(false);
+    press('Home');
+    expect(directions).toEqual(['next', 'last', 'next', 'first']);
+  });
+  
+  test('should leave Tab alone when the map does not have focus', () => {
+    const select = vi.fn();
+    bus.on('waypoint:select-adjacent', select);
+    canvas.blur();
+    
+    expect(press('Tab').defaultPrevented).toBe(false);
+    expect(select).not.toHaveBeenCalled();
+  });
+});
+
+// Example test suite for grid, angle and waypoint snapping
+describe('Snapping', () => {
+  test('should fill in and clamp settings', () => {
+    expect(Snapping.createSettings()).toEqual({
+      grid: false,
+      gridSize: SNAPPING.DEFAULT_GRID_SIZE,
+      angleStep: SNAPPING.DEFAULT_ANGLE_STEP,
+      waypoints: false,
+      path: false
+    });
+    
+    const settings = Snapping.createSettings({ grid: true, gridSize: 9999, angleStep: 30, path: true });
+    expect(settings.grid).toBe(true);
+    expect(settings.gridSize).toBe(SNAPPING.MAX_GRID_SIZE);
+    expect(settings.angleStep).toBe(SNAPPING.DEFAULT_ANGLE_STEP); // Only 15° or 45°
+    expect(settings.path).toBe(true);
+    expect(Snapping.createSettings({ gridSize: 'abc' }).gridSize).toBe(SNAPPING.DEFAULT_GRID_SIZE);
+  });
+  
+  test('should snap to the grid and constrain angles from the previous waypoint', () => {
+    expect(Snapping.toGrid(29, 31, 20)).toEqual({ x: 20, y: 40 });
+    
+    const anchor = { x: 0, y: 0 };
+    const flat = Snapping.constrainAngle(anchor, 50, 10, 45);
+    expect(flat.angle).toBe(0);
+    expect(flat.x).toBeCloseTo(50);
+    expect(flat.y).toBeCloseTo(0);
+    
+    // Keeps the distance along the diagonal
+    const diagonal = Snapping.constrainAngle(anchor, 40, 60, 45);
+    expect(diagonal.angle).toBe(45);
+    expect(diagonal.x).toBeCloseTo(50);
+    expect(diagonal.y).toBeCloseTo(50);
+    
+    expect(Snapping.constrainAngle(anchor, -10, -50, 15).angle).toBe(255);
+  });
+  
+  test('should snap onto and line up with nearby points', () => {
+    const points = [{ x: 100, y: 100 }, { x: 200, y: 40 }];
+    expect(Snapping.toPoint(104, 97, points, 10)).toBe(points[0]);
+    expect(Snapping.toPoint(150, 150, points, 10)).toBeNull();
+    
+    const aligned = Snapping.align(196, 105, points, 10);
+    expect(aligned).toMatchObject({ x: 200, y: 100 });
+    expect(aligned.alignX).toBe(points[1]);
+    expect(aligned.alignY).toBe(points[0]);
+    expect(Snapping.align(150, 70, points, 10)).toEqual({ x: 150, y: 70, alignX: null, alignY: null });
+  });
+  
+  test('should add waypoints where the snap lands and clear the guides', () => {
+    const bus = new EventBus();
+    const canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+    const handler = new InteractionHandler(canvas, bus);
+    const add = vi.fn();
+    const clear = vi.fn();
+    bus.on('waypoint:add', add);
+    bus.on('snap:clear', clear);
+    bus.on('snap:position', ({ x, y }, callback) => callback({ ...Snapping.toGrid(x, y, 20), guides: [] }));
+    bus.on('waypoint:check-at-position', (pos, callback) => callback(null));
+    bus.on('coordinate:canvas-to-image', ({ canvasX, canvasY }, callback) => callback({ x: canvasX / 200, y: canvasY / 100 }));
+    
+    handler.activateAt(33, 48, {});
+    expect(add).toHaveBeenCalledWith({ imgX: 0.2, imgY: 0.4, isMajor: true });
+    expect(clear).toHaveBeenCalled();
+    handler.destroy();
+  });
+});
+
+// Example test suite for auto-routing over a walkability mask
+describe('AutoRoute', () => {
+  // 10 x 10 cells, open except a wall down column 5 with a gap at the bottom
+  const createWalledMask = () => {
+    const mask = AutoRoute.createMask(10, 10);
+    mask.cells.fill(1);
+    for (let y = 0; y < 9; y++) mask.cells[y * 10 + 5] = 0;
+    return mask;
+  };
+  
+  test('should fill in and clamp settings', () => {
+    expect(AutoRoute.createSettings()).toEqual({
+      source: AUTO_ROUTE.DEFAULT_SOURCE,
+      color: AUTO_ROUTE.DEFAULT_COLOR,
+      tolerance: AUTO_ROUTE.DEFAULT_TOLERANCE,
+      cellSize: AUTO_ROUTE.DEFAULT_CELL_SIZE
+    });
+    
+    const settings = AutoRoute.createSettings({ source: 'painted', color: '#AABBCC', tolerance: 999, cellSize: 0.2 });
+    expect(settings).toEqual({ source: 'painted', color: '#aabbcc', tolerance: AUTO_ROUTE.MAX_TOLERANCE, cellSize: AUTO_ROUTE.MIN_CELL_SIZE });
+    expect(AutoRoute.createSettings({ source: 'roads', color: 'red' }).source).toBe(AUTO_ROUTE.DEFAULT_SOURCE);
+    expect(AutoRoute.getCellSize(4000, 4000, 2)).toBe(4); // Kept under MAX_CELLS
+  });
+  
+  test('should build a mask from the pixels matching the path colour', () => {
+    // 4 x 2 image: white path on the left half, black on the right
+    const data = new Uint8ClampedArray(4 * 2 * 4);
+    for (let i = 0; i < 8; i++) {
+      const value = i % 4 < 2 ? 250 : 0;
+      data.set([value, value, value, 255], i * 4);
+    }
+    
+    const mask = AutoRoute.maskFromPixels(data, 4, 2, { color: '#ffffff', tolerance: 20, cellSize: 2 });
+    expect(mask.width).toBe(2);
+    expect(mask.height).toBe(1);
+    expect([...mask.cells]).toEqual([1, 0]);
+    expect([...AutoRoute.maskFromPixels(data, 4, 2, { color: '#ffffff', tolerance: 0, cellSize: 2 }).cells]).toEqual([0, 0]);
+  });
+  
+  test('should find a way around walls and give up when there is none', () => {
+    const mask = createWalledMask();
+    const path = AutoRoute.findPath(mask, { x: 2.5, y: 0.5 }, { x: 8.5, y: 0.5 });
+    
+    expect(path[0]).toEqual({ x: 2.5, y: 0.5 });
+    expect(path[path.length - 1]).toEqual({ x: 8.5, y: 0.5 });
+    expect(path.some(point => point.x === 5.5 && point.y === 9.5)).toBe(true); // Through the gap
+    path.forEach(point => {
+      expect(mask.cells[Math.floor(point.y) * 10 + Math.floor(point.x)]).toBe(1);
+    });
+    
+    mask.cells[95] = 0; // Close the gap
+    expect(AutoRoute.findPath(mask, { x: 2.5, y: 0.5 }, { x: 8.5, y: 0.5 })).toBeNull();
+  });
+  
+  test('should simplify the path to a few corners in image coordinates', () => {
+    const line = [{ x: 0, y: 0 }, { x: 1, y: 0.1 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }];
+    expect(AutoRoute.simplify(line, 0.5)).toEqual([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }]);
+    
+    const points = AutoRoute.route(createWalledMask(), { x: 0.25, y: 0.05 }, { x: 0.85, y: 0.05 });
+    expect(points[0]).toEqual({ x: 0.25, y: 0.05 });
+    expect(points[points.length - 1]).toEqual({ x: 0.85, y: 0.05 });
+    expect(points.length).toBeLessThan(8); // Down, through the gap, back up
+    expect(Math.max(...points.map(point => point.y))).toBeGreaterThan(0.9);
+  });
+  
+  test('should answer route requests in the worker', () => {
+    const post = vi.fn();
+    const handleMessage = createRoutingMessageHandler(post);
+    const mask = createWalledMask();
+    
+    handleMessage({ type: 'find-route', id: 1, data: { mask, start: { x: 0.05, y: 0.05 }, goal: { x: 0.35, y: 0.05 }, tolerance: 1 } });
+    expect(post).toHaveBeenLastCalledWith({ type: 'route-found', id: 1, data: [{ x: 0.05, y: 0.05 }, { x: 0.35, y: 0.05 }] });
+    
+    handleMessage({ type: 'nope', id: 2 });
+    expect(post).toHaveBeenLastCalledWith({ type: 'error', id: 2, error: 'Unknown message type: nope' });
+  });
+  
+  test('should replace a worker stuck on a search that timed out', async () => {
+    const workers = [];
+    class StuckWorker {
+      constructor() {
+        this.terminate = vi.fn();
+        workers.push(this);
+      }
+      postMessage() {}
+    }
+    vi.stubGlobal('Worker', StuckWorker);
+    vi.useFakeTimers();
+    
+    try {
+      const router = new AutoRouter();
+      const mask = createWalledMask();
+      const slow = router.findRoute(mask, { x: 0.05, y: 0.05 }, { x: 0.85, y: 0.05 });
+      const queued = router.findRoute(mask, { x: 0.05, y: 0.05 }, { x: 0.35, y: 0.05 });
+      const results = Promise.allSettled([slow, queued]);
+      vi.advanceTimersByTime(AUTO_ROUTE.TIMEOUT);
+      
+      const [first, second] = await results;
+      expect(first.reason.message).toBe('Route search timed out');
+      expect(second.reason.message).toBe('Route search timed out');
+      expect(workers[0].terminate).toHaveBeenCalled();
+      expect(workers.length).toBe(2);
+      expect(router.worker).toBe(workers[1]);
+      expect(router.pendingRequests.size).toBe(0);
+      router.destroy();
+    } finally {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    }
+  });
 });
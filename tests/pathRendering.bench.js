@@ -0,0 +1,155 @@
+/**
+ * Path drawing benchmarks for long routes
+ * Run with: npm run bench
+ *
+ * Each iteration draws one playback frame, the head moving a step further
+ * along a 600-waypoint route (looping back at the end). Canvas calls go to
+ * a counting stub, so timings cover the JavaScript side of drawing; the
+ * call counts printed up front show the work each approach hands to the
+ * browser's rasteriser per frame.
+ */
+
+import { bench, describe } from 'vitest';
+import { RenderingService } from '../src/services/RenderingService.js';
+import { PathShape } from '../src/utils/PathShape.js';
+
+const WAYPOINTS = 600;
+const POINTS_PER_SEGMENT = 20;
+const FRAMES = 300; // Frames to play the whole route
+
+/**
+ * Canvas context stand-in that counts calls instead of drawing
+ * @returns {Object}
+ */
+function createCountingContext() {
+  const calls = {};
+  const count = name => () => { calls[name] = (calls[name] || 0) + 1; };
+  const ctx = { calls, canvas: { width: 1920, height: 1080 } };
+  ['beginPath', 'moveTo', 'lineTo', 'quadraticCurveTo', 'stroke', 'setLineDash', 'clearRect', 'drawImage']
+    .forEach(name => { ctx[name] = count(name); });
+  return ctx;
+}
+
+// Layer canvases get counting contexts too
+const layerContexts = new WeakMap();
+HTMLCanvasElement.prototype.getContext = function () {
+  if (!layerContexts.has(this)) layerContexts.set(this, createCountingContext());
+  return layerContexts.get(this);
+};
+
+/**
+ * A zigzag route whose major waypoints (every tenth) cycle through styles
+ * @returns {{pathPoints: Array, pointSegments: number[], controllers: Array}}
+ */
+function createRoute() {
+  const styles = ['solid', 'solid', 'dashed', 'dotted'];
+  const shapes = ['line', 'line', 'line', 'squiggle'];
+  const controllers = [];
+  let controller = null;
+  for (let s = 0; s < WAYPOINTS - 1; s++) {
+    if (s % 10 === 0) {
+      const n = s / 10;
+      controller = {
+        segmentColor: n % 3 === 0 ? '#FF6B6B' : '#4a90e2',
+        segmentWidth: 3 + (n % 2),
+        segmentStyle: styles[n % styles.length],
+        pathShape: shapes[n % shapes.length]
+      };
+    }
+    controllers.push(controller);
+  }
+  
+  const pathPoints = [];
+  const pointSegments = [];
+  const total = (WAYPOINTS - 1) * POINTS_PER_SEGMENT + 1;
+  for (let i = 0; i < total; i++) {
+    const t = i / POINTS_PER_SEGMENT;
+    pathPoints.push({ x: 20 + (t * 3) % 1880, y: 40 + Math.floor(t * 3 / 1880) * 120 + (t % 2) * 60 });
+    pointSegments.push(Math.min(WAYPOINTS - 2, Math.floor(Math.max(0, i - 1) / POINTS_PER_SEGMENT)));
+  }
+  return { pathPoints, pointSegments, controllers };
+}
+
+/**
+ * Previous renderer: one beginPath/stroke and a full style change per piece
+ */
+function drawEveryPiece(ctx, { pathPoints, pointSegments, controllers }, pointsToRender) {
+  for (let i = 1; i < pointsToRender; i++) {
+    const controller = controllers[pointSegments[i]];
+    ctx.strokeStyle = controller.segmentColor;
+    ctx.lineWidth = controller.segmentWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash(PathShape.getDashPattern(controller.segmentStyle));
+    ctx.beginPath();
+    
+    const piece = PathShape.getPiece(controller.pathShape, pathPoints[i - 1], pathPoints[i], i);
+    ctx.moveTo(piece.start.x, piece.start.y);
+    if (piece.control) {
+      ctx.quadraticCurveTo(piece.control.x, piece.control.y, piece.end.x, piece.end.y);
+    } else {
+      ctx.lineTo(piece.end.x, piece.end.y);
+    }
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+}
+
+/**
+ * Frame player: each call returns the next frame's point count
+ * @param {number} totalPoints - Path points
+ * @returns {Function}
+ */
+function createPlayer(totalPoints) {
+  let frame = 0;
+  return () => {
+    frame = (frame + 1) % (FRAMES + 1);
+    return Math.round((frame / FRAMES) * (totalPoints - 1)) + 1;
+  };
+}
+
+const route = createRoute();
+const drawing = RenderingService.createPathDrawing(route.pathPoints, route.pointSegments, route.controllers);
+const totalPoints = route.pathPoints.length;
+
+// Canvas calls for one whole playback, per approach
+const report = (label, drawFrame) => {
+  const ctx = createCountingContext();
+  const player = createPlayer(totalPoints);
+  for (let f = 0; f < FRAMES; f++) drawFrame(ctx, player());
+  console.log(`${label}: ${JSON.stringify(ctx.calls)} over ${FRAMES} frames`);
+};
+report('every piece', (ctx, points) => drawEveryPiece(ctx, route, points));
+report('batched runs', (ctx, points) => new RenderingService().drawPathRange(ctx, drawing, 0, points - 1));
+{
+  const service = new RenderingService();
+  const ctx = createCountingContext();
+  const player = createPlayer(totalPoints);
+  for (let f = 0; f < FRAMES; f++) service.renderPathLayer(ctx, 'route', drawing, player());
+  const layer = service.pathLayers.get('route').canvas.getContext('2d');
+  console.log(`cached layer: ${JSON.stringify(layer.calls)} + ${ctx.calls.drawImage} drawImage over ${FRAMES} frames`);
+}
+
+describe(`path drawing, ${WAYPOINTS} waypoints (${totalPoints} points)`, () => {
+  const ctx = createCountingContext();
+  
+  const everyPiece = createPlayer(totalPoints);
+  bench('stroke every piece each frame', () => {
+    drawEveryPiece(ctx, route, everyPiece());
+  });
+  
+  const service = new RenderingService();
+  const batched = createPlayer(totalPoints);
+  bench('stroke batched runs each frame', () => {
+    service.drawPathRange(ctx, drawing, 0, batched() - 1);
+  });
+  
+  const incremental = createPlayer(totalPoints);
+  bench('cached layer, stroke new pieces only', () => {
+    service.renderPathLayer(ctx, 'route', drawing, incremental());
+  });
+  
+  bench('prepare drawing (after a path or style change)', () => {
+    RenderingService.createPathDrawing(route.pathPoints, route.pointSegments, route.controllers);
+  });
+});